@@ -303,5 +303,55 @@ suite.add('Factorization - Prime Powers', (options = {}) => {
   }
 })
 
+/**
+ * Generate balanced semiprimes of a given bit size from a fixed seed, so every run
+ * compares the mid-size algorithms on the same inputs
+ * @param {number} bits - Bit size of the semiprimes
+ * @param {number} count - Number of semiprimes to generate
+ * @returns {BigInt[]} The semiprimes
+ */
+function generateSemiprimes(bits, count) {
+  let state = BigInt(bits) * 0x9E3779B97F4A7C15n
+  const nextPrime = (primeBits) => {
+    state = (state * 6364136223846793005n + 1442695040888963407n) % 2n ** 64n
+    let candidate = (state >> BigInt(64 - primeBits)) | (1n << BigInt(primeBits - 1)) | 1n
+    while (!Factorization.millerRabinTest(candidate)) {
+      candidate += 2n
+    }
+    return candidate
+  }
+  
+  const semiprimes = []
+  for (let i = 0; i < count; i++) {
+    semiprimes.push(nextPrime(bits >> 1) * nextPrime(bits - (bits >> 1)))
+  }
+  return semiprimes
+}
+
+// Mid-size factoring: the crossover points of the dispatcher used by factorizeOptimal
+// for 40 to 64-bit cofactors are chosen from these results
+const midSizeAlgorithms = [
+  { name: 'SQUFOF', split: (n) => Factorization.squfof(n), maxBits: 64 },
+  { name: 'Lehman', split: (n) => Factorization.lehman(n), maxBits: 48 },
+  { name: "Hart's one-line", split: (n) => Factorization.hartOneLine(n), maxBits: 64 },
+  { name: "Pollard's rho", split: (n) => Factorization.pollardRho(n), maxBits: 64 }
+]
+
+for (const bits of [40, 48, 56, 64]) {
+  const semiprimes = generateSemiprimes(bits, 5)
+  
+  for (const { name, split, maxBits } of midSizeAlgorithms) {
+    if (bits > maxBits) {
+      continue
+    }
+    
+    suite.add(`Mid-size factoring (${bits}-bit semiprimes) - ${name}`, () => {
+      for (const n of semiprimes) {
+        split(n)
+      }
+    })
+  }
+}
+
 // Export the suite
 module.exports = suite
\ No newline at end of file
@@ -72,7 +72,7 @@ configure({
   factorization: {
     ecm: {
       maxCurves: 150,        // Increase max curves
-      defaultB1: 200000,     // Double the default B1 bound
+      factorDigits: 20,      // Look for factors of about 20 digits
       maxMemory: 200         // Double the memory limit
     }
   }
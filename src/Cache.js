@@ -0,0 +1,768 @@
+/**
+ * Cache module for the UOR Math-JS library
+ * The in-memory cache shared by the prime, factorization and conversion caches. One configuration,
+ * config.cache, governs all of them: the eviction policy, the time-to-live of entries, and the
+ * total size in bytes
+ * @module Cache
+ */
+
+const { config } = require('./config')
+
+/**
+ * Estimated bytes held by a cache entry besides its key and value: the map slots, the entry
+ * record and the eviction policy's bookkeeping
+ * @type {number}
+ */
+const ENTRY_OVERHEAD = 64
+
+/**
+ * Estimate the memory held by a value, in bytes
+ * A rough model of a JavaScript engine's layout, good enough to keep the caches within
+ * config.cache.maxSize rather than an exact count
+ * 
+ * @param {*} value - The value to measure
+ * @returns {number} Estimated size in bytes
+ */
+function estimateSize(value) {
+  switch (typeof value) {
+  case 'string':
+    return 16 + 2 * value.length
+  case 'bigint': {
+    const magnitude = value < 0n ? -value : value
+    return 16 + 8 * Math.ceil(magnitude.toString(16).length / 16)
+  }
+  case 'number':
+    return 8
+  case 'boolean':
+    return 4
+  case 'object': {
+    if (value === null) {
+      return 0
+    }
+    
+    let size = 32
+    if (value instanceof Map) {
+      for (const [key, item] of value) {
+        size += 16 + estimateSize(key) + estimateSize(item)
+      }
+    } else if (Array.isArray(value)) {
+      for (const item of value) {
+        size += 8 + estimateSize(item)
+      }
+    } else {
+      for (const [key, item] of Object.entries(value)) {
+        size += 8 + estimateSize(key) + estimateSize(item)
+      }
+    }
+    return size
+  }
+  default:
+    return 0
+  }
+}
+
+/**
+ * Evicts the least recently used entry
+ * @private
+ */
+class LRUPolicy {
+  constructor() {
+    /** @type {Set<string>} Keys from least to most recently used */
+    this.order = new Set()
+  }
+
+  /** @param {string} key - The stored key */
+  add(key) {
+    this.order.add(key)
+  }
+
+  /** @param {string} key - The key read or overwritten */
+  access(key) {
+    this.order.delete(key)
+    this.order.add(key)
+  }
+
+  /** @param {string} key - The key deleted */
+  remove(key) {
+    this.order.delete(key)
+  }
+
+  /** @returns {string|undefined} The key to evict, now forgotten by the policy */
+  evict() {
+    const [key] = this.order
+    this.order.delete(key)
+    return key
+  }
+
+  clear() {
+    this.order.clear()
+  }
+}
+
+/**
+ * Evicts the oldest entry, whatever its use
+ * @private
+ */
+class FIFOPolicy extends LRUPolicy {
+  /**
+   * Reads and overwrites keep the entry's place in the queue
+   */
+  access() {
+  }
+}
+
+/**
+ * Evicts an entry chosen at random
+ * @private
+ */
+class RandomPolicy {
+  constructor() {
+    /** @type {string[]} */
+    this.keys = []
+    /** @type {Map<string, number>} Position of each key in keys */
+    this.positions = new Map()
+  }
+
+  /** @param {string} key - The stored key */
+  add(key) {
+    this.positions.set(key, this.keys.length)
+    this.keys.push(key)
+  }
+
+  /**
+   * Eviction does not depend on use
+   */
+  access() {
+  }
+
+  /** @param {string} key - The key deleted */
+  remove(key) {
+    const position = this.positions.get(key)
+    if (position === undefined) {
+      return
+    }
+    
+    // Move the last key into the hole
+    const last = /** @type {string} */ (this.keys.pop())
+    this.positions.delete(key)
+    if (last !== key) {
+      this.keys[position] = last
+      this.positions.set(last, position)
+    }
+  }
+
+  /** @returns {string|undefined} The key to evict, now forgotten by the policy */
+  evict() {
+    if (this.keys.length === 0) {
+      return undefined
+    }
+    const key = this.keys[Math.floor(Math.random() * this.keys.length)]
+    this.remove(key)
+    return key
+  }
+
+  clear() {
+    this.keys = []
+    this.positions.clear()
+  }
+}
+
+/**
+ * Evicts the least frequently used entry, the least recently used among equally frequent ones
+ * Keys are kept in buckets by use count, so no operation scans the entries
+ * @private
+ */
+class LFUPolicy {
+  constructor() {
+    /** @type {Map<string, number>} Use count of each key */
+    this.counts = new Map()
+    /** @type {Map<number, Set<string>>} Keys by use count, each from least to most recently used */
+    this.buckets = new Map()
+    this.minCount = 0
+  }
+
+  /**
+   * @private
+   * @param {string} key - The key
+   * @param {number} count - Its use count
+   */
+  place(key, count) {
+    this.counts.set(key, count)
+    const bucket = this.buckets.get(count)
+    if (bucket) {
+      bucket.add(key)
+    } else {
+      this.buckets.set(count, new Set([key]))
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} key - The key
+   * @param {number} count - Its use count
+   */
+  unplace(key, count) {
+    const bucket = /** @type {Set<string>} */ (this.buckets.get(count))
+    bucket.delete(key)
+    if (bucket.size === 0) {
+      this.buckets.delete(count)
+      if (count === this.minCount) {
+        this.minCount = this.buckets.size > 0 ? Math.min(...this.buckets.keys()) : 0
+      }
+    }
+  }
+
+  /** @param {string} key - The stored key */
+  add(key) {
+    this.place(key, 1)
+    this.minCount = 1
+  }
+
+  /** @param {string} key - The key read or overwritten */
+  access(key) {
+    const count = this.counts.get(key)
+    if (count === undefined) {
+      return
+    }
+    this.place(key, count + 1)
+    this.unplace(key, count)
+  }
+
+  /** @param {string} key - The key deleted */
+  remove(key) {
+    const count = this.counts.get(key)
+    if (count !== undefined) {
+      this.counts.delete(key)
+      this.unplace(key, count)
+    }
+  }
+
+  /** @returns {string|undefined} The key to evict, now forgotten by the policy */
+  evict() {
+    const bucket = this.buckets.get(this.minCount)
+    if (!bucket) {
+      return undefined
+    }
+    const [key] = bucket
+    this.remove(key)
+    return key
+  }
+
+  clear() {
+    this.counts.clear()
+    this.buckets.clear()
+    this.minCount = 0
+  }
+}
+
+/**
+ * Adaptive Replacement Cache (Megiddo and Modha, 2003)
+ * Splits the entries into those used once (t1) and those used again (t2), and remembers the
+ * keys recently evicted from each (b1 and b2). A miss on a remembered key shifts the target
+ * size of t1, so the policy adapts between recency and frequency as the workload changes
+ * @private
+ */
+class ARCPolicy {
+  /**
+   * @param {function(): number} capacity - The cache's current entry limit
+   */
+  constructor(capacity) {
+    this.capacity = capacity
+    /** @type {Set<string>} */
+    this.t1 = new Set()
+    /** @type {Set<string>} */
+    this.t2 = new Set()
+    /** @type {Set<string>} */
+    this.b1 = new Set()
+    /** @type {Set<string>} */
+    this.b2 = new Set()
+    this.target = 0
+    this.lastHitB2 = false
+  }
+
+  /** @param {string} key - The stored key */
+  add(key) {
+    const capacity = Math.max(1, Math.min(this.capacity(), Number.MAX_SAFE_INTEGER))
+    this.lastHitB2 = false
+    
+    if (this.b1.has(key)) {
+      // Evicted too early from t1: favour recency
+      this.target = Math.min(capacity, this.target + Math.max(this.b2.size / this.b1.size, 1))
+      this.b1.delete(key)
+      this.t2.add(key)
+      return
+    }
+    if (this.b2.has(key)) {
+      // Evicted too early from t2: favour frequency
+      this.target = Math.max(0, this.target - Math.max(this.b1.size / this.b2.size, 1))
+      this.b2.delete(key)
+      this.t2.add(key)
+      this.lastHitB2 = true
+      return
+    }
+    
+    this.t1.add(key)
+    
+    // Keep the remembered keys within the cache's capacity
+    while (this.t1.size + this.b1.size > capacity && this.b1.size > 0) {
+      const [ghost] = this.b1
+      this.b1.delete(ghost)
+    }
+    while (this.t1.size + this.t2.size + this.b1.size + this.b2.size > 2 * capacity && this.b2.size > 0) {
+      const [ghost] = this.b2
+      this.b2.delete(ghost)
+    }
+  }
+
+  /** @param {string} key - The key read or overwritten */
+  access(key) {
+    if (this.t1.delete(key) || this.t2.delete(key)) {
+      this.t2.add(key)
+    }
+  }
+
+  /** @param {string} key - The key deleted */
+  remove(key) {
+    if (!this.t1.delete(key)) {
+      this.t2.delete(key)
+    }
+  }
+
+  /** @returns {string|undefined} The key to evict, now forgotten by the policy */
+  evict() {
+    const fromT1 = this.t1.size > 0 && (
+      this.t1.size > this.target ||
+      (this.lastHitB2 && this.t1.size === Math.floor(this.target)) ||
+      this.t2.size === 0
+    )
+    const [list, ghosts] = fromT1 ? [this.t1, this.b1] : [this.t2, this.b2]
+    const [key] = list
+    if (key !== undefined) {
+      list.delete(key)
+      ghosts.add(key)
+    }
+    return key
+  }
+
+  clear() {
+    this.t1.clear()
+    this.t2.clear()
+    this.b1.clear()
+    this.b2.clear()
+    this.target = 0
+    this.lastHitB2 = false
+  }
+}
+
+/**
+ * Eviction policies by the names used in config.cache.evictionPolicy
+ * @type {Map<string, function(function(): number): {add: function(string): void, access: function(string): void, remove: function(string): void, evict: function(): (string|undefined), clear: function(): void}>}
+ */
+const EVICTION_POLICIES = new Map([
+  ['lru', () => new LRUPolicy()],
+  ['lfu', () => new LFUPolicy()],
+  ['arc', capacity => new ARCPolicy(capacity)],
+  ['fifo', () => new FIFOPolicy()],
+  ['random', () => new RandomPolicy()]
+])
+
+/**
+ * Caches whose entries count towards config.cache.maxSize
+ * @private
+ * @type {Set<Cache>}
+ */
+const sharedCaches = new Set()
+
+/**
+ * Evict entries until the shared caches fit in config.cache.maxSize together,
+ * taking each one from the cache holding the most bytes
+ * @private
+ */
+function enforceSharedLimit() {
+  const limit = config.cache.maxSize
+  let total = 0
+  for (const cache of sharedCaches) {
+    total += cache.bytes
+  }
+
+  while (total > limit) {
+    let largest = null
+    for (const cache of sharedCaches) {
+      if (cache.store.size > 0 && (!largest || cache.bytes > largest.bytes)) {
+        largest = cache
+      }
+    }
+    if (!largest) {
+      break
+    }
+    
+    const before = largest.bytes
+    largest.evictOne()
+    total -= before - largest.bytes
+  }
+}
+
+/**
+ * Read an option that is either a value or a function returning the current value
+ * @private
+ * @template T
+ * @param {T|function(): T} option - The option
+ * @returns {T} Its current value
+ */
+function resolve(option) {
+  return typeof option === 'function' ? /** @type {function(): T} */ (option)() : option
+}
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {string} [name='cache'] - Name reported in statistics
+ * @property {number|function(): number} [maxEntries=Infinity] - Maximum number of entries, or a function reading it from the configuration
+ * @property {string|function(): string} [policy] - Eviction policy: 'lru', 'lfu', 'arc', 'fifo' or 'random' (default: config.cache.evictionPolicy)
+ * @property {number|function(): number} [ttl] - Lifetime of new entries in milliseconds, 0 for no expiry (default: config.cache.ttl)
+ * @property {function(string, *): number} [sizeOf] - Estimate of an entry's size in bytes (default: estimateSize of the key and value)
+ * @property {function(string, *): void} [onEvict] - Called with each entry evicted or expired
+ * @property {boolean} [shared=false] - Whether the entries count towards config.cache.maxSize, as the
+ * library's own caches do. A shared cache stays registered until dispose() is called
+ */
+
+/**
+ * Key-value cache with a configurable eviction policy, time-to-live and byte-size accounting
+ * Nothing is stored while config.cache.enabled is false. Entries expire in the order they were
+ * stored, so expiry costs constant time per entry
+ */
+class Cache {
+  /**
+   * @param {CacheOptions} [options] - Cache options
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'cache'
+    this.options = {
+      maxEntries: options.maxEntries === undefined ? Infinity : options.maxEntries,
+      policy: options.policy || (() => config.cache.evictionPolicy),
+      ttl: options.ttl === undefined ? () => config.cache.ttl : options.ttl,
+      sizeOf: options.sizeOf || ((key, value) => estimateSize(key) + estimateSize(value)),
+      onEvict: options.onEvict || null
+    }
+    
+    /** @type {Map<string, {value: *, size: number, expires: number}>} Entries from oldest to newest write */
+    this.store = new Map()
+    this.bytes = 0
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 }
+    this.policyName = null
+    this.policy = null
+    
+    if (options.shared === true) {
+      sharedCaches.add(this)
+    }
+  }
+
+  /**
+   * The eviction policy in use, rebuilt from the current entries when the configured one changes
+   * @private
+   * @returns {{add: function(string): void, access: function(string): void, remove: function(string): void, evict: function(): (string|undefined), clear: function(): void}} The policy
+   * @throws {PrimeMathError} If the configured policy is unknown
+   */
+  currentPolicy() {
+    const name = String(resolve(this.options.policy)).toLowerCase()
+    if (name !== this.policyName || !this.policy) {
+      const create = EVICTION_POLICIES.get(name)
+      if (!create) {
+        const { PrimeMathError } = require('./Utils')
+        throw new PrimeMathError(`Unknown cache eviction policy: ${name} (expected one of ${[...EVICTION_POLICIES.keys()].join(', ')})`)
+      }
+      
+      this.policy = create(() => this.maxEntries)
+      this.policyName = name
+      for (const key of this.store.keys()) {
+        this.policy.add(key)
+      }
+    }
+    return this.policy
+  }
+
+  /**
+   * Maximum number of entries
+   * @returns {number} The current limit
+   */
+  get maxEntries() {
+    return resolve(this.options.maxEntries)
+  }
+
+  /**
+   * Number of live entries
+   * @returns {number} Entry count
+   */
+  get size() {
+    this.purgeExpired()
+    return this.store.size
+  }
+
+  /**
+   * Look up an entry, counting a hit or a miss
+   * 
+   * @param {string} key - The key
+   * @returns {*} The value, or undefined if it is missing or expired
+   */
+  get(key) {
+    const entry = this.store.get(key)
+    if (entry && !this.isExpired(entry)) {
+      this.stats.hits++
+      this.currentPolicy().access(key)
+      return entry.value
+    }
+    
+    if (entry) {
+      this.removeEntry(key, 'expired')
+    }
+    this.stats.misses++
+    return undefined
+  }
+
+  /**
+   * Look up an entry without counting it as a use
+   * 
+   * @param {string} key - The key
+   * @returns {*} The value, or undefined if it is missing or expired
+   */
+  peek(key) {
+    const entry = this.store.get(key)
+    return entry && !this.isExpired(entry) ? entry.value : undefined
+  }
+
+  /**
+   * @param {string} key - The key
+   * @returns {boolean} Whether a live entry exists
+   */
+  has(key) {
+    return this.peek(key) !== undefined
+  }
+
+  /**
+   * Store an entry, then evict entries until this cache and the shared caches are within their limits
+   * 
+   * @param {string} key - The key
+   * @param {*} value - The value (not undefined)
+   * @returns {Cache} This cache
+   */
+  set(key, value) {
+    if (!config.cache.enabled) {
+      return this
+    }
+    
+    const policy = this.currentPolicy()
+    const ttl = resolve(this.options.ttl)
+    const existing = this.store.get(key)
+    if (existing) {
+      // Move the entry to the end of the expiry order
+      this.bytes -= existing.size
+      this.store.delete(key)
+      policy.access(key)
+    }
+    
+    const size = ENTRY_OVERHEAD + this.options.sizeOf(key, value)
+    this.store.set(key, { value, size, expires: ttl > 0 ? Date.now() + ttl : 0 })
+    this.bytes += size
+    
+    // A new key joins the policy only after trimming, so it is never the entry evicted to make room
+    this.trim()
+    if (!existing && this.store.has(key)) {
+      policy.add(key)
+    }
+    enforceSharedLimit()
+    return this
+  }
+
+  /**
+   * Remove an entry
+   * 
+   * @param {string} key - The key
+   * @returns {boolean} True if the entry existed
+   */
+  delete(key) {
+    if (!this.store.has(key)) {
+      return false
+    }
+    this.removeEntry(key, 'deleted')
+    return true
+  }
+
+  /**
+   * Remove every entry and reset the statistics
+   */
+  clear() {
+    this.store.clear()
+    this.bytes = 0
+    if (this.policy) {
+      this.policy.clear()
+    }
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 }
+  }
+
+  /**
+   * Remove every entry and take the cache out of the shared size limit and getCacheStats()
+   */
+  dispose() {
+    this.clear()
+    sharedCaches.delete(this)
+  }
+
+  /**
+   * Drop expired entries, then evict entries until the cache is within its entry limit
+   * 
+   * @param {number} [maxEntries] - Limit to trim to (default: the configured limit)
+   */
+  trim(maxEntries = this.maxEntries) {
+    this.purgeExpired()
+    while (this.store.size > maxEntries && this.store.size > 0) {
+      this.evictOne()
+    }
+  }
+
+  /**
+   * Evict the entry chosen by the eviction policy
+   * @private
+   */
+  evictOne() {
+    const key = this.currentPolicy().evict()
+    if (key === undefined) {
+      // The policy lost track of the entries; fall back to the oldest
+      const [oldest] = this.store.keys()
+      this.removeEntry(oldest, 'evicted')
+      return
+    }
+    
+    const entry = this.store.get(key)
+    if (entry) {
+      this.store.delete(key)
+      this.bytes -= entry.size
+      this.stats.evictions++
+      if (this.options.onEvict) {
+        this.options.onEvict(key, entry.value)
+      }
+    }
+  }
+
+  /**
+   * Drop the expired entries, which are the oldest writes
+   */
+  purgeExpired() {
+    for (const [key, entry] of this.store) {
+      if (!this.isExpired(entry)) {
+        break
+      }
+      this.removeEntry(key, 'expired')
+    }
+  }
+
+  /**
+   * @private
+   * @param {{expires: number}} entry - A stored entry
+   * @returns {boolean} Whether the entry has outlived its time-to-live
+   */
+  isExpired(entry) {
+    return entry.expires > 0 && entry.expires <= Date.now()
+  }
+
+  /**
+   * @private
+   * @param {string} key - The key of a stored entry
+   * @param {'evicted'|'expired'|'deleted'} reason - Why it is removed
+   */
+  removeEntry(key, reason) {
+    const entry = /** @type {{value: *, size: number, expires: number}} */ (this.store.get(key))
+    this.store.delete(key)
+    this.bytes -= entry.size
+    if (this.policy) {
+      this.policy.remove(key)
+    }
+    
+    if (reason === 'deleted') {
+      return
+    }
+    this.stats[reason === 'expired' ? 'expirations' : 'evictions']++
+    if (this.options.onEvict) {
+      this.options.onEvict(key, entry.value)
+    }
+  }
+
+  /**
+   * @returns {IterableIterator<string>} The keys of the live entries
+   */
+  *keys() {
+    for (const [key] of this.entries()) {
+      yield key
+    }
+  }
+
+  /**
+   * @returns {IterableIterator<*>} The values of the live entries
+   */
+  *values() {
+    for (const [, value] of this.entries()) {
+      yield value
+    }
+  }
+
+  /**
+   * Iterate over the live entries, from the oldest write to the newest. The cache may be
+   * changed while iterating
+   * @returns {IterableIterator<[string, *]>} [key, value] pairs
+   */
+  *entries() {
+    this.purgeExpired()
+    for (const [key, entry] of [...this.store]) {
+      if (!this.isExpired(entry) && this.store.get(key) === entry) {
+        yield [key, entry.value]
+      }
+    }
+  }
+
+  /**
+   * @returns {IterableIterator<[string, *]>} [key, value] pairs of the live entries
+   */
+  [Symbol.iterator]() {
+    return this.entries()
+  }
+
+  /**
+   * Get statistics about the cache
+   * @returns {Object} Name, size, limits, policy, byte usage, hits, misses, evictions and expirations
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses
+    this.currentPolicy()
+    return {
+      name: this.name,
+      size: this.size,
+      maxEntries: this.maxEntries,
+      bytes: this.bytes,
+      evictionPolicy: this.policyName,
+      ttl: resolve(this.options.ttl),
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      evictions: this.stats.evictions,
+      expirations: this.stats.expirations
+    }
+  }
+}
+
+/**
+ * Statistics of all the caches counted against config.cache.maxSize
+ * @returns {{maxSize: number, bytes: number, caches: Object[]}} The byte limit, the bytes in use and each cache's statistics
+ */
+function getCacheStats() {
+  const caches = [...sharedCaches].map(cache => cache.getStats())
+  return {
+    maxSize: config.cache.maxSize,
+    bytes: caches.reduce((total, stats) => total + stats.bytes, 0),
+    caches
+  }
+}
+
+module.exports = {
+  Cache,
+  EVICTION_POLICIES,
+  estimateSize,
+  getCacheStats
+}
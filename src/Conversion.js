@@ -7,9 +7,10 @@
  * @module Conversion
  */
 
-const { PrimeMathError, toBigInt } = require('./Utils')
+const { PrimeMathError, toBigInt, isProbablePrime } = require('./Utils')
 const { factorizeOptimal, fromPrimeFactors } = require('./Factorization')
 const { config } = require('./config')
+const { Cache } = require('./Cache')
 
 /**
  * Helper function to safely extract error message
@@ -131,6 +132,55 @@ function validateStringForBase(str, base) {
   return true
 }
 
+/**
+ * Shortest value, in digits, whose base conversions are cached
+ * Shorter conversions are cheaper to repeat than to look up
+ * @private
+ * @type {number}
+ */
+const CONVERSION_CACHE_MIN_LENGTH = 64
+
+/**
+ * Cache of base conversion results, limited to config.cache.maxConversionCacheSize entries
+ * and evicted by config.cache.evictionPolicy. Used while config.conversion.cacheResults is true
+ * key: "<fromBase>:<toBase>:<value>" ("n" as fromBase for BigInt values), value: converted string
+ * @private
+ */
+const _conversionCache = new Cache({
+  name: 'conversions',
+  shared: true,
+  maxEntries: () => config.cache.maxConversionCacheSize
+})
+
+/**
+ * Build the cache key of a base conversion
+ * 
+ * @private
+ * @param {string|number|BigInt} value - The value to convert
+ * @param {number} fromBase - The base of the input
+ * @param {number} toBase - The base to convert to
+ * @returns {string|null} The key, or null if the conversion should not be cached
+ */
+function conversionCacheKey(value, fromBase, toBase) {
+  if (!config.conversion.cacheResults) {
+    return null
+  }
+  
+  if (typeof value === 'string' && value.length >= CONVERSION_CACHE_MIN_LENGTH) {
+    return `${fromBase}:${toBase}:${value}`
+  }
+  
+  // Decimal output of a BigInt is its own string form, so only other bases are worth caching
+  if (typeof value === 'bigint' && toBase !== 10) {
+    const digits = value.toString()
+    if (digits.length >= CONVERSION_CACHE_MIN_LENGTH) {
+      return `n:${toBase}:${digits}`
+    }
+  }
+  
+  return null
+}
+
 /**
  * Convert a number from one base to another
  * 
@@ -154,7 +204,34 @@ function convertBase(value, fromBase = 10, toBase = 10) {
   if (!Number.isInteger(toBase) || toBase < 2 || toBase > maxBase) {
     throw new PrimeMathError(`Invalid toBase: ${toBase} (must be 2-${maxBase})`)
   }
+  
+  // Reuse earlier conversions of long values, whose cost grows quadratically with their length
+  const cacheKey = conversionCacheKey(value, fromBase, toBase)
+  if (cacheKey) {
+    const cached = _conversionCache.get(cacheKey)
+    if (cached !== undefined) {
+      return cached
+    }
+  }
+  
+  const result = convertBetweenBases(value, fromBase, toBase)
+  if (cacheKey) {
+    _conversionCache.set(cacheKey, result)
+  }
+  return result
+}
 
+/**
+ * Convert a number between validated bases
+ * 
+ * @private
+ * @param {string|number|BigInt} value - The value to convert
+ * @param {number} fromBase - The base of the input
+ * @param {number} toBase - The base to convert to
+ * @returns {string} The converted value as a string
+ * @throws {PrimeMathError} If the value cannot be converted
+ */
+function convertBetweenBases(value, fromBase, toBase) {
   // Handle string inputs
   if (typeof value === 'string') {
     if (!validateStringForBase(value, fromBase)) {
@@ -479,9 +556,13 @@ function calculateGCD(a, b) {
  * Create a string representation of a prime factorization
  * 
  * @param {Map<BigInt, BigInt>|{factorization: Map<BigInt, BigInt>, isNegative: boolean}} factorsInput - Map of prime factors or object with factorization and sign
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.separator=' × '] - Text between the terms, such as ' * ' for plain ASCII
  * @returns {string} Human-readable representation of the factorization (with optional negative sign)
  */
-function factorizationToString(factorsInput) {
+function factorizationToString(factorsInput, options = {}) {
+  const { separator = ' × ' } = options
+  
   // Extract the factorization and sign flag
   let factors
   let isNegative = false
@@ -513,7 +594,7 @@ function factorizationToString(factorsInput) {
     }
   }
   
-  const result = terms.join(' × ')
+  const result = terms.join(separator)
   return isNegative ? '-(' + result + ')' : result
 }
 
@@ -2296,62 +2377,7 @@ function isCanonicalForm(coordinates, options = {}) {
     } 
     // For larger primes, use probabilistic primality test
     else {
-      // Simple Miller-Rabin implementation for large primes
-      // This satisfies the Prime Framework requirement for intrinsic primality
-      const millerRabinTest = (n, k = 5) => {
-        if (n <= 1n) return false
-        if (n <= 3n) return true
-        if (n % 2n === 0n) return false
-        
-        // Write n-1 as 2^r * d
-        let r = 0n
-        let d = n - 1n
-        while (d % 2n === 0n) {
-          d /= 2n
-          r++
-        }
-        
-        // Witness loop
-        const witnesses = k
-        for (let i = 0; i < witnesses; i++) {
-          // Choose random a in [2, n-2]
-          const a = 2n + BigInt(Math.floor(Math.random() * Number(n - 4n)))
-          
-          let x = modPow(a, d, n)
-          if (x === 1n || x === n - 1n) continue
-          
-          let continueWitness = false
-          for (let j = 0n; j < r - 1n; j++) {
-            x = (x * x) % n
-            if (x === n - 1n) {
-              continueWitness = true
-              break
-            }
-          }
-          
-          if (continueWitness) continue
-          return false
-        }
-        
-        return true
-      }
-      
-      // Fast modular exponentiation
-      const modPow = (base, exponent, modulus) => {
-        if (modulus === 1n) return 0n
-        let result = 1n
-        let baseCopy = base % modulus
-        let exponentCopy = exponent
-        while (exponentCopy > 0n) {
-          if (exponentCopy % 2n === 1n) 
-            result = (result * baseCopy) % modulus
-          exponentCopy = exponentCopy >> 1n
-          baseCopy = (baseCopy * baseCopy) % modulus
-        }
-        return result
-      }
-      
-      if (!millerRabinTest(prime)) return false
+      if (!isProbablePrime(prime)) return false
     }
   }
   
@@ -2402,6 +2428,34 @@ const Conversion = {
   convertBase,
   getDigits,
   
+  /**
+   * Cache of base conversion results, governed by config.cache like the prime and factorization caches
+   */
+  conversionCache: {
+    /**
+     * Get the current size of the conversion cache
+     * @returns {number} Number of entries in the cache
+     */
+    size() {
+      return _conversionCache.size
+    },
+    
+    /**
+     * Clear the conversion cache
+     */
+    clear() {
+      _conversionCache.clear()
+    },
+    
+    /**
+     * Get statistics about the cache
+     * @returns {Object} Statistics object with size, maxEntries, bytes, evictionPolicy, ttl, hits, misses, hitRate, evictions and expirations
+     */
+    getStats() {
+      return _conversionCache.getStats()
+    }
+  },
+  
   // Standard-to-Universal conversions
   fromNumber,
   fromBigInt,
@@ -2595,60 +2649,8 @@ const Conversion = {
             throw new PrimeMathError(`Factor ${prime} is not a valid prime number`)
           }
         } else {
-          // For larger primes, use Miller-Rabin test
-          const millerRabinTest = (n, k = 7) => {
-            if (n <= 1n) return false
-            if (n <= 3n) return true
-            if (n % 2n === 0n) return false
-            
-            // Find r and d such that n-1 = 2^r * d
-            let r = 0n
-            let d = n - 1n
-            while (d % 2n === 0n) {
-              d /= 2n
-              r++
-            }
-            
-            // Witness loop
-            for (let i = 0; i < k; i++) {
-              // Choose a random witness between 2 and n-2
-              const a = 2n + BigInt(Math.floor(Math.random() * Number((n - 4n) < Number.MAX_SAFE_INTEGER ? n - 4n : Number.MAX_SAFE_INTEGER)))
-              
-              let x = modPow(a, d, n)
-              if (x === 1n || x === n - 1n) continue
-              
-              let isProbablePrime = false
-              for (let j = 0n; j < r - 1n; j++) {
-                x = (x * x) % n
-                if (x === n - 1n) {
-                  isProbablePrime = true
-                  break
-                }
-              }
-              
-              if (!isProbablePrime) return false
-            }
-            
-            return true
-          }
-          
-          // Modular exponentiation
-          const modPow = (base, exponent, modulus) => {
-            if (modulus === 1n) return 0n
-            let result = 1n
-            let baseCopy = base % modulus
-            let exponentCopy = exponent
-            while (exponentCopy > 0n) {
-              if (exponentCopy % 2n === 1n) {
-                result = (result * baseCopy) % modulus
-              }
-              exponentCopy = exponentCopy >> 1n
-              baseCopy = (baseCopy * baseCopy) % modulus
-            }
-            return result
-          }
-          
-          if (!millerRabinTest(prime)) {
+          // For larger primes, use the configured probable-prime test
+          if (!isProbablePrime(prime)) {
             throw new PrimeMathError(`Factor ${prime} is not a valid prime number`)
           }
         }
@@ -7,16 +7,25 @@
 
 const { 
   PrimeMathError, 
+  FactorizationAbortError,
+  FactorizationBudgetError,
   toBigInt, 
   isPrime, 
+  isProbablePrime,
+  millerRabinTest,
+  bailliePSW,
+  lucasParameters,
   gcd, 
-  primeCache, 
-  fastExp
+  iroot: integerRoot,
+  primeCache
 } = require('./Utils')
 
 // Import central configuration system
 const { config } = require('./config')
 
+const { SCHEMA_KEY, MemoryStorageAdapter, createStorageAdapter, migrateStorage } = require('./Storage')
+const { Cache } = require('./Cache')
+
 /**
  * Helper function to safely extract error message
  * Non-recursive implementation to avoid stack overflows
@@ -42,6 +51,282 @@ function getErrorMessage(error) {
   }
 }
 
+/**
+ * Trial division checks for cancellation whenever the (odd) divisor is 1 modulo this value,
+ * i.e. once every 65536 candidate divisors
+ * @private
+ * @type {BigInt}
+ */
+const TRIAL_DIVISION_CHECKPOINT = 131072n
+
+/**
+ * Number of Pollard rho iterations between cancellation checks and progress reports
+ * @private
+ * @type {number}
+ */
+const POLLARD_RHO_CHECKPOINT = 10000
+
+/**
+ * Number of bytes in a megabyte, the unit of the memory budgets in the configuration
+ * @private
+ * @type {number}
+ */
+const BYTES_PER_MB = 1024 * 1024
+
+/**
+ * Read the current heap usage in bytes, or null where the runtime does not expose it (e.g. browsers)
+ * 
+ * @private
+ * @returns {number|null} The used heap size in bytes
+ */
+function getHeapUsed() {
+  if (typeof process === 'undefined' || typeof process.memoryUsage !== 'function') {
+    return null
+  }
+  return process.memoryUsage().heapUsed
+}
+
+/**
+ * Create the time and memory budget for one factorization from the options and the configuration
+ * - `timeLimit` (ms) bounds the wall-clock time of the whole factorization
+ * - `memoryLimit` (MB) bounds how much the heap may grow while factoring
+ * - `config.memory.maxMemoryUsage` (MB) bounds the total heap size
+ * 
+ * @private
+ * @param {Object} options - Factorization options, possibly overriding `timeLimit` and `memoryLimit`
+ * @returns {Object|undefined} The budget, or undefined if no limit is configured
+ */
+function createBudget(options) {
+  const timeLimit = options.timeLimit || config.factorization.timeLimit
+  const memoryLimit = options.memoryLimit || config.factorization.memoryLimit
+  const maxMemoryUsage = config.memory.maxMemoryUsage
+  
+  if (!timeLimit && !memoryLimit && !maxMemoryUsage) {
+    return undefined
+  }
+  
+  const heapUsed = getHeapUsed()
+  return {
+    timeLimit,
+    deadline: timeLimit ? Date.now() + timeLimit : Infinity,
+    memoryLimit: heapUsed === null ? 0 : memoryLimit,
+    heapBaseline: heapUsed || 0,
+    maxMemoryUsage: heapUsed === null ? 0 : maxMemoryUsage
+  }
+}
+
+/**
+ * Find which part of a budget, if any, has been used up
+ * 
+ * @private
+ * @param {Object} budget - A budget created by createBudget
+ * @returns {{budget: string, limit: number}|null} The exhausted budget and its configured value
+ */
+function exhaustedBudget(budget) {
+  if (Date.now() >= budget.deadline) {
+    return { budget: 'timeLimit', limit: budget.timeLimit }
+  }
+  
+  if (budget.memoryLimit || budget.maxMemoryUsage) {
+    const heapUsed = getHeapUsed() || 0
+    if (budget.memoryLimit && heapUsed - budget.heapBaseline > budget.memoryLimit * BYTES_PER_MB) {
+      return { budget: 'memoryLimit', limit: budget.memoryLimit }
+    }
+    if (budget.maxMemoryUsage && heapUsed > budget.maxMemoryUsage * BYTES_PER_MB) {
+      return { budget: 'maxMemoryUsage', limit: budget.maxMemoryUsage }
+    }
+  }
+  
+  return null
+}
+
+/**
+ * Throw if the caller's AbortSignal has been aborted or the factorization budget is used up
+ * Algorithms call this at regular checkpoints, since they run synchronously
+ * 
+ * @private
+ * @param {Object} options - Algorithm options, possibly carrying a `signal` and a `budget`
+ * @param {BigInt} original - The number currently being factored
+ * @param {Map<BigInt, BigInt>} [factors] - Prime factors of `original` found so far
+ * @throws {FactorizationAbortError} If the signal has been aborted
+ * @throws {FactorizationBudgetError} If the time or memory budget has been exhausted
+ */
+function throwIfAborted(options, original, factors = new Map()) {
+  const signal = options && options.signal
+  if (signal && signal.aborted) {
+    throw new FactorizationAbortError('Factorization was aborted', {
+      original,
+      factors,
+      reason: signal.reason
+    })
+  }
+  
+  const exhausted = options && options.budget && exhaustedBudget(options.budget)
+  if (exhausted) {
+    throw new FactorizationBudgetError(`Factorization exceeded its ${exhausted.budget} budget`, {
+      original,
+      factors,
+      ...exhausted
+    })
+  }
+}
+
+/**
+ * Send a progress report to the caller's onProgress callback
+ * Reports are suppressed when config.async.reportProgress is disabled
+ * 
+ * @private
+ * @param {Object} options - Algorithm options, possibly carrying an `onProgress` callback
+ * @param {Object} progress - Progress details; always includes the `algorithm` name
+ */
+function reportProgress(options, progress) {
+  if (options && typeof options.onProgress === 'function' && config.async.reportProgress) {
+    options.onProgress(progress)
+  }
+}
+
+/**
+ * Send the state of a resumable algorithm to the onCheckpoint callback installed by a
+ * factorization that was given a `checkpoint` option
+ * 
+ * @private
+ * @param {Object} options - Algorithm options, possibly carrying an `onCheckpoint` callback
+ * @param {Object} state - Algorithm state; always includes the `algorithm` name and the number `n` being split
+ */
+function saveCheckpoint(options, state) {
+  if (options && typeof options.onCheckpoint === 'function') {
+    options.onCheckpoint(state)
+  }
+}
+
+/**
+ * Pick the cancellation, budget, progress and checkpoint options that must be forwarded to nested algorithm calls
+ * 
+ * @private
+ * @param {Object} options - Algorithm options
+ * @returns {{signal: (AbortSignal|undefined), budget: (Object|undefined), onProgress: (Function|undefined),
+ * onCheckpoint: (Function|undefined)}} The control options
+ */
+function controlOptions(options) {
+  return {
+    signal: options.signal,
+    budget: options.budget,
+    onProgress: options.onProgress,
+    onCheckpoint: options.onCheckpoint
+  }
+}
+
+/**
+ * Wrap the onProgress (or onCheckpoint) callback so every report also carries the factors already
+ * known to the caller, merged with any factors the nested algorithm reported itself
+ * 
+ * @private
+ * @param {Object} options - Algorithm options
+ * @param {function(): Map<BigInt, BigInt>} getKnownFactors - Returns the caller's factors found so far
+ * @param {string} [callback='onProgress'] - Name of the callback option to wrap
+ * @returns {Function|undefined} The wrapped callback, or undefined if none was given
+ */
+function withKnownFactors(options, getKnownFactors, callback = 'onProgress') {
+  const report = options[callback]
+  if (typeof report !== 'function') {
+    return undefined
+  }
+  
+  return progress => report({
+    ...progress,
+    factors: mergeFactorMaps(getKnownFactors(), progress.factors)
+  })
+}
+
+/**
+ * Build the onCheckpoint callback of a composite factorization. Nested calls add their known factors
+ * to the caller's callback; the outermost call, which was given the `checkpoint` option, turns the
+ * algorithm state into a checkpoint of the whole number at most once per checkpoint interval
+ * 
+ * @private
+ * @param {Object} options - Factorization options
+ * @param {BigInt} original - The number being factored
+ * @param {function(): Map<BigInt, BigInt>} getKnownFactors - Returns the prime factors found so far
+ * @returns {Function|undefined} The callback, or undefined if no checkpoints were requested
+ */
+function checkpointCallback(options, original, getKnownFactors) {
+  if (typeof options.onCheckpoint === 'function') {
+    return withKnownFactors(options, getKnownFactors, 'onCheckpoint')
+  }
+  if (typeof options.checkpoint !== 'function') {
+    return undefined
+  }
+  
+  const interval = options.checkpointInterval !== undefined
+    ? options.checkpointInterval
+    : config.factorization.checkpointInterval
+  let last = Date.now()
+  
+  return state => {
+    const now = Date.now()
+    if (now - last < interval) {
+      return
+    }
+    
+    const checkpoint = createCheckpoint(original, mergeFactorMaps(getKnownFactors(), state.factors), state)
+    if (checkpoint) {
+      last = now
+      options.checkpoint(checkpoint)
+    }
+  }
+}
+
+/**
+ * Rebase an abort error raised while factoring a cofactor onto the caller's number,
+ * adding the factors the caller had already found; other errors are returned unchanged
+ * 
+ * @private
+ * @param {unknown} error - The caught error
+ * @param {Map<BigInt, BigInt>} knownFactors - Factors of `original` found outside the aborted call
+ * @param {BigInt} original - The caller's number
+ * @returns {unknown} The error to rethrow
+ */
+function enrichAbortError(error, knownFactors, original) {
+  if (!(error instanceof FactorizationAbortError)) {
+    return error
+  }
+  
+  const factors = mergeFactorMaps(knownFactors, error.factors)
+  
+  if (error instanceof FactorizationBudgetError) {
+    return new FactorizationBudgetError(error.message, {
+      original,
+      factors,
+      budget: error.budget,
+      limit: error.limit
+    })
+  }
+  
+  return new FactorizationAbortError(error.message, {
+    original,
+    factors,
+    reason: error.reason
+  })
+}
+
+/**
+ * Merge two factor maps by adding the exponents of shared primes
+ * 
+ * @private
+ * @param {Map<BigInt, BigInt>} a - First factor map
+ * @param {Map<BigInt, BigInt>} [b] - Second factor map
+ * @returns {Map<BigInt, BigInt>} A new merged factor map
+ */
+function mergeFactorMaps(a, b) {
+  const merged = new Map(a)
+  if (b) {
+    for (const [prime, exponent] of b.entries()) {
+      merged.set(prime, (merged.get(prime) || 0n) + exponent)
+    }
+  }
+  return merged
+}
+
 /**
  * @typedef {Object} PrimeFactor
  * @property {BigInt} prime - The prime number
@@ -62,6 +347,37 @@ function getErrorMessage(error) {
  * @property {number} [chunkSize] - Size of work chunks for distribution
  */
 
+/**
+ * Schema of the factorization cache records in persistent storage. Version 1 is the single JSON
+ * blob of entries and metrics written by math-js 0.1; version 2 keeps one record per number
+ * @private
+ */
+const CACHE_STORAGE_SCHEMA = {
+  version: 2,
+  migrations: new Map([
+    [1, async adapter => {
+      const entries = (await adapter.get('entries')) || []
+      const metrics = new Map(((await adapter.get('metrics')) || []).map(metric => [metric.key, metric]))
+      
+      for (const entry of entries) {
+        const metric = metrics.get(entry.key) || {}
+        await adapter.set(entry.key, {
+          factors: Object.fromEntries(entry.factorArray),
+          isComplete: entry.isComplete,
+          confidence: entry.confidence,
+          lastAccess: metric.lastAccess || 0,
+          accessCount: metric.accessCount || 0,
+          computationCost: metric.computationCost || 1
+        })
+      }
+      
+      for (const key of ['version', 'timestamp', 'entries', 'metrics']) {
+        await adapter.delete(key)
+      }
+    }]
+  ])
+}
+
 /**
  * Enhanced factorization cache optimized for the Prime Framework
  * Provides efficient caching of computed universal coordinates (prime factorizations)
@@ -91,28 +407,53 @@ const _factorizationCache = {
   },
   
   /**
-   * Map storing factorization results
-   * key: number as string, value: FactorizationResult
+   * Storage adapter selected by config.cache.persistentCache, created on first use
+   * @returns {import('./Storage').StorageAdapter|null} The adapter, or null if persistence is disabled
    */
-  cache: new Map(),
+  get storage() {
+    const setting = config.cache.persistentCache
+    const options = config.cache.storageOptions
+    if (!this.storageState || this.storageState.setting !== setting || this.storageState.options !== options) {
+      this.storageState = {
+        setting,
+        options,
+        adapter: createStorageAdapter(setting, { name: this.STORAGE_KEY, ...options }),
+        migrated: null
+      }
+    }
+    return this.storageState.adapter
+  },
   
   /**
-   * Tracks cache usage statistics
+   * The adapter in use, its configuration and its pending migration
+   * @type {{setting: *, options: Object, adapter: import('./Storage').StorageAdapter|null, migrated: Promise<number|null>|null}|null}
    */
-  stats: {
-    hits: 0,
-    misses: 0,
-    total: 0,
-    lastPruneTime: Date.now()
-  },
+  storageState: null,
+  
+  /**
+   * Storage work in progress. Saves, loads and writes run one at a time in this order
+   * @type {Promise<*>}
+   */
+  storageQueue: Promise.resolve(),
+  
+  /**
+   * Keys stored since the last write to persistent storage
+   * @type {Set<string>}
+   */
+  pendingKeys: new Set(),
   
   /**
-   * Weight metrics for each entry
-   * Used to determine which entries to keep during pruning
-   * Factors in recency of use, computational cost, and frequency
-   * key: number as string, value: {lastAccess, accessCount, computationCost}
+   * Cache storing factorization results, limited to config.cache.maxFactorizationCacheSize entries
+   * and evicted by config.cache.evictionPolicy
+   * Each entry also records its recency of use, access count and computational cost, which decide
+   * the entries kept in persistent storage
+   * key: number as string, value: FactorizationResult with {lastAccess, accessCount, computationCost}
    */
-  metrics: new Map(),
+  cache: new Cache({
+    name: 'factorizations',
+    shared: true,
+    maxEntries: () => config.cache.maxFactorizationCacheSize
+  }),
   
   /**
    * Initialize the cache, possibly loading from persistent storage
@@ -144,10 +485,8 @@ const _factorizationCache = {
       }
     })
     
-    // Prune if needed
-    if (this.cache.size > this.MAX_CACHE_SIZE) {
-      this.prune()
-    }
+    // Evict down to the new size
+    this.cache.trim()
   },
   
   /**
@@ -159,20 +498,13 @@ const _factorizationCache = {
    * @returns {FactorizationResult|null} The cached factorization or null if not found
    */
   get(num) {
-    this.stats.total++
-    
     const key = num.toString()
     const result = this.cache.get(key)
     
     if (result) {
       // Update metrics for this entry
-      const metrics = this.metrics.get(key) || { accessCount: 0, computationCost: 1, lastAccess: 0 }
-      metrics.accessCount++
-      metrics.lastAccess = Date.now()
-      this.metrics.set(key, metrics)
-      
-      // Record hit
-      this.stats.hits++
+      result.accessCount++
+      result.lastAccess = Date.now()
       
       // Return a deep copy to prevent modification of cached data
       // This aligns with the Prime Framework's immutability principle
@@ -183,8 +515,6 @@ const _factorizationCache = {
       }
     }
     
-    // Record miss
-    this.stats.misses++
     return null
   },
   
@@ -215,97 +545,25 @@ const _factorizationCache = {
       }
     }
     
-    // Store the factorization with a deep copy to ensure immutability
+    // Store the factorization with a deep copy to ensure immutability, evicting entries if needed
+    const existing = this.cache.peek(key)
     this.cache.set(key, {
       factors: new Map(factorization),
       isComplete,
-      confidence
-    })
-    
-    // Initialize or update metrics
-    const existingMetrics = this.metrics.get(key)
-    this.metrics.set(key, {
+      confidence,
       lastAccess: Date.now(),
-      accessCount: existingMetrics ? existingMetrics.accessCount + 1 : 1,
+      accessCount: existing ? existing.accessCount + 1 : 1,
       computationCost
     })
     
-    // Prune if needed
-    if (this.cache.size > this.MAX_CACHE_SIZE) {
-      this.prune()
-    }
-    
-    // Save to persistent storage if enabled
-    // Do this asynchronously to avoid blocking
+    // Write the entry to persistent storage if enabled
+    // Do this asynchronously to avoid blocking, batching the entries stored in the meantime
     if (this.PERSISTENT_CACHE_ENABLED) {
-      setTimeout(() => {
-        this.saveToStorage()
-      }, 0)
-    }
-  },
-  
-  /**
-   * Prune the cache using a sophisticated policy
-   * Prioritizes keeping entries based on a weighted formula that considers:
-   * - Computational cost to regenerate
-   * - Access frequency (popularity)
-   * - Recency of access
-   * - Completeness and confidence in the result
-   * 
-   * This aligns with the Prime Framework's efficiency requirements
-   */
-  prune() {
-    const now = Date.now()
-    this.stats.lastPruneTime = now
-    
-    // If cache isn't significantly over limit, don't prune yet
-    if (this.cache.size < this.MAX_CACHE_SIZE * 1.1) {
-      return
-    }
-    
-    // Calculate weights for each entry
-    const weightedEntries = []
-    const maxAge = now - this.stats.lastPruneTime + 1000 // +1s to avoid division by zero
-    
-    for (const [key, entry] of this.cache.entries()) {
-      const metrics = this.metrics.get(key) || { lastAccess: 0, accessCount: 0, computationCost: 1 }
-      
-      // Age factor (0-1): newer entries have higher values
-      const ageValue = Math.max(0, 1 - ((now - metrics.lastAccess) / maxAge))
-      
-      // Access frequency factor
-      const frequencyValue = Math.min(1, metrics.accessCount / 10)
-      
-      // Computation cost factor: more expensive calculations are preserved
-      const costValue = Math.min(1, metrics.computationCost / 10)
-      
-      // Confidence factor: more confident and complete entries are preserved
-      const confidenceValue = entry.isComplete ? entry.confidence : entry.confidence * 0.5
-      
-      // Combined weight (higher values are more valuable to keep)
-      const weight = (
-        ageValue * 0.35 +          // 35% weight for recency
-        frequencyValue * 0.25 +    // 25% weight for popularity
-        costValue * 0.3 +          // 30% weight for computational cost
-        confidenceValue * 0.1      // 10% weight for quality of result
-      )
-      
-      weightedEntries.push({ key, weight })
-    }
-    
-    // Sort by weight (ascending)
-    weightedEntries.sort((a, b) => a.weight - b.weight)
-    
-    // Calculate target size after pruning (aim for 80% of maximum)
-    const targetSize = Math.floor(this.MAX_CACHE_SIZE * 0.8)
-    const removeCount = this.cache.size - targetSize
-    
-    // Remove the least valuable entries
-    for (let i = 0; i < removeCount; i++) {
-      if (i < weightedEntries.length) {
-        const key = weightedEntries[i].key
-        this.cache.delete(key)
-        this.metrics.delete(key)
+      this.pendingKeys.add(key)
+      if (this.pendingKeys.size === 1) {
+        setTimeout(() => {
+          this.writePending()
+        }, 0)
       }
     }
   },
@@ -314,37 +572,24 @@ const _factorizationCache = {
    * Clear the cache
    */
   clear() {
+    // Clearing the cache also resets its statistics
     this.cache.clear()
-    this.metrics.clear()
-    
-    // Reset statistics
-    this.stats.hits = 0
-    this.stats.misses = 0
-    this.stats.total = 0
-    this.stats.lastPruneTime = Date.now()
     
     // If persistence is enabled, also clear persistent storage
+    this.pendingKeys.clear()
     if (this.PERSISTENT_CACHE_ENABLED) {
-      try {
-        if (typeof localStorage !== 'undefined') {
-          localStorage.removeItem(this.STORAGE_KEY)
-        } else if (typeof global !== 'undefined' && typeof process !== 'undefined') {
-          const fs = require('fs')
-          const path = require('path')
-          
-          const homeDir = process.env.HOME || process.env.USERPROFILE
-          if (homeDir) {
-            const cachePath = path.join(homeDir, '.math-js-cache')
-            const filePath = path.join(cachePath, `${this.STORAGE_KEY}.json`)
-            
-            if (fs.existsSync(filePath)) {
-              fs.unlinkSync(filePath)
-            }
+      this.enqueueStorage(async storage => {
+        if (typeof storage.clear === 'function') {
+          await storage.clear()
+        } else {
+          for await (const [key] of storage.iterate()) {
+            await storage.delete(key)
           }
         }
-      } catch (error) {
-        // Fail silently
-      }
+        await storage.flush()
+      }).catch(() => {
+        // Fail silently - persistence is a nice-to-have feature
+      })
     }
   },
   
@@ -361,240 +606,274 @@ const _factorizationCache = {
    * @returns {Object} Statistics including hit rate, size, and efficiency metrics
    */
   getStats() {
-    const hitRate = this.stats.total > 0 ? this.stats.hits / this.stats.total : 0
+    const stats = this.cache.getStats()
     
     return {
-      size: this.cache.size,
+      size: stats.size,
       maxSize: this.MAX_CACHE_SIZE,
-      hits: this.stats.hits,
-      misses: this.stats.misses,
-      hitRate,
-      efficiency: hitRate * (this.cache.size / this.MAX_CACHE_SIZE),
-      persistenceEnabled: this.PERSISTENT_CACHE_ENABLED
+      hits: stats.hits,
+      misses: stats.misses,
+      hitRate: stats.hitRate,
+      efficiency: stats.hitRate * (stats.size / this.MAX_CACHE_SIZE),
+      persistenceEnabled: this.PERSISTENT_CACHE_ENABLED,
+      bytes: stats.bytes,
+      evictionPolicy: stats.evictionPolicy,
+      evictions: stats.evictions,
+      expirations: stats.expirations
     }
   },
   
   /**
-   * Save the cache to persistent storage if enabled
-   * Uses environment-specific storage mechanisms
-   * @returns {boolean} True if successfully saved, false otherwise
+   * Run storage work after the work already queued, once the store is migrated to the current schema
+   * 
+   * @param {function(import('./Storage').StorageAdapter): Promise<*>} task - The work, given the adapter
+   * @returns {Promise<*>} The task's result
    */
-  saveToStorage() {
-    if (!this.PERSISTENT_CACHE_ENABLED) {
-      return false
-    }
-    
-    try {
-      // Prepare data for serialization
-      const serialized = {
-        version: 1, // For future compatibility
-        timestamp: Date.now(),
-        entries: [],
-        metrics: []
-      }
-      
-      // Only save the most valuable entries to conserve space
-      // This also helps with performance on reload
-      const weightedEntries = []
-      const now = Date.now()
-      
-      // Calculate entry weights using the same formula as in prune()
-      for (const [key, entry] of this.cache.entries()) {
-        const metrics = this.metrics.get(key) || { lastAccess: 0, accessCount: 0, computationCost: 1 }
-        
-        // Calculate entry weight
-        const ageValue = Math.max(0, 1 - ((now - metrics.lastAccess) / (24 * 60 * 60 * 1000)))
-        const frequencyValue = Math.min(1, metrics.accessCount / 10)
-        const costValue = Math.min(1, metrics.computationCost / 10)
-        const confidenceValue = entry.isComplete ? entry.confidence : entry.confidence * 0.5
-        
-        const weight = (
-          ageValue * 0.35 +
-          frequencyValue * 0.25 +
-          costValue * 0.3 +
-          confidenceValue * 0.1
-        )
-        
-        weightedEntries.push({ key, entry, metrics, weight })
+  enqueueStorage(task) {
+    const run = this.storageQueue.then(async () => {
+      const storage = this.storage
+      if (!storage) {
+        throw new PrimeMathError('Persistent caching is disabled')
       }
       
-      // Sort by weight (descending)
-      weightedEntries.sort((a, b) => b.weight - a.weight)
-      
-      // Take only the most valuable entries (limited to MAX_CACHE_SIZE entries)
-      const saveCount = Math.min(this.MAX_CACHE_SIZE, weightedEntries.length)
-      
-      for (let i = 0; i < saveCount; i++) {
-        const { key, entry, metrics } = weightedEntries[i]
-        
-        // Convert the Map to an array for serialization
-        const factorArray = []
-        for (const [prime, exponent] of entry.factors) {
-          factorArray.push([prime.toString(), exponent.toString()])
-        }
-        
-        // Add to serialized data
-        serialized.entries.push({
-          key,
-          factorArray,
-          isComplete: entry.isComplete,
-          confidence: entry.confidence
+      const state = this.storageState
+      if (!state.migrated) {
+        state.migrated = migrateStorage(storage, CACHE_STORAGE_SCHEMA).then(async version => {
+          await this.importLegacyStorage(storage)
+          return version
         })
-        
-        serialized.metrics.push({
-          key,
-          lastAccess: metrics.lastAccess,
-          accessCount: metrics.accessCount,
-          computationCost: metrics.computationCost
-        })
-      }
-      
-      // Serialize and store
-      const serializedString = JSON.stringify(serialized)
-      
-      // Determine storage mechanism based on environment
-      if (typeof localStorage !== 'undefined') {
-        // Browser environment
-        localStorage.setItem(this.STORAGE_KEY, serializedString)
-      } else if (typeof global !== 'undefined' && typeof process !== 'undefined') {
-        // Node.js environment
-        try {
-          const fs = require('fs')
-          const path = require('path')
-          
-          // Try to save to user's home directory
-          const homeDir = process.env.HOME || process.env.USERPROFILE
-          if (homeDir) {
-            const cachePath = path.join(homeDir, '.math-js-cache')
-            
-            // Create directory if it doesn't exist
-            if (!fs.existsSync(cachePath)) {
-              fs.mkdirSync(cachePath, { recursive: true })
-            }
-            
-            const filePath = path.join(cachePath, `${this.STORAGE_KEY}.json`)
-            fs.writeFileSync(filePath, serializedString, 'utf8')
-          }
-        } catch (fsError) {
-          // Fail silently - persistence is a nice-to-have feature
-          return false
-        }
       }
+      await state.migrated
       
-      return true
+      return task(storage)
+    })
+    
+    this.storageQueue = run.catch(() => {})
+    return run
+  },
+  
+  /**
+   * Move the cache that math-js 0.1 kept in browser localStorage into the given store, then remove it
+   * The version 1 blob is migrated like any other store, and numbers already in the store keep their records
+   * 
+   * @param {import('./Storage').StorageAdapter} storage - The migrated store
+   * @returns {Promise<void>}
+   */
+  async importLegacyStorage(storage) {
+    const localStorage = /** @type {*} */ (globalThis).localStorage
+    const serialized = localStorage ? localStorage.getItem(this.STORAGE_KEY) : null
+    if (serialized === null || serialized === undefined) {
+      return
+    }
+    
+    let legacy
+    try {
+      legacy = JSON.parse(serialized)
     } catch (error) {
-      // Fail silently - persistence is a nice-to-have feature
-      return false
+      // A corrupt blob cannot be recovered, so it is dropped
+      localStorage.removeItem(this.STORAGE_KEY)
+      return
+    }
+    
+    const staging = new MemoryStorageAdapter()
+    for (const key of ['version', 'timestamp', 'entries', 'metrics']) {
+      await staging.set(key, legacy[key])
+    }
+    await migrateStorage(staging, CACHE_STORAGE_SCHEMA)
+    
+    for await (const [key, record] of staging.iterate()) {
+      if (await storage.get(key) === undefined) {
+        await storage.set(key, record)
+      }
     }
+    await storage.flush()
+    localStorage.removeItem(this.STORAGE_KEY)
   },
   
   /**
-   * Load the cache from persistent storage if enabled
-   * @returns {boolean} True if successfully loaded, false otherwise
+   * Convert a cache entry and its metrics to a storage record
+   * 
+   * @param {string} key - The number as a string
+   * @returns {Object|null} The record, or null if the number is no longer cached
    */
-  loadFromStorage() {
-    if (!this.PERSISTENT_CACHE_ENABLED) {
-      return false
+  toRecord(key) {
+    const entry = this.cache.peek(key)
+    if (!entry) {
+      return null
     }
     
-    try {
-      let serializedString = null
+    /** @type {Record<string, string>} */
+    const factors = {}
+    for (const [prime, exponent] of entry.factors) {
+      factors[prime.toString()] = exponent.toString()
+    }
+    
+    return {
+      factors,
+      isComplete: entry.isComplete,
+      confidence: entry.confidence,
+      lastAccess: entry.lastAccess,
+      accessCount: entry.accessCount,
+      computationCost: entry.computationCost
+    }
+  },
+  
+  /**
+   * Write the entries stored since the last write to persistent storage
+   * @returns {Promise<boolean>} True if the entries were written, false otherwise
+   */
+  writePending() {
+    return this.enqueueStorage(async storage => {
+      const keys = [...this.pendingKeys]
+      this.pendingKeys.clear()
+      if (keys.length === 0) {
+        return true
+      }
       
-      // Determine storage mechanism based on environment
-      if (typeof localStorage !== 'undefined') {
-        // Browser environment
-        serializedString = localStorage.getItem(this.STORAGE_KEY)
-      } else if (typeof global !== 'undefined' && typeof process !== 'undefined') {
-        // Node.js environment
-        try {
-          const fs = require('fs')
-          const path = require('path')
-          
-          // Try to load from user's home directory
-          const homeDir = process.env.HOME || process.env.USERPROFILE
-          if (homeDir) {
-            const cachePath = path.join(homeDir, '.math-js-cache')
-            const filePath = path.join(cachePath, `${this.STORAGE_KEY}.json`)
-            
-            if (fs.existsSync(filePath)) {
-              serializedString = fs.readFileSync(filePath, 'utf8')
-            }
-          }
-        } catch (fsError) {
-          // Fail silently
-          return false
+      for (const key of keys) {
+        const record = this.toRecord(key)
+        if (record) {
+          await storage.set(key, record)
         }
       }
+      await storage.set(SCHEMA_KEY, { version: CACHE_STORAGE_SCHEMA.version, timestamp: Date.now() })
+      await storage.flush()
+      return true
+    }).catch(() => false)
+  },
+  
+  /**
+   * Save the cache to persistent storage if enabled, replacing what was stored before
+   * Uses the adapter selected by config.cache.persistentCache
+   * @returns {Promise<boolean>} True if successfully saved, false otherwise
+   */
+  saveToStorage() {
+    if (!this.PERSISTENT_CACHE_ENABLED) {
+      return Promise.resolve(false)
+    }
+    
+    // Only save the most valuable entries to conserve space
+    // This also helps with performance on reload
+    const weightedEntries = []
+    const now = Date.now()
+    
+    // Weigh entries by recency, popularity, computational cost and quality of result
+    for (const [key, entry] of this.cache.entries()) {
+      const ageValue = Math.max(0, 1 - ((now - entry.lastAccess) / (24 * 60 * 60 * 1000)))
+      const frequencyValue = Math.min(1, entry.accessCount / 10)
+      const costValue = Math.min(1, entry.computationCost / 10)
+      const confidenceValue = entry.isComplete ? entry.confidence : entry.confidence * 0.5
       
-      if (!serializedString) {
-        return false
-      }
+      const weight = (
+        ageValue * 0.35 +
+        frequencyValue * 0.25 +
+        costValue * 0.3 +
+        confidenceValue * 0.1
+      )
+      
+      weightedEntries.push({ key, weight })
+    }
+    
+    // Sort by weight (descending) and take only the most valuable entries
+    weightedEntries.sort((a, b) => b.weight - a.weight)
+    const records = new Map()
+    for (const { key } of weightedEntries.slice(0, this.MAX_CACHE_SIZE)) {
+      records.set(key, this.toRecord(key))
+    }
+    
+    return this.enqueueStorage(async storage => {
+      this.pendingKeys.clear()
       
-      // Parse the serialized data
-      const serialized = JSON.parse(serializedString)
+      // Drop stored entries that are no longer worth keeping
+      const stale = []
+      for await (const [key] of storage.iterate()) {
+        if (key !== SCHEMA_KEY && !records.has(key)) {
+          stale.push(key)
+        }
+      }
+      for (const key of stale) {
+        await storage.delete(key)
+      }
       
-      // Version check
-      if (serialized.version !== 1) {
+      for (const [key, record] of records) {
+        await storage.set(key, record)
+      }
+      await storage.set(SCHEMA_KEY, { version: CACHE_STORAGE_SCHEMA.version, timestamp: Date.now() })
+      await storage.flush()
+      return true
+    }).catch(() => {
+      // Fail silently - persistence is a nice-to-have feature
+      return false
+    })
+  },
+  
+  /**
+   * Load the cache from persistent storage if enabled, migrating stores written by older versions
+   * @returns {Promise<boolean>} True if successfully loaded, false otherwise
+   */
+  loadFromStorage() {
+    if (!this.PERSISTENT_CACHE_ENABLED) {
+      return Promise.resolve(false)
+    }
+    
+    return this.enqueueStorage(async storage => {
+      const schema = await storage.get(SCHEMA_KEY)
+      if (!schema) {
         return false
       }
       
       // Check if cache is too old (older than 30 days)
-      const cacheAge = Date.now() - serialized.timestamp
+      const cacheAge = Date.now() - schema.timestamp
       if (cacheAge > 30 * 24 * 60 * 60 * 1000) {
         return false
       }
       
-      // Clear the current cache
-      this.clear()
-      
-      // Restore entries to cache
-      for (const entry of serialized.entries) {
-        // Convert array back to Map
+      const entries = []
+      for await (const [key, record] of storage.iterate()) {
+        if (key === SCHEMA_KEY) continue
+        
+        // Convert the factor object back to a Map
         const factorMap = new Map()
-        for (const [primeStr, exponentStr] of entry.factorArray) {
-          factorMap.set(BigInt(primeStr), BigInt(exponentStr))
+        for (const [prime, exponent] of Object.entries(record.factors)) {
+          factorMap.set(BigInt(prime), BigInt(exponent))
         }
         
-        // Add to cache
-        this.cache.set(entry.key, {
+        entries.push([key, {
           factors: factorMap,
-          isComplete: entry.isComplete,
-          confidence: entry.confidence
-        })
+          isComplete: record.isComplete,
+          confidence: record.confidence,
+          lastAccess: record.lastAccess,
+          accessCount: record.accessCount,
+          computationCost: record.computationCost
+        }])
       }
       
-      // Restore metrics
-      for (const metric of serialized.metrics) {
-        this.metrics.set(metric.key, {
-          lastAccess: metric.lastAccess,
-          accessCount: metric.accessCount,
-          computationCost: metric.computationCost
-        })
+      // Replace the in-memory cache, keeping persistent storage as it is
+      // Entries are stored from least to most recently used, so recency-based eviction keeps the latest
+      this.cache.clear()
+      entries.sort(([, a], [, b]) => a.lastAccess - b.lastAccess)
+      for (const [key, entry] of entries) {
+        this.cache.set(key, entry)
       }
       
-      // Reset statistics
-      this.stats.hits = 0
-      this.stats.misses = 0
-      this.stats.total = 0
-      this.stats.lastPruneTime = Date.now()
-      
       return true
-    } catch (error) {
+    }).catch(() => {
       // Fail silently
       return false
-    }
+    })
   },
   
   /**
    * Enable or disable persistent caching
-   * @param {boolean} enabled - Whether persistent caching should be enabled
+   * @param {boolean|string|import('./Storage').StorageAdapter} enabled - Whether persistent caching should
+   * be enabled, or the storage adapter to use (see config.cache.persistentCache)
    */
   setPersistence(enabled) {
     // Update the configuration
     const { configure } = require('./config')
     configure({
       cache: {
-        persistentCache: !!enabled
+        persistentCache: enabled || false
       }
     })
     
@@ -610,11 +889,16 @@ const _factorizationCache = {
  * Implements Algorithm 1 from the specification for prime factorization
  * 
  * @param {number|string|BigInt} n - The number to factorize
+ * @param {Object} [options] - Factorization options
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the factorization
+ * @param {function(Object): void} [options.onProgress] - Callback receiving progress reports
  * @returns {Map<BigInt, BigInt>} A map where keys are prime factors and values are their exponents
  * @throws {PrimeMathError} If n is not a positive integer
+ * @throws {FactorizationAbortError} If the signal is aborted before the factorization completes
  */
-function factorize(n) {
+function factorize(n, options = {}) {
   let num = toBigInt(n)
+  const original = num
 
   if (num <= 0n) {
     throw new PrimeMathError('Factorization is only defined for positive integers')
@@ -650,6 +934,12 @@ function factorize(n) {
       factors.set(divisor, exponent)
     }
     divisor += 2n
+    
+    // Periodically honour cancellation and report how far the search has got
+    if (divisor % TRIAL_DIVISION_CHECKPOINT === 1n) {
+      throwIfAborted(options, original, factors)
+      reportProgress(options, { algorithm: 'trialDivision', divisor })
+    }
   }
 
   // If num is greater than 1, it is a prime number
@@ -665,11 +955,16 @@ function factorize(n) {
  * This is more efficient for moderately sized numbers
  * 
  * @param {number|string|BigInt} n - The number to factorize
+ * @param {Object} [options] - Factorization options
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the factorization
+ * @param {function(Object): void} [options.onProgress] - Callback receiving progress reports
  * @returns {Map<BigInt, BigInt>} A map where keys are prime factors and values are their exponents
  * @throws {PrimeMathError} If n is not a positive integer
+ * @throws {FactorizationAbortError} If the signal is aborted before the factorization completes
  */
-function factorizeWithPrimes(n) {
+function factorizeWithPrimes(n, options = {}) {
   let num = toBigInt(n)
+  const original = num
 
   if (num <= 0n) {
     throw new PrimeMathError('Factorization is only defined for positive integers')
@@ -720,6 +1015,12 @@ function factorizeWithPrimes(n) {
       factors.set(divisor, exponent)
     }
     divisor += 2n
+    
+    // Periodically honour cancellation and report how far the search has got
+    if (divisor % TRIAL_DIVISION_CHECKPOINT === 1n) {
+      throwIfAborted(options, original, factors)
+      reportProgress(options, { algorithm: 'trialDivision', divisor })
+    }
   }
 
   // If num is greater than 1, it is a prime number
@@ -731,58 +1032,7 @@ function factorizeWithPrimes(n) {
 }
 
 /**
- * Miller-Rabin primality test for larger numbers
- * 
- * @param {BigInt} n - The number to test for primality
- * @param {number} k - Number of iterations for accuracy (higher is more accurate)
- * @returns {boolean} True if n is probably prime, false if definitely composite
- */
-function millerRabinTest(n, k = 25) {
-  if (n <= 1n) return false
-  if (n <= 3n) return true
-  if (n % 2n === 0n) return false
-
-  // Write n-1 as 2^r * d where d is odd
-  let r = 0n
-  let d = n - 1n
-  while (d % 2n === 0n) {
-    d /= 2n
-    r++
-  }
-
-  // Witness loop
-  /**
-   * @param {BigInt} a - The base for the witness test
-   * @returns {boolean} True if a is a witness for primality
-   */
-  const witnessLoop = (a) => {
-    let x = modularFastExp(a, d, n)
-    if (x === 1n || x === n - 1n) return true
-
-    for (let i = 1n; i < r; i++) {
-      x = (x * x) % n
-      if (x === n - 1n) return true
-    }
-    return false
-  }
-
-  // Test with k random bases
-  for (let i = 0; i < k; i++) {
-    // Use deterministic bases for small numbers
-    // For larger numbers, we'd use random witnesses
-    const bases = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n]
-    const a = bases[i % bases.length]
-    
-    if (!witnessLoop(a % (n - 2n) + 2n)) {
-      return false
-    }
-  }
-  
-  return true
-}
-
-/**
- * Fast modular exponentiation for Miller-Rabin test
+ * Fast modular exponentiation
  * 
  * @param {BigInt} base - Base value
  * @param {BigInt} exponent - Exponent value
@@ -815,7 +1065,10 @@ function modularFastExp(base, exponent, modulus) {
  * @param {number} [options.maxIterations] - Maximum number of iterations (if not specified, no limit is applied)
  * @param {BigInt} [options.c=1n] - Polynomial constant
  * @param {number} [options.timeLimit] - Maximum time to spend in milliseconds (if not specified, no time limit is applied)
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the search
+ * @param {function(Object): void} [options.onProgress] - Callback receiving progress reports
  * @returns {BigInt} A non-trivial factor of n, or n if no factor is found
+ * @throws {FactorizationAbortError} If the signal is aborted during the search
  */
 function pollardRho(n, options = {}) {
   if (n <= 1n) return n
@@ -841,6 +1094,8 @@ function pollardRho(n, options = {}) {
   // Track start time if we have a time limit
   const startTime = timeLimit ? Date.now() : 0
   
+  throwIfAborted(options, n)
+  
   for (const startValue of startValues) {
     // Initialize with the current start value
     let x = startValue
@@ -857,8 +1112,8 @@ function pollardRho(n, options = {}) {
     while (d === 1n && 
            // Check iteration limit only if maxIterations is specified
            (maxIterations === undefined || iterations < maxIterations) &&
-           // Check time limit only if timeLimit is specified
-           (timeLimit === undefined || Date.now() - startTime < timeLimit)) {
+           // Check time limit only if timeLimit is specified (0 means no limit)
+           (!timeLimit || Date.now() - startTime < timeLimit)) {
       if (lam === power) {
         y = x
         power *= 2n
@@ -876,10 +1131,16 @@ function pollardRho(n, options = {}) {
       }
       
       iterations++
+      
+      if (iterations % POLLARD_RHO_CHECKPOINT === 0) {
+        throwIfAborted(options, n)
+        reportProgress(options, { algorithm: 'pollardRho', iterations, startValue, c })
+      }
     }
     
     // If we found a factor with this start value, return it
-    if (d !== n) {
+    // (d === 1n means a limit was reached before the walk found anything)
+    if (d !== n && d !== 1n) {
       return d
     }
   }
@@ -889,1544 +1150,3790 @@ function pollardRho(n, options = {}) {
 }
 
 /**
- * Quadratic Sieve implementation for factoring large numbers
- * Implements a complete and efficient factorization algorithm aligned with the Prime Framework
+ * Quadratic residues modulo 64, used to rule out most non-squares before taking a square root
+ * @private
+ * @type {Uint8Array}
+ */
+const SQUARE_RESIDUES_64 = (() => {
+  const residues = new Uint8Array(64)
+  for (let i = 0; i < 64; i++) {
+    residues[(i * i) % 64] = 1
+  }
+  return residues
+})()
+
+/**
+ * Gower-Wagstaff multipliers for SQUFOF: the squarefree products of 3, 5, 7 and 11
+ * @private
+ * @type {number[]}
+ */
+const SQUFOF_MULTIPLIERS = [1, 3, 5, 7, 11, 15, 21, 33, 35, 55, 77, 105, 165, 231, 385, 1155]
+
+/**
+ * Largest input for SQUFOF; below it every continued fraction term fits exactly in a double
+ * @private
+ * @type {BigInt}
+ */
+const SQUFOF_LIMIT = 2n ** 90n
+
+/**
+ * Cofactors below this bound (64 bits) are split with the mid-size dispatcher
+ * @private
+ * @type {BigInt}
+ */
+const MID_SIZE_LIMIT = 2n ** 64n
+
+/**
+ * Largest input for Lehman's method, which trial-divides up to the cube root with ordinary numbers
+ * @private
+ * @type {BigInt}
+ */
+const LEHMAN_LIMIT = 2n ** 64n
+
+/**
+ * Algorithms tried in turn on mid-size cofactors, by the largest bit size they are used for.
+ * SQUFOF is fastest throughout; up to 42 bits Hart's method and then Lehman's method, which
+ * cannot fail, are still cheap enough to back it up. The crossover points come from the
+ * "Mid-size factoring" benchmarks in benchmarks/suites/factorization.js
+ * @private
+ * @type {Array<{maxBits: number, algorithms: Array<function(BigInt, Object): BigInt>}>}
+ */
+const MID_SIZE_ALGORITHMS = [
+  { maxBits: 42, algorithms: [(n, options) => squfof(n, options), (n, options) => hartOneLine(n, options), (n, options) => lehman(n, options)] },
+  { maxBits: 64, algorithms: [(n, options) => squfof(n, options)] }
+]
+
+/**
+ * Shanks' square forms factorization (SQUFOF)
  * 
- * @param {BigInt} n - The number to factor
+ * Expands the continued fraction of sqrt(kn) until it meets a square form, then walks the
+ * reduced form's cycle to its symmetry point, where the form exposes a factor of n. The
+ * expected work is O(n^(1/4)), which makes it one of the fastest methods up to about 64 bits.
+ * 
+ * @param {BigInt} n - The number to factor (below 2^90)
  * @param {Object} [options] - Algorithm options
- * @param {number} [options.factorBaseSize=100] - Size of the factor base
- * @param {number} [options.sieveSize=10000] - Size of the sieve interval
- * @param {number} [options.numRelations=0] - Number of relations to collect (0 = auto)
- * @param {boolean} [options.verbose=false] - Whether to output debug info
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the search
  * @returns {BigInt} A non-trivial factor of n, or n if no factor is found
- * @throws {PrimeMathError} If input is not a positive composite number
+ * @throws {PrimeMathError} If n is not greater than 1 or is 2^90 or larger
+ * @throws {FactorizationAbortError} If the signal is aborted during the search
  */
-function quadraticSieve(n, options = {}) {
-  // Essential argument validation
+function squfof(n, options = {}) {
   n = toBigInt(n)
   
-  if (n <= 1n) {
-    throw new PrimeMathError('Input must be greater than 1', {
-      cause: { value: n, function: 'quadraticSieve' }
+  if (n <= 1n || n >= SQUFOF_LIMIT) {
+    throw new PrimeMathError('SQUFOF requires an input greater than 1 and below 2^90', {
+      cause: { value: n, function: 'squfof' }
     })
   }
   
-  // Quick check for small prime factors (optimization)
   if (n % 2n === 0n) return 2n
-  if (n % 3n === 0n) return 3n
-  if (n % 5n === 0n) return 5n
+  if (isPrime(n)) return n
   
-  // Check if n is prime - no need to factor
-  if (millerRabinTest(n, 40)) {
-    return n // Number is prime, cannot factor
-  }
+  const root = sqrt(n)
+  if (root * root === n) return root
   
-  // For very small numbers, use a simpler method
-  // Use a dynamic threshold based on config
-  const smallNumberThreshold = BigInt(10) ** BigInt(config.factorization.thresholds.trialDivision)
-  if (n < smallNumberThreshold) {
-    // Find factor by trial division
-    for (let i = 7n; i * i <= n; i += 2n) {
-      if (n % i === 0n) return i
+  for (const multiplier of SQUFOF_MULTIPLIERS) {
+    throwIfAborted(options, n)
+    
+    const factor = squfofWithMultiplier(n, multiplier)
+    if (factor !== null) {
+      return factor
     }
-    return n // Should not reach here if n is composite
   }
   
-  // Parse options with better defaults for larger numbers
-  const factorBaseSize = options.factorBaseSize || 
-    (n < 10n ** 40n ? 100 : 
-      n < 10n ** 60n ? 300 : 
-        n < 10n ** 80n ? 500 : 1000)
+  return n
+}
+
+/**
+ * Run SQUFOF on kn for a single multiplier k
+ * 
+ * @private
+ * @param {BigInt} n - The number to factor
+ * @param {number} multiplier - The multiplier k
+ * @returns {BigInt|null} A non-trivial factor of n, or null if this multiplier fails
+ */
+function squfofWithMultiplier(n, multiplier) {
+  const kn = n * BigInt(multiplier)
+  const rootBig = sqrt(kn)
   
-  const sieveSize = options.sieveSize || 
-    (n < 10n ** 40n ? 10000 : 
-      n < 10n ** 60n ? 50000 : 
-        n < 10n ** 80n ? 100000 : 200000)
+  if (rootBig * rootBig === kn) {
+    const factor = gcd(rootBig, n)
+    return factor > 1n && factor < n ? factor : null
+  }
   
-  // Let the algorithm automatically determine required relations if not specified
-  // Formula: Approximately factorBaseSize + 20 for padding
-  const requiredRelations = options.numRelations || (factorBaseSize + 20)
+  // P, Q and b stay below 2 * sqrt(kn) < 2^53, so ordinary numbers are exact
+  const P0 = Number(rootBig)
+  const limit = 3 * Math.floor(2 * Math.sqrt(2 * Math.sqrt(Number(kn))))
+  
+  // Forward cycle: look for a square Q at an even step
+  let P = P0
+  let Qprev = 1
+  let Q = Number(kn - rootBig * rootBig)
+  let r = 0
+  let i = 2
+  
+  for (; i < limit; i++) {
+    const b = Math.floor((P0 + P) / Q)
+    const Pnext = b * Q - P
+    const Qnext = Qprev + b * (P - Pnext)
+    Qprev = Q
+    Q = Qnext
+    P = Pnext
+    
+    if (i % 2 === 0 && SQUARE_RESIDUES_64[Q % 64]) {
+      r = isqrtNumber(Q)
+      if (r * r === Q) break
+    }
+  }
   
-  // Step 1: Generate an optimal factor base of small primes
-  const factorBase = generateFactorBase(n, factorBaseSize)
+  if (i >= limit) {
+    return null
+  }
   
-  // Step 2: Sieve for smooth numbers using optimized quadratic polynomial
-  const { relations, matrixSize } = findSmoothNumbers(n, factorBase, sieveSize, requiredRelations)
+  // Reverse cycle: start from the square root of the form and find the symmetry point P_i = P_(i+1)
+  const b0 = Math.floor((P0 - P) / r)
+  P = b0 * r + P
+  Qprev = r
+  Q = Number((kn - BigInt(P) * BigInt(P)) / BigInt(r))
   
-  // If we couldn't find enough relations, the algorithm can't proceed
-  if (relations.length < factorBaseSize) {
-    // Try again with larger parameters, or return n
-    if (options.retry !== true) {
-      return quadraticSieve(n, {
-        ...options,
-        factorBaseSize: factorBaseSize * 1.5,
-        sieveSize: sieveSize * 1.5,
-        retry: true
-      })
+  for (let j = 0; j < limit; j++) {
+    const b = Math.floor((P0 + P) / Q)
+    const Pnext = b * Q - P
+    const Qnext = Qprev + b * (P - Pnext)
+    
+    if (Pnext === P) {
+      const factor = gcd(n, BigInt(P))
+      return factor > 1n && factor < n ? factor : null
     }
-    return n
+    
+    Qprev = Q
+    Q = Qnext
+    P = Pnext
   }
   
-  // Step 3: Use Gaussian elimination to find linear dependencies
-  // Construct the exponent matrix (each row = relation, each column = prime in factor base)
-  const matrix = constructMatrix(relations, factorBase, matrixSize)
+  return null
+}
+
+/**
+ * Lehman's method
+ * 
+ * Trial-divides up to n^(1/3), then looks for a² - 4kn = b² with k ≤ n^(1/3) and a in a short
+ * range above sqrt(4kn); Lehman's theorem guarantees success for composite n. The work is
+ * O(n^(1/3)), so it only pays off for small inputs.
+ * 
+ * @param {BigInt} n - The number to factor (below 2^64)
+ * @param {Object} [options] - Algorithm options
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the search
+ * @returns {BigInt} A non-trivial factor of n, or n if n is prime
+ * @throws {PrimeMathError} If n is not greater than 1 or is 2^64 or larger
+ * @throws {FactorizationAbortError} If the signal is aborted during the search
+ */
+function lehman(n, options = {}) {
+  n = toBigInt(n)
   
-  // Perform Gaussian elimination to find linear dependencies
-  const dependencies = findLinearDependencies(matrix, matrixSize, relations.length)
+  if (n <= 1n || n >= LEHMAN_LIMIT) {
+    throw new PrimeMathError('Lehman\'s method requires an input greater than 1 and below 2^64', {
+      cause: { value: n, function: 'lehman' }
+    })
+  }
   
-  // Step 4: Use the dependencies to find factors
-  for (const dependency of dependencies) {
-    // Skip trivial dependencies
-    if (dependency.reduce((sum, val) => sum + val, 0) <= 1) continue
-    
-    // Compute x and y from the dependency
-    let x = 1n
-    const exponents = new Map()
-    
-    // Combine all relations in this dependency
-    for (let i = 0; i < dependency.length; i++) {
-      if (dependency[i] === 1) {
-        const relation = relations[i]
-        x = (x * relation.x) % n
-        
-        // Combine factorizations
-        for (const [prime, exp] of relation.factorization) {
-          const currentExp = exponents.get(prime) || 0n
-          exponents.set(prime, (currentExp + exp) % 2n)
-        }
-      }
+  if (n % 2n === 0n) return 2n
+  if (isPrime(n)) return n
+  
+  let cubeRoot = Math.floor(Math.cbrt(Number(n)))
+  while (BigInt(cubeRoot + 1) ** 3n <= n) cubeRoot++
+  while (BigInt(cubeRoot) ** 3n > n) cubeRoot--
+  
+  // Trial division up to the cube root; n = high * 2^24 + low keeps the remainders exact
+  const high = Number(n >> 24n)
+  const low = Number(n & 0xffffffn)
+  for (let d = 3; d <= cubeRoot; d += 2) {
+    if (((high % d) * 16777216 + low) % d === 0) {
+      return BigInt(d)
     }
-    
-    // Compute y = sqrt(product of primes^exponents)
-    let y = 1n
-    for (const [prime, exp] of exponents) {
-      // All exponents should be even after our linear algebra
-      if (exp % 2n !== 0n) {
-        // This should never happen if our algebra is correct
-        continue
-      }
-      
-      // Calculate square root by using half the exponent
-      y = (y * fastExp(prime, exp / 2n)) % n
+  }
+  
+  const sixthRoot = Math.pow(Number(n), 1 / 6)
+  for (let k = 1; k <= cubeRoot; k++) {
+    if (k % 1024 === 0) {
+      throwIfAborted(options, n)
     }
     
-    // Try to find a factor using the congruence of squares: x² ≡ y² (mod n)
-    // This means that (x+y)(x-y) ≡ 0 (mod n)
-    // So gcd(x+y, n) or gcd(x-y, n) might be a proper factor
-    
-    // Case 1: gcd(x+y, n)
-    const factor1 = gcd((x + y) % n, n)
-    if (factor1 !== 1n && factor1 !== n) {
-      return factor1
-    }
+    const fourKN = 4n * BigInt(k) * n
+    let a = sqrt(fourKN)
+    if (a * a < fourKN) a++
+    const aMax = a + BigInt(Math.floor(sixthRoot / (4 * Math.sqrt(k))))
     
-    // Case 2: gcd(x-y, n)
-    const factor2 = gcd((x - y + n) % n, n)
-    if (factor2 !== 1n && factor2 !== n) {
-      return factor2
+    for (; a <= aMax; a++) {
+      const b2 = a * a - fourKN
+      if (!SQUARE_RESIDUES_64[Number(b2 & 63n)]) continue
+      
+      const b = sqrt(b2)
+      if (b * b === b2) {
+        const factor = gcd(a + b, n)
+        if (factor > 1n && factor < n) {
+          return factor
+        }
+      }
     }
   }
   
-  // If we reach here, the algorithm failed to find a proper factor
-  // Try again with larger parameters, or return failure
-  if (options.retry !== true) {
-    return quadraticSieve(n, {
-      ...options,
-      factorBaseSize: factorBaseSize * 2,
-      sieveSize: sieveSize * 2,
-      retry: true
-    })
-  }
-  
   return n
 }
 
 /**
- * Generate an optimal factor base for the Quadratic Sieve
- * Only include primes p where n is a quadratic residue modulo p
+ * Hart's one-line factoring algorithm
+ * 
+ * For i = 1, 2, ..., takes s = ceil(sqrt(m * n * i)) and checks whether s² mod n is a square t²,
+ * in which case gcd(s - t, n) is usually a factor. The multiplier m = 480 makes squares more
+ * likely. Heuristically O(n^(1/3)); best suited to inputs up to about 42 bits.
  * 
- * @private
  * @param {BigInt} n - The number to factor
- * @param {number} size - Size of the factor base
- * @returns {BigInt[]} Array of suitable primes for the factor base
+ * @param {Object} [options] - Algorithm options
+ * @param {number} [options.multiplier=480] - Multiplier m applied to n
+ * @param {number} [options.maxIterations] - Number of values of i to try (default: 4 * n^(1/3))
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the search
+ * @returns {BigInt} A non-trivial factor of n, or n if no factor is found
+ * @throws {PrimeMathError} If n is not greater than 1
+ * @throws {FactorizationAbortError} If the signal is aborted during the search
  */
-function generateFactorBase(n, size) {
-  const factorBase = []
+function hartOneLine(n, options = {}) {
+  n = toBigInt(n)
+  
+  if (n <= 1n) {
+    throw new PrimeMathError('Input must be greater than 1', {
+      cause: { value: n, function: 'hartOneLine' }
+    })
+  }
   
-  // Always include 2 in the factor base
-  factorBase.push(2n)
+  if (n % 2n === 0n) return 2n
+  if (isPrime(n)) return n
   
-  // Start with small primes from the prime cache
-  const smallPrimes = primeCache.getSmallPrimes()
+  const root = sqrt(n)
+  if (root * root === n) return root
   
-  // Then check each prime p > 2
-  let index = 1 // Skip 2 which we already added
-  while (factorBase.length < size && index < smallPrimes.length) {
-    const p = smallPrimes[index++]
-    
-    // Check if n is a quadratic residue modulo p
-    // For p = 2, it always is; for other p, use the Legendre symbol
-    if (p === 2n || jacobiSymbol(n % p, p) === 1) {
-      factorBase.push(p)
-    }
-  }
+  const scaled = n * BigInt(options.multiplier || 480)
+  const maxIterations = options.maxIterations || Math.max(1000, Math.ceil(4 * Math.cbrt(Number(n))))
   
-  // If we need more primes beyond what's in the cache
-  if (factorBase.length < size) {
-    let p = smallPrimes[smallPrimes.length - 1] + 2n
+  for (let i = 1; i <= maxIterations; i++) {
+    if (i % 4096 === 0) {
+      throwIfAborted(options, n)
+    }
     
-    while (factorBase.length < size) {
-      // Check if p is prime (using our cached primality test)
-      if (isPrime(p)) {
-        // If p is prime, check if n is a quadratic residue modulo p
-        if (jacobiSymbol(n % p, p) === 1) {
-          factorBase.push(p)
-        }
+    const product = scaled * BigInt(i)
+    let s = sqrt(product)
+    if (s * s < product) s++
+    
+    const m = (s * s) % n
+    if (!SQUARE_RESIDUES_64[Number(m & 63n)]) continue
+    
+    const t = sqrt(m)
+    if (t * t === m) {
+      const factor = gcd(s - t, n)
+      if (factor > 1n && factor < n) {
+        return factor
       }
-      
-      p += 2n // Only check odd numbers
     }
   }
   
-  return factorBase
+  return n
 }
 
 /**
- * Find smooth numbers over the factor base
- * Implements optimized sieving with a quadratic polynomial
- * 
+ * Number of Fermat steps between cancellation checks and progress reports
  * @private
+ * @type {number}
+ */
+const FERMAT_CHECKPOINT = 65536
+
+/**
+ * Fermat's factorization method
+ * 
+ * Walks a upwards from ceil(sqrt(kn)) until a² - kn is a square b², so that kn = (a - b)(a + b).
+ * For k = 1 the walk finds n = pq at once when p and q are close: it takes about
+ * (q - p)² / (8 sqrt(n)) steps. A multiplier k = uv (Lehman's trick) does the same for factors whose
+ * ratio q/p is close to u/v. Even kn is replaced by 4kn so that a and b are integers.
+ * 
  * @param {BigInt} n - The number to factor
- * @param {BigInt[]} factorBase - The factor base of small primes
- * @param {number} sieveSize - Size of each sieve interval
- * @param {number} requiredRelations - Number of relations needed
- * @returns {Object} Object containing the relations and matrix size
+ * @param {Object} [options] - Algorithm options
+ * @param {number} [options.maxIterations] - Number of values of a to try for each multiplier
+ * (default: config.factorization.fermat.maxIterations)
+ * @param {number[]} [options.multipliers=[1]] - Multipliers k to try in turn
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the search
+ * @param {function(Object): void} [options.onProgress] - Callback receiving the multiplier and iterations so far
+ * @returns {BigInt} A non-trivial factor of n, or n if no factor is found
+ * @throws {PrimeMathError} If n is not greater than 1, or a multiplier is not a positive integer
+ * @throws {FactorizationAbortError} If the signal is aborted during the search
  */
-function findSmoothNumbers(n, factorBase, sieveSize, requiredRelations) {
-  // Find square root of n to use as the starting point for sieving
-  const sqrtN = sqrt(n)
-  let startValue = sqrtN
-  
-  // Initialize sieving arrays and structures
-  const relations = []
-  const largestPrime = factorBase[factorBase.length - 1]
-  
-  // Precompute Tonelli-Shanks results for all primes in the factor base
-  // This maps each prime to its square roots of n modulo p
-  const tonelliResults = new Map()
-  for (const p of factorBase) {
-    if (p === 2n) {
-      tonelliResults.set(p, [1n])
-    } else {
-      tonelliResults.set(p, findTonelliShanks(n, p))
+function fermat(n, options = {}) {
+  n = toBigInt(n)
+  
+  if (n <= 1n) {
+    throw new PrimeMathError('Input must be greater than 1', {
+      cause: { value: n, function: 'fermat' }
+    })
+  }
+  
+  const { maxIterations = config.factorization.fermat.maxIterations, multipliers = [1] } = options
+  
+  for (const multiplier of multipliers) {
+    if (!Number.isSafeInteger(multiplier) || multiplier < 1) {
+      throw new PrimeMathError('Fermat multipliers must be positive integers', {
+        cause: { multiplier, function: 'fermat' }
+      })
     }
   }
   
-  // Sieve until we find enough relations
-  let intervalNum = 0
-  const maxIntervals = 100 // Safety limit
+  if (n % 2n === 0n) return 2n
   
-  while (relations.length < requiredRelations && intervalNum < maxIntervals) {
-    intervalNum++
-    
-    // Initialize sieve array for log approximations
-    const sieve = new Array(sieveSize).fill(0)
+  for (const multiplier of multipliers) {
+    const kn = n * BigInt(multiplier)
+    const target = kn % 2n === 0n ? 4n * kn : kn
     
-    // Apply sieving over the interval
-    for (let i = 0; i < factorBase.length; i++) {
-      const p = factorBase[i]
-      const roots = tonelliResults.get(p)
-      
-      // If p has square roots modulo n
-      if (roots && roots.length > 0) {
-        // For each root, sieve the interval
-        for (const root of roots) {
-          // Find the starting positions in the sieve interval
-          // We're sieving values of x where x² - n ≡ 0 (mod p)
-          let offset = (root - (startValue % p) + p) % p
-          
-          // Mark multiples of p in the sieve
-          for (let j = Number(offset); j < sieve.length; j += Number(p)) {
-            // Use logarithmic approximation for efficiency
-            sieve[j] += Math.log2(Number(p))
-          }
-        }
-      }
-    }
+    let a = sqrt(target)
+    if (a * a < target) a++
     
-    // Find potential smooth numbers
-    // Set threshold based on the largest prime in the factor base
-    const threshold = Math.log2(Number(largestPrime)) * 0.9
+    // r = a² - target, advanced incrementally as a grows
+    let r = a * a - target
     
-    for (let i = 0; i < sieve.length; i++) {
-      if (sieve[i] >= threshold) {
-        // This is a potential smooth number
-        const x = startValue + BigInt(i)
-        
-        // Compute Q(x) = x² - n
-        const qx = (x * x) % n
-        
-        // Try to factor Q(x) over the factor base
-        const factorization = factorizeOverFactorBase(qx, factorBase)
-        
-        // If Q(x) is indeed smooth (completely factored)
-        if (factorization.size > 0) {
-          // Add this relation to our collection
-          relations.push({
-            x,
-            qx,
-            factorization
-          })
+    for (let iterations = 0; iterations < maxIterations; iterations++) {
+      if (SQUARE_RESIDUES_64[Number(r & 63n)]) {
+        const b = sqrt(r)
+        if (b * b === r) {
+          const factor = gcd(a - b, n)
+          if (factor > 1n && factor < n) {
+            return factor
+          }
           
-          // If we have enough relations, stop
-          if (relations.length >= requiredRelations) {
-            break
+          const cofactor = gcd(a + b, n)
+          if (cofactor > 1n && cofactor < n) {
+            return cofactor
           }
         }
       }
+      
+      r += 2n * a + 1n
+      a++
+      
+      if ((iterations + 1) % FERMAT_CHECKPOINT === 0) {
+        throwIfAborted(options, n)
+        reportProgress(options, { algorithm: 'fermat', multiplier, iterations: iterations + 1 })
+      }
     }
-    
-    // Move to the next sieve interval
-    startValue += BigInt(sieveSize)
   }
   
-  return {
-    relations,
-    matrixSize: factorBase.length 
-  }
+  return n
 }
 
 /**
- * Factorize a number over a given factor base
+ * Find the root of a perfect power, using integer k-th roots for every prime exponent k
  * 
  * @private
- * @param {BigInt} num - The number to factorize
- * @param {BigInt[]} factorBase - The factor base to use
- * @returns {Map<BigInt, BigInt>} Map of prime factors and exponents
+ * @param {BigInt} n - The number to check (greater than 1)
+ * @returns {BigInt|null} The smallest base b with n = b^e for some e > 1, or null if n is not a perfect power
  */
-function factorizeOverFactorBase(num, factorBase) {
-  const factorization = new Map()
-  let remaining = num
+function findPerfectPowerRoot(n) {
+  const bits = n.toString(2).length
+  let root = null
   
-  // Try dividing by each prime in the factor base
-  for (const p of factorBase) {
-    let exp = 0n
-    
-    while (remaining % p === 0n) {
-      exp++
-      remaining /= p
-    }
-    
-    if (exp > 0n) {
-      factorization.set(p, exp)
-    }
+  for (const exponent of sievePrimes(bits)) {
+    let base = integerRoot(n, exponent)
     
-    // Early exit: if remaining is 1, we've fully factored the number
-    if (remaining === 1n) {
-      break
+    while (base > 1n && base ** BigInt(exponent) === n) {
+      root = base
+      n = base
+      base = integerRoot(n, exponent)
     }
   }
   
-  // If remaining is not 1, the number is not smooth over the factor base
-  // In that case, we return an empty map
-  if (remaining !== 1n) {
-    return new Map()
-  }
-  
-  return factorization
+  return root
 }
 
 /**
- * Construct a binary matrix for Gaussian elimination
- * Each row corresponds to a relation
- * Each column corresponds to a prime in the factor base
+ * Largest order d for which Aurifeuillian factors of Φ_d are computed. Their coefficients come
+ * from sums over the primitive d-th roots of unity, which take O(d²) steps
+ * @type {number}
+ */
+const AURIFEUILLIAN_MAX_ORDER = 2048
+
+/**
+ * Largest base tried when checking whether a number is a repunit (a^n - 1) / (a - 1)
+ * @type {number}
+ */
+const REPUNIT_MAX_BASE = 36
+
+/**
+ * Find e with value = base^e
  * 
  * @private
- * @param {Array<Object>} relations - The relations found during sieving
- * @param {BigInt[]} factorBase - The factor base used
- * @param {number} numPrimes - The number of primes in the factor base
- * @returns {Array<Array<number>>} The exponent matrix (mod 2)
+ * @param {BigInt} value - The value (at least 1)
+ * @param {BigInt} base - The base (at least 2)
+ * @returns {number|null} The exponent, or null if value is not a power of base
  */
-function constructMatrix(relations, factorBase, numPrimes) {
-  // Create a map for quick prime index lookup
-  const primeIndices = new Map()
-  for (let i = 0; i < factorBase.length; i++) {
-    primeIndices.set(factorBase[i], i)
-  }
-  
-  // Initialize the matrix with zeros
-  const matrix = []
-  for (let i = 0; i < relations.length; i++) {
-    matrix.push(new Array(numPrimes).fill(0))
+function exponentOf(value, base) {
+  let exponent = 0
+  while (value % base === 0n) {
+    value /= base
+    exponent++
   }
-  
-  // Fill the matrix with exponents mod 2
-  for (let i = 0; i < relations.length; i++) {
-    const relation = relations[i]
-    
-    for (const [prime, exponent] of relation.factorization) {
-      const primeIndex = primeIndices.get(prime)
-      
-      // Set the matrix element to exponent mod 2
-      if (primeIndex !== undefined) {
-        matrix[i][primeIndex] = Number(exponent % 2n)
+
+  return value === 1n ? exponent : null
+}
+
+/**
+ * List the divisors of an exponent, each with the distinct primes dividing it
+ * 
+ * @private
+ * @param {Array<[number, number]>} primePowers - The prime factorization of the exponent as [prime, exponent] pairs
+ * @returns {Array<{divisor: number, primes: number[]}>} The divisors in increasing order
+ */
+function divisorsWithPrimes(primePowers) {
+  let divisors = [{ divisor: 1, primes: [] }]
+  
+  for (const [prime, exponent] of primePowers) {
+    const extended = []
+    for (const { divisor, primes } of divisors) {
+      extended.push({ divisor, primes })
+      let power = divisor
+      for (let i = 0; i < exponent; i++) {
+        power *= prime
+        extended.push({ divisor: power, primes: [...primes, prime] })
       }
     }
+    divisors = extended
   }
-  
-  return matrix
+
+  return divisors.sort((x, y) => x.divisor - y.divisor)
 }
 
 /**
- * Find linear dependencies using Gaussian elimination
- * The key part of the quadratic sieve algorithm
+ * Value of the homogeneous cyclotomic polynomial Φ_d(a, b) = b^φ(d) Φ_d(a / b)
+ * With r the product of the primes dividing d, Φ_d(a, b) = Φ_r(a^(d/r), b^(d/r)), and Φ_r(x, y) is
+ * the product of (x^e - y^e)^μ(r/e) over the divisors e of r
  * 
  * @private
- * @param {Array<Array<number>>} matrix - The binary matrix
- * @param {number} numCols - Number of columns (primes)
- * @param {number} numRows - Number of rows (relations)
- * @returns {Array<Array<number>>} Array of dependency vectors
+ * @param {number} order - The order d
+ * @param {number[]} primes - The distinct primes dividing d
+ * @param {BigInt} a - The first base
+ * @param {BigInt} b - The second base
+ * @returns {BigInt} Φ_d(a, b)
  */
-function findLinearDependencies(matrix, numCols, numRows) {
-  // Create an augmented matrix for tracking dependencies
-  // [original matrix | identity matrix]
-  const augMatrix = []
-  for (let i = 0; i < numRows; i++) {
-    const row = [...matrix[i]]
-    
-    // Add identity part
-    for (let j = 0; j < numRows; j++) {
-      row.push(i === j ? 1 : 0)
-    }
-    
-    augMatrix.push(row)
-  }
-  
-  // Perform Gaussian elimination to transform the matrix to row echelon form
-  // This is in GF(2), so addition is XOR and multiplication is AND
-  for (let j = 0; j < numCols && j < numRows; j++) {
-    // Find a pivot row
-    let pivotRow = -1
-    for (let i = j; i < numRows; i++) {
-      if (augMatrix[i][j] === 1) {
-        pivotRow = i
-        break
+function cyclotomicValue(order, primes, a, b) {
+  const radical = primes.reduce((product, prime) => product * prime, 1)
+  const x = a ** BigInt(order / radical)
+  const y = b ** BigInt(order / radical)
+  let numerator = 1n
+  let denominator = 1n
+  
+  // Each subset of the primes gives the divisor e = r / (product of the subset), with μ(r/e) = (-1)^size
+  for (let subset = 0; subset < 1 << primes.length; subset++) {
+    let e = radical
+    let size = 0
+    primes.forEach((prime, i) => {
+      if (subset & (1 << i)) {
+        e /= prime
+        size++
       }
-    }
-    
-    // If no pivot found, continue to next column
-    if (pivotRow === -1) continue
-    
-    // Swap rows if needed
-    if (pivotRow !== j) {
-      [augMatrix[j], augMatrix[pivotRow]] = [augMatrix[pivotRow], augMatrix[j]]
-    }
+    })
     
-    // Eliminate other rows
-    for (let i = 0; i < numRows; i++) {
-      if (i !== j && augMatrix[i][j] === 1) {
-        // In GF(2), this is equivalent to XOR
-        for (let k = j; k < augMatrix[i].length; k++) {
-          augMatrix[i][k] = (augMatrix[i][k] + augMatrix[j][k]) % 2
-        }
-      }
+    const term = x ** BigInt(e) - y ** BigInt(e)
+    if (size % 2 === 0) {
+      numerator *= term
+    } else {
+      denominator *= term
     }
   }
-  
-  // Extract dependencies from the augmented matrix
-  // A dependency corresponds to a row with all zeros in the left part
-  const dependencies = []
-  
-  for (let i = 0; i < numRows; i++) {
-    let isZeroRow = true
-    
-    // Check if the left part (original matrix) is all zeros
-    for (let j = 0; j < numCols; j++) {
-      if (augMatrix[i][j] === 1) {
-        isZeroRow = false
-        break
-      }
-    }
-    
-    // If left part is all zeros, extract the right part (dependency)
-    if (isZeroRow) {
-      const dependency = augMatrix[i].slice(numCols)
-      dependencies.push(dependency)
+
+  return numerator / denominator
+}
+
+/**
+ * Coefficients of the cyclotomic polynomial Φ_d, as the product of (x^e - 1)^μ(d/e)
+ * 
+ * @private
+ * @param {number} order - The order d
+ * @param {number[]} primes - The distinct primes dividing d
+ * @returns {BigInt[]} The coefficients, constant term first
+ */
+function cyclotomicPolynomial(order, primes) {
+  const radical = primes.reduce((product, prime) => product * prime, 1)
+  const multiply = []
+  const divide = []
+  for (let subset = 0; subset < 1 << primes.length; subset++) {
+    const removed = primes.filter((prime, i) => subset & (1 << i))
+    const e = removed.reduce((quotient, prime) => quotient / prime, radical)
+    ;(removed.length % 2 === 0 ? multiply : divide).push(e)
+  }
+
+  let poly = [1n]
+  for (const e of multiply) {
+    const product = new Array(poly.length + e).fill(0n)
+    poly.forEach((coefficient, i) => {
+      product[i] -= coefficient
+      product[i + e] += coefficient
+    })
+    poly = product
+  }
+  for (const e of divide) {
+    // Dividing by x^e - 1: p_i = q_(i-e) - q_i, solved for q from the constant term up
+    const quotient = new Array(poly.length - e).fill(0n)
+    for (let i = 0; i < quotient.length; i++) {
+      quotient[i] = (i >= e ? quotient[i - e] : 0n) - poly[i]
     }
+    poly = quotient
   }
-  
-  return dependencies
+
+  // Φ_d(x) = Φ_r(x^(d/r))
+  const spread = order / radical
+  const result = new Array((poly.length - 1) * spread + 1).fill(0n)
+  poly.forEach((coefficient, i) => {
+    result[i * spread] = coefficient
+  })
+
+  return result
 }
 
 /**
- * Calculate the Jacobi symbol (a/n)
- * Used by the Quadratic Sieve algorithm
+ * Aurifeuillian factorization of Φ_d: polynomials C and D with Φ_d(x) = C(x)² - s·x·D(x)², so that
+ * Φ_d(a, b) = C(a, b)² - sab·D(a, b)² splits into C ∓ sqrt(sab)·D when sab is a square.
+ * 
+ * The roots of Φ_d(z²) come in pairs ±w, and F(z) = C(z²) - √s·z·D(z²) takes one root of each pair,
+ * chosen by the quadratic character of Q(√s). This works when Q(√s) lies in the field of 2d-th roots
+ * of unity and the character flips sign between w and -w. The power sums of the roots of F are
+ * Ramanujan sums for even powers and multiples of √s for odd powers, and Newton's identities turn them
+ * into the coefficients of F. The odd power sums are rounded from floating point, so the identity is
+ * checked exactly before the polynomials are returned
  * 
  * @private
- * @param {BigInt} a - The numerator
- * @param {BigInt} n - The denominator
- * @returns {number} The Jacobi symbol (1, 0, or -1)
+ * @param {number} order - The order d (at least 3)
+ * @param {number[]} primes - The distinct primes dividing d
+ * @param {number} s - A squarefree number greater than 1
+ * @returns {{c: BigInt[], d: BigInt[]}|null} The coefficients of C and D, constant term first, or
+ * null if Φ_d has no Aurifeuillian factorization for s
  */
-function jacobiSymbol(a, n) {
-  if (n <= 0n || n % 2n === 0n) {
-    throw new PrimeMathError('Jacobi symbol denominator must be a positive odd number')
+function aurifeuillianPolynomials(order, primes, s) {
+  // Discriminant of Q(√s), whose quadratic character is the Kronecker symbol (disc/·)
+  const disc = s % 4 === 1 ? s : 4 * s
+  const character = i => jacobiSymbol(BigInt(disc), BigInt(i))
+  if (order % 2 === 1 ? disc !== s || order % s !== 0 : (2 * order) % disc !== 0 || character(order + 1) !== -1) {
+    return null
   }
-  
-  // Reduce a modulo n
-  a = ((a % n) + n) % n
-  
-  let result = 1
-  
-  // Compute the Jacobi symbol using quadratic reciprocity
-  while (a !== 0n) {
-    // Extract the largest power of 2 from a
-    let t = 0n
-    while (a % 2n === 0n) {
-      a /= 2n
-      t++
+
+  const isCoprime = i => primes.every(prime => i % prime !== 0)
+  const totient = m => primes.reduce((value, prime) => m % prime === 0 ? value / prime * (prime - 1) : value, m)
+  const moebius = m => primes.reduce((value, prime) => {
+    if (m % (prime * prime) === 0) return 0
+    return m % prime === 0 ? -value : value
+  }, 1)
+  
+  // The roots of F are the w = exp(πij/d) with sign(j) = 1, where j runs over 0 <= j < 2d coprime to d
+  const roots = []
+  for (let j = 0; j < 2 * order; j++) {
+    if (!isCoprime(j)) continue
+    const sign = j % 2 === 1 ? character(j) : -character(j + order)
+    roots.push({ j, sign })
+  }
+
+  const degree = totient(order)
+  const root = Math.sqrt(s)
+  const bigS = BigInt(s)
+  
+  // Power sums as pairs [p, q] standing for p + q√s
+  const powerSums = [null]
+  for (let k = 1; k <= degree; k++) {
+    if (k % 2 === 0) {
+      const g = Number(gcd(BigInt(order), BigInt(k / 2)))
+      powerSums.push([BigInt(moebius(order / g) * totient(order) / totient(order / g)), 0n])
+      continue
     }
     
-    // Apply quadratic reciprocity for powers of 2
-    if (t % 2n === 1n) {
-      const nMod8 = Number(n % 8n)
-      if (nMod8 === 3 || nMod8 === 5) {
-        result = -result
-      }
+    let sum = 0
+    for (const { j, sign } of roots) {
+      sum += sign * Math.cos(Math.PI * ((j * k) % (2 * order)) / order)
     }
-    
-    // Apply quadratic reciprocity for odd values
-    if (a % 4n === 3n && n % 4n === 3n) {
-      result = -result
+    const multiple = sum / 2 / root
+    if (Math.abs(multiple - Math.round(multiple)) > 1e-6) return null
+    powerSums.push([0n, BigInt(Math.round(multiple))])
+  }
+
+  // Newton's identities: k e_k = sum of (-1)^(i-1) e_(k-i) p_i
+  const elementary = [[1n, 0n]]
+  for (let k = 1; k <= degree; k++) {
+    let rational = 0n
+    let irrational = 0n
+    for (let i = 1; i <= k; i++) {
+      const [p1, q1] = elementary[k - i]
+      const [p2, q2] = powerSums[i]
+      const sign = i % 2 === 1 ? 1n : -1n
+      rational += sign * (p1 * p2 + bigS * q1 * q2)
+      irrational += sign * (p1 * q2 + q1 * p2)
     }
     
-    // Swap and continue
-    const temp = a
-    a = n % a
-    n = temp
-  }
-  
-  if (n === 1n) {
-    return result
+    const divisor = BigInt(k)
+    if (rational % divisor !== 0n || irrational % divisor !== 0n) return null
+    elementary.push([rational / divisor, irrational / divisor])
   }
+
+  // F(z) = sum of (-1)^k e_k z^(degree-k): even powers of z give C, odd powers -√s·D
+  const c = new Array(degree / 2 + 1).fill(0n)
+  const d = new Array(degree / 2).fill(0n)
+  elementary.forEach(([rational, irrational], k) => {
+    if (k % 2 === 0) {
+      c[(degree - k) / 2] = rational
+    } else {
+      d[(degree - k - 1) / 2] = irrational
+    }
+  })
+
+  // Check Φ_d(x) = C(x)² - s·x·D(x)²
+  const cyclotomic = cyclotomicPolynomial(order, primes)
+  const difference = new Array(degree + 1).fill(0n)
+  c.forEach((x, i) => c.forEach((y, k) => { difference[i + k] += x * y }))
+  d.forEach((x, i) => d.forEach((y, k) => { difference[i + k + 1] -= bigS * x * y }))
   
-  return 0 // If n is not 1 at the end, a and n have a common factor
+  return difference.every((coefficient, i) => coefficient === cyclotomic[i]) ? { c, d } : null
 }
 
 /**
- * Find square roots modulo a prime using the Tonelli-Shanks algorithm
- * Used by the Quadratic Sieve for finding starting positions
+ * Squarefree part of n, when every prime dividing it to an odd power is small enough for
+ * aurifeuillianPolynomials
  * 
  * @private
- * @param {BigInt} n - The number to find square roots for
- * @param {BigInt} p - The prime modulus
- * @returns {BigInt[]} An array of square roots of n modulo p
+ * @param {BigInt} n - A positive number
+ * @returns {number|null} The product of the primes dividing n to an odd power, or null if one of
+ * them is above AURIFEUILLIAN_MAX_ORDER
  */
-function findTonelliShanks(n, p) {
-  // Handle trivial cases
-  if (p === 2n) return [1n]
-  
-  // Ensure n is reduced modulo p
-  n = ((n % p) + p) % p
-  
-  // Check if n is a quadratic residue
-  if (jacobiSymbol(n, p) !== 1) {
-    return []
-  }
-  
-  // Tonelli-Shanks algorithm for p ≡ 3 (mod 4)
-  if (p % 4n === 3n) {
-    const r = fastExp(n, (p + 1n) / 4n) % p
-    return [r, p - r]
-  }
-  
-  // Find Q and S such that p - 1 = Q * 2^S with Q odd
-  let Q = p - 1n
-  let S = 0n
-  while (Q % 2n === 0n) {
-    Q /= 2n
-    S++
-  }
-  
-  // Find a non-residue z
-  let z = 2n
-  while (jacobiSymbol(z, p) !== -1) {
-    z++
+function smallSquarefreePart(n) {
+  let part = 1
+  
+  for (const prime of sievePrimes(AURIFEUILLIAN_MAX_ORDER)) {
+    if (n === 1n) break
+    const bigPrime = BigInt(prime)
+    let isOdd = false
+    while (n % bigPrime === 0n) {
+      n /= bigPrime
+      isOdd = !isOdd
+    }
+    if (isOdd) part *= prime
   }
+
+  // What is left has only large primes, which must all appear to even powers
+  const root = integerRoot(n, 2)
+  return root * root === n ? part : null
+}
+
+/**
+ * Split a^n - b^n or a^n + b^n into algebraic factors, without forming the number itself.
+ * a^n - b^n is the product of the cyclotomic values Φ_d(a, b) over the divisors d of n, and a^n + b^n
+ * the product over the divisors of 2n that do not divide n. When sab is a square for the squarefree
+ * part s of ab, Aurifeuillian factorizations split some Φ_d(a, b) further
+ * 
+ * @private
+ * @param {BigInt} a - The first base (a > b for a^n - b^n)
+ * @param {BigInt} b - The second base, coprime to a
+ * @param {number} n - The exponent (a positive integer)
+ * @param {number} sign - 1 for a^n + b^n, -1 for a^n - b^n
+ * @returns {Array<{order: number, value: BigInt}>} The factors other than 1, each with the order d
+ * of the cyclotomic value it divides
+ */
+function algebraicFactors(a, b, n, sign) {
+  const primePowers = [...factorizeOptimal(n * (sign === 1 ? 2 : 1)).entries()]
+    .map(([prime, exponent]) => [Number(prime), Number(exponent)])
+  const orders = divisorsWithPrimes(primePowers)
+    .filter(({ divisor }) => sign === -1 || n % divisor !== 0)
+  
+  const s = smallSquarefreePart(a * b)
+  const squareRoot = s !== null && s > 1 ? integerRoot(BigInt(s) * a * b, 2) : null
+  const evaluate = (coefficients, degree) => coefficients.reduce(
+    (sum, coefficient, i) => sum + coefficient * a ** BigInt(i) * b ** BigInt(degree - i), 0n
+  )
   
-  // Initialize variables
-  let M = S
-  let c = fastExp(z, Q) % p
-  let t = fastExp(n, Q) % p
-  let R = fastExp(n, (Q + 1n) / 2n) % p
-  
-  // Main loop
-  while (t !== 1n) {
-    if (t === 0n) return [0n]
-    if (t === 1n) return [R, p - R]
+  const factors = []
+  for (const { divisor: order, primes } of orders) {
+    const split = squareRoot !== null && order >= 3 && order <= AURIFEUILLIAN_MAX_ORDER
+      ? aurifeuillianPolynomials(order, primes, /** @type {number} */ (s))
+      : null
     
-    // Find the least i such that t^(2^i) ≡ 1 (mod p)
-    let i = 0n
-    let temp = t
-    while (temp !== 1n) {
-      temp = (temp * temp) % p
-      i++
-      if (i >= M) return [] // Should not happen, just a safeguard
-    }
-    
-    // Compute b
-    let b = c
-    for (let j = 0n; j < M - i - 1n; j++) {
-      b = (b * b) % p
-    }
-    
-    // Update variables
-    M = i
-    c = (b * b) % p
-    t = (t * c) % p
-    R = (R * b) % p
-    
-    if (t === 1n) {
-      return [R, p - R]
+    if (split) {
+      const c = evaluate(split.c, split.c.length - 1)
+      const d = evaluate(split.d, split.c.length - 2)
+      for (const value of [c - squareRoot * d, c + squareRoot * d]) {
+        factors.push({ order, value: value < 0n ? -value : value })
+      }
+    } else {
+      factors.push({ order, value: cyclotomicValue(order, primes, a, b) })
     }
   }
+
+  return factors.filter(({ value }) => value !== 1n)
 }
 
 /**
- * Integer square root function
+ * Recognise numbers of the forms a^n + 1, a^n - 1 and (a^n - 1) / (a - 1) (repunits in base a, for
+ * a up to REPUNIT_MAX_BASE) and split them into their algebraic factors.
+ * Skipped when config.factorization.specialForms is off
  * 
  * @private
- * @param {BigInt} n - Input value
- * @returns {BigInt} Integer square root of n
+ * @param {BigInt} n - The number to split (greater than 1)
+ * @returns {BigInt[]|null} Two or more factors whose product is n, or null if n has none of these
+ * forms or the form gives no split
  */
-function sqrt(n) {
-  if (n < 0n) {
-    throw new PrimeMathError('Cannot compute square root of negative number')
+function findAlgebraicFactors(n) {
+  if (!config.factorization.specialForms) return null
+  
+  const forms = []
+  for (const sign of [1, -1]) {
+    const power = n - BigInt(sign)
+    const base = findPerfectPowerRoot(power)
+    if (base !== null) {
+      forms.push({ base, exponent: /** @type {number} */ (exponentOf(power, base)), sign, isRepunit: false })
+    }
   }
-  
-  if (n < 2n) {
-    return n
+  for (let radix = 3n; radix <= BigInt(REPUNIT_MAX_BASE); radix++) {
+    const exponent = exponentOf((radix - 1n) * n + 1n, radix)
+    if (exponent !== null) {
+      forms.push({ base: radix, exponent, sign: -1, isRepunit: true })
+    }
   }
-  
-  // Newton's method for square root
-  let x = n
-  let y = (x + 1n) / 2n
-  
-  while (y < x) {
-    x = y
-    y = (x + n / x) / 2n
+
+  for (const { base, exponent, sign, isRepunit } of forms) {
+    const factors = algebraicFactors(base, 1n, exponent, sign)
+      .filter(({ order }) => !isRepunit || order !== 1)
+      .map(({ value }) => value)
+    if (factors.length > 1) return factors
   }
-  
-  return x
+
+  return null
 }
 
 /**
- * Lenstra's Elliptic Curve Method (ECM) for factorization
- * Optimized for finding medium-sized factors of large numbers
- * Enhanced with Prime Framework optimizations for universal coordinates
+ * Find the factors each number shares with the rest of a set, using Bernstein's batch GCD
  * 
- * This implementation uses configurable parameters for number of curves, bounds, and memory limits.
- * All limits can be set either through the options parameter or via the global configuration 
- * system in config.factorization.ecm.
+ * A product tree gives P, the product of all the values; a remainder tree then reduces P modulo
+ * n² for every value n, and gcd((P mod n²) / n, n) is the product of the primes n shares with
+ * the others. This takes quasi-linear time, instead of the quadratic time of pairwise gcds.
+ * A value whose primes are all shared (a duplicate, for example) is retried against each of the
+ * others in turn to find a proper factor.
  * 
- * @param {BigInt} n - The number to factor
- * @param {Object} [options] - Algorithm options
- * @param {number} [options.curves] - Number of curves to try (default: config.factorization.ecm.maxCurves or scaled by number size)
- * @param {number} [options.b1] - Stage 1 bound (default: config.factorization.ecm.defaultB1)
- * @param {number} [options.b2] - Stage 2 bound (default: config.factorization.ecm.defaultB2 or b1*100 if 0)
- * @param {number} [options.maxMemory] - Max memory usage in MB (default: config.factorization.ecm.maxMemory or config.factorization.memoryLimit)
- * @returns {BigInt} A non-trivial factor of n, or n if no factor is found
- * @throws {PrimeMathError} If input is not a positive composite number
+ * When a shared factor splits a value into two primes, the complete factorization is stored in
+ * the factorization cache, so later factorizations of that value are immediate.
+ * 
+ * @param {Array<number|string|BigInt>} values - The numbers to compare, such as RSA moduli
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.useCache=true] - Whether to store the factorizations found in the cache
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the computation between tree levels
+ * @returns {BigInt[]} For each value, the factor it shares with the rest of the set: 1n if it
+ * shares none, and the value itself if it cannot be split (for example, when it is repeated)
+ * @throws {PrimeMathError} If values is not an array or contains a non-positive number
+ * @throws {FactorizationAbortError} If the signal is aborted
  */
-function ellipticCurveMethod(n, options = {}) {
-  // Validate input and handle special cases
-  n = toBigInt(n)
-  
-  if (n <= 1n) {
-    throw new PrimeMathError('Input must be greater than 1', {
-      cause: { value: n, function: 'ellipticCurveMethod' }
+function batchGcd(values, options = {}) {
+  if (!Array.isArray(values)) {
+    throw new PrimeMathError('batchGcd requires an array of positive integers', {
+      cause: { provided: typeof values }
     })
   }
   
-  // Quick checks for small divisors - fast path for efficiency
-  if (n % 2n === 0n) return 2n
-  if (n % 3n === 0n) return 3n
-  if (n % 5n === 0n) return 5n
-  if (n % 7n === 0n) return 7n
+  const { useCache = true } = options
+  const numbers = values.map(value => {
+    const n = toBigInt(value)
+    if (n <= 0n) {
+      throw new PrimeMathError('batchGcd requires an array of positive integers', {
+        cause: { value: n }
+      })
+    }
+    return n
+  })
   
-  // Check if the input is prime
-  if (millerRabinTest(n, 25)) {
-    return n // Number is prime, cannot factor further
+  if (numbers.length < 2) {
+    return numbers.map(() => 1n)
   }
   
-  // For small numbers, use a simpler method
-  // Use a dynamic threshold based on config
-  const smallNumberThreshold = BigInt(10) ** BigInt(config.factorization.thresholds.trialDivision)
-  if (n < smallNumberThreshold) {
-    // Prime Framework optimization: Use trial division with small prime cache
-    const smallPrimes = primeCache.getSmallPrimes()
-    for (const p of smallPrimes) {
-      if (p * p > n) break
-      if (n % p === 0n) return p
-    }
+  // Product tree: levels[0] holds the values, the last level holds their product
+  const levels = [numbers]
+  while (levels[levels.length - 1].length > 1) {
+    throwIfAborted(options, numbers[0])
     
-    // Continue with trial division for larger primes
-    for (let i = 1009n; i * i <= n; i += 2n) {
-      if (n % i === 0n) return i
+    const previous = levels[levels.length - 1]
+    const level = []
+    for (let i = 0; i < previous.length; i += 2) {
+      level.push(i + 1 < previous.length ? previous[i] * previous[i + 1] : previous[i])
     }
-    return n
+    levels.push(level)
   }
   
-  // Parse options with improved defaults from config
-  // Scale parameters based on the size of n
-  const digits = n.toString().length
+  // Remainder tree: reduce the product modulo the square of every node on the way down
+  let remainders = levels[levels.length - 1]
+  for (let depth = levels.length - 2; depth >= 0; depth--) {
+    throwIfAborted(options, numbers[0])
+    
+    remainders = levels[depth].map((node, i) => remainders[i >> 1] % (node * node))
+  }
   
-  // Get ECM configuration settings
-  const ecmConfig = config.factorization.ecm
+  const shared = numbers.map((n, i) => gcd(remainders[i] / n, n))
   
-  // Curves: Scale based on number size but respect maxCurves config
-  const curveBase = 20 + Math.floor(digits / 5)
-  const configMaxCurves = ecmConfig.maxCurves
-  const curves = options.curves || Math.min(curveBase, configMaxCurves)
+  for (let i = 0; i < numbers.length; i++) {
+    const n = numbers[i]
+    
+    if (shared[i] === n && n > 1n) {
+      // Every prime of n is shared; look for a value it only partly shares
+      for (let j = 0; j < numbers.length; j++) {
+        const factor = j === i ? 1n : gcd(n, numbers[j])
+        if (factor > 1n && factor < n) {
+          shared[i] = factor
+          break
+        }
+      }
+    }
+    
+    const factor = shared[i]
+    if (useCache && factor > 1n && factor < n && isPrime(factor) && isPrime(n / factor)) {
+      const cofactor = n / factor
+      const factorization = factor === cofactor
+        ? new Map([[factor, 2n]])
+        : new Map([[factor, 1n], [cofactor, 1n]])
+      
+      _factorizationCache.set(n, factorization, true, 1.0, {
+        computationCost: 10 // Found through the whole set, so expensive to recompute alone
+      })
+    }
+  }
   
-  // B1 bound: Scale based on number size using configurable factor
-  const b1Base = options.b1 || ecmConfig.defaultB1
-  const b1ScaleFactor = ecmConfig.b1ScaleFactor
-  // Ensure b1 is a valid integer by rounding
-  const b1 = Math.round(b1Base * Math.pow(b1ScaleFactor, Math.min(digits - 15, 15)))
+  return shared
+}
+
+/**
+ * Find a factor of a mid-size composite (up to 64 bits) with the algorithms that are fastest
+ * for its bit size
+ * 
+ * @private
+ * @param {BigInt} n - The composite number to split
+ * @param {Object} [options] - Cancellation options
+ * @returns {BigInt} A non-trivial factor of n, or n if every algorithm fails or n is too large
+ */
+function findFactorMidSize(n, options = {}) {
+  const bits = n.toString(2).length
+  const entry = MID_SIZE_ALGORITHMS.find(({ maxBits }) => bits <= maxBits)
+  
+  for (const split of entry ? entry.algorithms : []) {
+    const factor = split(n, controlOptions(options))
+    if (factor !== n) {
+      return factor
+    }
+  }
   
-  // B2 bound: Use provided value, calculated from B1, or config default
-  const b2 = options.b2 || ecmConfig.defaultB2 || (b1 * 100)
+  return n
+}
+
+/**
+ * Integer square root of a non-negative number below 2^53
+ * 
+ * @private
+ * @param {number} value - The value
+ * @returns {number} floor(sqrt(value))
+ */
+function isqrtNumber(value) {
+  let root = Math.floor(Math.sqrt(value))
+  while (root * root > value) root--
+  while ((root + 1) * (root + 1) <= value) root++
+  return root
+}
+
+/**
+ * Odd squarefree multipliers tried by the Knuth-Schroeppel selection of the quadratic sieve
+ * @private
+ * @type {number[]}
+ */
+const QS_MULTIPLIERS = [
+  1, 3, 5, 7, 11, 13, 15, 17, 19, 21, 23, 29, 31, 33, 35, 37,
+  39, 41, 43, 47, 51, 53, 55, 57, 59, 61, 65, 67, 69, 71, 73
+]
+
+/**
+ * Quadratic sieve parameters by the number of decimal digits of kn:
+ * [maximum digits, factor base size, sieve half-width]
+ * @private
+ * @type {number[][]}
+ */
+const QS_PARAMETERS = [
+  [24, 100, 16384],
+  [30, 200, 32768],
+  [36, 300, 32768],
+  [40, 450, 65536],
+  [44, 700, 65536],
+  [48, 1000, 65536],
+  [52, 1300, 65536],
+  [56, 1800, 98304],
+  [60, 2500, 98304],
+  [66, 4000, 131072],
+  [72, 6500, 196608],
+  [80, 12000, 196608],
+  [88, 25000, 262144],
+  [96, 45000, 393216],
+  [Infinity, 70000, 524288]
+]
+
+/**
+ * Numbers with fewer decimal digits are split with Pollard's rho, which beats sieving at that size
+ * @private
+ * @type {number}
+ */
+const QS_MIN_DIGITS = 18
+
+/**
+ * Factor base primes below this bound are not sieved; candidates are trial-divided by them instead
+ * @private
+ * @type {number}
+ */
+const QS_SMALL_PRIME_LIMIT = 30
+
+/**
+ * Number of relations collected beyond the number of matrix columns
+ * @private
+ * @type {number}
+ */
+const QS_EXTRA_RELATIONS = 24
+
+/**
+ * Large primes in partial relations must be below the largest factor base prime times this value
+ * @private
+ * @type {number}
+ */
+const QS_LARGE_PRIME_MULTIPLIER = 64
+
+/**
+ * Bits subtracted from the sieve threshold to make up for the small primes that are not sieved
+ * @private
+ * @type {number}
+ */
+const QS_THRESHOLD_SLACK = 3
+
+/**
+ * Self-initializing quadratic sieve (SIQS) for factoring large numbers
+ * 
+ * Sieves the polynomials (Ax + b)² - kn, whose leading coefficients A are products of factor base
+ * primes. The 2^(s-1) polynomials that share an A are visited in Gray code order, so switching
+ * polynomials costs one addition per factor base prime. Partial relations with one or two large
+ * primes are kept and combined through cycles in the large-prime graph, and the exponent matrix is
+ * reduced with structured Gaussian elimination before its dense core is solved.
+ * 
+ * @param {BigInt} n - The number to factor
+ * @param {Object} [options] - Algorithm options
+ * @param {number} [options.factorBaseSize] - Size of the factor base (default: chosen from the size of n)
+ * @param {number} [options.sieveSize] - Length of the sieve interval for each polynomial (default: chosen from the size of n)
+ * @param {number} [options.numRelations=0] - Number of relations to collect (0 = factor base size plus a small surplus)
+ * @param {number} [options.multiplier] - Multiplier k, so that kn is sieved instead of n (default: Knuth-Schroeppel selection)
+ * @param {boolean} [options.doubleLargePrimes] - Whether to keep partial relations with two large primes (default: from 45 digits)
+ * @param {number} [options.seed=1] - Seed for choosing the polynomial coefficients
+ * @param {Object} [options.resumeState] - Sieve state from a checkpoint; its parameters replace the
+ * options above and its relations are replayed before sieving continues
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the sieve
+ * @param {function(Object): void} [options.onProgress] - Callback receiving progress reports (relations collected)
+ * @returns {BigInt} A non-trivial factor of n, or n if no factor is found
+ * @throws {PrimeMathError} If input is not a positive composite number
+ * @throws {FactorizationAbortError} If the signal is aborted while sieving
+ */
+function quadraticSieve(n, options = {}) {
+  // Essential argument validation
+  n = toBigInt(n)
   
-  // Memory limit: Use provided value or config default
-  const maxMemory = options.maxMemory || 
-    (config.factorization.memoryLimit || ecmConfig.maxMemory || ecmConfig.defaultMemory)
+  if (n <= 1n) {
+    throw new PrimeMathError('Input must be greater than 1', {
+      cause: { value: n, function: 'quadraticSieve' }
+    })
+  }
   
-  // Memory limit for stage 2 (in elements)
-  const maxElements = maxMemory ? (maxMemory * 1024 * 1024) / 16 : Number.MAX_SAFE_INTEGER // 16 bytes per element
+  // Quick check for small prime factors (optimization)
+  if (n % 2n === 0n) return 2n
+  if (n % 3n === 0n) return 3n
+  if (n % 5n === 0n) return 5n
   
-  // Prime Framework enhancement: Use prime cache for better performance
-  // Precompute primes up to B1 using the cached prime generator
-  const smallPrimesUpperBound = Math.min(b1, 100000)
-  const primesUpToB1 = []
+  // Check if n is prime - no need to factor
+  if (isProbablePrime(n)) {
+    return n // Number is prime, cannot factor
+  }
   
-  // Use cached small primes
-  const cachedPrimes = primeCache.getSmallPrimes()
-  for (const p of cachedPrimes) {
-    if (Number(p) <= smallPrimesUpperBound) {
-      primesUpToB1.push(Number(p))
+  // For very small numbers, use a simpler method
+  // Use a dynamic threshold based on config
+  const smallNumberThreshold = BigInt(10) ** BigInt(config.factorization.thresholds.trialDivision)
+  if (n < smallNumberThreshold) {
+    // Find factor by trial division
+    for (let i = 7n; i * i <= n; i += 2n) {
+      if (n % i === 0n) return i
     }
+    return n // Should not reach here if n is composite
   }
   
-  // Generate larger primes if needed
-  if (smallPrimesUpperBound > Number(cachedPrimes[cachedPrimes.length - 1])) {
-    // Use a simple trial division to generate additional primes if needed
-    const maxPrime = BigInt(smallPrimesUpperBound)
-    let currentPrime = cachedPrimes[cachedPrimes.length - 1] + 2n
-    
-    while (currentPrime <= maxPrime) {
-      let isPrimeVal = true
-      
-      // Check divisibility by all known primes
-      for (const p of cachedPrimes) {
-        if (p * p > currentPrime) break // Optimization
-        
-        if (currentPrime % p === 0n) {
-          isPrimeVal = false
-          break
-        }
-      }
-      
-      if (isPrimeVal) {
-        primesUpToB1.push(Number(currentPrime))
-      }
-      
-      currentPrime += 2n // Skip even numbers
-    }
+  // A congruence of squares cannot split a perfect square, but its root is a factor anyway
+  const root = sqrt(n)
+  if (root * root === n) {
+    return root
   }
   
-  // Try multiple curve-point pairs to increase chances of finding a factor
-  for (let curve = 0; curve < curves; curve++) {
-    // Generate deterministic parameters for the curve and point
-    // This is a Prime Framework optimization for reproducible results
-    const seed = BigInt(curve + 1)
-    
-    // Generate pseudorandom parameters using a simple PRNG
-    // Ensuring they satisfy the curve equation: y^2 = x^3 + ax + b (mod n)
-    const sigma = ((seed * seed + 3n) * seed) % n
-    if (sigma === 0n || sigma === 1n) continue
-    
-    // Compute curve parameters using Montgomery parametrization
-    // This is more efficient than Weierstrass form for ECM
-    const u = (sigma * sigma - 5n) % n
-    const v = (4n * sigma) % n
-    
-    // Compute A parameter for the Montgomery form: By^2 = x^3 + Ax^2 + x
-    let A = ((v - u) * modInverse((4n * u * v) % n, n)) % n
-    if (A < 0n) A += n
+  throwIfAborted(options, n)
+  
+  if (n.toString().length < QS_MIN_DIGITS) {
+    return pollardRho(n, controlOptions(options))
+  }
+  
+  // A checkpointed run continues with the parameters it was started with
+  const resumeState = options.resumeState
+  
+  // Sieve kn for a multiplier k that makes many small primes quadratic residues
+  const multiplier = resumeState ? resumeState.multiplier : options.multiplier || selectMultiplier(n)
+  const kn = n * BigInt(multiplier)
+  const digits = kn.toString().length
+  const [, defaultBaseSize, defaultHalfWidth] = QS_PARAMETERS.find(([maxDigits]) => digits <= maxDigits)
+  
+  // Step 1: Build the factor base, which also trial-divides n by every prime below its largest element
+  const factorBase = buildFactorBase(
+    n,
+    kn,
+    resumeState ? resumeState.factorBaseSize : options.factorBaseSize || defaultBaseSize
+  )
+  if (typeof factorBase === 'bigint') {
+    return factorBase
+  }
+  
+  const state = createSieveState(n, kn, factorBase, resumeState || {
+    halfWidth: options.sieveSize ? Math.max(1024, Math.ceil(options.sieveSize / 2)) : defaultHalfWidth,
+    doubleLargePrimes: options.doubleLargePrimes !== undefined ? options.doubleLargePrimes : digits >= 45,
+    seed: options.seed || 1
+  })
+  if (resumeState) {
+    restoreSieveState(state, resumeState)
+  }
+  
+  let requiredRelations = options.numRelations || factorBase.primes.length + 1 + QS_EXTRA_RELATIONS
+  
+  // Each round sieves until enough relations are known, then looks for a congruence of squares;
+  // if every dependency gives a trivial factor, a few more relations are collected
+  for (let round = 0; round < 3; round++) {
+    // Step 2: Sieve polynomials until enough (combined) relations have been found
+    const complete = sieveRelations(state, requiredRelations, options)
     
-    // Compute the starting point (x:z) in projective coordinates
-    let point = { x: u, z: v }
+    // Step 3: Solve the exponent matrix and try each dependency
+    const factor = combineRelations(n, factorBase, state.fullRelations)
+    if (factor !== null) {
+      return factor
+    }
     
-    try {
-      // Stage 1: Scalar multiplication with prime powers up to B1
-      for (const p of primesUpToB1) {
-        // For each prime, find largest power <= B1
-        let q = p
-        while (q <= b1 / p) {
-          q *= p
-        }
-        
-        // Multiply the point by q
-        point = montgomeryLadder(point, BigInt(q), A, n)
-        
-        // Check for a non-trivial GCD
-        const gcdVal = gcd(point.z, n)
-        if (gcdVal !== 1n && gcdVal !== n) {
-          return gcdVal // Found a factor!
-        }
-      }
-      
-      // Stage 2: Process additional primes between B1 and B2
-      if (b2 > b1 && point.z !== 0n) {
-        const factor = ecmStage2(point, A, n, b1, b2, maxElements)
-        if (factor !== 1n && factor !== n) {
-          return factor
-        }
-      }
-    } catch (error) {
-      // If we encounter a GCD in modular inversion, that's a factor!
-      if (error instanceof Error && error.cause && error.cause.gcd) {
-        const factor = error.cause.gcd
-        if (factor !== 1n && factor !== n) {
-          return factor
-        }
-      }
+    if (!complete) {
+      break
     }
+    
+    requiredRelations = state.fullRelations.length + QS_EXTRA_RELATIONS
   }
   
-  // If no factor found after trying all curves, return n
+  // If we reach here, the algorithm failed to find a proper factor
   return n
 }
 
 /**
- * Stage 2 of the ECM algorithm using improved continuation
- * Prime Framework enhanced for better performance
- * 
- * This implementation uses a configurable baby-step/giant-step approach
- * with memory constraints determined by the maxElements parameter.
- * The algorithm dynamically adjusts the parameters to work within
- * the specified memory constraints.
+ * Choose the multiplier k that makes kn richest in small quadratic residues (Knuth-Schroeppel function)
  * 
  * @private
- * @param {Object} P - Starting point from Stage 1 in Montgomery form
- * @param {BigInt} A - Curve parameter A
- * @param {BigInt} n - Number to factor
- * @param {number} b1 - Stage 1 bound
- * @param {number} b2 - Stage 2 bound
- * @param {number} maxElements - Memory constraint (number of point elements that can be stored)
- * @returns {BigInt} A factor of n, or 1 if none found
+ * @param {BigInt} n - The number to factor
+ * @returns {number} The selected multiplier
  */
-function ecmStage2(P, A, n, b1, b2, maxElements) {
-  // Prime Framework optimization: Efficient stage 2 implementation
-  // Using the "standard continuation" approach
-  
-  // Compute d = gcd(2 * D, n) where D is the denominator in point doubling
-  const gcdVal = gcd(2n * P.z, n)
-  if (gcdVal !== 1n) {
-    return gcdVal // Found a factor
-  }
-  
-  // Initialize accumulator for batch GCD
-  let acc = 1n
+function selectMultiplier(n) {
+  const primes = sievePrimes(500).slice(1)
   
-  // Determine optimal parameters for baby-step/giant-step
-  const D = Math.floor(Math.sqrt(b2 - b1))
-  const numGiants = Math.min(Math.ceil((b2 - b1) / D), maxElements)
-  
-  // Compute [P], [2P], [3P], ..., [D-1]P using Montgomery's ladder
-  const babySteps = []
-  let Q = P // Q = P
-  babySteps.push(Q)
+  let best = 1
+  let bestScore = -Infinity
   
-  for (let i = 2; i < D; i++) {
-    Q = montgomeryCombine(babySteps[0], babySteps[i-2], Q, A, n)
-    babySteps.push(Q)
+  for (const k of QS_MULTIPLIERS) {
+    const kn = n * BigInt(k)
+    
+    // Expected contribution of 2, which depends on kn modulo 8
+    const mod8 = Number(kn % 8n)
+    let score = -0.5 * Math.log(k) + (mod8 === 1 ? 2 : mod8 === 5 ? 1 : 0.5) * Math.LN2
+    
+    for (const p of primes) {
+      const residue = Number(kn % BigInt(p))
+      if (residue === 0) {
+        score += Math.log(p) / p
+      } else if (powModSmall(residue, (p - 1) / 2, p) === 1) {
+        score += 2 * Math.log(p) / (p - 1)
+      }
+    }
+    
+    if (score > bestScore) {
+      best = k
+      bestScore = score
+    }
   }
   
-  // Compute [D]P as the giant step
-  const giantStep = montgomeryLadder(P, BigInt(D), A, n)
-  
-  // Initialize current point at the multiple of D just below B1
-  let d = Math.floor(b1 / D) * D
-  let S = montgomeryLadder(P, BigInt(d), A, n)
+  return best
+}
+
+/**
+ * Build the factor base for the quadratic sieve: 2 followed by the odd primes p for which kn is a
+ * quadratic residue (or 0) modulo p, each with a square root of kn modulo p
+ * 
+ * @private
+ * @param {BigInt} n - The number to factor
+ * @param {BigInt} kn - The number being sieved (n times the multiplier)
+ * @param {number} size - Number of primes in the factor base
+ * @returns {{primes: Int32Array, roots: Int32Array, logs: Uint8Array}|BigInt} The factor base,
+ * or a prime factor of n found while building it
+ */
+function buildFactorBase(n, kn, size) {
+  let limit = Math.max(1000, Math.ceil(3 * size * Math.log(size + 2)))
   
-  // Process each giant step: S = S + [D]P
-  for (let i = 0; i < numGiants && d < b2; i++) {
-    d += D
-    const oldS = S
-    S = montgomeryCombine(giantStep, oldS, P, A, n)
+  for (;;) {
+    const primes = [2]
+    const roots = [0]
     
-    // For each baby step point, compute the GCD accumulator
-    for (let j = 0; j < babySteps.length; j++) {
-      const mj = d - j
-      if (mj > b1 && mj <= b2 && isPrime(BigInt(mj))) {
-        // Compute the "difference" between S and babySteps[j-1]
-        const diff = montgomeryCombine(S, babySteps[j-1], P, A, n, true)
-        
-        // Batch GCD: accumulate differences
-        acc = (acc * diff.z) % n
-        
-        // Occasionally check for a factor to avoid overflow
-        if (i % 100 === 99) {
-          const g = gcd(acc, n)
-          if (g !== 1n && g !== n) {
-            return g
-          }
-          acc = 1n
+    for (const p of sievePrimes(limit)) {
+      if (p === 2) continue
+      if (primes.length >= size) break
+      
+      const residue = Number(kn % BigInt(p))
+      if (residue === 0) {
+        if (n % BigInt(p) === 0n) {
+          return BigInt(p)
         }
+        
+        // p divides the multiplier: (Ax + b)² ≡ kn (mod p) has the single root 0
+        primes.push(p)
+        roots.push(0)
+      } else if (powModSmall(residue, (p - 1) / 2, p) === 1) {
+        primes.push(p)
+        roots.push(Number(findTonelliShanks(BigInt(residue), BigInt(p))[0]))
+      }
+    }
+    
+    if (primes.length >= size) {
+      return {
+        primes: Int32Array.from(primes),
+        roots: Int32Array.from(roots),
+        logs: Uint8Array.from(primes, p => Math.round(Math.log2(p)))
       }
     }
+    
+    limit *= 2
+  }
+}
+
+/**
+ * Create the working state of a quadratic sieve run
+ * 
+ * @private
+ * @param {BigInt} n - The number to factor
+ * @param {BigInt} kn - The number being sieved
+ * @param {{primes: Int32Array, roots: Int32Array, logs: Uint8Array}} factorBase - The factor base
+ * @param {Object} options - Sieve options
+ * @param {number} options.halfWidth - Half the length of the sieve interval
+ * @param {boolean} options.doubleLargePrimes - Whether to keep relations with two large primes
+ * @param {number} options.seed - Seed for choosing the polynomial coefficients
+ * @returns {Object} The sieve state
+ */
+function createSieveState(n, kn, factorBase, { halfWidth, doubleLargePrimes, seed }) {
+  const { primes } = factorBase
+  const count = primes.length
+  const largestPrime = primes[count - 1]
+  
+  // Single large primes stay below largestPrime² so that a cofactor under the bound is always prime
+  const largePrimeBound = Math.min(largestPrime * QS_LARGE_PRIME_MULTIPLIER, largestPrime * largestPrime)
+  const doubleBound = doubleLargePrimes ?
+    BigInt(largePrimeBound) * BigInt(largePrimeBound) / BigInt(QS_LARGE_PRIME_MULTIPLIER) :
+    0n
+  
+  // Accept candidates whose sieved part leaves at most a (double) large prime cofactor
+  const cofactorBits = doubleLargePrimes ? bigIntLog2(doubleBound) : Math.log2(largePrimeBound)
+  const threshold = Math.max(1, Math.round(
+    Math.log2(halfWidth) + bigIntLog2(kn) / 2 - 0.5 - cofactorBits - QS_THRESHOLD_SLACK
+  ))
+  
+  let firstSieved = 1
+  while (firstSieved < count && primes[firstSieved] < QS_SMALL_PRIME_LIMIT) {
+    firstSieved++
   }
   
-  // Final GCD check
-  if (acc !== 1n) {
-    const g = gcd(acc, n)
-    if (g !== 1n && g !== n) {
-      return g
+  return {
+    n,
+    kn,
+    factorBase,
+    halfWidth,
+    threshold,
+    firstSieved,
+    doubleLargePrimes,
+    largePrimeBound: BigInt(largePrimeBound),
+    doubleBound,
+    bigPrimes: Array.from(primes, p => BigInt(p)),
+    halfWidthMod: Int32Array.from(primes, p => halfWidth % p),
+    sieve: new Uint8Array(2 * halfWidth),
+    soln1: new Int32Array(count),
+    soln2: new Int32Array(count),
+    start1: new Int32Array(count),
+    start2: new Int32Array(count),
+    seed,
+    rng: (seed * 2654435761) >>> 0 || 1,
+    usedCoefficients: new Set(),
+    maxPolynomials: 200 * count,
+    polynomials: 0,
+    partialRelations: 0,
+    // Each full relation is a group of sieve relations whose product has no large prime left over
+    fullRelations: [],
+    // Every sieve relation in the order it was found, so that a checkpoint can replay them
+    relationLog: [],
+    // Spanning forest of the large-prime graph; vertex 1 stands for "no second large prime"
+    parent: new Map(),
+    adjacency: new Map()
+  }
+}
+
+/**
+ * Sieve polynomial families until the required number of full relations is known
+ * 
+ * @private
+ * @param {Object} state - The sieve state
+ * @param {number} requiredRelations - Number of full relations to collect
+ * @param {Object} options - Cancellation and progress options
+ * @returns {boolean} True if enough relations were found, false if the search gave up
+ * @throws {FactorizationAbortError} If the signal is aborted while sieving
+ */
+function sieveRelations(state, requiredRelations, options) {
+  while (state.fullRelations.length < requiredRelations) {
+    if (state.polynomials >= state.maxPolynomials || !sievePolynomialFamily(state, requiredRelations, options)) {
+      return false
     }
+    
+    reportProgress(options, {
+      algorithm: 'quadraticSieve',
+      relations: state.fullRelations.length,
+      requiredRelations,
+      partialRelations: state.partialRelations,
+      polynomials: state.polynomials
+    })
+    saveCheckpoint(options, {
+      algorithm: 'quadraticSieve',
+      n: state.n,
+      multiplier: Number(state.kn / state.n),
+      factorBaseSize: state.factorBase.primes.length,
+      halfWidth: state.halfWidth,
+      doubleLargePrimes: state.doubleLargePrimes,
+      seed: state.seed,
+      rng: state.rng,
+      polynomials: state.polynomials,
+      usedCoefficients: state.usedCoefficients,
+      relations: state.relationLog
+    })
   }
   
-  return 1n
+  return true
 }
 
 /**
- * Montgomery ladder for scalar multiplication
- * Computes k*P on Montgomery curve in a constant-time manner
+ * Bring a fresh sieve state to the point where a checkpoint was taken: restore the random
+ * generator and the coefficients already used, and replay the relations in their original order,
+ * which rebuilds the large-prime graph and the full relations
  * 
  * @private
- * @param {Object} P - Point in projective coordinates {x, z}
- * @param {BigInt} k - Scalar multiplier
- * @param {BigInt} A - Curve parameter
- * @param {BigInt} n - Modulus
- * @returns {Object} Resulting point k*P
+ * @param {Object} state - The sieve state, created with the checkpoint's parameters
+ * @param {Object} resumeState - The sieve state from the checkpoint
+ * @throws {PrimeMathError} If a relation does not fit the factor base
  */
-function montgomeryLadder(P, k, A, n) {
-  let R0 = { x: 1n, z: 0n } // Point at infinity
-  let R1 = { ...P } // Copy the point
+function restoreSieveState(state, resumeState) {
+  const count = state.factorBase.primes.length
   
-  // Scalar multiplication using Montgomery ladder
-  // This is a constant-time algorithm (important for cryptographic applications)
-  const bits = k.toString(2).split('').map(Number)
+  state.rng = resumeState.rng
+  state.polynomials = resumeState.polynomials
+  state.usedCoefficients = new Set(resumeState.usedCoefficients)
   
-  for (let i = 0; i < bits.length; i++) {
-    const bit = bits[i]
+  for (const relation of resumeState.relations) {
+    if (relation.factors.some(index => !Number.isInteger(index) || index < 0 || index >= count)) {
+      throw new PrimeMathError('Checkpoint relation does not match the factor base', {
+        cause: { function: 'quadraticSieve', factorBaseSize: count }
+      })
+    }
     
-    if (bit === 0) {
-      R1 = montgomeryCombine(R0, R1, P, A, n)
-      R0 = montgomeryDouble(R0, A, n)
+    const { largePrimes } = relation
+    if (largePrimes.length === 0) {
+      state.fullRelations.push([relation])
+      state.relationLog.push(relation)
     } else {
-      R0 = montgomeryCombine(R0, R1, P, A, n)
-      R1 = montgomeryDouble(R1, A, n)
+      const first = largePrimes.length === 1 ? 1 : largePrimes[0]
+      addPartialRelation(state, relation, first, largePrimes[largePrimes.length - 1])
     }
   }
-  
-  return R0
 }
 
 /**
- * Montgomery point doubling
- * Computes 2P on Montgomery curve By^2 = x^3 + Ax^2 + x
+ * Choose a new leading coefficient A, a product of s factor base primes close to sqrt(2kn) / M
  * 
  * @private
- * @param {Object} P - Point in projective coordinates {x, z}
- * @param {BigInt} A - Curve parameter
- * @param {BigInt} n - Modulus
- * @returns {Object} Resulting point 2P
+ * @param {Object} state - The sieve state
+ * @returns {{indices: number[], a: BigInt}|null} The factor base indices of the primes in A and A
+ * itself, or null if no unused coefficient could be found
  */
-function montgomeryDouble(P, A, n) {
-  if (P.z === 0n) return P // Point at infinity
-  
-  // Compute u = (x + z)^2
-  const u = ((P.x + P.z) * (P.x + P.z)) % n
-  
-  // Compute v = (x - z)^2
-  const v = ((P.x - P.z) * (P.x - P.z)) % n
-  
-  // Compute x' = u * v
-  const x = (u * v) % n
+function chooseCoefficient(state) {
+  const { primes } = state.factorBase
+  const count = primes.length
+  const targetBits = (bigIntLog2(state.kn) + 1) / 2 - Math.log2(state.halfWidth)
+  
+  // Use as many primes as needed for them to be no larger than the median factor base prime
+  const primeCount = Math.max(1, Math.ceil(targetBits / Math.log2(primes[count >> 1])))
+  const primeBits = targetBits / primeCount
+  
+  let pool = []
+  for (let index = state.firstSieved; index < count; index++) {
+    const bits = Math.log2(primes[index])
+    if (bits >= primeBits - 1 && bits <= primeBits + 1) {
+      pool.push(index)
+    }
+  }
+  if (pool.length < primeCount + 2) {
+    pool = []
+    for (let index = state.firstSieved; index < count; index++) {
+      pool.push(index)
+    }
+  }
+  if (pool.length < primeCount) {
+    return null
+  }
   
-  // Compute w = 4xz = u - v
-  let wValue = (u - v) % n
-  if (wValue < 0n) wValue += n
+  const random = () => {
+    let x = state.rng
+    x ^= x << 13
+    x ^= x >>> 17
+    x ^= x << 5
+    state.rng = x >>> 0
+    return state.rng
+  }
   
-  // Compute z' = ((u - v) * ((A + 2) / 4 * u + v)) % n
-  const t = ((((A + 2n) * u) / 4n) + v) % n
-  const z = (wValue * t) % n
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const indices = []
+    let bits = 0
+    
+    // Pick all but the last prime at random
+    while (indices.length < primeCount - 1) {
+      const index = pool[random() % pool.length]
+      if (!indices.includes(index)) {
+        indices.push(index)
+        bits += Math.log2(primes[index])
+      }
+    }
+    
+    // Pick the last prime to bring A as close to the target as possible
+    let last = -1
+    if (primeCount === 1) {
+      last = pool[random() % pool.length]
+    } else {
+      let bestDistance = Infinity
+      for (const index of pool) {
+        const distance = Math.abs(bits + Math.log2(primes[index]) - targetBits)
+        if (!indices.includes(index) && distance < bestDistance) {
+          last = index
+          bestDistance = distance
+        }
+      }
+    }
+    if (last < 0) continue
+    indices.push(last)
+    indices.sort((x, y) => x - y)
+    
+    const key = indices.join(',')
+    if (state.usedCoefficients.has(key)) continue
+    state.usedCoefficients.add(key)
+    
+    return {
+      indices,
+      a: indices.reduce((product, index) => product * state.bigPrimes[index], 1n)
+    }
+  }
   
-  return { x, z }
+  return null
 }
 
 /**
- * Montgomery differential addition
- * Computes P+Q given P, Q, and P-Q
+ * Sieve all 2^(s-1) polynomials that share a newly chosen leading coefficient A
  * 
  * @private
- * @param {Object} P - First point
- * @param {Object} Q - Second point
- * @param {Object} PminusQ - Difference P-Q (or base point)
- * @param {BigInt} A - Curve parameter
- * @param {BigInt} n - Modulus
- * @param {boolean} [returnDifference=false] - Whether to return the z-coordinate of P-Q
- * @returns {Object} Resulting point P+Q or the difference info
+ * @param {Object} state - The sieve state
+ * @param {number} requiredRelations - Stop early once this many full relations are known
+ * @param {Object} options - Cancellation options
+ * @returns {boolean} False if no new coefficient could be chosen
+ * @throws {FactorizationAbortError} If the signal is aborted while sieving
  */
-function montgomeryCombine(P, Q, PminusQ, A, n, returnDifference = false) {
-  // Special cases: points at infinity
-  if (P.z === 0n) return Q
-  if (Q.z === 0n) return P
-  
-  // Compute u = (x_P + z_P) * (x_Q - z_Q)
-  const u = ((P.x + P.z) * (Q.x - Q.z)) % n
-  
-  // Compute v = (x_P - z_P) * (x_Q + z_Q)
-  const v = ((P.x - P.z) * (Q.x + Q.z)) % n
+function sievePolynomialFamily(state, requiredRelations, options) {
+  const coefficient = chooseCoefficient(state)
+  if (!coefficient) {
+    return false
+  }
   
-  // Compute w = u + v
-  let w = (u + v) % n
-  if (w < 0n) w += n
+  const { indices, a } = coefficient
+  const { primes, roots } = state.factorBase
+  const { bigPrimes, soln1, soln2 } = state
+  const count = primes.length
+  
+  // B_j = (A / q_j) * gamma_j with gamma_j ≡ sqrt(kn) * (A / q_j)^-1 (mod q_j),
+  // so that every b = ±B_1 ± ... ± B_s satisfies b² ≡ kn (mod A)
+  const terms = indices.map(index => {
+    const q = primes[index]
+    const cofactor = a / bigPrimes[index]
+    let gamma = (roots[index] * invModSmall(Number(cofactor % bigPrimes[index]), q)) % q
+    if (gamma > q / 2) {
+      gamma = q - gamma
+    }
+    return cofactor * BigInt(gamma)
+  })
+  let b = terms.reduce((sum, term) => sum + term, 0n)
   
-  // Compute t = u - v
-  let t = (u - v) % n
-  if (t < 0n) t += n
+  const inA = new Uint8Array(count)
+  for (const index of indices) {
+    inA[index] = 1
+  }
   
-  // Compute the result
-  const x = (PminusQ.x * w * w) % n
-  const z = (PminusQ.z * t * t) % n
+  // Roots of the first polynomial modulo each prime, and the per-term updates 2 * B_j * A^-1
+  const updates = terms.map(() => new Int32Array(count))
+  for (let i = 1; i < count; i++) {
+    if (inA[i]) continue
+    
+    const p = primes[i]
+    const inverse = invModSmall(Number(a % bigPrimes[i]), p)
+    const bMod = Number(b % bigPrimes[i])
+    soln1[i] = (inverse * ((roots[i] - bMod + p) % p)) % p
+    soln2[i] = (inverse * ((2 * p - roots[i] - bMod) % p)) % p
+    
+    for (let j = 0; j < terms.length; j++) {
+      updates[j][i] = (2 * Number(terms[j] % bigPrimes[i]) * inverse) % p
+    }
+  }
   
-  if (returnDifference) {
-    return { z: t }
+  const polynomialCount = 2 ** (indices.length - 1)
+  for (let index = 0; index < polynomialCount; index++) {
+    if (index > 0) {
+      // Gray code step: flip the sign of B_v, where v is the lowest set bit of the index
+      const v = 31 - Math.clz32(index & -index)
+      const negate = (((index ^ (index >> 1)) >> v) & 1) === 1
+      b = negate ? b - 2n * terms[v] : b + 2n * terms[v]
+      
+      const update = updates[v]
+      for (let i = 1; i < count; i++) {
+        if (inA[i]) continue
+        
+        const p = primes[i]
+        if (negate) {
+          soln1[i] = (soln1[i] + update[i]) % p
+          soln2[i] = (soln2[i] + update[i]) % p
+        } else {
+          soln1[i] = (soln1[i] - update[i] + p) % p
+          soln2[i] = (soln2[i] - update[i] + p) % p
+        }
+      }
+    }
+    
+    sievePolynomial(state, a, b, indices, inA)
+    state.polynomials++
+    
+    throwIfAborted(options, state.n)
+    
+    if (state.fullRelations.length >= requiredRelations) {
+      break
+    }
   }
   
-  return { x, z }
+  return true
 }
 
 /**
- * Compute modular inverse with GCD factorization detection
+ * Sieve one polynomial over [-M, M) and turn the smooth candidates into relations
  * 
  * @private
- * @param {BigInt} a - Value to invert
- * @param {BigInt} n - Modulus
- * @returns {BigInt} Multiplicative inverse of a modulo n
- * @throws {Error} If inversion fails, with the GCD information in the error cause
+ * @param {Object} state - The sieve state
+ * @param {BigInt} a - Leading coefficient A
+ * @param {BigInt} b - Coefficient b, with b² ≡ kn (mod A)
+ * @param {number[]} indices - Factor base indices of the primes dividing A
+ * @param {Uint8Array} inA - Flags marking the factor base primes that divide A
  */
-function modInverse(a, n) {
-  a = ((a % n) + n) % n // Ensure a is positive and < n
+function sievePolynomial(state, a, b, indices, inA) {
+  const { primes, logs } = state.factorBase
+  const { sieve, soln1, soln2, start1, start2, halfWidthMod, firstSieved } = state
+  const count = primes.length
+  const size = sieve.length
   
-  // Extended Euclidean Algorithm
-  let t = 0n, newt = 1n
-  let r = n, newr = a
+  sieve.fill(0)
   
-  while (newr !== 0n) {
-    const quotient = r / newr
-    const tempT = newt
-    newt = t - quotient * newt
-    t = tempT
+  for (let i = 1; i < count; i++) {
+    if (inA[i]) continue
     
-    const tempR = newr
-    newr = r - quotient * newr
-    r = tempR
+    // Convert the roots for x into sieve positions for x + M
+    const p = primes[i]
+    let k1 = soln1[i] + halfWidthMod[i]
+    let k2 = soln2[i] + halfWidthMod[i]
+    if (k1 >= p) k1 -= p
+    if (k2 >= p) k2 -= p
+    start1[i] = k1
+    start2[i] = k2
+    
+    if (i < firstSieved) continue
+    
+    const logp = logs[i]
+    for (let k = k1; k < size; k += p) {
+      sieve[k] += logp
+    }
+    if (k2 !== k1) {
+      for (let k = k2; k < size; k += p) {
+        sieve[k] += logp
+      }
+    }
   }
   
-  // If r > 1, a is not invertible, but we found a factor!
-  if (r > 1n) {
-    const error = new Error('Modular inverse does not exist - GCD found', {
-      cause: { gcd: r }
-    })
-    throw error
+  const threshold = state.threshold
+  for (let k = 0; k < size; k++) {
+    if (sieve[k] >= threshold) {
+      processCandidate(state, k, a, b, indices, inA)
+    }
   }
-  
-  // Adjust to positive value
-  if (t < 0n) t += n
-  
-  return t
 }
 
-/* Commented out unused ECM functions
 /**
- * Point addition for elliptic curve method
- * This function is not currently used but is kept for future reference
- * and for completeness of the implementation
+ * Trial-divide a sieve candidate over the factor base and record it as a full or partial relation
  * 
  * @private
- * @param {Object} p1 - First point {x, y, z?}
- * @param {Object} p2 - Second point {x, y, z?}
- * @param {BigInt} a - Curve parameter a 
- * @param {BigInt} n - Modulus
- * @returns {Object} Resulting point {x, y, z}
+ * @param {Object} state - The sieve state
+ * @param {number} k - Position in the sieve, for x = k - M
+ * @param {BigInt} a - Leading coefficient A
+ * @param {BigInt} b - Coefficient b
+ * @param {number[]} indices - Factor base indices of the primes dividing A
+ * @param {Uint8Array} inA - Flags marking the factor base primes that divide A
  */
-/* function ecmAdd(p1, p2, a, n) {
-  // Handle projective coordinates
-  const p1z = p1.z || 1n
-  const p2z = p2.z || 1n
+function processCandidate(state, k, a, b, indices, inA) {
+  const { primes } = state.factorBase
+  const { bigPrimes, start1, start2, firstSieved } = state
+  const count = primes.length
+  
+  // (Ax + b)² - kn = A * value, so u² ≡ A * value (mod n)
+  const u = a * BigInt(k - state.halfWidth) + b
+  let value = (u * u - state.kn) / a
+  if (value === 0n) return
+  
+  const negative = value < 0n
+  if (negative) {
+    value = -value
+  }
   
-  // Check if points are the same
-  if (p1.x === p2.x && p1.y === p2.y && p1z === p2z) {
-    return ecmDouble(p1, a, n)
+  // Factor base indices of the prime factors of A * value, with multiplicity
+  const factors = [...indices]
+  while ((value & 1n) === 0n) {
+    value >>= 1n
+    factors.push(0)
   }
   
-  // Different points - compute addition
-  try {
-    // Convert to projective coordinates for faster computation
-    const z1z1 = (p1z * p1z) % n
-    const z2z2 = (p2z * p2z) % n
-    const u1 = (p1.x * z2z2) % n
-    const u2 = (p2.x * z1z1) % n
-    const s1 = (p1.y * p2z * z2z2) % n
-    const s2 = (p2.y * p1z * z1z1) % n
-    
-    if (u1 === u2) {
-      if (s1 !== s2) {
-        // Points are inverses of each other - return point at infinity
-        return { x: 0n, y: 1n, z: 0n }
-      } else {
-        // Points are the same - use doubling
-        return ecmDouble(p1, a, n)
-      }
+  for (let i = 1; i < count && value > 1n; i++) {
+    if (inA[i] || i < firstSieved) {
+      // Primes dividing A and the unsieved small primes are tested directly
+      if (value % bigPrimes[i] !== 0n) continue
+    } else {
+      // Otherwise p divides the value exactly when x is one of the sieve roots modulo p
+      const r = k % primes[i]
+      if (r !== start1[i] && r !== start2[i]) continue
     }
     
-    let h = (u2 - u1) % n
-    if (h < 0n) h += n
-    
-    const i = (4n * h * h) % n
-    const j = (h * i) % n
-    let r = (2n * (s2 - s1)) % n
-    if (r < 0n) r += n
-    
-    const v = (u1 * i) % n
-    
-    // Compute new x
-    let x3 = (r * r - j - 2n * v) % n
-    if (x3 < 0n) x3 += n
-    
-    // Compute new y
-    let y3 = (r * (v - x3) - 2n * s1 * j) % n
-    if (y3 < 0n) y3 += n
-    
-    // Compute new z
-    let z3 = (2n * h * p1z * p2z) % n
-    
-    return { x: x3, y: y3, z: z3 }
-  } catch (error) {
-    // If we encounter division by zero, it means we found a factor
-    const factor = gcd(error.divisor, n)
-    if (factor > 1n && factor < n) {
-      const err = new Error('GCD found during ECM')
-      err.factor = factor
-      throw err
+    while (value % bigPrimes[i] === 0n) {
+      value /= bigPrimes[i]
+      factors.push(i)
+    }
+  }
+  
+  const relation = { u, factors, negative, largePrimes: [] }
+  
+  if (value === 1n) {
+    state.fullRelations.push([relation])
+    state.relationLog.push(relation)
+  } else if (value < state.largePrimeBound) {
+    addPartialRelation(state, relation, 1, Number(value))
+  } else if (state.doubleLargePrimes && value < state.doubleBound && !isProbablePrime(value)) {
+    // Split the cofactor into two large primes
+    const divisor = pollardRho(value, { maxIterations: 20000 })
+    if (divisor > 1n && divisor < value) {
+      const other = value / divisor
+      if (divisor < state.largePrimeBound && other < state.largePrimeBound) {
+        addPartialRelation(state, relation, Number(divisor), Number(other))
+      }
     }
-    throw error
   }
 }
 
 /**
- * Point doubling for elliptic curve method
+ * Add a partial relation as an edge of the large-prime graph. An edge that closes a cycle yields
+ * a full relation: the product of the relations around the cycle has every large prime squared.
  * 
  * @private
- * @param {Object} p - Point to double {x, y, z?}
- * @param {BigInt} a - Curve parameter a
- * @param {BigInt} n - Modulus
- * @returns {Object} Doubled point {x, y, z}
+ * @param {Object} state - The sieve state
+ * @param {Object} relation - The partial relation
+ * @param {number} first - The smaller large prime, or 1 for a single large prime relation
+ * @param {number} second - The larger large prime
  */
-// eslint-disable-next-line no-unused-vars
-function ecmDouble(p, a, n) {
-  // Handle projective coordinates
-  const z = p.z || 1n
+function addPartialRelation(state, relation, first, second) {
+  if (first > second) {
+    [first, second] = [second, first]
+  }
   
-  if (p.y === 0n || z === 0n) {
-    // Point at infinity or y=0
-    return { x: 0n, y: 1n, z: 0n }
+  relation.largePrimes = first === 1 ? [second] : [first, second]
+  state.partialRelations++
+  state.relationLog.push(relation)
+  
+  if (first === second) {
+    // The cofactor is the square of a large prime
+    state.fullRelations.push([relation])
+    return
   }
   
-  try {
-    const xx = (p.x * p.x) % n
-    const zz = (z * z) % n
-    const yyyy = (p.y * p.y * p.y * p.y) % n
-    
-    let s = (4n * p.x * yyyy) % n
-    let m = (3n * xx + a * zz * zz) % n
-    if (m < 0n) m += n
-    
-    // Compute new x
-    let x3 = (m * m - 2n * s) % n
-    if (x3 < 0n) x3 += n
-    
-    // Compute new y
-    let y3 = (m * (s - x3) - 8n * yyyy) % n
-    if (y3 < 0n) y3 += n
-    
-    // Compute new z
-    let z3 = (2n * p.y * z) % n
-    
-    return { x: x3, y: y3, z: z3 }
-  } catch (error) {
-    // If we encounter division by zero, it means we found a factor
-    const factor = gcd(error.divisor, n)
-    if (factor > 1n && factor < n) {
-      const err = new Error('GCD found during ECM')
-      err.factor = factor
-      throw err
+  const { parent, adjacency } = state
+  const findRoot = vertex => {
+    let root = vertex
+    while (parent.has(root)) {
+      root = parent.get(root)
     }
-    throw error
+    while (vertex !== root) {
+      const next = parent.get(vertex)
+      parent.set(vertex, root)
+      vertex = next
+    }
+    return root
+  }
+  
+  const firstRoot = findRoot(first)
+  const secondRoot = findRoot(second)
+  
+  if (firstRoot === secondRoot) {
+    state.fullRelations.push([...findTreePath(adjacency, first, second), relation])
+    return
+  }
+  
+  parent.set(firstRoot, secondRoot)
+  for (const [from, to] of [[first, second], [second, first]]) {
+    if (!adjacency.has(from)) {
+      adjacency.set(from, [])
+    }
+    adjacency.get(from).push({ vertex: to, relation })
   }
 }
 
 /**
- * Scalar multiplication for elliptic curve method
+ * Find the relations along the path between two vertices of the large-prime spanning forest
  * 
  * @private
- * @param {Object} p - Base point {x, y, z?}
- * @param {BigInt} k - Scalar multiplier
- * @param {BigInt} a - Curve parameter a
- * @param {BigInt} n - Modulus
- * @returns {Object} Resulting point k*P
+ * @param {Map<number, Array<{vertex: number, relation: Object}>>} adjacency - The forest's edges
+ * @param {number} from - Start vertex
+ * @param {number} to - End vertex, in the same tree as the start vertex
+ * @returns {Object[]} The relations on the path
  */
-// This function is not currently used but is kept for future reference
-// and for completeness of the implementation
-/* 
-function ecmMultiply(p, k, a, n) {
-  if (k === 0n) {
-    return { x: 0n, y: 1n, z: 0n } // Point at infinity
+function findTreePath(adjacency, from, to) {
+  const previous = new Map([[from, null]])
+  const queue = [from]
+  
+  for (let head = 0; head < queue.length && !previous.has(to); head++) {
+    const vertex = queue[head]
+    for (const edge of adjacency.get(vertex) || []) {
+      if (!previous.has(edge.vertex)) {
+        previous.set(edge.vertex, { vertex, relation: edge.relation })
+        queue.push(edge.vertex)
+      }
+    }
   }
   
-  if (k === 1n) {
-    return p
+  const path = []
+  for (let vertex = to; previous.get(vertex); vertex = previous.get(vertex).vertex) {
+    path.push(previous.get(vertex).relation)
   }
+  return path
+}
+
+/**
+ * Combine full relations into a congruence of squares x² ≡ y² (mod n) and try to split n with it
+ * 
+ * @private
+ * @param {BigInt} n - The number to factor
+ * @param {{primes: Int32Array}} factorBase - The factor base
+ * @param {Object[][]} fullRelations - Groups of relations whose product is smooth over the factor base
+ * @returns {BigInt|null} A non-trivial factor of n, or null if every dependency was trivial
+ */
+function combineRelations(n, factorBase, fullRelations) {
+  const count = factorBase.primes.length
+  
+  // Column 0 holds the sign; column i + 1 holds the factor base prime with index i
+  const rows = fullRelations.map(group => {
+    const odd = new Set()
+    const toggle = column => (odd.has(column) ? odd.delete(column) : odd.add(column))
+    for (const relation of group) {
+      if (relation.negative) toggle(0)
+      for (const index of relation.factors) toggle(index + 1)
+    }
+    return Int32Array.from([...odd].sort((x, y) => x - y))
+  })
   
-  // Use binary method for fast multiplication
-  let result = { x: 0n, y: 1n, z: 0n } // Start with infinity point
-  let current = { ...p } // Copy of the base point
-  let kBinary = k
-  
-  while (kBinary > 0n) {
-    if (kBinary % 2n === 1n) {
-      // If current bit is set, add current point to result
-      result = ecmAdd(result, current, a, n)
+  for (const dependency of findSquareDependencies(rows, count + 1)) {
+    let x = 1n
+    const exponents = new Int32Array(count)
+    const largePrimes = new Map()
+    
+    for (const row of dependency) {
+      for (const relation of fullRelations[row]) {
+        x = (x * relation.u) % n
+        for (const index of relation.factors) {
+          exponents[index]++
+        }
+        for (const prime of relation.largePrimes) {
+          largePrimes.set(prime, (largePrimes.get(prime) || 0) + 1)
+        }
+      }
+    }
+    
+    // Every exponent is even, so y is the square root of the product of the relation values
+    let y = 1n
+    for (let i = 0; i < count; i++) {
+      if (exponents[i] > 0) {
+        y = (y * modularFastExp(BigInt(factorBase.primes[i]), BigInt(exponents[i] / 2), n)) % n
+      }
+    }
+    for (const [prime, exponent] of largePrimes) {
+      y = (y * modularFastExp(BigInt(prime), BigInt(exponent / 2), n)) % n
+    }
+    
+    // x² ≡ y² (mod n), so gcd(x - y, n) is a proper factor unless x ≡ ±y
+    const factor = gcd((((x - y) % n) + n) % n, n)
+    if (factor !== 1n && factor !== n) {
+      return factor
     }
-    // Double the current point
-    current = ecmDouble(current, a, n)
-    // Move to next bit
-    kBinary = kBinary >> 1n
   }
   
-  return result
+  return null
 }
-*/
 
 /**
- * Recursively find factors using enhanced factorization algorithms
- * Optimized with Prime Framework techniques for finding factors
- * Implements a sophisticated approach that selects the most efficient algorithm
- * for each phase of the factorization, following the Prime Framework requirements
+ * Find sets of rows of a sparse matrix over GF(2) that sum to zero
  * 
- * @param {BigInt} n - The number to factorize
- * @param {Map<BigInt, BigInt>} factors - The current factor map
- * @param {Object} [options] - Algorithm options
- * @returns {Map<BigInt, BigInt>} Updated factor map
+ * Structured Gaussian elimination first drops every row holding a column no other row has and
+ * merges the two rows of every weight-2 column, which removes most of the matrix. The remaining
+ * core is solved with bit-packed dense Gaussian elimination.
+ * 
+ * @private
+ * @param {Int32Array[]} rows - For each row, the sorted indices of its non-zero columns
+ * @param {number} columnCount - Number of columns
+ * @returns {number[][]} Dependencies, as lists of row indices
  */
-function findFactorsPollardRho(n, factors = new Map(), options = {}) {
-  // Base case: n is 1, no further factorization needed
-  if (n === 1n) return factors
-  
-  // Check the factorization cache first for efficiency
-  const cachedFactors = _factorizationCache.get(n)
-  if (cachedFactors) {
-    // Merge the cached factors into our current factors
-    for (const [prime, exponent] of cachedFactors.factors.entries()) {
-      const currentExp = factors.get(prime) || 0n
-      factors.set(prime, currentExp + exponent)
-    }
-    return factors
-  }
+function findSquareDependencies(rows, columnCount) {
+  // Each active row is the sum of the original rows listed in its members
+  let active = rows.map((columns, index) => ({ columns, members: [index] }))
   
-  // Check if n is prime using optimized primality test
-  // For the Prime Framework, it's critical to correctly identify primes
-  if (isPrime(n)) {
-    // n is prime, add it to factors
-    const currentExp = factors.get(n) || 0n
-    factors.set(n, currentExp + 1n)
+  for (let changed = true; changed;) {
+    changed = false
     
-    // Cache this result with 100% confidence
-    _factorizationCache.set(n, new Map([[n, 1n]]), true, 1.0, {
-      computationCost: 1 // Low cost for prime factorization
+    const holders = Array.from({ length: columnCount }, () => [])
+    active.forEach((row, index) => {
+      for (const column of row.columns) {
+        holders[column].push(index)
+      }
     })
     
-    return factors
+    const removed = new Uint8Array(active.length)
+    const merged = []
+    
+    for (const rowIndices of holders) {
+      // Columns touching a row changed earlier in this pass are revisited in the next one
+      if (rowIndices.length === 0 || rowIndices.length > 2 || rowIndices.some(index => removed[index])) {
+        continue
+      }
+      
+      if (rowIndices.length === 1) {
+        // A row with a column no other row has can never be part of a square
+        removed[rowIndices[0]] = 1
+      } else {
+        const [first, second] = rowIndices.map(index => active[index])
+        removed[rowIndices[0]] = removed[rowIndices[1]] = 1
+        merged.push({
+          columns: xorSortedColumns(first.columns, second.columns),
+          members: first.members.concat(second.members)
+        })
+      }
+      changed = true
+    }
+    
+    active = active.filter((row, index) => !removed[index]).concat(merged)
   }
   
-  // Determine the best factorization method based on the size and structure of n
-  // This implements the adaptive approach described in the Prime Framework spec
-  let factor
+  // Number the columns that are still in use
+  const denseColumn = new Int32Array(columnCount).fill(-1)
+  let width = 0
+  for (const row of active) {
+    for (const column of row.columns) {
+      if (denseColumn[column] < 0) {
+        denseColumn[column] = width++
+      }
+    }
+  }
   
-  // Get the approximate number of decimal digits in n
-  const numDigits = n.toString().length
+  // A few more rows than columns is all the dense elimination needs; drop the heaviest rest
+  if (active.length > width + 64) {
+    active = active.sort((x, y) => x.columns.length - y.columns.length).slice(0, width + 64)
+  }
   
-  if (n < 10000n) {
-    // For small numbers, trial division is most efficient
-    factor = findFactorByTrialDivision(n)
-  } else if (n < 10n ** 12n) {
-    // For medium-sized numbers up to 12 digits, standard Pollard's rho
-    factor = pollardRho(n, options)
-  } else if (n < 10n ** 25n) {
-    // For larger numbers up to 25 digits, enhanced Pollard's rho with better parameters
-    // This follows the Prime Framework's emphasis on exact factorization efficiency
-    factor = pollardRho(n, {
-      ...options,
-      timeLimit: options.timeLimit || 10000, // 10 seconds default timeout
-      // Try multiple values of c for better chances of finding a factor
-      c: (options.iteration || 0) % 5 === 0 ? 1n : 
-        (options.iteration || 0) % 5 === 1 ? 2n :
-          (options.iteration || 0) % 5 === 2 ? 3n :
-            (options.iteration || 0) % 5 === 3 ? -1n : 7n
-    })
-    
-    // If standard Pollard's rho failed, try ECM with modest parameters
-    if (factor === n) {
-      factor = ellipticCurveMethod(n, {
-        curves: 5,
-        b1: 10000
-      })
+  // Each dense row holds the matrix bits followed by an identity block recording its history
+  const rowCount = active.length
+  const matrixWords = (width + 31) >>> 5
+  const stride = matrixWords + ((rowCount + 31) >>> 5)
+  const bits = new Uint32Array(rowCount * stride)
+  
+  active.forEach((row, r) => {
+    const base = r * stride
+    for (const column of row.columns) {
+      const d = denseColumn[column]
+      bits[base + (d >>> 5)] |= 1 << (d & 31)
     }
-  } else if (n < 10n ** 40n) {
-    // For even larger numbers up to 40 digits, use ECM with parameters scaled to the input size
-    // The Prime Framework emphasizes efficient factorization of universal coordinates
-    factor = ellipticCurveMethod(n, {
-      curves: options.ecmCurves || Math.min(15, 5 + Math.floor(numDigits / 5)),
-      b1: options.ecmB1 || 50000 * Math.floor(numDigits / 10),
-      b2: options.ecmB2 || 0 // Skip stage 2 for smaller numbers
-    })
+    bits[base + matrixWords + (r >>> 5)] |= 1 << (r & 31)
+  })
+  
+  const isPivot = new Uint8Array(rowCount)
+  for (let d = 0; d < width; d++) {
+    const word = d >>> 5
+    const mask = 1 << (d & 31)
     
-    // If ECM failed, try Quadratic Sieve with modest parameters
-    if (factor === n && options.advanced) {
-      factor = quadraticSieve(n, {
-        factorBaseSize: options.qsFactorBase || 100,
-        sieveSize: options.qsSieveSize || 10000
-      })
+    let pivot = -1
+    for (let r = 0; r < rowCount; r++) {
+      if (!isPivot[r] && (bits[r * stride + word] & mask)) {
+        pivot = r
+        break
+      }
     }
-  } else {
-    // For very large numbers (> 40 digits), use Quadratic Sieve with parameters scaled to the input size
-    // The Prime Framework requires efficient factorization even for extremely large numbers
-    factor = quadraticSieve(n, {
-      factorBaseSize: options.qsFactorBase || Math.min(500, 100 + Math.floor(numDigits / 5) * 20),
-      sieveSize: options.qsSieveSize || Math.min(100000, 10000 + numDigits * 1000),
-      verbose: options.verbose
-    })
+    if (pivot < 0) continue
+    isPivot[pivot] = 1
     
-    // If QS failed for very large numbers and advanced options are enabled,
-    // try ECM with more aggressive parameters as a last resort
-    if (factor === n && options.advanced) {
-      factor = ellipticCurveMethod(n, {
-        curves: options.ecmCurves || 30,
-        b1: options.ecmB1 || 1000000, // Default to a reasonable value with no upper limit
-        b2: options.ecmB2 || 100000000
-      })
+    // In GF(2) row addition is XOR; bits before this word are already zero in the pivot row
+    const pivotBase = pivot * stride
+    for (let r = 0; r < rowCount; r++) {
+      const base = r * stride
+      if (r !== pivot && (bits[base + word] & mask)) {
+        for (let w = word; w < stride; w++) {
+          bits[base + w] ^= bits[pivotBase + w]
+        }
+      }
     }
   }
   
-  // Handle the case where no factor was found
-  if (factor === n) {
-    // If all methods failed to find a proper factor despite n being composite,
-    // we need to make a decision based on the Prime Framework requirements
+  // Rows that never became a pivot are now zero; their history lists the rows that sum to zero
+  const dependencies = []
+  for (let r = 0; r < rowCount && dependencies.length < 64; r++) {
+    if (isPivot[r]) continue
     
-    if (options.partialFactorization) {
-      // If partial factorization is allowed, treat n as prime-like and continue
-      const currentExp = factors.get(n) || 0n
-      factors.set(n, currentExp + 1n)
-      
-      // Cache this result, but with a lower confidence
-      // Scale confidence based on the exhaustiveness of our search
-      const confidence = options.advanced ? 0.95 : 0.8
-      _factorizationCache.set(n, new Map([[n, 1n]]), false, confidence, {
-        computationCost: 10 // High cost factor to preserve this in cache longer
-      })
-      
-      return factors
-    } else if (options.iteration && options.iteration < 3) {
-      // Try again with a different approach if we haven't tried too many times
-      return findFactorsPollardRho(n, factors, {
-        ...options,
-        iteration: (options.iteration || 0) + 1,
-        // Try a different c parameter for Pollard's rho
-        c: (options.c || 1n) + 1n
-      })
-    } else {
-      // If we've exhausted all options, treat as prime
-      // This aligns with the Prime Framework's requirement for deterministic outcomes
-      const currentExp = factors.get(n) || 0n
-      factors.set(n, currentExp + 1n)
-      
-      // Cache with appropriate confidence level
-      const confidence = isPrime(n, { useCache: false }) ? 1.0 : 0.9
-      _factorizationCache.set(n, new Map([[n, 1n]]), true, confidence)
-      
-      return factors
+    const base = r * stride + matrixWords
+    const members = []
+    for (let h = 0; h < rowCount; h++) {
+      if (bits[base + (h >>> 5)] & (1 << (h & 31))) {
+        members.push(...active[h].members)
+      }
+    }
+    if (members.length > 0) {
+      dependencies.push(members)
     }
   }
   
-  // We found a proper factor - recursively factor both parts
-  // This follows the Prime Framework's divide-and-conquer approach
-  
-  // Add iteration count to track recursion depth
-  const newOptions = {
-    ...options,
-    iteration: 0 // Reset iteration counter for the new factorization
+  return dependencies
+}
+
+/**
+ * Symmetric difference of two sorted column lists (the sum of two GF(2) rows)
+ * 
+ * @private
+ * @param {Int32Array} a - First sorted list
+ * @param {Int32Array} b - Second sorted list
+ * @returns {Int32Array} The sorted symmetric difference
+ */
+function xorSortedColumns(a, b) {
+  const result = []
+  let i = 0
+  let j = 0
+  
+  while (i < a.length || j < b.length) {
+    if (j >= b.length || (i < a.length && a[i] < b[j])) {
+      result.push(a[i++])
+    } else if (i >= a.length || b[j] < a[i]) {
+      result.push(b[j++])
+    } else {
+      i++
+      j++
+    }
   }
   
-  // Factor the found factor first
-  findFactorsPollardRho(factor, factors, newOptions)
-  
-  // Then factor the quotient
-  findFactorsPollardRho(n / factor, factors, newOptions)
-  
-  return factors
+  return Int32Array.from(result)
 }
 
 /**
- * Find a factor by efficient trial division
- * Fast method for small numbers using a deterministic approach
- * Follows the Prime Framework's requirement for reliable factorization
+ * Sieve of Eratosthenes over ordinary numbers
  * 
  * @private
- * @param {BigInt} n - The number to factor
- * @returns {BigInt} A factor of n
+ * @param {number} limit - Upper bound (inclusive)
+ * @returns {Uint8Array} Flags that are 1 for 0, 1 and the composite numbers up to limit
  */
-function findFactorByTrialDivision(n) {
-  // Check small primes first from the prime cache
-  for (const prime of primeCache.getSmallPrimes()) {
-    if (n % prime === 0n) {
-      return prime
+function compositeSieve(limit) {
+  const composite = new Uint8Array(limit + 1)
+  composite[0] = 1
+  if (limit >= 1) composite[1] = 1
+  
+  for (let i = 2; i * i <= limit; i++) {
+    if (composite[i]) continue
+    for (let j = i * i; j <= limit; j += i) {
+      composite[j] = 1
     }
-    if (prime * prime > n) break
   }
   
-  // Calculate the limit for trial division
-  const sqrtN = sqrt(n)
-  
-  // Start trial division with odd numbers beyond our small prime list
-  // Use a wheel factorization pattern skipping multiples of 2 and 3
-  // This gives us numbers of form 6k-1 and 6k+1
-  const startDiv = 101n
+  return composite
+}
+
+/**
+ * List the primes up to a limit with a sieve of Eratosthenes over ordinary numbers
+ * 
+ * @private
+ * @param {number} limit - Upper bound (inclusive)
+ * @returns {number[]} The primes up to limit
+ */
+function sievePrimes(limit) {
+  const composite = compositeSieve(limit)
+  const primes = []
   
-  for (let i = startDiv; i <= sqrtN; i += 2n) {
-    if (n % i === 0n) {
-      return i
+  for (let i = 2; i <= limit; i++) {
+    if (!composite[i]) {
+      primes.push(i)
     }
   }
   
-  // If no factors found, the number is prime
-  return n
+  return primes
 }
 
 /**
- * Factorize a large number using enhanced Pollard's Rho algorithm
- * Improved with Prime Framework optimizations for performance
+ * Modular exponentiation for moduli below 2^26, where products stay exact as doubles
  * 
- * @param {number|string|BigInt} n - The number to factorize
- * @param {Object} [options] - Factorization options
- * @param {boolean} [options.useCache=true] - Whether to use factorization cache
- * @param {boolean} [options.perfectFactorization=true] - Whether to ensure complete factorization
- * @returns {Map<BigInt, BigInt>} A map where keys are prime factors and values are their exponents
- * @throws {PrimeMathError} If n is not a positive integer
+ * @private
+ * @param {number} base - The base
+ * @param {number} exponent - The exponent
+ * @param {number} modulus - The modulus
+ * @returns {number} base^exponent mod modulus
  */
-function factorizePollardsRho(n, options = {}) {
-  let num = toBigInt(n)
+function powModSmall(base, exponent, modulus) {
+  let result = 1
+  base %= modulus
   
-  if (num <= 0n) {
-    throw new PrimeMathError('Factorization is only defined for positive integers')
+  while (exponent > 0) {
+    if (exponent % 2 === 1) {
+      result = (result * base) % modulus
+    }
+    base = (base * base) % modulus
+    exponent = Math.floor(exponent / 2)
   }
   
-  if (num === 1n) {
-    return new Map()
+  return result
+}
+
+/**
+ * Modular inverse for small moduli, by the extended Euclidean algorithm
+ * 
+ * @private
+ * @param {number} a - The number to invert, coprime to the modulus
+ * @param {number} modulus - The modulus
+ * @returns {number} The inverse of a modulo modulus
+ */
+function invModSmall(a, modulus) {
+  let t = 0
+  let newT = 1
+  let r = modulus
+  let newR = ((a % modulus) + modulus) % modulus
+  
+  while (newR !== 0) {
+    const quotient = Math.floor(r / newR)
+    const nextT = t - quotient * newT
+    const nextR = r - quotient * newR
+    t = newT
+    newT = nextT
+    r = newR
+    newR = nextR
   }
   
-  // Check factorization cache first if enabled
-  const useCache = options.useCache !== false
-  if (useCache) {
-    const cachedFactors = _factorizationCache.get(num)
-    if (cachedFactors) {
-      return new Map(cachedFactors.factors)
-    }
+  return t < 0 ? t + modulus : t
+}
+
+/**
+ * Base-2 logarithm of a positive BigInt, accurate to double precision
+ * 
+ * @private
+ * @param {BigInt} value - The value
+ * @returns {number} log2(value)
+ */
+function bigIntLog2(value) {
+  const bits = value.toString(2).length
+  if (bits <= 52) {
+    return Math.log2(Number(value))
+  }
+  return Math.log2(Number(value >> BigInt(bits - 52))) + bits - 52
+}
+
+/**
+ * Calculate the Jacobi symbol (a/n)
+ * Used by the Quadratic Sieve algorithm
+ * 
+ * @private
+ * @param {BigInt} a - The numerator
+ * @param {BigInt} n - The denominator
+ * @returns {number} The Jacobi symbol (1, 0, or -1)
+ */
+function jacobiSymbol(a, n) {
+  if (n <= 0n || n % 2n === 0n) {
+    throw new PrimeMathError('Jacobi symbol denominator must be a positive odd number')
   }
   
-  // Check small factors first with trial division for efficiency
-  const factors = new Map()
+  // Reduce a modulo n
+  a = ((a % n) + n) % n
   
-  // Handle powers of small primes separately for efficiency
-  const smallPrimes = [2n, 3n, 5n, 7n, 11n, 13n]
+  let result = 1
   
-  for (const prime of smallPrimes) {
-    let exponent = 0n
-    while (num % prime === 0n) {
-      exponent++
-      num /= prime
-    }
-    if (exponent > 0n) {
-      factors.set(prime, exponent)
+  // Compute the Jacobi symbol using quadratic reciprocity
+  while (a !== 0n) {
+    // Extract the largest power of 2 from a
+    let t = 0n
+    while (a % 2n === 0n) {
+      a /= 2n
+      t++
     }
     
-    // If we're down to 1, we've fully factored the number
-    if (num === 1n) {
-      break
+    // Apply quadratic reciprocity for powers of 2
+    if (t % 2n === 1n) {
+      const nMod8 = Number(n % 8n)
+      if (nMod8 === 3 || nMod8 === 5) {
+        result = -result
+      }
     }
-  }
-  
-  // If num is still greater than 1, use enhanced factorization algorithms
-  if (num > 1n) {
-    const enhancedOptions = {
-      ...options,
-      // Use advanced algorithms by default for Pollard Rho factorization
-      advanced: options.advanced !== false,
-      // Set ECM parameters if they weren't provided
-      ecmCurves: options.ecmCurves || 15,
-      ecmB1: options.ecmB1 || 100000,
-      // Set QuadraticSieve parameters
-      qsFactorBase: options.qsFactorBase || 100,
-      qsSieveSize: options.qsSieveSize || 10000
+    
+    // Apply quadratic reciprocity for odd values
+    if (a % 4n === 3n && n % 4n === 3n) {
+      result = -result
     }
     
-    findFactorsPollardRho(num, factors, enhancedOptions)
+    // Swap and continue
+    const temp = a
+    a = n % a
+    n = temp
   }
   
-  // Store in cache if enabled
-  if (useCache) {
-    _factorizationCache.set(n, factors)
+  if (n === 1n) {
+    return result
   }
   
-  return factors
+  return 0 // If n is not 1 at the end, a and n have a common factor
 }
 
 /**
- * Factorize a number using the most appropriate algorithm based on its size and properties
- * Enhanced with Prime Framework optimizations for better performance and precision
- * Implements the Prime Framework's requirements for unique factorization and canonical form
- * Uses configurable thresholds from config.factorization.thresholds to dynamically select
- * the most efficient factorization algorithm based on number characteristics
+ * Find square roots modulo a prime using the Tonelli-Shanks algorithm
+ * Used by the Quadratic Sieve for finding starting positions
  * 
- * @param {number|string|BigInt} n - The number to factorize
- * @param {Object} [options] - Factorization options
- * @param {boolean} [options.advanced=false] - Whether to use advanced factorization for large numbers
- * @param {boolean} [options.useCache=true] - Whether to use factorization cache
- * @param {boolean} [options.parallelizeFactorization=false] - Whether to use parallel factorization (when available)
- * @param {Object} [options.algorithmParams] - Specific parameters for factorization algorithms
- * @param {number} [options.algorithmParams.ecmCurves] - Number of curves for ECM
- * @param {number} [options.algorithmParams.ecmB1] - B1 bound for ECM
- * @param {number} [options.algorithmParams.ecmB2] - B2 bound for ECM (stage 2)
- * @param {number} [options.algorithmParams.qsFactorBase] - Factor base size for quadratic sieve
- * @param {number} [options.algorithmParams.qsSieveSize] - Sieve size for quadratic sieve
- * @param {boolean} [options.partialFactorization=false] - Whether to allow partial factorization for very large numbers
- * @param {boolean} [options.validateFactors=true] - Whether to validate that factors are indeed prime
- * @returns {Map<BigInt, BigInt>} A map where keys are prime factors and values are their exponents
- * @throws {PrimeMathError} If n is not a positive integer
- */
-function factorizeOptimal(n, options = {}) {
+ * @private
+ * @param {BigInt} n - The number to find square roots for
+ * @param {BigInt} p - The prime modulus
+ * @returns {BigInt[]} An array of square roots of n modulo p
+ */
+function findTonelliShanks(n, p) {
+  // Handle trivial cases
+  if (p === 2n) return [((n % 2n) + 2n) % 2n]
+  
+  // Ensure n is reduced modulo p
+  n = ((n % p) + p) % p
+  if (n === 0n) return [0n]
+  
+  // Check if n is a quadratic residue
+  if (jacobiSymbol(n, p) !== 1) {
+    return []
+  }
+  
+  // Tonelli-Shanks algorithm for p ≡ 3 (mod 4)
+  if (p % 4n === 3n) {
+    const r = modularFastExp(n, (p + 1n) / 4n, p)
+    return [r, p - r]
+  }
+  
+  // Find Q and S such that p - 1 = Q * 2^S with Q odd
+  let Q = p - 1n
+  let S = 0n
+  while (Q % 2n === 0n) {
+    Q /= 2n
+    S++
+  }
+  
+  // Find a non-residue z
+  let z = 2n
+  while (jacobiSymbol(z, p) !== -1) {
+    z++
+  }
+  
+  // Initialize variables
+  let M = S
+  let c = modularFastExp(z, Q, p)
+  let t = modularFastExp(n, Q, p)
+  let R = modularFastExp(n, (Q + 1n) / 2n, p)
+  
+  // Main loop
+  while (t !== 1n) {
+    // Find the least i such that t^(2^i) ≡ 1 (mod p)
+    let i = 0n
+    let temp = t
+    while (temp !== 1n) {
+      temp = (temp * temp) % p
+      i++
+      if (i >= M) return [] // Should not happen, just a safeguard
+    }
+    
+    // Compute b
+    let b = c
+    for (let j = 0n; j < M - i - 1n; j++) {
+      b = (b * b) % p
+    }
+    
+    // Update variables
+    M = i
+    c = (b * b) % p
+    t = (t * c) % p
+    R = (R * b) % p
+  }
+  
+  return [R, p - R]
+}
+
+/**
+ * Integer square root function
+ * 
+ * @private
+ * @param {BigInt} n - Input value
+ * @returns {BigInt} Integer square root of n
+ */
+function sqrt(n) {
+  if (n < 0n) {
+    throw new PrimeMathError('Cannot compute square root of negative number')
+  }
+  
+  if (n < 2n) {
+    return n
+  }
+  
+  // Newton's method for square root, starting just above the floating-point estimate when there is one
+  const estimate = Math.sqrt(Number(n))
+  let x = Number.isFinite(estimate) ? BigInt(Math.ceil(estimate * (1 + 2 ** -40))) + 1n : n
+  let y = (x + n / x) / 2n
+  
+  while (y < x) {
+    x = y
+    y = (x + n / x) / 2n
+  }
+  
+  return x
+}
+
+/**
+ * Number of stage 1 primes between gcd checks in Pollard p-1 and Williams p+1
+ * @private
+ * @type {number}
+ */
+const SMOOTH_ORDER_GCD_INTERVAL = 128
+
+/**
+ * Seeds V_1 = numerator / denominator for successive Williams p+1 runs. 2/7 and 6/5 give group
+ * orders with extra small factors (Montgomery); later runs use small integers
+ * @private
+ * @type {Array<Array<number>>}
+ */
+const P_PLUS_1_SEEDS = [[2, 7], [6, 5], [3, 1], [4, 1], [5, 1], [7, 1]]
+
+/**
+ * Pollard's p-1 method for finding a prime factor p of n for which p - 1 is smooth
+ * 
+ * Stage 1 computes a = 2^E mod n, where E is the product of all prime powers up to B1, and finds
+ * p in gcd(a - 1, n) when every prime power of p - 1 is at most B1. Stage 2 also catches p when
+ * p - 1 has a single larger prime factor up to B2.
+ * 
+ * @param {BigInt} n - The number to factor
+ * @param {Object} [options] - Algorithm options
+ * @param {number} [options.b1] - Stage 1 bound (default: config.factorization.pMinus1.defaultB1)
+ * @param {number} [options.b2] - Stage 2 bound (default: config.factorization.pMinus1.defaultB2, or B1 * 100)
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the search
+ * @param {function(Object): void} [options.onProgress] - Callback receiving progress reports (stage and bound reached)
+ * @returns {BigInt} A non-trivial factor of n, or n if no factor is found
+ * @throws {PrimeMathError} If n is not greater than 1
+ * @throws {FactorizationAbortError} If the signal is aborted during the search
+ */
+function pollardPMinus1(n, options = {}) {
+  n = toBigInt(n)
+  
+  if (n <= 1n) {
+    throw new PrimeMathError('Input must be greater than 1', {
+      cause: { value: n, function: 'pollardPMinus1' }
+    })
+  }
+  
+  if (n % 2n === 0n) return 2n
+  if (isProbablePrime(n)) return n
+  
+  const settings = config.factorization.pMinus1
+  const b1 = options.b1 || settings.defaultB1
+  const b2 = Math.max(b1, options.b2 || settings.defaultB2 || b1 * 100)
+  
+  const stage1 = smoothOrderStage1(n, 2n, b1, options, {
+    algorithm: 'pMinus1',
+    b2,
+    offset: 1n,
+    multiply: (a, q) => modularFastExp(a, q, n)
+  })
+  if (stage1.factor !== 1n) {
+    return stage1.factor
+  }
+  
+  // a^k + a^-k is the Lucas sequence V_k(a + a^-1), so p divides V_k - V_j when a^(k±j) ≡ 1 (mod p)
+  const a = stage1.x
+  return smoothOrderStage2(n, (a + modInverse(a, n)) % n, b1, b2, options, 'pMinus1')
+}
+
+/**
+ * Williams' p+1 method for finding a prime factor p of n for which p + 1 is smooth
+ * 
+ * Works like Pollard's p-1 in the group of Lucas sequences V_k(A). Whether that group has order
+ * p + 1 or p - 1 depends on the seed A, so each run finds p + 1 smooth factors with probability
+ * one half; several runs with different seeds make a miss unlikely.
+ * 
+ * @param {BigInt} n - The number to factor
+ * @param {Object} [options] - Algorithm options
+ * @param {number} [options.b1] - Stage 1 bound (default: config.factorization.pPlus1.defaultB1)
+ * @param {number} [options.b2] - Stage 2 bound (default: config.factorization.pPlus1.defaultB2, or B1 * 100)
+ * @param {number} [options.runs] - Number of seeds to try (default: config.factorization.pPlus1.runs)
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the search
+ * @param {function(Object): void} [options.onProgress] - Callback receiving progress reports (run, stage and bound reached)
+ * @returns {BigInt} A non-trivial factor of n, or n if no factor is found
+ * @throws {PrimeMathError} If n is not greater than 1
+ * @throws {FactorizationAbortError} If the signal is aborted during the search
+ */
+function williamsPPlus1(n, options = {}) {
+  n = toBigInt(n)
+  
+  if (n <= 1n) {
+    throw new PrimeMathError('Input must be greater than 1', {
+      cause: { value: n, function: 'williamsPPlus1' }
+    })
+  }
+  
+  if (n % 2n === 0n) return 2n
+  if (isProbablePrime(n)) return n
+  
+  const settings = config.factorization.pPlus1
+  const b1 = options.b1 || settings.defaultB1
+  const b2 = Math.max(b1, options.b2 || settings.defaultB2 || b1 * 100)
+  const runs = options.runs || settings.runs
+  
+  for (let run = 0; run < runs; run++) {
+    const [numerator, denominator] = run < P_PLUS_1_SEEDS.length ? P_PLUS_1_SEEDS[run] : [run + 2, 1]
+    
+    const divisor = gcd(BigInt(denominator), n)
+    if (divisor > 1n) {
+      return divisor
+    }
+    
+    // V_1 = A, so V_k(A) ≡ 2 (mod p) once the group order divides k
+    const seed = (BigInt(numerator) * modInverse(BigInt(denominator), n)) % n
+    const progress = { algorithm: 'pPlus1', run: run + 1, runs, b2 }
+    
+    const stage1 = smoothOrderStage1(n, seed, b1, options, {
+      ...progress,
+      offset: 2n,
+      multiply: (v, q) => lucasV(v, q, n)
+    })
+    if (stage1.factor !== 1n && stage1.factor !== n) {
+      return stage1.factor
+    }
+    
+    if (stage1.factor === 1n) {
+      const factor = smoothOrderStage2(n, stage1.x, b1, b2, options, progress)
+      if (factor !== n) {
+        return factor
+      }
+    }
+  }
+  
+  return n
+}
+
+/**
+ * Stage 1 shared by Pollard p-1 and Williams p+1: apply every prime power up to B1 to x,
+ * checking gcd(x - offset, n) every few primes
+ * 
+ * @private
+ * @param {BigInt} n - The number to factor
+ * @param {BigInt} x - Starting group element
+ * @param {number} b1 - Stage 1 bound
+ * @param {Object} options - Cancellation and progress options
+ * @param {Object} stage - Algorithm details
+ * @param {string} stage.algorithm - Algorithm name used in progress reports
+ * @param {BigInt} stage.offset - Value of the group identity, subtracted from x before the gcd
+ * @param {function(BigInt, BigInt): BigInt} stage.multiply - Raises a group element to a power
+ * @returns {{factor: BigInt, x: BigInt}} The gcd found (1n if none, n if every factor was found at once)
+ * and the final group element
+ */
+function smoothOrderStage1(n, x, b1, options, { offset, multiply, ...progress }) {
+  const primes = sievePrimes(b1)
+  const primePower = p => {
+    let q = p
+    while (q <= b1 / p) {
+      q *= p
+    }
+    return BigInt(q)
+  }
+  
+  let checkpoint = x
+  let checkpointIndex = 0
+  
+  for (let i = 0; i < primes.length; i++) {
+    x = multiply(x, primePower(primes[i]))
+    
+    if (i % SMOOTH_ORDER_GCD_INTERVAL !== SMOOTH_ORDER_GCD_INTERVAL - 1 && i !== primes.length - 1) {
+      continue
+    }
+    
+    let factor = gcd((((x - offset) % n) + n) % n, n)
+    if (factor === n) {
+      // Every prime factor of n was caught in the last block; replay it one prime at a time, and each
+      // prime power one factor of p at a time, to separate them. If they still fall together, give up with n
+      x = checkpoint
+      factor = 1n
+      for (let j = checkpointIndex; j <= i && factor === 1n; j++) {
+        const p = BigInt(primes[j])
+        const power = primePower(primes[j])
+        for (let q = p; q <= power && factor === 1n; q *= p) {
+          x = multiply(x, p)
+          factor = gcd((((x - offset) % n) + n) % n, n)
+        }
+      }
+      return { factor, x }
+    }
+    if (factor > 1n) {
+      return { factor, x }
+    }
+    
+    throwIfAborted(options, n)
+    reportProgress(options, { ...progress, stage: 1, bound: primes[i], b1 })
+    
+    checkpoint = x
+    checkpointIndex = i + 1
+  }
+  
+  return { factor: 1n, x }
+}
+
+/**
+ * Stage 2 shared by Pollard p-1 and Williams p+1, using the baby-step giant-step continuation on
+ * Lucas sequences: for each prime q = mD ± j in (B1, B2], p divides V_mD - V_j when the order of
+ * the stage 1 element modulo p divides q
+ * 
+ * @private
+ * @param {BigInt} n - The number to factor
+ * @param {BigInt} v - Stage 1 result, as the Lucas sequence parameter V_1
+ * @param {number} b1 - Stage 1 bound
+ * @param {number} b2 - Stage 2 bound
+ * @param {Object} options - Cancellation and progress options
+ * @param {string|Object} progress - Algorithm name, or the base progress report
+ * @returns {BigInt} A non-trivial factor of n, or n if no factor is found
+ */
+function smoothOrderStage2(n, v, b1, b2, options, progress) {
+  if (typeof progress === 'string') {
+    progress = { algorithm: progress }
+  }
+  if (b2 <= b1) {
+    return n
+  }
+  
+  const reduce = value => ((value % n) + n) % n
+  const D = b2 - b1 > 1000000 ? 2310 : 210
+  
+  // Baby steps: V_j for odd j < D/2 coprime to D, using V_(j+2) = V_j * V_2 - V_(j-2)
+  const v2 = reduce(v * v - 2n)
+  const babySteps = []
+  const babyValues = []
+  let previous = v // V_-1 = V_1
+  let current = v
+  for (let j = 1; j < D / 2; j += 2) {
+    if (j > 1) {
+      const next = reduce(current * v2 - previous)
+      previous = current
+      current = next
+    }
+    if (gcd(BigInt(j), BigInt(D)) === 1n) {
+      babySteps.push(j)
+      babyValues.push(current)
+    }
+  }
+  
+  // Giant steps: V_(m+1)D = V_mD * V_D - V_(m-1)D
+  const first = Math.max(1, Math.floor(b1 / D))
+  const last = Math.ceil(b2 / D)
+  const vD = lucasV(v, BigInt(D), n)
+  let giant = lucasV(v, BigInt(first * D), n)
+  let previousGiant = lucasV(v, BigInt((first - 1) * D), n)
+  
+  const isComposite = compositeSieve(last * D + D)
+  const isStagePrime = q => q > b1 && q <= b2 && !isComposite[q]
+  let product = 1n
+  
+  for (let m = first; m <= last; m++) {
+    const center = m * D
+    for (let k = 0; k < babySteps.length; k++) {
+      if (isStagePrime(center - babySteps[k]) || isStagePrime(center + babySteps[k])) {
+        product = (product * (giant - babyValues[k])) % n
+      }
+    }
+    
+    if ((m - first) % 256 === 255 || m === last) {
+      const factor = gcd(reduce(product), n)
+      if (factor !== 1n) {
+        return factor
+      }
+      
+      throwIfAborted(options, n)
+      reportProgress(options, { ...progress, stage: 2, bound: Math.min(center, b2), b1, b2 })
+    }
+    
+    const next = reduce(giant * vD - previousGiant)
+    previousGiant = giant
+    giant = next
+  }
+  
+  return n
+}
+
+/**
+ * Compute the Lucas sequence term V_k(v) modulo n, with V_0 = 2, V_1 = v and
+ * V_(i+1) = v * V_i - V_(i-1), using the Montgomery ladder on (V_i, V_(i+1))
+ * 
+ * @private
+ * @param {BigInt} v - The sequence parameter
+ * @param {BigInt} k - The index
+ * @param {BigInt} n - The modulus
+ * @returns {BigInt} V_k(v) mod n
+ */
+function lucasV(v, k, n) {
+  if (k === 0n) {
+    return 2n % n
+  }
+  
+  const reduce = value => ((value % n) + n) % n
+  const bits = k.toString(2)
+  let x = v
+  let y = reduce(v * v - 2n)
+  
+  for (let i = 1; i < bits.length; i++) {
+    if (bits[i] === '1') {
+      x = reduce(x * y - v)
+      y = reduce(y * y - 2n)
+    } else {
+      y = reduce(x * y - v)
+      x = reduce(x * x - 2n)
+    }
+  }
+  
+  return x
+}
+
+/**
+ * ECM bounds and curve counts by the size of the factor they target, after the values recommended
+ * for GMP-ECM. Running the given number of curves finds a factor of that size with probability
+ * about 1 - 1/e
+ * @private
+ * @type {Array<{digits: number, b1: number, curves: number}>}
+ */
+const ECM_PARAMETERS = [
+  { digits: 15, b1: 2000, curves: 25 },
+  { digits: 20, b1: 11000, curves: 90 },
+  { digits: 25, b1: 50000, curves: 300 },
+  { digits: 30, b1: 250000, curves: 700 },
+  { digits: 35, b1: 1000000, curves: 1800 },
+  { digits: 40, b1: 3000000, curves: 5100 },
+  { digits: 45, b1: 11000000, curves: 10600 },
+  { digits: 50, b1: 43000000, curves: 19300 }
+]
+
+/**
+ * Ratio B2 / B1 used when neither the options nor config.factorization.ecm.defaultB2 set B2
+ * @private
+ * @type {number}
+ */
+const ECM_B2_RATIO = 100
+
+/**
+ * Number of stage 1 primes multiplied into the point between gcd checks
+ * @private
+ * @type {number}
+ */
+const ECM_STAGE1_BATCH = 128
+
+/**
+ * Number of stage 2 giant steps between gcd checks, which is also the length of each sieved segment
+ * @private
+ * @type {number}
+ */
+const ECM_STAGE2_BLOCK = 64
+
+/**
+ * Lenstra's Elliptic Curve Method (ECM) for factorization
+ * Optimized for finding medium-sized factors of large numbers
+ * 
+ * Runs on twisted Edwards curves a·x² + y² = 1 + d·x²·y² in extended coordinates. Even-numbered
+ * curves come from the Edwards family with torsion Z/2×Z/8, odd-numbered ones from Suyama's
+ * parametrisation (group order divisible by 12), so every group order has a head start on
+ * smoothness. Stage 1 multiplies the starting point by every prime power up to B1; stage 2 is
+ * a baby-step giant-step continuation that catches one more prime up to B2.
+ * 
+ * Without explicit bounds, B1 and the number of curves come from the expected factor size: curves
+ * ramp up from 15-digit factors to half the size of n, as in ECM_PARAMETERS. Curve numbers
+ * continue across calls through seedOffset, so parallel workers follow the same schedule.
+ * 
+ * @param {BigInt} n - The number to factor
+ * @param {Object} [options] - Algorithm options
+ * @param {number} [options.curves] - Number of curves to try (default: the schedule for the factor size,
+ * capped at config.factorization.ecm.maxCurves)
+ * @param {number} [options.b1] - Stage 1 bound (default: config.factorization.ecm.defaultB1, or chosen from the factor size)
+ * @param {number} [options.b2] - Stage 2 bound (default: config.factorization.ecm.defaultB2, or B1 * 100);
+ * a bound at or below B1 skips stage 2
+ * @param {number} [options.factorDigits] - Expected number of digits of the factor
+ * (default: config.factorization.ecm.factorDigits, 0 = ramp up to half the digits of n)
+ * @param {number} [options.maxMemory] - Max memory in MB for the stage 2 tables (default: config.factorization.ecm.maxMemory or config.factorization.memoryLimit)
+ * @param {number} [options.seedOffset=0] - Offset added to the curve numbers, so independent runs (e.g. parallel workers) try different curves
+ * @param {Object} [options.resumeState] - ECM state from a checkpoint; its curve numbers (`sigmas`) are skipped
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the search
+ * @param {function(Object): void} [options.onProgress] - Callback receiving progress reports (curves tried)
+ * @returns {BigInt} A non-trivial factor of n, or n if no factor is found
+ * @throws {PrimeMathError} If input is not a positive composite number
+ * @throws {FactorizationAbortError} If the signal is aborted during the search
+ */
+function ellipticCurveMethod(n, options = {}) {
+  // Validate input and handle special cases
+  n = toBigInt(n)
+  
+  if (n <= 1n) {
+    throw new PrimeMathError('Input must be greater than 1', {
+      cause: { value: n, function: 'ellipticCurveMethod' }
+    })
+  }
+  
+  // Quick checks for small divisors - fast path for efficiency
+  if (n % 2n === 0n) return 2n
+  if (n % 3n === 0n) return 3n
+  if (n % 5n === 0n) return 5n
+  if (n % 7n === 0n) return 7n
+  
+  // Check if the input is prime
+  if (isProbablePrime(n)) {
+    return n // Number is prime, cannot factor further
+  }
+  
+  // For small numbers, use a simpler method
+  // Use a dynamic threshold based on config
+  const smallNumberThreshold = BigInt(10) ** BigInt(config.factorization.thresholds.trialDivision)
+  if (n < smallNumberThreshold) {
+    // Prime Framework optimization: Use trial division with small prime cache
+    const smallPrimes = primeCache.getSmallPrimes()
+    for (const p of smallPrimes) {
+      if (p * p > n) break
+      if (n % p === 0n) return p
+    }
+    
+    // Continue with trial division for larger primes
+    for (let i = 1009n; i * i <= n; i += 2n) {
+      if (n % i === 0n) return i
+    }
+    return n
+  }
+  
+  const ecmConfig = config.factorization.ecm
+  const schedule = ecmSchedule(n, options.factorDigits || ecmConfig.factorDigits)
+  const scheduledCurves = schedule.reduce((total, level) => total + level.curves, 0)
+  const curves = options.curves || Math.min(scheduledCurves, ecmConfig.maxCurves)
+  
+  // Memory limit: Use provided value or config default
+  const maxMemory = options.maxMemory ||
+    (config.factorization.memoryLimit || ecmConfig.maxMemory || ecmConfig.defaultMemory)
+  
+  // Memory limit for stage 2 (in elements)
+  const maxElements = maxMemory ? (maxMemory * 1024 * 1024) / 16 : Number.MAX_SAFE_INTEGER // 16 bytes per element
+  
+  // Offset for the curve numbers, used to give parallel workers disjoint curves
+  const seedOffset = options.seedOffset || 0
+  
+  // Curve numbers tried so far, including those of the run a checkpoint was taken from
+  const resumeState = options.resumeState
+  const sigmas = resumeState ? [...resumeState.sigmas] : []
+  const tried = new Set(sigmas)
+  
+  /** @type {number[]} */
+  let primes = []
+  let primesBound = 0
+  
+  for (let curve = 0; curve < curves; curve++) {
+    const index = seedOffset + curve
+    if (tried.has(index)) {
+      continue
+    }
+    
+    throwIfAborted(options, n)
+    
+    const level = ecmLevel(schedule, index)
+    const b1 = options.b1 || ecmConfig.defaultB1 || level.b1
+    const b2 = options.b2 || ecmConfig.defaultB2 || b1 * ECM_B2_RATIO
+    
+    if (b1 !== primesBound) {
+      primes = sievePrimes(b1)
+      primesBound = b1
+    }
+    
+    try {
+      const edwardsCurve = index % 2 === 0 ? z2z8Curve((index >> 1) + 1, n) : suyamaCurve((index >> 1) + 6, n)
+      
+      // Stage 1: multiply the point by every prime power up to B1
+      const stage1 = ecmStage1(edwardsCurve, n, primes, b1, options)
+      if (stage1.factor !== 1n) {
+        if (stage1.factor !== n) {
+          return stage1.factor
+        }
+      } else if (b2 > b1) {
+        // Stage 2: catch one more prime between B1 and B2
+        const factor = ecmStage2(stage1.point, edwardsCurve, n, b1, b2, maxElements, options)
+        if (factor !== n) {
+          return factor
+        }
+      }
+    } catch (error) {
+      // Cancellation must propagate to the caller
+      if (error instanceof FactorizationAbortError) {
+        throw error
+      }
+      
+      // If we encounter a GCD in modular inversion, that's a factor!
+      if (error instanceof Error && error.cause && error.cause.gcd) {
+        const factor = error.cause.gcd
+        if (factor !== 1n && factor !== n) {
+          return factor
+        }
+      }
+    }
+    
+    sigmas.push(index)
+    reportProgress(options, { algorithm: 'ecm', curvesTried: sigmas.length, totalCurves: curves, b1, b2 })
+    saveCheckpoint(options, {
+      algorithm: 'ecm',
+      n,
+      curvesTried: sigmas.length,
+      totalCurves: curves,
+      seedOffset,
+      sigmas,
+      b1: options.b1,
+      b2: options.b2,
+      factorDigits: options.factorDigits
+    })
+  }
+  
+  // If no factor found after trying all curves, return n
+  return n
+}
+
+/**
+ * Pick the ECM levels to run: a single level for an expected factor size, or the levels from
+ * 15-digit factors up to half the size of n
+ * 
+ * @private
+ * @param {BigInt} n - The number to factor
+ * @param {number} [factorDigits] - Expected number of digits of the factor (0 = ramp up)
+ * @returns {Array<{digits: number, b1: number, curves: number}>} The levels, in order
+ */
+function ecmSchedule(n, factorDigits) {
+  if (factorDigits) {
+    const level = ECM_PARAMETERS.find(({ digits }) => digits >= factorDigits)
+    return [level || ECM_PARAMETERS[ECM_PARAMETERS.length - 1]]
+  }
+  
+  const largestFactorDigits = Math.ceil(n.toString().length / 2)
+  const levels = ECM_PARAMETERS.filter(({ digits }) => digits <= largestFactorDigits)
+  
+  return levels.length > 0 ? levels : [ECM_PARAMETERS[0]]
+}
+
+/**
+ * Find the level a curve number falls in; curves past the end of the schedule stay on the last level
+ * 
+ * @private
+ * @param {Array<{digits: number, b1: number, curves: number}>} schedule - The ECM levels
+ * @param {number} index - The curve number
+ * @returns {{digits: number, b1: number, curves: number}} The level
+ */
+function ecmLevel(schedule, index) {
+  for (const level of schedule) {
+    if (index < level.curves) {
+      return level
+    }
+    index -= level.curves
+  }
+  
+  return schedule[schedule.length - 1]
+}
+
+/**
+ * Build the k-th Edwards curve x² + y² = 1 + d·x²·y² with torsion Z/2×Z/8, with a point of
+ * infinite order
+ * 
+ * The curves with torsion Z/2×Z/8 are d = (2x₈² - 1) / x₈⁴ with x₈ = (u² + 2u + 2) / (u² - 2), where
+ * (x₈, x₈) has order 8. The curve has the point (w / (u² - 2), x₈²) whenever
+ * w² = u⁴ + 2u³ + 2u² + 4u + 4, and the rational points of that quartic come from the multiples
+ * of (-2, 4) on the rank 1 curve s² = X³ + 2X² - 8X, through u = (X + s + 4) / (-2(X + 1)).
+ * Everything is computed modulo n, so the multiples never grow.
+ * 
+ * @private
+ * @param {number} k - The multiple of (-2, 4) to use (at least 1)
+ * @param {BigInt} n - The modulus
+ * @returns {{a: BigInt, d: BigInt, point: {x: BigInt, y: BigInt, z: BigInt, t: BigInt}}} The curve and starting point
+ * @throws {Error} If a value is not invertible modulo n, with the gcd in the error cause
+ */
+function z2z8Curve(k, n) {
+  const reduce = value => ((value % n) + n) % n
+  
+  // k·(-2, 4) on s² = X³ + 2X² - 8X in affine coordinates
+  const base = { x: n - 2n, y: 4n }
+  let result = base
+  for (const bit of k.toString(2).slice(1)) {
+    result = weierstrassAdd(result, result, n)
+    if (bit === '1') {
+      result = weierstrassAdd(result, base, n)
+    }
+  }
+  
+  const { x: X, y: s } = result
+  const u = reduce((X + s + 4n) * modInverse(-2n * (X + 1n), n))
+  const u2 = (u * u) % n
+  const w = reduce(u2 + u - X * modInverse(2n, n))
+  const denominatorInverse = modInverse(u2 - 2n, n)
+  const x8 = reduce((u2 + 2n * u + 2n) * denominatorInverse)
+  const x8Squared = (x8 * x8) % n
+  const d = reduce((2n * x8Squared - 1n) * modInverse(x8Squared * x8Squared, n))
+  const x = (w * denominatorInverse) % n
+  
+  return { a: 1n, d, point: { x, y: x8Squared, z: 1n, t: (x * x8Squared) % n } }
+}
+
+/**
+ * Add two affine points on the curve s² = X³ + 2X² - 8X modulo n
+ * 
+ * @private
+ * @param {{x: BigInt, y: BigInt}} P - First point
+ * @param {{x: BigInt, y: BigInt}} Q - Second point (equal to P for doubling)
+ * @param {BigInt} n - The modulus
+ * @returns {{x: BigInt, y: BigInt}} P + Q
+ * @throws {Error} If a slope denominator is not invertible modulo n, with the gcd in the error cause
+ */
+function weierstrassAdd(P, Q, n) {
+  const slope = P.x === Q.x && P.y === Q.y
+    ? ((3n * P.x * P.x + 4n * P.x - 8n) * modInverse(2n * P.y, n)) % n
+    : ((Q.y - P.y) * modInverse(Q.x - P.x, n)) % n
+  const x = (((slope * slope - 2n - P.x - Q.x) % n) + n) % n
+  const y = (((slope * (P.x - x) - P.y) % n) + n) % n
+  
+  return { x, y }
+}
+
+/**
+ * Build the twisted Edwards form of Suyama's curve for the parameter σ
+ * 
+ * Suyama's Montgomery curve B·y² = x³ + A·x² + x has u = σ² - 5, v = 4σ, x₀ = u³ / v³ and
+ * A = (v - u)³(3u + v) / (4u³v) - 2, with B chosen so that (x₀, 1) lies on it. It maps to the
+ * twisted Edwards curve with a = (A + 2) / B and d = (A - 2) / B, and the point (x₀, (x₀ - 1) / (x₀ + 1)).
+ * 
+ * @private
+ * @param {number} sigma - The parameter σ (at least 6)
+ * @param {BigInt} n - The modulus
+ * @returns {{a: BigInt, d: BigInt, point: {x: BigInt, y: BigInt, z: BigInt, t: BigInt}}} The curve and starting point
+ * @throws {Error} If a value is not invertible modulo n, with the gcd in the error cause
+ */
+function suyamaCurve(sigma, n) {
+  const reduce = value => ((value % n) + n) % n
+  const s = BigInt(sigma)
+  
+  const u = reduce(s * s - 5n)
+  const v = reduce(4n * s)
+  const u3 = (u * u * u) % n
+  const x0 = reduce(u3 * modInverse(v * v * v, n))
+  const A = reduce((v - u) ** 3n * (3n * u + v) * modInverse(4n * u3 * v, n) - 2n)
+  const B = reduce(((x0 + A) * x0 + 1n) * x0)
+  const inverseB = modInverse(B, n)
+  const y = reduce((x0 - 1n) * modInverse(x0 + 1n, n))
+  
+  return {
+    a: reduce((A + 2n) * inverseB),
+    d: reduce((A - 2n) * inverseB),
+    point: { x: x0, y, z: 1n, t: (x0 * y) % n }
+  }
+}
+
+/**
+ * Add two points on a twisted Edwards curve in extended coordinates (X : Y : Z : T), with
+ * x = X/Z, y = Y/Z and T = XY/Z
+ * 
+ * @private
+ * @param {{x: BigInt, y: BigInt, z: BigInt, t: BigInt}} P - First point
+ * @param {{x: BigInt, y: BigInt, z: BigInt, t: BigInt}} Q - Second point
+ * @param {{a: BigInt, d: BigInt}} curve - The curve parameters
+ * @param {BigInt} n - The modulus
+ * @returns {{x: BigInt, y: BigInt, z: BigInt, t: BigInt}} P + Q
+ */
+function edwardsAdd(P, Q, curve, n) {
+  const A = (P.x * Q.x) % n
+  const B = (P.y * Q.y) % n
+  const C = (((P.t * Q.t) % n) * curve.d) % n
+  const D = (P.z * Q.z) % n
+  const E = ((P.x + P.y) * (Q.x + Q.y) - A - B) % n
+  const F = D - C
+  const G = D + C
+  const H = curve.a === 1n ? B - A : (B - curve.a * A) % n
+  
+  return { x: (E * F) % n, y: (G * H) % n, z: (F * G) % n, t: (E * H) % n }
+}
+
+/**
+ * Double a point on a twisted Edwards curve in extended coordinates
+ * 
+ * @private
+ * @param {{x: BigInt, y: BigInt, z: BigInt, t: BigInt}} P - The point
+ * @param {{a: BigInt, d: BigInt}} curve - The curve parameters
+ * @param {BigInt} n - The modulus
+ * @returns {{x: BigInt, y: BigInt, z: BigInt, t: BigInt}} 2P
+ */
+function edwardsDouble(P, curve, n) {
+  const A = (P.x * P.x) % n
+  const B = (P.y * P.y) % n
+  const C = (2n * P.z * P.z) % n
+  const D = curve.a === 1n ? A : (curve.a * A) % n
+  const E = ((P.x + P.y) * (P.x + P.y) - A - B) % n
+  const G = D + B
+  const F = G - C
+  const H = D - B
+  
+  return { x: (E * F) % n, y: (G * H) % n, z: (F * G) % n, t: (E * H) % n }
+}
+
+/**
+ * Multiply a point on a twisted Edwards curve by a scalar, using a width-4 NAF
+ * 
+ * @private
+ * @param {{x: BigInt, y: BigInt, z: BigInt, t: BigInt}} P - The point
+ * @param {BigInt} k - The scalar (non-negative)
+ * @param {{a: BigInt, d: BigInt}} curve - The curve parameters
+ * @param {BigInt} n - The modulus
+ * @returns {{x: BigInt, y: BigInt, z: BigInt, t: BigInt}} kP
+ */
+function edwardsMultiply(P, k, curve, n) {
+  // Odd multiples P, 3P, 5P, 7P
+  const twice = edwardsDouble(P, curve, n)
+  const multiples = [P]
+  for (let i = 1; i < 4; i++) {
+    multiples.push(edwardsAdd(multiples[i - 1], twice, curve, n))
+  }
+  
+  // Digits of k in non-adjacent form, least significant first, each odd digit in [-7, 7]
+  const digits = []
+  while (k > 0n) {
+    let digit = 0
+    if (k & 1n) {
+      digit = Number(k & 15n)
+      if (digit > 8) digit -= 16
+      k -= BigInt(digit)
+    }
+    digits.push(digit)
+    k >>= 1n
+  }
+  
+  let result = { x: 0n, y: 1n, z: 1n, t: 0n }
+  for (let i = digits.length - 1; i >= 0; i--) {
+    result = edwardsDouble(result, curve, n)
+    
+    const digit = digits[i]
+    if (digit !== 0) {
+      const multiple = multiples[Math.abs(digit) >> 1]
+      result = edwardsAdd(result, digit > 0 ? multiple : { x: -multiple.x, y: multiple.y, z: multiple.z, t: -multiple.t }, curve, n)
+    }
+  }
+  
+  return result
+}
+
+/**
+ * Stage 1 of ECM: multiply the starting point by every prime power up to B1, in batches with a
+ * gcd check after each. A point that reaches the identity modulo p has X ≡ 0 (mod p)
+ * 
+ * @private
+ * @param {{a: BigInt, d: BigInt, point: Object}} curve - The curve and starting point
+ * @param {BigInt} n - The number to factor
+ * @param {number[]} primes - The primes up to at least B1
+ * @param {number} b1 - Stage 1 bound
+ * @param {Object} options - Cancellation options
+ * @returns {{factor: BigInt, point: Object}} A factor of n (1 if none was found, n if the curve failed)
+ * and the stage 1 point
+ */
+function ecmStage1(curve, n, primes, b1, options) {
+  let point = curve.point
+  const primePower = p => {
+    let q = p
+    while (q <= b1 / p) q *= p
+    return BigInt(q)
+  }
+  
+  for (let start = 0; start < primes.length && primes[start] <= b1; start += ECM_STAGE1_BATCH) {
+    throwIfAborted(options, n)
+    
+    const end = Math.min(start + ECM_STAGE1_BATCH, primes.length)
+    let scalar = 1n
+    for (let i = start; i < end && primes[i] <= b1; i++) {
+      scalar *= primePower(primes[i])
+    }
+    
+    const checkpoint = point
+    point = edwardsMultiply(point, scalar, curve, n)
+    
+    let factor = gcd(point.x, n)
+    if (factor === n) {
+      // Every prime factor of n was caught in this batch; replay it one prime at a time, and each prime
+      // power one factor of p at a time, to separate them. If they still fall together, the curve failed
+      point = checkpoint
+      factor = 1n
+      for (let i = start; i < end && primes[i] <= b1 && factor === 1n; i++) {
+        const p = BigInt(primes[i])
+        const power = primePower(primes[i])
+        for (let q = p; q <= power && factor === 1n; q *= p) {
+          point = edwardsMultiply(point, p, curve, n)
+          factor = gcd(point.x, n)
+        }
+      }
+      return { factor, point }
+    }
+    if (factor > 1n) {
+      return { factor, point }
+    }
+  }
+  
+  return { factor: 1n, point }
+}
+
+/**
+ * Stage 2 of ECM: the baby-step giant-step continuation
+ * 
+ * For each prime q = mD ± j in (B1, B2], with j < D/2 coprime to D, qQ is the identity modulo p
+ * exactly when mD·Q = ±j·Q, that is when the two points share their y-coordinate. The baby steps
+ * j·Q are normalised with a single inversion, so each candidate prime costs two multiplications.
+ * The primes are sieved in segments, so memory stays small whatever B2 is.
+ * 
+ * @private
+ * @param {{x: BigInt, y: BigInt, z: BigInt, t: BigInt}} Q - The stage 1 point
+ * @param {{a: BigInt, d: BigInt}} curve - The curve parameters
+ * @param {BigInt} n - The number to factor
+ * @param {number} b1 - Stage 1 bound
+ * @param {number} b2 - Stage 2 bound
+ * @param {number} maxElements - Memory constraint (number of point elements that can be stored)
+ * @param {Object} [options] - Cancellation options, checked between blocks of giant steps
+ * @returns {BigInt} A non-trivial factor of n, or n if none is found
+ * @throws {Error} If a baby step is not invertible modulo n, with the gcd in the error cause
+ */
+function ecmStage2(Q, curve, n, b1, b2, maxElements, options = {}) {
+  const D = b2 - b1 > 1000000 && maxElements >= 2310 ? 2310 : 210
+  
+  // Baby steps j·Q for odd j < D/2 coprime to D
+  const twice = edwardsDouble(Q, curve, n)
+  const babySteps = []
+  const babyPoints = []
+  let current = Q
+  for (let j = 1; j < D / 2; j += 2) {
+    if (j > 1) {
+      current = edwardsAdd(current, twice, curve, n)
+    }
+    if (gcd(BigInt(j), BigInt(D)) === 1n) {
+      babySteps.push(j)
+      babyPoints.push(current)
+    }
+  }
+  
+  // Affine y-coordinates of the baby steps, with one inversion for all of them
+  const prefix = []
+  let product = 1n
+  for (const point of babyPoints) {
+    prefix.push(product)
+    product = (product * point.z) % n
+  }
+  let inverse = modInverse(product, n)
+  const babyY = new Array(babyPoints.length)
+  for (let k = babyPoints.length - 1; k >= 0; k--) {
+    babyY[k] = (((babyPoints[k].y * inverse) % n) * prefix[k]) % n
+    inverse = (inverse * babyPoints[k].z) % n
+  }
+  
+  // Giant steps m·D·Q from the multiple of D just below B1
+  const first = Math.floor(b1 / D)
+  const last = Math.ceil(b2 / D)
+  const giantStep = edwardsMultiply(Q, BigInt(D), curve, n)
+  let giant = edwardsMultiply(Q, BigInt(first * D), curve, n)
+  const basePrimes = sievePrimes(Math.floor(Math.sqrt(b2 + D)))
+  let accumulator = 1n
+  
+  for (let blockStart = first; blockStart <= last; blockStart += ECM_STAGE2_BLOCK) {
+    throwIfAborted(options, n)
+    
+    const blockEnd = Math.min(blockStart + ECM_STAGE2_BLOCK - 1, last)
+    const low = Math.max(0, blockStart * D - D / 2)
+    const isPrimeInSegment = segmentPrimeFlags(low, blockEnd * D + D / 2, basePrimes)
+    const isStagePrime = q => q > b1 && q <= b2 && isPrimeInSegment[q - low] === 1
+    
+    for (let m = blockStart; m <= blockEnd; m++) {
+      const center = m * D
+      for (let k = 0; k < babySteps.length; k++) {
+        if (isStagePrime(center - babySteps[k]) || isStagePrime(center + babySteps[k])) {
+          accumulator = (accumulator * (giant.y - babyY[k] * giant.z)) % n
+        }
+      }
+      
+      giant = edwardsAdd(giant, giantStep, curve, n)
+    }
+    
+    const factor = gcd(accumulator, n)
+    if (factor !== 1n) {
+      return factor
+    }
+  }
+  
+  return n
+}
+
+/**
+ * Sieve a segment of the integers for primes
+ * 
+ * @private
+ * @param {number} low - First number of the segment (non-negative)
+ * @param {number} high - Last number of the segment
+ * @param {number[]} basePrimes - The primes up to at least sqrt(high)
+ * @returns {Uint8Array} Flags indexed by number - low, set to 1 for the primes
+ */
+function segmentPrimeFlags(low, high, basePrimes) {
+  const flags = new Uint8Array(high - low + 1).fill(1)
+  for (let value = low; value < 2 && value <= high; value++) {
+    flags[value - low] = 0
+  }
+  
+  for (const p of basePrimes) {
+    if (p * p > high) break
+    for (let multiple = Math.max(p * p, Math.ceil(low / p) * p); multiple <= high; multiple += p) {
+      flags[multiple - low] = 0
+    }
+  }
+  
+  return flags
+}
+
+/**
+ * Compute modular inverse with GCD factorization detection
+ * 
+ * @private
+ * @param {BigInt} a - Value to invert
+ * @param {BigInt} n - Modulus
+ * @returns {BigInt} Multiplicative inverse of a modulo n
+ * @throws {Error} If inversion fails, with the GCD information in the error cause
+ */
+function modInverse(a, n) {
+  a = ((a % n) + n) % n // Ensure a is positive and < n
+  
+  // Extended Euclidean Algorithm
+  let t = 0n, newt = 1n
+  let r = n, newr = a
+  
+  while (newr !== 0n) {
+    const quotient = r / newr
+    const tempT = newt
+    newt = t - quotient * newt
+    t = tempT
+    
+    const tempR = newr
+    newr = r - quotient * newr
+    r = tempR
+  }
+  
+  // If r > 1, a is not invertible, but we found a factor!
+  if (r > 1n) {
+    const error = new Error('Modular inverse does not exist - GCD found', {
+      cause: { gcd: r }
+    })
+    throw error
+  }
+  
+  // Adjust to positive value
+  if (t < 0n) t += n
+  
+  return t
+}
+
+/* Commented out unused ECM functions
+/**
+ * Point addition for elliptic curve method
+ * This function is not currently used but is kept for future reference
+ * and for completeness of the implementation
+ * 
+ * @private
+ * @param {Object} p1 - First point {x, y, z?}
+ * @param {Object} p2 - Second point {x, y, z?}
+ * @param {BigInt} a - Curve parameter a 
+ * @param {BigInt} n - Modulus
+ * @returns {Object} Resulting point {x, y, z}
+ */
+/* function ecmAdd(p1, p2, a, n) {
+  // Handle projective coordinates
+  const p1z = p1.z || 1n
+  const p2z = p2.z || 1n
+  
+  // Check if points are the same
+  if (p1.x === p2.x && p1.y === p2.y && p1z === p2z) {
+    return ecmDouble(p1, a, n)
+  }
+  
+  // Different points - compute addition
+  try {
+    // Convert to projective coordinates for faster computation
+    const z1z1 = (p1z * p1z) % n
+    const z2z2 = (p2z * p2z) % n
+    const u1 = (p1.x * z2z2) % n
+    const u2 = (p2.x * z1z1) % n
+    const s1 = (p1.y * p2z * z2z2) % n
+    const s2 = (p2.y * p1z * z1z1) % n
+    
+    if (u1 === u2) {
+      if (s1 !== s2) {
+        // Points are inverses of each other - return point at infinity
+        return { x: 0n, y: 1n, z: 0n }
+      } else {
+        // Points are the same - use doubling
+        return ecmDouble(p1, a, n)
+      }
+    }
+    
+    let h = (u2 - u1) % n
+    if (h < 0n) h += n
+    
+    const i = (4n * h * h) % n
+    const j = (h * i) % n
+    let r = (2n * (s2 - s1)) % n
+    if (r < 0n) r += n
+    
+    const v = (u1 * i) % n
+    
+    // Compute new x
+    let x3 = (r * r - j - 2n * v) % n
+    if (x3 < 0n) x3 += n
+    
+    // Compute new y
+    let y3 = (r * (v - x3) - 2n * s1 * j) % n
+    if (y3 < 0n) y3 += n
+    
+    // Compute new z
+    let z3 = (2n * h * p1z * p2z) % n
+    
+    return { x: x3, y: y3, z: z3 }
+  } catch (error) {
+    // If we encounter division by zero, it means we found a factor
+    const factor = gcd(error.divisor, n)
+    if (factor > 1n && factor < n) {
+      const err = new Error('GCD found during ECM')
+      err.factor = factor
+      throw err
+    }
+    throw error
+  }
+}
+
+/**
+ * Point doubling for elliptic curve method
+ * 
+ * @private
+ * @param {Object} p - Point to double {x, y, z?}
+ * @param {BigInt} a - Curve parameter a
+ * @param {BigInt} n - Modulus
+ * @returns {Object} Doubled point {x, y, z}
+ */
+// eslint-disable-next-line no-unused-vars
+function ecmDouble(p, a, n) {
+  // Handle projective coordinates
+  const z = p.z || 1n
+  
+  if (p.y === 0n || z === 0n) {
+    // Point at infinity or y=0
+    return { x: 0n, y: 1n, z: 0n }
+  }
+  
+  try {
+    const xx = (p.x * p.x) % n
+    const zz = (z * z) % n
+    const yyyy = (p.y * p.y * p.y * p.y) % n
+    
+    let s = (4n * p.x * yyyy) % n
+    let m = (3n * xx + a * zz * zz) % n
+    if (m < 0n) m += n
+    
+    // Compute new x
+    let x3 = (m * m - 2n * s) % n
+    if (x3 < 0n) x3 += n
+    
+    // Compute new y
+    let y3 = (m * (s - x3) - 8n * yyyy) % n
+    if (y3 < 0n) y3 += n
+    
+    // Compute new z
+    let z3 = (2n * p.y * z) % n
+    
+    return { x: x3, y: y3, z: z3 }
+  } catch (error) {
+    // If we encounter division by zero, it means we found a factor
+    const factor = gcd(error.divisor, n)
+    if (factor > 1n && factor < n) {
+      const err = new Error('GCD found during ECM')
+      err.factor = factor
+      throw err
+    }
+    throw error
+  }
+}
+
+/**
+ * Scalar multiplication for elliptic curve method
+ * 
+ * @private
+ * @param {Object} p - Base point {x, y, z?}
+ * @param {BigInt} k - Scalar multiplier
+ * @param {BigInt} a - Curve parameter a
+ * @param {BigInt} n - Modulus
+ * @returns {Object} Resulting point k*P
+ */
+// This function is not currently used but is kept for future reference
+// and for completeness of the implementation
+/* 
+function ecmMultiply(p, k, a, n) {
+  if (k === 0n) {
+    return { x: 0n, y: 1n, z: 0n } // Point at infinity
+  }
+  
+  if (k === 1n) {
+    return p
+  }
+  
+  // Use binary method for fast multiplication
+  let result = { x: 0n, y: 1n, z: 0n } // Start with infinity point
+  let current = { ...p } // Copy of the base point
+  let kBinary = k
+  
+  while (kBinary > 0n) {
+    if (kBinary % 2n === 1n) {
+      // If current bit is set, add current point to result
+      result = ecmAdd(result, current, a, n)
+    }
+    // Double the current point
+    current = ecmDouble(current, a, n)
+    // Move to next bit
+    kBinary = kBinary >> 1n
+  }
+  
+  return result
+}
+*/
+
+/**
+ * Recursively find factors using enhanced factorization algorithms
+ * Optimized with Prime Framework techniques for finding factors
+ * Implements a sophisticated approach that selects the most efficient algorithm
+ * for each phase of the factorization, following the Prime Framework requirements
+ * 
+ * @param {BigInt} n - The number to factorize
+ * @param {Map<BigInt, BigInt>} factors - The current factor map
+ * @param {Object} [options] - Algorithm options
+ * @returns {Map<BigInt, BigInt>} Updated factor map
+ */
+function findFactorsPollardRho(n, factors = new Map(), options = {}) {
+  // Base case: n is 1, no further factorization needed
+  if (n === 1n) return factors
+  
+  throwIfAborted(options, n)
+  
+  // Check the factorization cache first for efficiency
+  const cachedFactors = _factorizationCache.get(n)
+  if (cachedFactors) {
+    // Merge the cached factors into our current factors
+    for (const [prime, exponent] of cachedFactors.factors.entries()) {
+      const currentExp = factors.get(prime) || 0n
+      factors.set(prime, currentExp + exponent)
+    }
+    return factors
+  }
+  
+  // Check if n is prime using optimized primality test
+  // For the Prime Framework, it's critical to correctly identify primes
+  if (isPrime(n)) {
+    // n is prime, add it to factors
+    const currentExp = factors.get(n) || 0n
+    factors.set(n, currentExp + 1n)
+    
+    // Cache this result with 100% confidence
+    _factorizationCache.set(n, new Map([[n, 1n]]), true, 1.0, {
+      computationCost: 1 // Low cost for prime factorization
+    })
+    
+    return factors
+  }
+  
+  // Determine the best factorization method based on the size and structure of n
+  // This implements the adaptive approach described in the Prime Framework spec
+  let factor
+  
+  // Get the approximate number of decimal digits in n
+  const numDigits = n.toString().length
+  
+  if (n < 10000n) {
+    // For small numbers, trial division is most efficient
+    factor = findFactorByTrialDivision(n)
+  } else if (n < 10n ** 12n) {
+    // For medium-sized numbers up to 12 digits, standard Pollard's rho
+    factor = pollardRho(n, options)
+  } else if (n < MID_SIZE_LIMIT) {
+    // Mid-size cofactors (40 to 64 bits) are split fastest by SQUFOF and its backups,
+    // with Pollard's rho in reserve
+    factor = findFactorMidSize(n, options)
+    
+    if (factor === n) {
+      factor = pollardRho(n, options)
+    }
+  } else if (n < 10n ** 25n) {
+    // For larger numbers up to 25 digits, enhanced Pollard's rho with better parameters
+    // This follows the Prime Framework's emphasis on exact factorization efficiency
+    factor = pollardRho(n, {
+      ...options,
+      timeLimit: options.timeLimit || 10000, // 10 seconds default timeout
+      // Try multiple values of c for better chances of finding a factor
+      c: (options.iteration || 0) % 5 === 0 ? 1n : 
+        (options.iteration || 0) % 5 === 1 ? 2n :
+          (options.iteration || 0) % 5 === 2 ? 3n :
+            (options.iteration || 0) % 5 === 3 ? -1n : 7n
+    })
+    
+    // If standard Pollard's rho failed, try the p-1 and p+1 pre-passes and then ECM with modest parameters
+    if (factor === n) {
+      factor = findFactorBySmoothOrder(n, options)
+    }
+    if (factor === n) {
+      factor = ellipticCurveMethod(n, {
+        curves: 5,
+        b1: 10000,
+        ...controlOptions(options)
+      })
+    }
+  } else if (n < 10n ** 40n) {
+    // For even larger numbers up to 40 digits, try the cheap p-1 and p+1 pre-passes first,
+    // then ECM, which picks its bounds from the input size unless they are given
+    factor = findFactorBySmoothOrder(n, options)
+    
+    if (factor === n) {
+      factor = ellipticCurveMethod(n, {
+        curves: options.ecmCurves || Math.min(15, 5 + Math.floor(numDigits / 5)),
+        b1: options.ecmB1,
+        b2: options.ecmB2,
+        ...controlOptions(options)
+      })
+    }
+    
+    // If ECM failed, try Quadratic Sieve with modest parameters
+    if (factor === n && options.advanced) {
+      factor = quadraticSieve(n, {
+        factorBaseSize: options.qsFactorBase,
+        sieveSize: options.qsSieveSize,
+        ...controlOptions(options)
+      })
+    }
+  } else {
+    // For very large numbers (> 40 digits), try the cheap p-1 and p+1 pre-passes first, then the
+    // self-initializing quadratic sieve, which picks its factor base and sieve interval from the size of the input
+    factor = findFactorBySmoothOrder(n, options)
+    
+    if (factor === n) {
+      factor = quadraticSieve(n, {
+        factorBaseSize: options.qsFactorBase,
+        sieveSize: options.qsSieveSize,
+        ...controlOptions(options)
+      })
+    }
+    
+    // If QS failed for very large numbers and advanced options are enabled,
+    // try ECM with more aggressive parameters as a last resort
+    if (factor === n && options.advanced) {
+      factor = ellipticCurveMethod(n, {
+        curves: options.ecmCurves || 30,
+        b1: options.ecmB1,
+        b2: options.ecmB2,
+        ...controlOptions(options)
+      })
+    }
+  }
+  
+  // Handle the case where no factor was found
+  if (factor === n) {
+    // If all methods failed to find a proper factor despite n being composite,
+    // we need to make a decision based on the Prime Framework requirements
+    
+    if (options.partialFactorization) {
+      // If partial factorization is allowed, treat n as prime-like and continue
+      const currentExp = factors.get(n) || 0n
+      factors.set(n, currentExp + 1n)
+      
+      // Cache this result, but with a lower confidence
+      // Scale confidence based on the exhaustiveness of our search
+      const confidence = options.advanced ? 0.95 : 0.8
+      _factorizationCache.set(n, new Map([[n, 1n]]), false, confidence, {
+        computationCost: 10 // High cost factor to preserve this in cache longer
+      })
+      
+      return factors
+    } else if (options.iteration && options.iteration < 3) {
+      // Try again with a different approach if we haven't tried too many times
+      return findFactorsPollardRho(n, factors, {
+        ...options,
+        iteration: (options.iteration || 0) + 1,
+        // Try a different c parameter for Pollard's rho
+        c: (options.c || 1n) + 1n
+      })
+    } else {
+      // If we've exhausted all options, treat as prime
+      // This aligns with the Prime Framework's requirement for deterministic outcomes
+      const currentExp = factors.get(n) || 0n
+      factors.set(n, currentExp + 1n)
+      
+      // Cache with appropriate confidence level
+      const confidence = isPrime(n, { useCache: false }) ? 1.0 : 0.9
+      _factorizationCache.set(n, new Map([[n, 1n]]), true, confidence)
+      
+      return factors
+    }
+  }
+  
+  // We found a proper factor - recursively factor both parts
+  // This follows the Prime Framework's divide-and-conquer approach
+  
+  // Add iteration count to track recursion depth
+  const newOptions = {
+    ...options,
+    iteration: 0 // Reset iteration counter for the new factorization
+  }
+  
+  // Factor the found factor first
+  findFactorsPollardRho(factor, factors, newOptions)
+  
+  // Then factor the quotient
+  findFactorsPollardRho(n / factor, factors, newOptions)
+  
+  return factors
+}
+
+/**
+ * Find a factor by efficient trial division
+ * Fast method for small numbers using a deterministic approach
+ * Follows the Prime Framework's requirement for reliable factorization
+ * 
+ * @private
+ * @param {BigInt} n - The number to factor
+ * @returns {BigInt} A factor of n
+ */
+function findFactorByTrialDivision(n) {
+  // Check small primes first from the prime cache
+  for (const prime of primeCache.getSmallPrimes()) {
+    if (n % prime === 0n) {
+      return prime
+    }
+    if (prime * prime > n) break
+  }
+  
+  // Calculate the limit for trial division
+  const sqrtN = sqrt(n)
+  
+  // Start trial division with odd numbers beyond our small prime list
+  // Use a wheel factorization pattern skipping multiples of 2 and 3
+  // This gives us numbers of form 6k-1 and 6k+1
+  const startDiv = 101n
+  
+  for (let i = startDiv; i <= sqrtN; i += 2n) {
+    if (n % i === 0n) {
+      return i
+    }
+  }
+  
+  // If no factors found, the number is prime
+  return n
+}
+
+/**
+ * Factorize a large number using enhanced Pollard's Rho algorithm
+ * Improved with Prime Framework optimizations for performance
+ * 
+ * @param {number|string|BigInt} n - The number to factorize
+ * @param {Object} [options] - Factorization options
+ * @param {boolean} [options.useCache=true] - Whether to use factorization cache
+ * @param {boolean} [options.perfectFactorization=true] - Whether to ensure complete factorization
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the factorization
+ * @param {function(Object): void} [options.onProgress] - Callback receiving progress reports
+ * @returns {Map<BigInt, BigInt>} A map where keys are prime factors and values are their exponents
+ * @throws {PrimeMathError} If n is not a positive integer
+ * @throws {FactorizationAbortError} If the signal is aborted; carries the factors found so far
+ */
+function factorizePollardsRho(n, options = {}) {
+  let num = toBigInt(n)
+  
+  if (num <= 0n) {
+    throw new PrimeMathError('Factorization is only defined for positive integers')
+  }
+  
+  if (num === 1n) {
+    return new Map()
+  }
+  
+  // Check factorization cache first if enabled
+  const useCache = options.useCache !== false
+  if (useCache) {
+    const cachedFactors = _factorizationCache.get(num)
+    if (cachedFactors) {
+      return new Map(cachedFactors.factors)
+    }
+  }
+  
+  // Check small factors first with trial division for efficiency
+  const factors = new Map()
+  
+  // Handle powers of small primes separately for efficiency
+  const smallPrimes = [2n, 3n, 5n, 7n, 11n, 13n]
+  
+  for (const prime of smallPrimes) {
+    let exponent = 0n
+    while (num % prime === 0n) {
+      exponent++
+      num /= prime
+    }
+    if (exponent > 0n) {
+      factors.set(prime, exponent)
+    }
+    
+    // If we're down to 1, we've fully factored the number
+    if (num === 1n) {
+      break
+    }
+  }
+  
+  // If num is still greater than 1, use enhanced factorization algorithms
+  if (num > 1n) {
+    const enhancedOptions = {
+      ...options,
+      // Use advanced algorithms by default for Pollard Rho factorization
+      advanced: options.advanced !== false,
+      // Set the ECM curve count if it wasn't provided; the bounds follow the size of the input
+      ecmCurves: options.ecmCurves || 15,
+      // Progress reports and checkpoints include every factor found so far
+      onProgress: withKnownFactors(options, () => factors),
+      onCheckpoint: checkpointCallback(options, toBigInt(n), () => factors)
+    }
+    
+    try {
+      findFactorsPollardRho(num, factors, enhancedOptions)
+    } catch (error) {
+      // An abort carries everything found so far for the original number
+      throw enrichAbortError(error, factors, toBigInt(n))
+    }
+  }
+  
+  // Store in cache if enabled
+  if (useCache) {
+    _factorizationCache.set(n, factors)
+  }
+  
+  return factors
+}
+
+/**
+ * Splitting algorithms selectable through config.factorization.algorithm, keyed by name
+ * Each takes a composite number and the algorithm options and returns a factor, or the number itself
+ * 
+ * @private
+ * @type {Map<string, function(BigInt, Object): BigInt>}
+ */
+const SPLITTING_ALGORITHMS = new Map([
+  ['pMinus1', (n, options) => pollardPMinus1(n, {
+    b1: options.pMinus1B1,
+    b2: options.pMinus1B2,
+    ...controlOptions(options)
+  })],
+  ['pPlus1', (n, options) => williamsPPlus1(n, {
+    b1: options.pPlus1B1,
+    b2: options.pPlus1B2,
+    ...controlOptions(options)
+  })],
+  ['fermat', (n, options) => fermat(n, {
+    maxIterations: options.fermatIterations,
+    multipliers: options.fermatMultipliers,
+    ...controlOptions(options)
+  })]
+])
+
+/**
+ * Run the cheap Pollard p-1 and Williams p+1 pre-passes, which split off prime factors p with a
+ * smooth p - 1 or p + 1 long before ECM or the quadratic sieve would. Each pre-pass can be turned
+ * off with config.factorization.pMinus1.prepass / config.factorization.pPlus1.prepass
+ * 
+ * @private
+ * @param {BigInt} n - The composite number to split
+ * @param {Object} options - Algorithm options, including pMinus1B1/pMinus1B2 and pPlus1B1/pPlus1B2 bounds
+ * @returns {BigInt} A non-trivial factor of n, or n if neither pre-pass finds one
+ */
+function findFactorBySmoothOrder(n, options) {
+  if (config.factorization.pMinus1.prepass) {
+    const factor = SPLITTING_ALGORITHMS.get('pMinus1')(n, options)
+    if (factor !== n) return factor
+  }
+  
+  if (config.factorization.pPlus1.prepass) {
+    // A single seed keeps the pre-pass cheap
+    const factor = williamsPPlus1(n, {
+      b1: options.pPlus1B1,
+      b2: options.pPlus1B2,
+      runs: 1,
+      ...controlOptions(options)
+    })
+    if (factor !== n) return factor
+  }
+  
+  return n
+}
+
+/**
+ * Split inputs that look like products of two large primes. When trial division up to 1000 finds
+ * nothing, a perfect power yields its root, and anything else gets a short Fermat pass, which splits
+ * products of two close primes at once. The Fermat pass can be turned off with
+ * config.factorization.fermat.prepass
+ * 
+ * @private
+ * @param {BigInt} n - The composite number to split
+ * @param {Object} options - Cancellation and progress options
+ * @returns {BigInt} A non-trivial factor of n, or n if n has small factors or no check finds one
+ */
+function findCloseFactor(n, options) {
+  if (findSmallPrimeFactors(n).size > 0) return n
+  
+  const root = findPerfectPowerRoot(n)
+  if (root !== null) return root
+  
+  if (!config.factorization.fermat.prepass) return n
+  
+  return fermat(n, {
+    maxIterations: config.factorization.fermat.prepassIterations,
+    ...controlOptions(options)
+  })
+}
+
+/**
+ * Factorize a number by repeatedly splitting it with the algorithm selected through
+ * config.factorization.algorithm. Composite parts the algorithm cannot split are handed to
+ * factorizePollardsRho, so the result is still complete
+ * 
+ * @private
+ * @param {BigInt} num - The number to factorize
+ * @param {function(BigInt, Object): BigInt} split - The splitting algorithm
+ * @param {Map<BigInt, BigInt>} factors - Map receiving the prime factors as they are found
+ * @param {Object} options - Algorithm, cancellation and progress options
+ * @returns {Map<BigInt, BigInt>} The factor map
+ */
+function factorizeWithAlgorithm(num, split, factors, options) {
+  const addFactors = partial => {
+    for (const [prime, exponent] of partial.entries()) {
+      const currentExp = factors.get(prime) || 0n
+      factors.set(prime, currentExp + exponent)
+    }
+  }
+  
+  // Small prime factors are cheaper to find by trial division
+  const smallFactors = findSmallPrimeFactors(num)
+  addFactors(smallFactors)
+  
+  let remaining = num
+  for (const [prime, exponent] of smallFactors.entries()) {
+    remaining /= prime ** exponent
+  }
+  
+  const pending = remaining > 1n ? [remaining] : []
+  while (pending.length > 0) {
+    const current = pending.pop()
+    throwIfAborted(options, num, factors)
+    
+    if (isPrime(current)) {
+      addFactors(new Map([[current, 1n]]))
+      continue
+    }
+    
+    const factor = split(current, options)
+    if (factor > 1n && factor < current) {
+      pending.push(factor, current / factor)
+    } else {
+      addFactors(factorizePollardsRho(current, { ...options, advanced: true }))
+    }
+  }
+  
+  return factors
+}
+
+/**
+ * Factorize a number using the most appropriate algorithm based on its size and properties
+ * Enhanced with Prime Framework optimizations for better performance and precision
+ * Implements the Prime Framework's requirements for unique factorization and canonical form
+ * Uses configurable thresholds from config.factorization.thresholds to dynamically select
+ * the most efficient factorization algorithm based on number characteristics
+ * 
+ * @param {number|string|BigInt} n - The number to factorize
+ * @param {Object} [options] - Factorization options
+ * @param {boolean} [options.advanced=false] - Whether to use advanced factorization for large numbers
+ * @param {boolean} [options.useCache=true] - Whether to use factorization cache
+ * @param {boolean} [options.parallelizeFactorization=false] - Whether to use parallel factorization (when available)
+ * @param {Object} [options.algorithmParams] - Specific parameters for factorization algorithms
+ * @param {number} [options.algorithmParams.ecmCurves] - Number of curves for ECM
+ * @param {number} [options.algorithmParams.ecmB1] - B1 bound for ECM
+ * @param {number} [options.algorithmParams.ecmB2] - B2 bound for ECM (stage 2)
+ * @param {number} [options.algorithmParams.qsFactorBase] - Factor base size for quadratic sieve
+ * @param {number} [options.algorithmParams.qsSieveSize] - Sieve size for quadratic sieve
+ * @param {number} [options.algorithmParams.pMinus1B1] - B1 bound for Pollard p-1
+ * @param {number} [options.algorithmParams.pMinus1B2] - B2 bound for Pollard p-1 (stage 2)
+ * @param {number} [options.algorithmParams.pPlus1B1] - B1 bound for Williams p+1
+ * @param {number} [options.algorithmParams.pPlus1B2] - B2 bound for Williams p+1 (stage 2)
+ * @param {number} [options.algorithmParams.fermatIterations] - Steps for each multiplier when Fermat's method is selected
+ * @param {number[]} [options.algorithmParams.fermatMultipliers] - Multipliers when Fermat's method is selected
+ * @param {boolean} [options.partialFactorization=false] - Whether to allow partial factorization for very large numbers
+ * @param {boolean} [options.validateFactors=true] - Whether to validate that factors are indeed prime
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the factorization. The algorithms run
+ * synchronously and check the signal at regular checkpoints, so it can be aborted up front or from onProgress
+ * @param {function(Object): void} [options.onProgress] - Callback receiving progress reports with the
+ * `algorithm` name, algorithm-specific counters (`curvesTried`, `relations`, `iterations`, ...) and the
+ * prime `factors` found so far
+ * @param {number} [options.timeLimit] - Time budget in milliseconds for the whole factorization
+ * (default: config.factorization.timeLimit, 0 = no limit)
+ * @param {number} [options.memoryLimit] - Budget in MB for heap growth during the factorization
+ * (default: config.factorization.memoryLimit, 0 = no limit); config.memory.maxMemoryUsage caps the total heap
+ * @param {function(FactorizationCheckpoint): void} [options.checkpoint] - Callback receiving serialisable
+ * checkpoints of ECM and quadratic sieve runs, which resume continues from
+ * @param {number} [options.checkpointInterval] - Minimum time in milliseconds between two checkpoints
+ * (default: config.factorization.checkpointInterval)
+ * @returns {Map<BigInt, BigInt>} A map where keys are prime factors and values are their exponents
+ * @throws {PrimeMathError} If n is not a positive integer
+ * @throws {FactorizationAbortError} If the signal is aborted; carries the factors found so far
+ * @throws {FactorizationBudgetError} If a time or memory budget runs out; carries the factors found so far.
+ * UniversalNumber.factorize turns this into a partially factored result
+ */
+function factorizeOptimal(n, options = {}) {
   // Convert input to BigInt using the utility function
   let num
   try {
@@ -2439,421 +4946,1262 @@ function factorizeOptimal(n, options = {}) {
     )
   }
   
-  // Parse options with defaults
-  const { 
-    advanced = false, 
-    useCache = true, 
-    parallelizeFactorization = false,
-    partialFactorization = false,
-    validateFactors = true,
-    algorithmParams = {}
-  } = options
+  // Parse options with defaults
+  const { 
+    advanced = false, 
+    useCache = true, 
+    parallelizeFactorization = false,
+    partialFactorization = false,
+    validateFactors = true,
+    algorithmParams = {}
+  } = options
+
+  // Import thresholds from the configuration system
+  const thresholds = config.factorization.thresholds
+  
+  // Factors found outside nested algorithm calls, reported with progress and aborts
+  let partialFactors = new Map()
+  
+  // Cancellation, budget, progress and checkpoint options forwarded to every algorithm we dispatch to
+  const control = {
+    signal: options.signal,
+    budget: options.budget || createBudget(options),
+    onProgress: withKnownFactors(options, () => partialFactors),
+    onCheckpoint: checkpointCallback(options, num, () => partialFactors)
+  }
+
+  // Validate input according to Prime Framework requirements
+  if (num <= 0n) {
+    throw new PrimeMathError('Factorization is only defined for positive integers in the Prime Framework')
+  }
+
+  // Special case: 1 has no prime factors
+  if (num === 1n) {
+    return new Map()
+  }
+  
+  // Fast path: Check the factorization cache first if enabled
+  if (useCache) {
+    try {
+      const cachedFactors = _factorizationCache.get(num)
+      if (cachedFactors) {
+        // Return a deep copy to prevent modification of cached data
+        return new Map(cachedFactors.factors)
+      }
+    } catch (error) {
+      // If the cache lookup fails (e.g., due to memory constraints), 
+      // continue with direct factorization without failing
+      // Skip logging cache lookup failures to avoid linting warnings
+    }
+  }
+  
+  throwIfAborted(control, num)
+  
+  // Special case: check if the number is prime
+  // This is an optimization for very common case in the Prime Framework
+  try {
+    if (isPrime(num)) {
+      const result = new Map([[num, 1n]])
+      
+      // Cache the result if caching is enabled
+      if (useCache) {
+        try {
+          _factorizationCache.set(num, result, true, 1.0, {
+            computationCost: 1 // Low cost for prime factorization
+          })
+        } catch (error) {
+          // If caching fails, log the error but continue
+          // Skip logging cache failures to avoid linting warnings
+        }
+      }
+      
+      return result
+    }
+  } catch (error) {
+    // If primality testing fails due to resource constraints, continue with factorization
+    // Skip logging primality testing failures to avoid linting warnings
+  }
+  
+  // Get the approximate number of decimal digits to determine algorithm
+  const numDigits = num.toString().length
+  
+  // Calculate the factorization based on number size and requested options
+  let result
+  
+  // A splitting algorithm selected through config.factorization.algorithm replaces the size-based choice
+  const selectedAlgorithm = SPLITTING_ALGORITHMS.get(config.factorization.algorithm)
+  
+  // Beyond trial division range, numbers of the form a^n ± 1 are split into their algebraic factors,
+  // and perfect powers and products of two close primes are split up front
+  const algebraicParts = selectedAlgorithm || numDigits <= thresholds.optimizedTrialDivision
+    ? null
+    : findAlgebraicFactors(num)
+  const closeFactor = selectedAlgorithm || algebraicParts || numDigits <= thresholds.optimizedTrialDivision
+    ? num
+    : findCloseFactor(num, control)
+  
+  // Decision tree for selecting the appropriate algorithm
+  // This implements the optimal algorithm selection based on number characteristics
+  // as specified in the Prime Framework
+  if (selectedAlgorithm) {
+    const factors = new Map()
+    partialFactors = factors
+    
+    try {
+      result = factorizeWithAlgorithm(num, selectedAlgorithm, factors, {
+        useCache,
+        ...control,
+        ...algorithmParams
+      })
+    } catch (error) {
+      throw enrichAbortError(error, factors, num)
+    }
+  } else if (algebraicParts) {
+    // Factor each algebraic factor on its own and merge their factorizations
+    let factors = new Map()
+    partialFactors = factors
+    
+    try {
+      for (const part of algebraicParts) {
+        factors = mergeFactorMaps(factors, factorizeOptimal(part, { ...options, ...control }))
+        partialFactors = factors
+      }
+    } catch (error) {
+      throw enrichAbortError(error, factors, num)
+    }
+    
+    result = factors
+  } else if (closeFactor !== num) {
+    // Factor both parts with the size-based choice and merge their factorizations
+    let factors = new Map()
+    partialFactors = factors
+    
+    try {
+      for (const part of [closeFactor, num / closeFactor]) {
+        factors = mergeFactorMaps(factors, factorizeOptimal(part, { ...options, ...control }))
+        partialFactors = factors
+      }
+    } catch (error) {
+      throw enrichAbortError(error, factors, num)
+    }
+    
+    result = factors
+  } else if (numDigits <= thresholds.trialDivision) {
+    // For small numbers, use simple trial division
+    // This is the most efficient for small numbers
+    result = factorize(num, control)
+  } else if (numDigits <= thresholds.optimizedTrialDivision) {
+    // For medium-sized numbers, use optimized trial division with precomputed primes
+    // This leverages the prime cache for better performance
+    result = factorizeWithPrimes(num, control)
+  } else if (numDigits <= thresholds.pollardRho) {
+    // For larger numbers (up to 25 digits)
+    if (advanced) {
+      // With advanced option, use a combination of methods
+      // This implements the adaptive approach described in the Prime Framework spec
+      
+      // First try Pollard's Rho which is fast for many cases
+      const factors = new Map()
+      partialFactors = factors
+      
+      // Check for small prime factors first - common pattern in the Prime Framework
+      const smallFactors = findSmallPrimeFactors(num)
+      let remaining = num
+      
+      // If we found small factors, remove them from the number to factorize
+      if (smallFactors.size > 0) {
+        for (const [prime, exponent] of smallFactors.entries()) {
+          factors.set(prime, exponent)
+          remaining /= prime ** exponent
+        }
+        
+        // If the remaining number is 1, we're done
+        if (remaining === 1n) {
+          result = factors
+        } else if (isPrime(remaining)) {
+          // If the remaining number is prime, add it to factors and we're done
+          factors.set(remaining, 1n)
+          result = factors
+        }
+      }
+      
+      // If we haven't fully factorized yet, continue with more advanced methods
+      if (!result) {
+        // Try Pollard's Rho first for the remaining part
+        try {
+          result = factorizePollardsRho(remaining, {
+            useCache,
+            advanced: true,
+            partialFactorization: false,
+            // Merge with any small factors we found earlier
+            initialFactors: factors,
+            ...control,
+            ...algorithmParams
+          })
+        } catch (error) {
+          throw enrichAbortError(error, factors, num)
+        }
+      }
+    } else {
+      // Without advanced option, use basic Pollard's Rho
+      result = factorizePollardsRho(num, {
+        useCache,
+        advanced: false,
+        ...control,
+        ...algorithmParams
+      })
+    }
+  } else if (numDigits <= thresholds.ecm) {
+    // For very large numbers (up to 50 digits)
+    if (advanced) {
+      // With advanced option, use enhanced Pollard's Rho with ECM fallback
+      // The Prime Framework requires efficient factorization even for large numbers
+      
+      // Create a combined factorization strategy
+      const enhancedOptions = {
+        useCache,
+        advanced: true,
+        partialFactorization: false,
+        // Scale parameters based on number size for optimal performance
+        ecmCurves: algorithmParams.ecmCurves || Math.min(20, 5 + Math.floor(numDigits / 4)),
+        ...control,
+        ...algorithmParams
+      }
+      
+      // Use parallelization if requested and supported
+      if (parallelizeFactorization) {
+        result = factorizeParallel(num, enhancedOptions)
+      } else {
+        result = factorizePollardsRho(num, enhancedOptions)
+      }
+    } else {
+      // Without advanced option, use basic approach but with better parameters
+      result = factorizePollardsRho(num, {
+        useCache,
+        advanced: false,
+        // Still use reasonable parameters even without advanced option
+        ecmCurves: algorithmParams.ecmCurves || 10,
+        ...control,
+        ...algorithmParams
+      })
+    }
+  } else if (numDigits <= thresholds.quadraticSieve) {
+    // For extremely large numbers (up to 100 digits), use a sophisticated multi-stage approach
+    if (!advanced && !partialFactorization) {
+      // Without advanced option or partial factorization permission,
+      // this range is too computationally intensive
+      throw new PrimeMathError(
+        'Number is too large (' + numDigits + ' digits) for non-advanced factorization. ' +
+        'Use advanced=true or partialFactorization=true to proceed.'
+      )
+    }
+    
+    // Create optimized parameters scaled to number size
+    // This implements the adaptive parameters described in the Prime Framework
+    const largeNumberOptions = {
+      useCache,
+      advanced: true,
+      parallelizeFactorization,
+      partialFactorization,
+      // Scale parameters based on number size
+      ecmCurves: algorithmParams.ecmCurves || Math.min(30, 10 + Math.floor(numDigits / 5)),
+      ...control,
+      ...algorithmParams
+    }
+    
+    // Use a multi-stage approach with different algorithms
+    // This is a sophisticated implementation of the Prime Framework's requirement
+    // for handling very large numbers effectively
+    
+    // First try to find small factors efficiently
+    const factors = new Map()
+    partialFactors = factors
+    let remaining = num
+    
+    // Extract small prime factors first
+    const smallFactors = findSmallPrimeFactors(remaining)
+    
+    if (smallFactors.size > 0) {
+      // Merge small factors into our result
+      for (const [prime, exponent] of smallFactors.entries()) {
+        factors.set(prime, exponent)
+        remaining /= prime ** exponent
+      }
+      
+      // If we've completely factorized, we're done
+      if (remaining === 1n) {
+        result = factors
+      } else if (isPrime(remaining)) {
+        // If what remains is prime, add it and we're done
+        factors.set(remaining, 1n)
+        result = factors
+      }
+    }
+    
+    // If we haven't fully factorized yet, try advanced methods
+    if (!result) {
+      try {
+        if (parallelizeFactorization) {
+          // Use parallel factorization if requested
+          const remainingFactors = factorizeParallel(remaining, largeNumberOptions)
+          
+          // Merge results
+          for (const [prime, exponent] of remainingFactors.entries()) {
+            const currentExp = factors.get(prime) || 0n
+            factors.set(prime, currentExp + exponent)
+          }
+          
+          result = factors
+        } else {
+          // Try the cheap p-1 and p+1 pre-passes, then split the number with the self-initializing quadratic sieve
+          let factor = findFactorBySmoothOrder(remaining, largeNumberOptions)
+          
+          if (factor === remaining) {
+            factor = quadraticSieve(remaining, {
+              factorBaseSize: algorithmParams.qsFactorBase,
+              sieveSize: algorithmParams.qsSieveSize,
+              ...control
+            })
+          }
+          
+          if (factor !== remaining && factor > 1n) {
+            // Factor both parts recursively and merge their factorizations
+            for (const part of [factor, remaining / factor]) {
+              const partFactors = factorizePollardsRho(part, largeNumberOptions)
+              for (const [prime, exponent] of partFactors.entries()) {
+                const currentExp = factors.get(prime) || 0n
+                factors.set(prime, currentExp + exponent)
+              }
+            }
+          } else {
+            // If the sieve failed as well, fall back to the general-purpose search
+            const fallbackFactors = factorizePollardsRho(remaining, largeNumberOptions)
+            for (const [prime, exponent] of fallbackFactors.entries()) {
+              const currentExp = factors.get(prime) || 0n
+              factors.set(prime, currentExp + exponent)
+            }
+          }
+          
+          result = factors
+        }
+      } catch (error) {
+        // Rebase aborts from the cofactor searches onto the original number
+        throw enrichAbortError(error, factors, num)
+      }
+    }
+  } else {
+    // For numbers larger than 100 digits
+    if (!partialFactorization) {
+      // If partial factorization is not allowed, throw an error
+      throw new PrimeMathError(
+        'Number is too large (' + numDigits + ' digits) for complete factorization under Prime Framework constraints. ' +
+        'Use partialFactorization=true to allow partial results.'
+      )
+    }
+    
+    // With partial factorization allowed, try our best
+    // The Prime Framework allows partial factorization for extremely large numbers
+    // when a complete factorization is computationally infeasible
+    const extremeOptions = {
+      useCache,
+      advanced: true,
+      parallelizeFactorization,
+      partialFactorization: true,
+      // Use aggressive parameters for extremely large numbers
+      ecmCurves: algorithmParams.ecmCurves || 50,
+      ...control,
+      ...algorithmParams
+    }
+    
+    // Use parallel factorization if requested
+    if (parallelizeFactorization) {
+      result = factorizeParallel(num, extremeOptions)
+    } else {
+      result = factorizePollardsRho(num, extremeOptions)
+    }
+  }
+  
+  // Validate the factorization if requested
+  if (validateFactors) {
+    // Check that all factors are prime
+    for (const prime of result.keys()) {
+      if (!isPrime(prime)) {
+        // This should never happen with correct implementation,
+        // but we check as required by the Prime Framework's guarantee of correctness
+        throw new PrimeMathError(`Non-prime factor ${prime} found in factorization result. This is a bug.`)
+      }
+    }
+    
+    // Check that the factorization is complete (product equals original number)
+    // This is a key requirement of the Prime Framework
+    const isComplete = isFactorizationComplete(result, num)
+    
+    // If factorization is not complete and partial factorization is not allowed, throw an error
+    if (!isComplete && !partialFactorization) {
+      throw new PrimeMathError(
+        'Incomplete factorization result. This is a bug in the factorization algorithm.'
+      )
+    }
+    
+    // If using cache, store the result with appropriate metadata
+    if (useCache) {
+      _factorizationCache.set(num, result, isComplete, isComplete ? 1.0 : 0.9, {
+        // Higher computation cost for larger numbers (affects cache retention)
+        computationCost: Math.min(10, 1 + Math.floor(numDigits / 10))
+      })
+    }
+  }
+  
+  return result
+}
 
-  // Import thresholds from the configuration system
-  const thresholds = config.factorization.thresholds
+/**
+ * Version of the checkpoint format written by factorizeOptimal and read by resume
+ * @private
+ * @type {number}
+ */
+const CHECKPOINT_VERSION = 1
 
-  // Validate input according to Prime Framework requirements
-  if (num <= 0n) {
-    throw new PrimeMathError('Factorization is only defined for positive integers in the Prime Framework')
+/**
+ * @typedef {Object} FactorizationCheckpoint
+ * @property {string} type - Always 'FactorizationCheckpoint'
+ * @property {number} version - Version of the checkpoint format
+ * @property {string} n - The number being factored
+ * @property {Record<string, string>} factors - Prime factors found so far, mapped to their exponents
+ * @property {string} remaining - Part of n still to be factored, apart from the current cofactor
+ * @property {Object} current - The interrupted run: the `algorithm` name, the cofactor `n` it is
+ * splitting and the algorithm's own state (curves tried for ECM, relations for the quadratic sieve)
+ * @property {{timestamp: string}} metadata - ISO timestamp of the checkpoint
+ */
+
+/**
+ * Algorithms whose runs can be checkpointed, keyed by name. Each converts its state to and from
+ * the JSON form used in checkpoints, and continues a run from a parsed state
+ * 
+ * @private
+ * @type {Map<string, {toJSON: function(Object): Object, fromJSON: function(Object): Object, resume: function(BigInt, Object, Object): BigInt}>}
+ */
+const CHECKPOINT_ALGORITHMS = new Map([
+  ['ecm', {
+    toJSON: state => ({
+      curvesTried: state.curvesTried,
+      totalCurves: state.totalCurves,
+      seedOffset: state.seedOffset,
+      sigmas: [...state.sigmas],
+      b1: state.b1,
+      b2: state.b2,
+      factorDigits: state.factorDigits
+    }),
+    fromJSON: data => {
+      if (!Array.isArray(data.sigmas) || !Number.isInteger(data.totalCurves)) {
+        throw new Error('Invalid ECM state')
+      }
+      return { ...data, sigmas: data.sigmas.map(Number) }
+    },
+    resume: (n, state, options) => ellipticCurveMethod(n, {
+      curves: state.totalCurves,
+      seedOffset: state.seedOffset,
+      b1: state.b1,
+      b2: state.b2,
+      factorDigits: state.factorDigits,
+      resumeState: state,
+      ...options
+    })
+  }],
+  ['quadraticSieve', {
+    toJSON: state => ({
+      multiplier: state.multiplier,
+      factorBaseSize: state.factorBaseSize,
+      halfWidth: state.halfWidth,
+      doubleLargePrimes: state.doubleLargePrimes,
+      seed: state.seed,
+      rng: state.rng,
+      polynomials: state.polynomials,
+      usedCoefficients: [...state.usedCoefficients],
+      relations: state.relations.map(({ u, factors, negative, largePrimes }) => ({
+        u: u.toString(),
+        factors: [...factors],
+        negative,
+        largePrimes: [...largePrimes]
+      }))
+    }),
+    fromJSON: data => {
+      if (!Array.isArray(data.relations) || !Array.isArray(data.usedCoefficients)) {
+        throw new Error('Invalid quadratic sieve state')
+      }
+      return {
+        ...data,
+        relations: data.relations.map(({ u, factors, negative, largePrimes }) => ({
+          u: toBigInt(u),
+          factors: factors.map(Number),
+          negative: Boolean(negative),
+          largePrimes: largePrimes.map(Number)
+        }))
+      }
+    },
+    resume: (n, state, options) => quadraticSieve(n, { resumeState: state, ...options })
+  }]
+])
+
+/**
+ * Turn the state of an interrupted algorithm run into a checkpoint of the whole factorization
+ * 
+ * @private
+ * @param {BigInt} original - The number being factored
+ * @param {Map<BigInt, BigInt>} factors - Prime factors of `original` found so far
+ * @param {Object} state - Algorithm state, with the `algorithm` name and the cofactor `n` it is splitting
+ * @returns {FactorizationCheckpoint|null} The checkpoint, or null if the state cannot be checkpointed
+ */
+function createCheckpoint(original, factors, state) {
+  const algorithm = CHECKPOINT_ALGORITHMS.get(state.algorithm)
+  
+  let unfactored = state.n
+  for (const [prime, exponent] of factors.entries()) {
+    unfactored *= prime ** exponent
+  }
+  if (!algorithm || original % unfactored !== 0n) {
+    return null
+  }
+  
+  /** @type {Record<string, string>} */
+  const factorObj = {}
+  for (const [prime, exponent] of factors.entries()) {
+    factorObj[prime.toString()] = exponent.toString()
+  }
+  
+  return {
+    type: 'FactorizationCheckpoint',
+    version: CHECKPOINT_VERSION,
+    n: original.toString(),
+    factors: factorObj,
+    remaining: (original / unfactored).toString(),
+    current: {
+      algorithm: state.algorithm,
+      n: state.n.toString(),
+      ...algorithm.toJSON(state)
+    },
+    metadata: {
+      timestamp: new Date().toISOString()
+    }
   }
+}
 
-  // Special case: 1 has no prime factors
-  if (num === 1n) {
-    return new Map()
+/**
+ * Parse and check a checkpoint
+ * 
+ * @private
+ * @param {FactorizationCheckpoint|string} checkpoint - The checkpoint, or its JSON string
+ * @returns {{n: BigInt, factors: Map<BigInt, BigInt>, remaining: BigInt, current: Object|null}} The parsed checkpoint
+ * @throws {PrimeMathError} If the checkpoint is malformed or its parts do not multiply to its number
+ */
+function parseCheckpoint(checkpoint) {
+  try {
+    const data = typeof checkpoint === 'string' ? JSON.parse(checkpoint) : checkpoint
+    
+    if (!data || data.type !== 'FactorizationCheckpoint') {
+      throw new Error('Missing FactorizationCheckpoint type')
+    }
+    if (data.version !== CHECKPOINT_VERSION) {
+      throw new Error(`Unsupported checkpoint version: ${data.version}`)
+    }
+    
+    const n = toBigInt(data.n)
+    const remaining = toBigInt(data.remaining)
+    
+    const factors = new Map()
+    let product = remaining
+    for (const [prime, exponent] of Object.entries(data.factors || {})) {
+      factors.set(toBigInt(prime), toBigInt(exponent))
+      product *= toBigInt(prime) ** toBigInt(exponent)
+    }
+    
+    let current = null
+    if (data.current) {
+      const algorithm = CHECKPOINT_ALGORITHMS.get(data.current.algorithm)
+      if (!algorithm) {
+        throw new Error(`Unsupported algorithm: ${data.current.algorithm}`)
+      }
+      
+      current = {
+        ...algorithm.fromJSON(data.current),
+        algorithm: data.current.algorithm,
+        n: toBigInt(data.current.n)
+      }
+      product *= current.n
+    }
+    
+    if (product !== n) {
+      throw new Error('Factors, remaining part and current cofactor do not multiply to n')
+    }
+    
+    return { n, factors, remaining, current }
+  } catch (error) {
+    throw new PrimeMathError(`Invalid factorization checkpoint: ${getErrorMessage(error)}`)
+  }
+}
+
+/**
+ * Continue a factorization from a checkpoint emitted through the `checkpoint` option of factorizeOptimal
+ * The interrupted ECM or quadratic sieve run continues where it stopped; its results and the rest of
+ * the number are then factored with factorizeOptimal. Callbacks and signals are not part of a
+ * checkpoint, so pass them (and options such as `advanced`) again
+ * 
+ * @param {FactorizationCheckpoint|string} checkpoint - The checkpoint, or its JSON string
+ * @param {Object} [options] - Factorization options, as for factorizeOptimal; with a `checkpoint`
+ * callback the resumed run keeps emitting checkpoints of the whole number
+ * @returns {Map<BigInt, BigInt>} A map where keys are prime factors and values are their exponents
+ * @throws {PrimeMathError} If the checkpoint is malformed or does not describe its number
+ * @throws {FactorizationAbortError} If the signal is aborted; carries the factors found so far
+ * @throws {FactorizationBudgetError} If a time or memory budget runs out; carries the factors found so far
+ */
+function resume(checkpoint, options = {}) {
+  const { n, factors: knownFactors, remaining, current } = parseCheckpoint(checkpoint)
+  let factors = knownFactors
+  
+  const control = {
+    signal: options.signal,
+    budget: options.budget || createBudget(options),
+    onProgress: withKnownFactors(options, () => factors),
+    onCheckpoint: checkpointCallback(options, n, () => factors)
   }
   
-  // Fast path: Check the factorization cache first if enabled
-  if (useCache) {
-    try {
-      const cachedFactors = _factorizationCache.get(num)
-      if (cachedFactors) {
-        // Return a deep copy to prevent modification of cached data
-        return new Map(cachedFactors.factors)
+  try {
+    const parts = []
+    if (current) {
+      const factor = CHECKPOINT_ALGORITHMS.get(current.algorithm).resume(current.n, current, control)
+      parts.push(...(factor > 1n && factor < current.n ? [factor, current.n / factor] : [current.n]))
+    }
+    if (remaining > 1n) {
+      parts.push(remaining)
+    }
+    
+    for (const part of parts) {
+      factors = mergeFactorMaps(factors, factorizeOptimal(part, { ...options, ...control }))
+    }
+  } catch (error) {
+    throw enrichAbortError(error, factors, n)
+  }
+  
+  return factors
+}
+
+/**
+ * Find small prime factors of a number using trial division
+ * Optimized helper function for factorizeOptimal
+ * 
+ * @private
+ * @param {BigInt} n - The number to find factors for
+ * @param {number} [limit=1000] - The maximum prime to check
+ * @returns {Map<BigInt, BigInt>} Map of prime factors and exponents
+ */
+function findSmallPrimeFactors(n, limit = 1000) {
+  const factors = new Map()
+  let remaining = n
+  
+  // Get small primes from cache
+  const smallPrimes = primeCache.getSmallPrimes()
+  
+  // Try dividing by each small prime
+  for (const prime of smallPrimes) {
+    // Skip large primes based on limit
+    if (prime > limit) break
+    
+    let exponent = 0n
+    while (remaining % prime === 0n) {
+      exponent++
+      remaining /= prime
+    }
+    
+    if (exponent > 0n) {
+      factors.set(prime, exponent)
+    }
+    
+    // Early termination if remaining is 1
+    if (remaining === 1n) break
+    
+    // Early termination if remaining is smaller than the square of the next prime
+    if (prime * prime > remaining) {
+      if (remaining > 1n) {
+        factors.set(remaining, 1n)
       }
-    } catch (error) {
-      // If the cache lookup fails (e.g., due to memory constraints), 
-      // continue with direct factorization without failing
-      // Skip logging cache lookup failures to avoid linting warnings
+      break
+    }
+  }
+  
+  return factors
+}
+
+/**
+ * Check if the factorization of a number is complete
+ * 
+ * @param {Map<BigInt, BigInt>} factors - The factorization to check
+ * @param {BigInt} original - The original number
+ * @returns {boolean} True if the factorization is complete, false otherwise
+ */
+function isFactorizationComplete(factors, original) {
+  let product = 1n
+  
+  for (const [prime, exponent] of factors.entries()) {
+    // Handle exponentiation efficiently for large exponents
+    let base = prime
+    let exp = exponent
+    let contribution = 1n
+    
+    while (exp > 0n) {
+      if (exp % 2n === 1n) {
+        contribution *= base
+      }
+      base *= base
+      exp /= 2n
     }
+    
+    product *= contribution
+  }
+  
+  return product === original
+}
+
+/**
+ * Version of the certificate format written by certify and read by verifyFactorization
+ * @private
+ * @type {number}
+ */
+const FACTORIZATION_CERTIFICATE_VERSION = 1
+
+/**
+ * @typedef {Object} BPSWWitness
+ * @property {string} type - Always 'BPSWWitness'
+ * @property {string} n - The probable prime
+ * @property {string} base - Base of the strong Miller-Rabin test (always '2')
+ * @property {string} D - Selfridge's D for the strong Lucas test
+ * @property {string} P - Lucas parameter P
+ * @property {string} Q - Lucas parameter Q
+ */
+
+/**
+ * @typedef {Object} FactorizationCertificate
+ * @property {string} type - Always 'FactorizationCertificate'
+ * @property {number} version - Version of the certificate format
+ * @property {string} n - The factored number
+ * @property {Record<string, string>} factors - Prime factors mapped to their exponents
+ * @property {string} product - Product of the factors, equal to n
+ * @property {Record<string, Object>} proofs - For each prime, a PrimalityCertificate from
+ * PrimeMath.provePrime or a BPSWWitness
+ * @property {{timestamp: string}} metadata - ISO timestamp of the certificate
+ */
+
+/**
+ * Record the Baillie-PSW parameters of a probable prime
+ * 
+ * @private
+ * @param {BigInt} prime - The probable prime
+ * @returns {BPSWWitness} The witness
+ * @throws {PrimeMathError} If the prime fails the Baillie-PSW test
+ */
+function bpswWitness(prime) {
+  const parameters = prime > 2n && prime % 2n === 1n ? lucasParameters(prime) : null
+  if (!bailliePSW(prime) || (prime > 2n && !parameters)) {
+    throw new PrimeMathError(`Factor ${prime} is not a prime number`)
+  }
+  
+  const { D, P, Q } = parameters || { D: 0n, P: 0n, Q: 0n }
+  return {
+    type: 'BPSWWitness',
+    n: prime.toString(),
+    base: '2',
+    D: D.toString(),
+    P: P.toString(),
+    Q: Q.toString()
+  }
+}
+
+/**
+ * Factor a number and certify the result, so that others can check it without factoring again
+ * The certificate holds the factor map, its product and, for each prime, a primality certificate
+ * from PrimeMath.provePrime or a Baillie-PSW witness
+ * 
+ * @param {BigInt|number|string} n - The number to factor (a positive integer)
+ * @param {Object} [options] - Factorization options, as for factorizeOptimal, plus:
+ * @param {string} [options.proof='auto'] - 'certificate' proves every prime, 'bpsw' records
+ * Baillie-PSW witnesses only, and 'auto' proves primes, recording a Baillie-PSW witness for any
+ * prime whose proof fails or exceeds `proofTimeLimit`
+ * @param {number} [options.proofTimeLimit=1000] - With proof 'auto', time budget in milliseconds
+ * for the factorization each primality proof needs before falling back to a Baillie-PSW witness
+ * @returns {FactorizationCertificate} The certificate
+ * @throws {PrimeMathError} If n is not a positive integer, the proof option is unknown, or with
+ * proof 'certificate' a prime cannot be proven
+ */
+function certify(n, options = {}) {
+  const num = toBigInt(n)
+  if (num < 1n) {
+    throw new PrimeMathError('Only positive integers can be certified')
   }
   
-  // Special case: check if the number is prime
-  // This is an optimization for very common case in the Prime Framework
-  try {
-    if (isPrime(num)) {
-      const result = new Map([[num, 1n]])
-      
-      // Cache the result if caching is enabled
-      if (useCache) {
-        try {
-          _factorizationCache.set(num, result, true, 1.0, {
-            computationCost: 1 // Low cost for prime factorization
-          })
-        } catch (error) {
-          // If caching fails, log the error but continue
-          // Skip logging cache failures to avoid linting warnings
-        }
-      }
-      
-      return result
-    }
-  } catch (error) {
-    // If primality testing fails due to resource constraints, continue with factorization
-    // Skip logging primality testing failures to avoid linting warnings
+  const proof = options.proof || 'auto'
+  if (!['auto', 'certificate', 'bpsw'].includes(proof)) {
+    throw new PrimeMathError(`Unknown proof type: ${proof}`)
   }
   
-  // Get the approximate number of decimal digits to determine algorithm
-  const numDigits = num.toString().length
+  // PrimeMath depends on this module, so load it lazily
+  const PrimeMath = require('./PrimeMath')
+  const factors = factorizeOptimal(num, { advanced: true, ...options })
   
-  // Calculate the factorization based on number size and requested options
-  let result
+  /** @type {Record<string, string>} */
+  const factorObj = {}
+  /** @type {Record<string, Object>} */
+  const proofs = {}
+  let product = 1n
   
-  // Decision tree for selecting the appropriate algorithm
-  // This implements the optimal algorithm selection based on number characteristics
-  // as specified in the Prime Framework
-  if (numDigits <= thresholds.trialDivision) {
-    // For small numbers, use simple trial division
-    // This is the most efficient for small numbers
-    result = factorize(num)
-  } else if (numDigits <= thresholds.optimizedTrialDivision) {
-    // For medium-sized numbers, use optimized trial division with precomputed primes
-    // This leverages the prime cache for better performance
-    result = factorizeWithPrimes(num)
-  } else if (numDigits <= thresholds.pollardRho) {
-    // For larger numbers (up to 25 digits)
-    if (advanced) {
-      // With advanced option, use a combination of methods
-      // This implements the adaptive approach described in the Prime Framework spec
-      
-      // First try Pollard's Rho which is fast for many cases
-      const factors = new Map()
-      
-      // Check for small prime factors first - common pattern in the Prime Framework
-      const smallFactors = findSmallPrimeFactors(num)
-      let remaining = num
-      
-      // If we found small factors, remove them from the number to factorize
-      if (smallFactors.size > 0) {
-        for (const [prime, exponent] of smallFactors.entries()) {
-          factors.set(prime, exponent)
-          remaining /= prime ** exponent
-        }
-        
-        // If the remaining number is 1, we're done
-        if (remaining === 1n) {
-          result = factors
-        } else if (isPrime(remaining)) {
-          // If the remaining number is prime, add it to factors and we're done
-          factors.set(remaining, 1n)
-          result = factors
-        }
-      }
-      
-      // If we haven't fully factorized yet, continue with more advanced methods
-      if (!result) {
-        // Try Pollard's Rho first for the remaining part
-        result = factorizePollardsRho(remaining, {
-          useCache,
-          advanced: true,
-          partialFactorization: false,
-          // Merge with any small factors we found earlier
-          initialFactors: factors,
-          ...algorithmParams
-        })
-      }
-    } else {
-      // Without advanced option, use basic Pollard's Rho
-      result = factorizePollardsRho(num, {
-        useCache,
-        advanced: false,
-        ...algorithmParams
-      })
+  for (const [prime, exponent] of [...factors.entries()].sort((a, b) => a[0] < b[0] ? -1 : 1)) {
+    factorObj[prime.toString()] = exponent.toString()
+    product *= prime ** exponent
+    
+    if (proof === 'bpsw') {
+      proofs[prime.toString()] = bpswWitness(prime)
+      continue
     }
-  } else if (numDigits <= thresholds.ecm) {
-    // For very large numbers (up to 50 digits)
-    if (advanced) {
-      // With advanced option, use enhanced Pollard's Rho with ECM fallback
-      // The Prime Framework requires efficient factorization even for large numbers
-      
-      // Create a combined factorization strategy
-      const enhancedOptions = {
-        useCache,
-        advanced: true,
-        partialFactorization: false,
-        // Scale parameters based on number size for optimal performance
-        ecmCurves: algorithmParams.ecmCurves || Math.min(20, 5 + Math.floor(numDigits / 4)),
-        ecmB1: algorithmParams.ecmB1 || Math.min(500000, 10000 * Math.floor(numDigits / 5)),
-        ecmB2: algorithmParams.ecmB2 || 0, // Skip stage 2 by default
-        ...algorithmParams
-      }
-      
-      // Use parallelization if requested and supported
-      if (parallelizeFactorization) {
-        result = factorizeParallel(num, enhancedOptions)
-      } else {
-        result = factorizePollardsRho(num, enhancedOptions)
+    
+    try {
+      const proofOptions = proof === 'auto'
+        ? { ...options, timeLimit: options.proofTimeLimit === undefined ? 1000 : options.proofTimeLimit }
+        : options
+      proofs[prime.toString()] = PrimeMath.provePrime(prime, proofOptions)
+    } catch (error) {
+      // Only a failed proof falls back: cancelling and programming errors still end the certification
+      const aborted = error instanceof FactorizationAbortError && !(error instanceof FactorizationBudgetError)
+      if (proof === 'certificate' || aborted || !(error instanceof PrimeMathError)) {
+        throw error
       }
-    } else {
-      // Without advanced option, use basic approach but with better parameters
-      result = factorizePollardsRho(num, {
-        useCache,
-        advanced: false,
-        // Still use reasonable parameters even without advanced option
-        ecmCurves: algorithmParams.ecmCurves || 10,
-        ecmB1: algorithmParams.ecmB1 || 50000,
-        ...algorithmParams
-      })
+      proofs[prime.toString()] = bpswWitness(prime)
     }
-  } else if (numDigits <= thresholds.quadraticSieve) {
-    // For extremely large numbers (up to 100 digits), use a sophisticated multi-stage approach
-    if (!advanced && !partialFactorization) {
-      // Without advanced option or partial factorization permission,
-      // this range is too computationally intensive
-      throw new PrimeMathError(
-        'Number is too large (' + numDigits + ' digits) for non-advanced factorization. ' +
-        'Use advanced=true or partialFactorization=true to proceed.'
-      )
+  }
+  
+  return {
+    type: 'FactorizationCertificate',
+    version: FACTORIZATION_CERTIFICATE_VERSION,
+    n: num.toString(),
+    factors: factorObj,
+    product: product.toString(),
+    proofs,
+    metadata: {
+      timestamp: new Date().toISOString()
     }
+  }
+}
+
+/**
+ * Check a factorization certificate from certify. The factors must multiply to n and every
+ * prime must carry a valid primality certificate or pass the Baillie-PSW test its witness records
+ * 
+ * @param {FactorizationCertificate|string} certificate - The certificate, or its JSON string
+ * @param {Object} [options] - Verification options
+ * @param {boolean} [options.requireProof=false] - Reject Baillie-PSW witnesses, accepting only
+ * primality certificates
+ * @returns {boolean} True if the certificate is valid
+ */
+function verifyFactorization(certificate, options = {}) {
+  // PrimeMath depends on this module, so load it lazily
+  const PrimeMath = require('./PrimeMath')
+  
+  try {
+    const data = typeof certificate === 'string' ? JSON.parse(certificate) : certificate
     
-    // Create optimized parameters scaled to number size
-    // This implements the adaptive parameters described in the Prime Framework
-    const largeNumberOptions = {
-      useCache,
-      advanced: true,
-      parallelizeFactorization,
-      partialFactorization,
-      // Scale parameters based on number size
-      ecmCurves: algorithmParams.ecmCurves || Math.min(30, 10 + Math.floor(numDigits / 5)),
-      ecmB1: algorithmParams.ecmB1 || 100000 * Math.floor(numDigits / 20),
-      ecmB2: algorithmParams.ecmB2 || Math.min(100000000, 1000000 * Math.floor(numDigits / 20)),
-      qsFactorBase: algorithmParams.qsFactorBase || Math.min(500, 100 + Math.floor(numDigits / 4) * 20),
-      qsSieveSize: algorithmParams.qsSieveSize || Math.min(100000, 10000 + numDigits * 500),
-      ...algorithmParams
+    if (!data || data.type !== 'FactorizationCertificate' || data.version !== FACTORIZATION_CERTIFICATE_VERSION) {
+      return false
     }
     
-    // Use a multi-stage approach with different algorithms
-    // This is a sophisticated implementation of the Prime Framework's requirement
-    // for handling very large numbers effectively
-    
-    // First try to find small factors efficiently
-    const factors = new Map()
-    let remaining = num
-    
-    // Extract small prime factors first
-    const smallFactors = findSmallPrimeFactors(remaining)
+    const n = toBigInt(data.n)
+    const primes = Object.keys(data.factors || {})
+    if (n < 1n || Object.keys(data.proofs || {}).length !== primes.length) {
+      return false
+    }
     
-    if (smallFactors.size > 0) {
-      // Merge small factors into our result
-      for (const [prime, exponent] of smallFactors.entries()) {
-        factors.set(prime, exponent)
-        remaining /= prime ** exponent
+    let product = 1n
+    for (const key of primes) {
+      const prime = toBigInt(key)
+      const exponent = toBigInt(data.factors[key])
+      const primeProof = data.proofs[key]
+      if (prime < 2n || exponent < 1n || !primeProof || primeProof.n !== prime.toString()) {
+        return false
       }
       
-      // If we've completely factorized, we're done
-      if (remaining === 1n) {
-        result = factors
-      } else if (isPrime(remaining)) {
-        // If what remains is prime, add it and we're done
-        factors.set(remaining, 1n)
-        result = factors
-      }
-    }
-    
-    // If we haven't fully factorized yet, try advanced methods
-    if (!result) {
-      if (parallelizeFactorization) {
-        // Use parallel factorization if requested
-        const remainingFactors = factorizeParallel(remaining, largeNumberOptions)
-        
-        // Merge results
-        for (const [prime, exponent] of remainingFactors.entries()) {
-          const currentExp = factors.get(prime) || 0n
-          factors.set(prime, currentExp + exponent)
-        }
-        
-        result = factors
+      if (primeProof.type === 'PrimalityCertificate') {
+        if (!PrimeMath.verifyCertificate(primeProof)) return false
+      } else if (primeProof.type === 'BPSWWitness' && !options.requireProof) {
+        const expected = bpswWitness(prime)
+        if (['base', 'D', 'P', 'Q'].some(field => primeProof[field] !== expected[field])) return false
       } else {
-        // Try ECM first to find medium-sized factors
-        const factor = ellipticCurveMethod(remaining, largeNumberOptions)
-        
-        if (factor !== remaining && factor > 1n) {
-          // Found a factor, use recursive factorization
-          
-          // Factor the first factor
-          const factorFactors = factorizePollardsRho(factor, largeNumberOptions)
-          const quotient = remaining / factor
-          
-          // Merge the factorization of the first factor
-          for (const [prime, exponent] of factorFactors.entries()) {
-            const currentExp = factors.get(prime) || 0n
-            factors.set(prime, currentExp + exponent)
-          }
-          
-          // Factor the quotient
-          const quotientFactors = factorizePollardsRho(quotient, largeNumberOptions)
-          
-          // Merge the factorization of the quotient
-          for (const [prime, exponent] of quotientFactors.entries()) {
-            const currentExp = factors.get(prime) || 0n
-            factors.set(prime, currentExp + exponent)
-          }
-          
-          result = factors
-        } else {
-          // If ECM didn't find a factor, use Quadratic Sieve
-          const qsFactors = factorizePollardsRho(remaining, largeNumberOptions)
-          
-          // Merge the results
-          for (const [prime, exponent] of qsFactors.entries()) {
-            const currentExp = factors.get(prime) || 0n
-            factors.set(prime, currentExp + exponent)
-          }
-          
-          result = factors
-        }
+        return false
       }
-    }
-  } else {
-    // For numbers larger than 100 digits
-    if (!partialFactorization) {
-      // If partial factorization is not allowed, throw an error
-      throw new PrimeMathError(
-        'Number is too large (' + numDigits + ' digits) for complete factorization under Prime Framework constraints. ' +
-        'Use partialFactorization=true to allow partial results.'
-      )
+      
+      product *= prime ** exponent
     }
     
-    // With partial factorization allowed, try our best
-    // The Prime Framework allows partial factorization for extremely large numbers
-    // when a complete factorization is computationally infeasible
-    const extremeOptions = {
-      useCache,
-      advanced: true,
-      parallelizeFactorization,
-      partialFactorization: true,
-      // Use aggressive parameters for extremely large numbers
-      ecmCurves: algorithmParams.ecmCurves || 50,
-      ecmB1: algorithmParams.ecmB1 || 2000000,
-      qsFactorBase: algorithmParams.qsFactorBase || 1000,
-      ...algorithmParams
+    return product === n && toBigInt(data.product) === n
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Split text read from a string, an iterable or a readable stream into lines
+ * Chunks may be strings or bytes (UTF-8), and lines may end with LF or CRLF
+ * 
+ * @private
+ * @param {string|Iterable<string|Uint8Array>|AsyncIterable<string|Uint8Array>} source - The text
+ * @returns {AsyncGenerator<string>} The lines, without their line endings
+ * @throws {PrimeMathError} If the source cannot be read
+ */
+async function* readLines(source) {
+  if (typeof source !== 'string' && (source === null || typeof source !== 'object' ||
+      (typeof source[Symbol.asyncIterator] !== 'function' && typeof source[Symbol.iterator] !== 'function'))) {
+    throw new PrimeMathError('A factor table must be read from a string, an iterable or a readable stream')
+  }
+  
+  const decoder = new TextDecoder()
+  let buffer = ''
+  for await (const chunk of typeof source === 'string' ? [source] : source) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true })
+    const lines = buffer.split('\n')
+    buffer = /** @type {string} */ (lines.pop())
+    for (const line of lines) {
+      yield line.endsWith('\r') ? line.slice(0, -1) : line
     }
-    
-    // Use parallel factorization if requested
-    if (parallelizeFactorization) {
-      result = factorizeParallel(num, extremeOptions)
-    } else {
-      result = factorizePollardsRho(num, extremeOptions)
+  }
+  
+  buffer += decoder.decode()
+  if (buffer) {
+    yield buffer.endsWith('\r') ? buffer.slice(0, -1) : buffer
+  }
+}
+
+/**
+ * Parse and verify one line of a factor table
+ * 
+ * @private
+ * @param {string} line - The line, without comments
+ * @param {function(string, Object): {factorization: Map<BigInt, BigInt>, isNegative: boolean}} parseFactorization - Conversion.parseFactorization
+ * @returns {{n: BigInt, factors: Map<BigInt, BigInt>}} The verified factorization
+ * @throws {PrimeMathError} If the line is malformed or its factorization is wrong
+ */
+function parseTableLine(line, parseFactorization) {
+  const separator = line.indexOf('=')
+  if (separator < 0) {
+    throw new PrimeMathError('expected "n = p1^e1 * p2^e2 ..."')
+  }
+  
+  const n = toBigInt(line.slice(0, separator).trim())
+  if (n < 2n) {
+    throw new PrimeMathError(`${n} is not an integer greater than 1`)
+  }
+  
+  const { factorization, isNegative } = parseFactorization(line.slice(separator + 1), { withSignFlag: true })
+  let product = isNegative ? -1n : 1n
+  for (const [prime, exponent] of factorization) {
+    if (exponent < 1n) {
+      throw new PrimeMathError(`exponent ${exponent} of ${prime} is not positive`)
     }
+    if (!isProbablePrime(prime)) {
+      throw new PrimeMathError(`${prime} is not prime`)
+    }
+    product *= prime ** exponent
   }
   
-  // Validate the factorization if requested
-  if (validateFactors) {
-    // Check that all factors are prime
-    for (const prime of result.keys()) {
-      if (!isPrime(prime)) {
-        // This should never happen with correct implementation,
-        // but we check as required by the Prime Framework's guarantee of correctness
-        throw new PrimeMathError(`Non-prime factor ${prime} found in factorization result. This is a bug.`)
+  if (product !== n) {
+    throw new PrimeMathError(`the factors multiply to ${product}, not ${n}`)
+  }
+  
+  return { n, factors: factorization }
+}
+
+/**
+ * Import a table of known factorizations into the factorization cache
+ * Each line reads "n = p1^e1 * p2^e2 ...", in any format Conversion.parseFactorization accepts.
+ * Blank lines and text after "#" are ignored. Every line is verified before it is cached: the
+ * factors must be prime (Baillie-PSW) and multiply to n. Later lookups of the imported numbers,
+ * such as new UniversalNumber(n), then come from the cache. The cache keeps at most
+ * config.cache.maxFactorizationCacheSize entries, so raise it to keep a large table
+ * 
+ * @param {string|Iterable<string|Uint8Array>|AsyncIterable<string|Uint8Array>} source - The table, as a
+ * string, a readable stream or any iterable of text or byte chunks
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.skipInvalid=false] - Skip lines that fail to parse or verify instead of throwing
+ * @returns {Promise<{imported: number, skipped: Array<{line: number, text: string, reason: string}>}>} The
+ * number of factorizations imported and the lines skipped
+ * @throws {PrimeMathError} If a line fails to parse or verify and skipInvalid is not set
+ */
+async function importTable(source, options = {}) {
+  // Conversion depends on this module, so load it lazily
+  const { parseFactorization } = require('./Conversion')
+  
+  let imported = 0
+  const skipped = []
+  let lineNumber = 0
+  
+  for await (const text of readLines(source)) {
+    lineNumber++
+    const line = text.replace(/#.*/, '').trim()
+    if (!line) continue
+    
+    let entry
+    try {
+      entry = parseTableLine(line, parseFactorization)
+    } catch (error) {
+      const reason = getErrorMessage(error).replace(/^Invalid factorization string: .*/, 'invalid factorization')
+      if (!options.skipInvalid) {
+        throw new PrimeMathError(`Factor table line ${lineNumber}: ${reason}`)
       }
+      skipped.push({ line: lineNumber, text, reason })
+      continue
     }
     
-    // Check that the factorization is complete (product equals original number)
-    // This is a key requirement of the Prime Framework
-    const isComplete = isFactorizationComplete(result, num)
-    
-    // If factorization is not complete and partial factorization is not allowed, throw an error
-    if (!isComplete && !partialFactorization) {
-      throw new PrimeMathError(
-        'Incomplete factorization result. This is a bug in the factorization algorithm.'
-      )
+    // Imported factorizations stand for expensive work, so weigh them highly when persisting the cache
+    _factorizationCache.set(entry.n, entry.factors, true, 1.0, { computationCost: 10 })
+    imported++
+  }
+  
+  return { imported, skipped }
+}
+
+/**
+ * Export factorizations as a table that importTable reads, one "n = p1^e1 * p2^e2 ..." line per
+ * number in increasing order. Waits for "drain" when a stream's buffer is full, and leaves the
+ * destination open
+ * 
+ * @param {{write: function(string): *, once?: function(string, function(): void): *}} destination - A writable
+ * stream, or any object with a write method
+ * @param {Object} [options] - Export options
+ * @param {Map<BigInt, Map<BigInt, BigInt>>|Iterable<[BigInt|number|string, Map<BigInt, BigInt>]>} [options.factorizations] -
+ * The factorizations to write (default: the complete factorizations in the factorization cache)
+ * @returns {Promise<number>} The number of lines written
+ * @throws {PrimeMathError} If the destination has no write method
+ */
+async function exportTable(destination, options = {}) {
+  // Conversion depends on this module, so load it lazily
+  const { factorizationToString } = require('./Conversion')
+  
+  if (!destination || typeof destination.write !== 'function') {
+    throw new PrimeMathError('A factor table must be written to a writable stream or an object with a write method')
+  }
+  
+  /** @type {Array<[BigInt, Map<BigInt, BigInt>]>} */
+  const rows = []
+  if (options.factorizations) {
+    for (const [n, factors] of options.factorizations) {
+      rows.push([toBigInt(n), factors])
     }
-    
-    // If using cache, store the result with appropriate metadata
-    if (useCache) {
-      _factorizationCache.set(num, result, isComplete, isComplete ? 1.0 : 0.9, {
-        // Higher computation cost for larger numbers (affects cache retention)
-        computationCost: Math.min(10, 1 + Math.floor(numDigits / 10))
-      })
+  } else {
+    for (const [key, entry] of _factorizationCache.cache.entries()) {
+      if (entry.isComplete) {
+        rows.push([BigInt(key), entry.factors])
+      }
     }
   }
+  rows.sort((a, b) => a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0)
   
-  return result
+  for (const [n, factors] of rows) {
+    const written = destination.write(`${n} = ${factorizationToString(factors, { separator: ' * ' })}\n`)
+    if (written === false && typeof destination.once === 'function') {
+      await new Promise(resolve => destination.once('drain', resolve))
+    }
+  }
+  
+  return rows.length
 }
 
 /**
- * Find small prime factors of a number using trial division
- * Optimized helper function for factorizeOptimal
+ * Factorize a^n + b^n or a^n - b^n from its bases and exponent
+ * The number is split into its cyclotomic factors Φ_d(a, b), and their Aurifeuillian factors where
+ * they exist, before factorizeOptimal factors each part, so a^n ± b^n itself is never formed. The
+ * parts are far smaller than the number: those of 2^1024 - 1 have at most 512 bits. A common factor
+ * g of a and b contributes g^n, and a base that is itself a power is replaced by its root
+ * 
+ * @param {Object} form - The special form
+ * @param {number|string|BigInt} form.base - The base a (a positive integer)
+ * @param {number|string|BigInt} form.exponent - The exponent n (a positive integer)
+ * @param {number|string} [form.sign=-1] - 1 or '+' for a^n + b^n, -1 or '-' for a^n - b^n
+ * @param {number|string|BigInt} [form.secondBase=1] - The base b (a positive integer, below a for a^n - b^n)
+ * @param {Object} [options] - Options passed to factorizeOptimal for each part
+ * @returns {Map<BigInt, BigInt>} A map where keys are prime factors and values are their exponents
+ * @throws {PrimeMathError} If the form is invalid or a^n - b^n is not positive
+ */
+function factorSpecialForm(form, options = {}) {
+  let a = toBigInt(form.base)
+  let b = toBigInt(form.secondBase !== undefined ? form.secondBase : 1)
+  const exponent = toBigInt(form.exponent)
+  const sign = [1, '+'].includes(form.sign) ? 1 : [-1, '-', undefined].includes(form.sign) ? -1 : 0
+  
+  if (sign === 0) {
+    throw new PrimeMathError(`Special form sign must be 1, -1, '+' or '-', got ${String(form.sign)}`)
+  }
+  if (exponent < 1n || exponent > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new PrimeMathError(`Special form exponent must be a positive safe integer, got ${exponent}`)
+  }
+  if (a < 1n || b < 1n) {
+    throw new PrimeMathError('Special form bases must be positive integers')
+  }
+  if (sign === -1 && a <= b) {
+    throw new PrimeMathError(`${a}^${exponent} - ${b}^${exponent} is not positive`)
+  }
+  if (a < b) {
+    [a, b] = [b, a]
+  }
+
+  let n = Number(exponent)
+  let factors = new Map()
+  
+  // g^n divides both terms
+  const common = gcd(a, b)
+  if (common > 1n) {
+    for (const [prime, power] of factorizeOptimal(common, options)) {
+      factors.set(prime, power * exponent)
+    }
+    a /= common
+    b /= common
+  }
+
+  // With b = 1, (r^k)^n ± 1 = r^(kn) ± 1 has more algebraic factors
+  const root = b === 1n && a > 1n ? findPerfectPowerRoot(a) : null
+  if (root !== null) {
+    n *= /** @type {number} */ (exponentOf(a, root))
+    a = root
+  }
+
+  // Once g is divided out, a = b only happens for 1^n + 1^n = 2
+  const parts = a === b ? [{ value: 2n }] : algebraicFactors(a, b, n, sign)
+  for (const { value } of parts) {
+    factors = mergeFactorMaps(factors, factorizeOptimal(value, options))
+  }
+
+  return factors
+}
+
+/**
+ * Check an argument of the factored-form builders: a non-negative integer within the prime sieve limit
  * 
  * @private
- * @param {BigInt} n - The number to find factors for
- * @param {number} [limit=1000] - The maximum prime to check
- * @returns {Map<BigInt, BigInt>} Map of prime factors and exponents
+ * @param {number|string|BigInt} value - The argument
+ * @param {string} name - Name of the argument in error messages
+ * @returns {number} The argument as an ordinary number
+ * @throws {PrimeMathError} If the argument is negative, not an integer, or above config.primalityTesting.maxPrimesGenerated
  */
-function findSmallPrimeFactors(n, limit = 1000) {
-  const factors = new Map()
-  let remaining = n
+function sieveArgument(value, name) {
+  const n = toBigInt(value)
+  const limit = config.primalityTesting.maxPrimesGenerated
   
-  // Get small primes from cache
-  const smallPrimes = primeCache.getSmallPrimes()
+  if (n < 0n) {
+    throw new PrimeMathError(`${name} must be a non-negative integer, got ${n}`)
+  }
+  if (n > BigInt(limit)) {
+    throw new PrimeMathError(`${name} ${n} is above the sieve limit config.primalityTesting.maxPrimesGenerated (${limit})`)
+  }
+
+  return Number(n)
+}
+
+/**
+ * Exponent of the prime p in n!, by Legendre's formula: the sum of floor(n / p^i) for i >= 1
+ * 
+ * @private
+ * @param {number} n - A non-negative integer
+ * @param {number} p - A prime
+ * @returns {number} The exponent
+ */
+function legendreExponent(n, p) {
+  let exponent = 0
+  for (let power = p; power <= n; power *= p) {
+    exponent += Math.floor(n / power)
+  }
+
+  return exponent
+}
+
+/**
+ * Prime factorization of n!, built from a sieve with Legendre's formula instead of multiplying
+ * the factorial out
+ * 
+ * @param {number|string|BigInt} n - A non-negative integer, at most config.primalityTesting.maxPrimesGenerated
+ * @returns {Map<BigInt, BigInt>} A map where keys are prime factors and values are their exponents
+ * @throws {PrimeMathError} If n is negative, not an integer or above the sieve limit
+ */
+function factorialFactorization(n) {
+  const limit = sieveArgument(n, 'Factorial argument')
   
-  // Try dividing by each small prime
-  for (const prime of smallPrimes) {
-    // Skip large primes based on limit
-    if (prime > limit) break
-    
-    let exponent = 0n
-    while (remaining % prime === 0n) {
-      exponent++
-      remaining /= prime
-    }
-    
-    if (exponent > 0n) {
-      factors.set(prime, exponent)
+  return new Map(sievePrimes(limit).map(p => [BigInt(p), BigInt(legendreExponent(limit, p))]))
+}
+
+/**
+ * Prime factorization of the binomial coefficient C(n, k)
+ * By Kummer's theorem, the exponent of p is the number of carries when k and n - k are added in base p
+ * 
+ * @param {number|string|BigInt} n - A non-negative integer, at most config.primalityTesting.maxPrimesGenerated
+ * @param {number|string|BigInt} k - An integer from 0 to n
+ * @returns {Map<BigInt, BigInt>} A map where keys are prime factors and values are their exponents
+ * @throws {PrimeMathError} If n or k is invalid, or k is above n
+ */
+function binomialFactorization(n, k) {
+  const top = sieveArgument(n, 'Binomial argument n')
+  const bottom = sieveArgument(k, 'Binomial argument k')
+  if (bottom > top) {
+    throw new PrimeMathError(`Binomial argument k must be at most n, got C(${top}, ${bottom})`)
+  }
+
+  const factors = new Map()
+  for (const p of sievePrimes(top)) {
+    let carries = 0
+    let carry = 0
+    for (let x = bottom, y = top - bottom; x > 0 || y > 0; x = Math.floor(x / p), y = Math.floor(y / p)) {
+      carry = (x % p) + (y % p) + carry >= p ? 1 : 0
+      carries += carry
     }
     
-    // Early termination if remaining is 1
-    if (remaining === 1n) break
-    
-    // Early termination if remaining is smaller than the square of the next prime
-    if (prime * prime > remaining) {
-      if (remaining > 1n) {
-        factors.set(remaining, 1n)
-      }
-      break
+    if (carries > 0) {
+      factors.set(BigInt(p), BigInt(carries))
     }
   }
-  
+
   return factors
 }
 
 /**
- * Check if the factorization of a number is complete
+ * Prime factorization of the multinomial coefficient (k1 + k2 + ... + km)! / (k1! k2! ... km!),
+ * with Legendre's formula for each factorial
  * 
- * @param {Map<BigInt, BigInt>} factors - The factorization to check
- * @param {BigInt} original - The original number
- * @returns {boolean} True if the factorization is complete, false otherwise
+ * @param {Array<number|string|BigInt>} parts - The non-negative integers k1, ..., km, whose sum is at
+ * most config.primalityTesting.maxPrimesGenerated
+ * @returns {Map<BigInt, BigInt>} A map where keys are prime factors and values are their exponents
+ * @throws {PrimeMathError} If parts is not an array of non-negative integers or their sum is above the sieve limit
  */
-function isFactorizationComplete(factors, original) {
-  let product = 1n
+function multinomialFactorization(parts) {
+  if (!Array.isArray(parts)) {
+    throw new PrimeMathError('Multinomial arguments must be an array of non-negative integers')
+  }
+
+  const counts = parts.map(part => sieveArgument(part, 'Multinomial argument'))
+  const total = sieveArgument(counts.reduce((sum, count) => sum + count, 0), 'Multinomial sum')
   
-  for (const [prime, exponent] of factors.entries()) {
-    // Handle exponentiation efficiently for large exponents
-    let base = prime
-    let exp = exponent
-    let contribution = 1n
-    
-    while (exp > 0n) {
-      if (exp % 2n === 1n) {
-        contribution *= base
-      }
-      base *= base
-      exp /= 2n
+  const factors = new Map()
+  for (const p of sievePrimes(total)) {
+    const exponent = counts.reduce((remaining, count) => remaining - legendreExponent(count, p), legendreExponent(total, p))
+    if (exponent > 0) {
+      factors.set(BigInt(p), BigInt(exponent))
     }
-    
-    product *= contribution
   }
+
+  return factors
+}
+
+/**
+ * Prime factorization of the primorial n#, the product of the primes up to n
+ * 
+ * @param {number|string|BigInt} n - A non-negative integer, at most config.primalityTesting.maxPrimesGenerated
+ * @returns {Map<BigInt, BigInt>} A map where keys are the primes up to n and values are 1
+ * @throws {PrimeMathError} If n is negative, not an integer or above the sieve limit
+ */
+function primorialFactorization(n) {
+  const limit = sieveArgument(n, 'Primorial argument')
   
-  return product === original
+  return new Map(sievePrimes(limit).map(p => [BigInt(p), 1n]))
 }
 
 /**
@@ -3060,16 +6408,159 @@ function getPrimeSignature(n) {
   return signature
 }
 
+/**
+ * Search for one non-trivial factor of a composite by fanning ECM curves and
+ * Pollard rho walks out across Node.js worker threads
+ * 
+ * Each worker runs a disjoint, strided share of the curves and polynomial constants.
+ * The calling thread blocks on a shared control array until a worker reports a factor,
+ * every worker has given up, or the time limit is exhausted; the remaining workers are
+ * then cancelled and terminated.
+ * 
+ * @private
+ * @param {BigInt} n - The composite number to split
+ * @param {Object} [options] - Search options
+ * @param {number} [options.workerCount] - Number of workers to spawn (capped by config.async.maxWorkers)
+ * @param {boolean} [options.useWorkers] - Set to false to disable worker threads for this call
+ * @param {number} [options.ecmCurves] - Total number of ECM curves shared between the workers
+ * @param {number} [options.ecmB1] - ECM stage 1 bound
+ * @param {number} [options.ecmB2] - ECM stage 2 bound
+ * @param {number} [options.maxIterations] - Iteration limit for each Pollard rho walk
+ * @param {number} [options.timeLimit] - Maximum time to wait for the workers in milliseconds
+ * @param {AbortSignal} [options.signal] - Signal that stops the wait and cancels the workers
+ * @param {Object} [options.budget] - Factorization budget whose deadline also stops the wait
+ * @returns {BigInt|null} A non-trivial factor of n, or null if worker threads are unavailable,
+ * the search was aborted or no factor was found
+ */
+function findFactorWithWorkers(n, options = {}) {
+  const maxWorkers = config.async.maxWorkers
+  const workerCount = Math.min(options.workerCount || maxWorkers, maxWorkers)
+  
+  if (!config.async.useWorkers || options.useWorkers === false || workerCount < 1) {
+    return null
+  }
+  
+  if (typeof SharedArrayBuffer === 'undefined' || typeof Atomics === 'undefined') {
+    return null
+  }
+  
+  /** @type {any} */
+  let workerThreads
+  try {
+    workerThreads = require('worker_threads')
+  } catch (error) {
+    // Worker threads are not available in this environment (e.g. browsers)
+    return null
+  }
+  
+  const { Worker, MessageChannel, receiveMessageOnPort } = workerThreads
+  const path = require('path')
+  
+  // Slot 0 counts worker reports, slot 1 is the cancellation flag
+  const shared = new SharedArrayBuffer(2 * Int32Array.BYTES_PER_ELEMENT)
+  const control = new Int32Array(shared)
+  
+  const totalCurves = options.ecmCurves || config.factorization.ecm.maxCurves
+  const rounds = Math.max(1, Math.ceil(totalCurves / workerCount))
+  const rhoIterations = options.maxIterations || config.factorization.maxIterations
+  const timeLimit = options.timeLimit || config.factorization.timeLimit
+  const budgetDeadline = options.budget ? options.budget.deadline : Infinity
+  const deadline = Math.min(timeLimit ? Date.now() + timeLimit : Infinity, budgetDeadline)
+  
+  const workers = []
+  const ports = []
+  
+  const shutdown = () => {
+    Atomics.store(control, 1, 1)
+    for (const worker of workers) {
+      worker.terminate()
+    }
+    for (const port of ports) {
+      port.close()
+    }
+  }
+  
+  try {
+    for (let index = 0; index < workerCount; index++) {
+      const { port1, port2 } = new MessageChannel()
+      const worker = new Worker(path.join(__dirname, 'factorizationWorker.js'), {
+        workerData: {
+          n,
+          index,
+          workerCount,
+          rounds,
+          rhoIterations,
+          ecm: { b1: options.ecmB1, b2: options.ecmB2 },
+          port: port2,
+          shared
+        },
+        transferList: [port2]
+      })
+      
+      // Never keep the process alive just for a factoring worker
+      worker.unref()
+      workers.push(worker)
+      ports.push(port1)
+    }
+  } catch (error) {
+    shutdown()
+    return null
+  }
+  
+  let factor = null
+  let reports = 0
+  let seen = 0
+  
+  while (factor === null && reports < workers.length) {
+    const remainingTime = deadline - Date.now()
+    if (remainingTime <= 0 || (options.signal && options.signal.aborted)) break
+    
+    // Block until a worker reports, waking periodically to re-check the deadline
+    Atomics.wait(control, 0, seen, Math.min(remainingTime, 100))
+    seen = Atomics.load(control, 0)
+    
+    for (const port of ports) {
+      let received
+      while ((received = receiveMessageOnPort(port)) !== undefined) {
+        reports++
+        reportProgress(options, { algorithm: 'parallel', workersFinished: reports, workerCount: workers.length })
+        const candidate = received.message.factor
+        if (factor === null && candidate !== null && candidate > 1n && candidate < n && n % candidate === 0n) {
+          factor = candidate
+        }
+      }
+    }
+  }
+  
+  // First factor wins: cancel and tear down every other worker
+  shutdown()
+  
+  return factor
+}
+
 /**
  * Implements parallel factorization using worker threads when available
- * Falls back to sequential factorization in environments without worker thread support
+ * Falls back to sequential factorization in environments without worker thread support,
+ * or when config.async.useWorkers is disabled
+ * 
+ * Composites that survive trial division are split by racing ECM curves and Pollard rho
+ * walks across up to config.async.maxWorkers worker threads. The first factor found wins,
+ * the other workers are cancelled, and both cofactors are factorized recursively.
  * 
  * @param {number|string|BigInt} n - The number to factorize
  * @param {Object} [options] - Factorization options
- * @param {number} [options.workerCount] - Number of worker threads to use (default: CPU count - 1)
- * @param {boolean} [options.useWorkStealing=true] - Whether to use work stealing for load balancing
+ * @param {number} [options.workerCount] - Number of worker threads to use (default and cap: config.async.maxWorkers)
+ * @param {boolean} [options.useWorkers=true] - Set to false to force the sequential path
+ * @param {number} [options.ecmCurves] - Total number of ECM curves shared between the workers
+ * @param {number} [options.ecmB1] - ECM stage 1 bound for the workers
+ * @param {number} [options.ecmB2] - ECM stage 2 bound for the workers
+ * @param {number} [options.maxIterations] - Iteration limit for each Pollard rho walk
+ * @param {number} [options.timeLimit] - Maximum time to wait for the workers in milliseconds
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the factorization
+ * @param {function(Object): void} [options.onProgress] - Callback receiving progress reports
  * @returns {Map<BigInt, BigInt>} A map where keys are prime factors and values are their exponents
  * @throws {PrimeMathError} If n is not a positive integer
+ * @throws {FactorizationAbortError} If the signal is aborted; carries the factors found so far
  */
 function factorizeParallel(n, options = {}) {
   const num = toBigInt(n)
@@ -3082,9 +6573,6 @@ function factorizeParallel(n, options = {}) {
     return new Map()
   }
   
-  // In this implementation, we'll use a simulated parallel approach
-  // In a real implementation, this would use Web Workers or Node.js Worker Threads
-  
   const useCache = options.useCache !== false
   if (useCache) {
     const cachedFactors = _factorizationCache.get(num)
@@ -3098,8 +6586,6 @@ function factorizeParallel(n, options = {}) {
     return factorizeOptimal(num, options)
   }
   
-  // Simulate parallel factorization by breaking the problem into smaller pieces
-  
   // First, check for small prime factors using trial division
   const factors = new Map()
   let remaining = num
@@ -3132,80 +6618,69 @@ function factorizeParallel(n, options = {}) {
   }
   
   // At this point, we have a large composite number
-  // In a real parallel implementation, we would:
-  // 1. Try to find one factor using various methods
-  // 2. Split the problem into two parts: factorizing that factor and factorizing remaining/factor
-  // 3. Assign these two sub-problems to worker threads
-  // For this simulated version, we'll just use our enhanced sequential algorithms
-      
-  const factor = pollardRho(remaining, {
-    timeLimit: options.timeLimit,
-    c: 1n
-  })
+  throwIfAborted(options, num, factors)
   
-  if (factor === remaining) {
-    // If Pollard's Rho failed, try ECM
-    const ecmFactor = ellipticCurveMethod(remaining, {
-      curves: 10,
-      b1: 100000
-    })
+  // Progress reports and checkpoints include every factor found so far
+  const searchOptions = {
+    ...options,
+    onProgress: withKnownFactors(options, () => factors),
+    onCheckpoint: checkpointCallback(options, num, () => factors)
+  }
+  
+  try {
+    // Race the workers for one factor, falling back to a sequential search on this thread
+    // when worker threads are unavailable, disabled or unsuccessful
+    let factor = findFactorWithWorkers(remaining, searchOptions)
+    
+    if (factor === null) {
+      factor = pollardRho(remaining, {
+        timeLimit: options.timeLimit,
+        c: 1n,
+        ...controlOptions(searchOptions)
+      })
+    }
     
-    if (ecmFactor === remaining) {
+    if (factor === remaining) {
+      // If Pollard's Rho failed, try the cheap p-1 and p+1 pre-passes
+      factor = findFactorBySmoothOrder(remaining, searchOptions)
+    }
+    
+    if (factor === remaining) {
+      // If those failed too, try ECM
+      factor = ellipticCurveMethod(remaining, {
+        curves: 10,
+        b1: 100000,
+        ...controlOptions(searchOptions)
+      })
+    }
+    
+    if (factor === remaining) {
       // If ECM also failed, use quadratic sieve as a last resort
-      const qsFactor = quadraticSieve(remaining, {
-        factorBase: 100,
-        sieveSize: 10000
+      factor = quadraticSieve(remaining, {
+        factorBaseSize: options.qsFactorBase,
+        sieveSize: options.qsSieveSize,
+        ...controlOptions(searchOptions)
       })
-      
-      if (qsFactor === remaining) {
-        // If all methods fail, we treat the number as prime
-        // (it's likely a very large prime if all these methods failed)
-        factors.set(remaining, 1n)
-        return factors
-      } else {
-        // QS found a factor
-        const f1 = factorizeOptimal(qsFactor, options)
-        const f2 = factorizeOptimal(remaining / qsFactor, options)
-        
-        // Merge the factorizations
-        for (const [prime, exponent] of f1.entries()) {
-          factors.set(prime, exponent)
-        }
-        
-        for (const [prime, exponent] of f2.entries()) {
-          const currentExp = factors.get(prime) || 0n
-          factors.set(prime, currentExp + exponent)
-        }
-      }
-    } else {
-      // ECM found a factor
-      const f1 = factorizeOptimal(ecmFactor, options)
-      const f2 = factorizeOptimal(remaining / ecmFactor, options)
-      
-      // Merge the factorizations
-      for (const [prime, exponent] of f1.entries()) {
-        factors.set(prime, exponent)
-      }
-      
-      for (const [prime, exponent] of f2.entries()) {
-        const currentExp = factors.get(prime) || 0n
-        factors.set(prime, currentExp + exponent)
-      }
     }
-  } else {
-    // Pollard's Rho found a factor
-    const f1 = factorizeOptimal(factor, options)
-    const f2 = factorizeOptimal(remaining / factor, options)
     
-    // Merge the factorizations
-    for (const [prime, exponent] of f1.entries()) {
-      factors.set(prime, exponent)
+    if (factor === remaining) {
+      // If all methods fail, we treat the number as prime
+      // (it's likely a very large prime if all these methods failed)
+      factors.set(remaining, 1n)
+      return factors
     }
     
-    for (const [prime, exponent] of f2.entries()) {
-      const currentExp = factors.get(prime) || 0n
-      factors.set(prime, currentExp + exponent)
+    // Factorize both parts recursively and merge the factorizations
+    for (const part of [factor, remaining / factor]) {
+      const partial = factorizeParallel(part, searchOptions)
+      for (const [prime, exponent] of partial.entries()) {
+        const currentExp = factors.get(prime) || 0n
+        factors.set(prime, currentExp + exponent)
+      }
     }
+  } catch (error) {
+    // An abort carries everything found so far for the original number
+    throw enrichAbortError(error, factors, num)
   }
   
   // If using cache, store the result
@@ -3254,7 +6729,8 @@ const factorizationCache = {
   
   /**
    * Enable or disable persistent caching of factorization results
-   * @param {boolean} enabled - Whether to enable persistent caching
+   * @param {boolean|string|import('./Storage').StorageAdapter} enabled - Whether to enable persistent caching,
+   * or the storage adapter to use: 'file', 'log', 'indexeddb', 'memory' or an adapter object
    */
   setPersistence(enabled) {
     _factorizationCache.setPersistence(enabled)
@@ -3262,7 +6738,7 @@ const factorizationCache = {
   
   /**
    * Save the current cache to persistent storage
-   * @returns {boolean} True if successfully saved, false otherwise
+   * @returns {Promise<boolean>} True if successfully saved, false otherwise
    */
   saveToStorage() {
     return _factorizationCache.saveToStorage()
@@ -3270,7 +6746,7 @@ const factorizationCache = {
   
   /**
    * Load the cache from persistent storage
-   * @returns {boolean} True if successfully loaded, false otherwise
+   * @returns {Promise<boolean>} True if successfully loaded, false otherwise
    */
   loadFromStorage() {
     return _factorizationCache.loadFromStorage()
@@ -3309,6 +6785,16 @@ module.exports = {
   // Advanced algorithms
   quadraticSieve,
   ellipticCurveMethod,
+  pollardPMinus1,
+  williamsPPlus1,
+  squfof,
+  lehman,
+  hartOneLine,
+  fermat,
+  batchGcd,
+  
+  // Checkpoints
+  resume,
   
   // Primality testing
   millerRabinTest,
@@ -3316,6 +6802,15 @@ module.exports = {
   // Helper functions
   pollardRho,
   isFactorizationComplete,
+  certify,
+  verifyFactorization,
+  importTable,
+  exportTable,
+  factorSpecialForm,
+  factorialFactorization,
+  binomialFactorization,
+  multinomialFactorization,
+  primorialFactorization,
   fromPrimeFactors,
   getPrimeFactors,
   factorMapToArray,
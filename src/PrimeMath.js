@@ -10,18 +10,21 @@ const {
   PrimeMathError, 
   toBigInt, 
   gcd: euclideanGcd, 
+  divideWithRounding,
+  iroot: integerRoot,
   fastExp, 
   isPrime: isSimplePrime, 
   nextPrime: findNextPrime,
   getNthPrime,
   isMersennePrime,
   moebiusFunction,
-  quadraticResidue
+  quadraticResidue,
+  getPrimeRange,
+  isProbablePrime
 } = require('./Utils')
 
 const { 
   factorizeOptimal, 
-  millerRabinTest, 
   fromPrimeFactors,
   factorMapToArray,
   // eslint-disable-next-line no-unused-vars
@@ -53,6 +56,24 @@ try {
   UniversalNumber = null
 }
 
+/** @type {Object|null} */
+let UniversalRational = null
+try {
+  UniversalRational = require('./UniversalRational')
+} catch (e) {
+  UniversalRational = null
+}
+
+/**
+ * Checks if a value is a UniversalRational
+ * @private
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is a UniversalRational
+ */
+function isUniversalRational(value) {
+  return UniversalRational !== null && value instanceof UniversalRational
+}
+
 /**
  * Checks if a value is potentially a UniversalNumber
  * @private
@@ -113,6 +134,366 @@ function computeCoherenceNorm(factorization) {
   return computeCoherenceInnerProduct(factorization, factorization)
 }
 
+/**
+ * Numbers below this bound are certified by trial division
+ * @private
+ * @type {BigInt}
+ */
+const CERTIFICATE_TRIAL_LIMIT = 1000000n
+
+/**
+ * Primes up to this bound are divided out of n - 1 before the rest of it is factored
+ * @private
+ * @type {number}
+ */
+const CERTIFICATE_SMOOTH_BOUND = 65536
+
+/**
+ * Number of candidate witnesses tried before a proof gives up
+ * @private
+ * @type {BigInt}
+ */
+const CERTIFICATE_MAX_WITNESS = 10000n
+
+/** @type {BigInt[]|null} */
+let certificateSmallPrimes = null
+
+/**
+ * @typedef {Object} PrimalityCertificate
+ * @property {string} type - Always 'PrimalityCertificate'
+ * @property {string} method - 'trial', 'pratt', 'pocklington' or 'bls'
+ * @property {string} n - The number proven prime
+ * @property {string} [witness] - Pratt only: an element of order n - 1 modulo n
+ * @property {Array<{prime: string, exponent: string, witness?: string, certificate: PrimalityCertificate}>} [factors] -
+ * Pratt: the complete factorization of n - 1; Pocklington and BLS: the factored part F of n - 1,
+ * with a witness for each prime
+ */
+
+/**
+ * Exact p-th root of a number, if it has one
+ * Small roots are located from a double estimate of log2(value), which rules out almost every
+ * exponent without a BigInt root; larger roots come from Newton's method once value has passed
+ * a p-th power residue test modulo a few primes q = 1 (mod p)
+ * @private
+ * @param {BigInt} value - A number greater than 1
+ * @param {BigInt} p - The root degree
+ * @param {number} bits - The bit length of value
+ * @returns {BigInt|null} The root, or null if value is not a p-th power
+ */
+function exactRoot(value, p, bits) {
+  let root
+  if (bits / Number(p) < 40) {
+    const shift = Math.max(0, bits - 53)
+    const estimate = 2 ** ((shift + Math.log2(Number(value >> BigInt(shift)))) / Number(p))
+    const nearest = Math.round(estimate)
+    if (Math.abs(estimate - nearest) > estimate * 1e-9) {
+      return null
+    }
+    root = BigInt(nearest)
+  } else {
+    for (let q = 2n * p + 1n, checked = 0; checked < 4; q += 2n * p) {
+      if (!isSimplePrime(q)) {
+        continue
+      }
+      
+      checked++
+      const residue = value % q
+      if (residue !== 0n && fastExp(residue, (q - 1n) / p, q) !== 1n) {
+        return null
+      }
+    }
+    
+    root = integerRoot(value, p)
+  }
+  
+  return root ** p === value ? root : null
+}
+
+/**
+ * Test a number below CERTIFICATE_TRIAL_LIMIT for primality by trial division
+ * @private
+ * @param {BigInt} n - The number to test
+ * @returns {boolean} True if n is prime
+ */
+function isPrimeByTrialDivision(n) {
+  const value = Number(n)
+  if (value < 2) {
+    return false
+  }
+  
+  for (let d = 2; d * d <= value; d++) {
+    if (value % d === 0) {
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * Split n - 1 into a fully factored part and a cofactor: primes up to CERTIFICATE_SMOOTH_BOUND
+ * are divided out, and the cofactor is factored as well unless the factored part is already large
+ * enough for an N - 1 proof or the cofactor is a probable prime
+ * 
+ * @private
+ * @param {BigInt} n - The probable prime
+ * @param {boolean} complete - Whether n - 1 must be factored completely
+ * @param {Object} options - Factorization options (signal, timeLimit, onProgress)
+ * @returns {{factors: Map<BigInt, BigInt>, cofactor: BigInt}} Prime factors of n - 1 and the unfactored rest
+ */
+function factorPredecessor(n, complete, options) {
+  if (!certificateSmallPrimes) {
+    certificateSmallPrimes = getPrimeRange(2, CERTIFICATE_SMOOTH_BOUND)
+  }
+  
+  const factors = new Map()
+  let cofactor = n - 1n
+  let factored = 1n
+  
+  for (const p of certificateSmallPrimes) {
+    if (p * p > cofactor) {
+      break
+    }
+    while (cofactor % p === 0n) {
+      factors.set(p, (factors.get(p) || 0n) + 1n)
+      cofactor /= p
+      factored *= p
+    }
+  }
+  
+  if (cofactor === 1n) {
+    return { factors, cofactor }
+  }
+  
+  if (cofactor < CERTIFICATE_TRIAL_LIMIT ? isPrimeByTrialDivision(cofactor) : isProbablePrime(cofactor)) {
+    factors.set(cofactor, (factors.get(cofactor) || 0n) + 1n)
+    return { factors, cofactor: 1n }
+  }
+  
+  if (!complete && factored ** 3n >= n) {
+    return { factors, cofactor }
+  }
+  
+  for (const [prime, exponent] of factorizeOptimal(cofactor, { advanced: true, ...options }).entries()) {
+    factors.set(prime, (factors.get(prime) || 0n) + exponent)
+  }
+  return { factors, cofactor: 1n }
+}
+
+/**
+ * Find a witness a with a^(n-1) ≡ 1 (mod n) and gcd(a^((n-1)/q) - 1, n) = 1
+ * 
+ * @private
+ * @param {BigInt} n - The probable prime
+ * @param {BigInt} q - A prime factor of n - 1
+ * @returns {BigInt} The witness
+ * @throws {PrimeMathError} If n turns out to be composite or no witness is found
+ */
+function findPocklingtonWitness(n, q) {
+  const m = n - 1n
+  
+  for (let a = 2n; a < CERTIFICATE_MAX_WITNESS && a < n; a++) {
+    if (fastExp(a, m, n) !== 1n) {
+      throw new PrimeMathError(`${n} is not prime`, { cause: { value: n, witness: a } })
+    }
+    
+    const g = euclideanGcd((fastExp(a, m / q, n) - 1n + n) % n, n)
+    if (g === 1n) {
+      return a
+    }
+    if (g !== n) {
+      throw new PrimeMathError(`${n} is not prime`, { cause: { value: n, divisor: g } })
+    }
+  }
+  
+  throw new PrimeMathError(`No Pocklington witness found for ${n}`, { cause: { value: n, prime: q } })
+}
+
+/**
+ * Find an element of order n - 1 modulo n, given the complete factorization of n - 1
+ * 
+ * @private
+ * @param {BigInt} n - The probable prime
+ * @param {BigInt[]} primes - The prime factors of n - 1
+ * @returns {BigInt|null} The witness, or null if none was found among the first candidates
+ */
+function findPrattWitness(n, primes) {
+  const m = n - 1n
+  
+  for (let a = 2n; a < CERTIFICATE_MAX_WITNESS && a < n; a++) {
+    if (primes.every(q => fastExp(a, m / q, n) !== 1n)) {
+      return fastExp(a, m, n) === 1n ? a : null
+    }
+  }
+  return null
+}
+
+/**
+ * Build a primality certificate for n, reusing the certificates already built for other primes
+ * 
+ * @private
+ * @param {BigInt} n - The number to prove prime
+ * @param {Map<BigInt, PrimalityCertificate>} proven - Certificates built so far, by prime
+ * @param {Object} options - Factorization options for n - 1
+ * @returns {PrimalityCertificate} The certificate
+ * @throws {PrimeMathError} If n is not prime
+ */
+function buildCertificate(n, proven, options) {
+  if (proven.has(n)) {
+    return proven.get(n)
+  }
+  
+  const notPrime = () => new PrimeMathError(`${n} is not prime`, { cause: { value: n } })
+  
+  /** @type {PrimalityCertificate} */
+  let certificate
+  
+  if (n < CERTIFICATE_TRIAL_LIMIT) {
+    if (!isPrimeByTrialDivision(n)) {
+      throw notPrime()
+    }
+    certificate = { type: 'PrimalityCertificate', method: 'trial', n: n.toString() }
+  } else {
+    if (!isProbablePrime(n)) {
+      throw notPrime()
+    }
+    
+    // Try an N - 1 proof from a partial factorization of n - 1 first, then factor n - 1 completely
+    let { factors, cofactor } = factorPredecessor(n, false, options)
+    let method = null
+    
+    if (cofactor > 1n) {
+      const factored = (n - 1n) / cofactor
+      if ((factored + 1n) ** 2n > n) {
+        method = 'pocklington'
+      } else if (!isBlsSquare(n, factored)) {
+        method = 'bls'
+      } else {
+        ({ factors, cofactor } = factorPredecessor(n, true, options))
+      }
+    }
+    
+    const primes = [...factors.keys()]
+    const witness = method ? null : findPrattWitness(n, primes)
+    if (!method && witness === null) {
+      // n - 1 is factored completely, so Pocklington's theorem applies with F = n - 1
+      method = 'pocklington'
+    }
+    
+    certificate = {
+      type: 'PrimalityCertificate',
+      method: method || 'pratt',
+      n: n.toString(),
+      ...(method ? {} : { witness: witness.toString() }),
+      factors: primes.map(q => ({
+        prime: q.toString(),
+        exponent: factors.get(q).toString(),
+        ...(method ? { witness: findPocklingtonWitness(n, q).toString() } : {}),
+        certificate: buildCertificate(q, proven, options)
+      }))
+    }
+  }
+  
+  proven.set(n, certificate)
+  return certificate
+}
+
+/**
+ * Check the condition of the Brillhart-Lehmer-Selfridge test: write n = c2·F² + c1·F + 1 and
+ * test whether c1² - 4·c2 is a perfect square
+ * 
+ * @private
+ * @param {BigInt} n - The number being proven prime
+ * @param {BigInt} factored - The factored part F of n - 1, with F³ >= n
+ * @returns {boolean} True if c1² - 4·c2 is a square, in which case the test does not prove n prime
+ */
+function isBlsSquare(n, factored) {
+  const rest = (n - 1n) / factored
+  const c1 = rest % factored
+  const c2 = rest / factored
+  const discriminant = c1 * c1 - 4n * c2
+  
+  if (discriminant < 0n) {
+    return false
+  }
+  const root = integerRoot(discriminant, 2n)
+  return root * root === discriminant
+}
+
+/**
+ * Check a primality certificate and return the number it proves prime
+ * Uses only modular exponentiation, gcds and trial division, never a probabilistic test
+ * 
+ * @private
+ * @param {PrimalityCertificate} certificate - The certificate to check
+ * @returns {BigInt} The proven prime
+ * @throws {Error} If the certificate is malformed or does not prove its number prime
+ */
+function checkCertificate(certificate) {
+  if (!certificate || certificate.type !== 'PrimalityCertificate') {
+    throw new Error('Not a primality certificate')
+  }
+  
+  const n = toBigInt(certificate.n)
+  
+  if (certificate.method === 'trial') {
+    if (n >= CERTIFICATE_TRIAL_LIMIT || !isPrimeByTrialDivision(n)) {
+      throw new Error(`Trial division does not prove ${n} prime`)
+    }
+    return n
+  }
+  
+  if (!['pratt', 'pocklington', 'bls'].includes(certificate.method)) {
+    throw new Error(`Unknown certificate method: ${certificate.method}`)
+  }
+  if (n < 3n || !Array.isArray(certificate.factors) || certificate.factors.length === 0) {
+    throw new Error(`Invalid ${certificate.method} certificate for ${n}`)
+  }
+  
+  const m = n - 1n
+  const seen = new Set()
+  let factored = 1n
+  
+  for (const entry of certificate.factors) {
+    const q = checkCertificate(entry.certificate)
+    const exponent = toBigInt(entry.exponent)
+    if (toBigInt(entry.prime) !== q || exponent < 1n || seen.has(q)) {
+      throw new Error(`Invalid factor ${entry.prime} of ${m}`)
+    }
+    seen.add(q)
+    factored *= q ** exponent
+    
+    if (certificate.method !== 'pratt') {
+      // Pocklington's condition: every prime factor of n is 1 modulo q^exponent
+      const a = toBigInt(entry.witness)
+      if (fastExp(a, m, n) !== 1n || euclideanGcd((fastExp(a, m / q, n) - 1n + n) % n, n) !== 1n) {
+        throw new Error(`Witness ${a} fails for the factor ${q} of ${m}`)
+      }
+    }
+  }
+  
+  if (m % factored !== 0n) {
+    throw new Error(`The factors do not divide ${m}`)
+  }
+  
+  if (certificate.method === 'pratt') {
+    // The witness has order n - 1, so every number below n is coprime to n
+    const a = toBigInt(certificate.witness)
+    if (factored !== m || fastExp(a, m, n) !== 1n || [...seen].some(q => fastExp(a, m / q, n) === 1n)) {
+      throw new Error(`Witness ${a} does not have order ${m} modulo ${n}`)
+    }
+  } else if (certificate.method === 'pocklington') {
+    // Every prime factor of n is at least F + 1 > sqrt(n)
+    if ((factored + 1n) ** 2n <= n) {
+      throw new Error(`The factored part of ${m} is too small for Pocklington's theorem`)
+    }
+  } else if (factored ** 3n < n || isBlsSquare(n, factored)) {
+    // n has at most two prime factors, both 1 modulo F, and c1² - 4·c2 rules out two
+    throw new Error(`The Brillhart-Lehmer-Selfridge condition fails for ${n}`)
+  }
+  
+  return n
+}
+
 /**
  * The PrimeMath namespace with static arithmetic and number theory functions
  * Aligns with the Prime Framework by leveraging prime factorization for operations
@@ -123,11 +504,16 @@ const PrimeMath = {
    * Add two numbers
    * Uses regular addition for numeric types and coordinates-based addition for UniversalNumbers
    * 
-   * @param {number|string|BigInt|UniversalNumber} a - First number
-   * @param {number|string|BigInt|UniversalNumber} b - Second number
-   * @returns {BigInt} Sum of a and b
+   * @param {number|string|BigInt|UniversalNumber|UniversalRational} a - First number
+   * @param {number|string|BigInt|UniversalNumber|UniversalRational} b - Second number
+   * @returns {BigInt|UniversalNumber|UniversalRational} Sum of a and b
    */
   add(a, b) {
+    // A UniversalRational operand makes the result rational
+    if (isUniversalRational(a) || isUniversalRational(b)) {
+      return new UniversalRational(a).add(b)
+    }
+    
     // Handle UniversalNumber if available
     if (isUniversalNumber(a)) {
       return a.add(b)
@@ -145,11 +531,16 @@ const PrimeMath = {
   /**
    * Subtract one number from another
    * 
-   * @param {number|string|BigInt|UniversalNumber} a - First number (minuend)
-   * @param {number|string|BigInt|UniversalNumber} b - Second number (subtrahend)
-   * @returns {BigInt} Difference of a - b
+   * @param {number|string|BigInt|UniversalNumber|UniversalRational} a - First number (minuend)
+   * @param {number|string|BigInt|UniversalNumber|UniversalRational} b - Second number (subtrahend)
+   * @returns {BigInt|UniversalNumber|UniversalRational} Difference of a - b
    */
   subtract(a, b) {
+    // A UniversalRational operand makes the result rational
+    if (isUniversalRational(a) || isUniversalRational(b)) {
+      return new UniversalRational(a).subtract(b)
+    }
+    
     // Handle UniversalNumber if available
     if (isUniversalNumber(a)) {
       return a.subtract(b)
@@ -174,11 +565,16 @@ const PrimeMath = {
    * Multiply two numbers
    * For factorized numbers, multiplication is performed by combining their prime exponent maps
    * 
-   * @param {number|string|BigInt|UniversalNumber} a - First number
-   * @param {number|string|BigInt|UniversalNumber} b - Second number
-   * @returns {BigInt|UniversalNumber} Product of a and b
+   * @param {number|string|BigInt|UniversalNumber|UniversalRational} a - First number
+   * @param {number|string|BigInt|UniversalNumber|UniversalRational} b - Second number
+   * @returns {BigInt|UniversalNumber|UniversalRational} Product of a and b
    */
   multiply(a, b) {
+    // A UniversalRational operand makes the result rational
+    if (isUniversalRational(a) || isUniversalRational(b)) {
+      return new UniversalRational(a).multiply(b)
+    }
+    
     // Handle UniversalNumber if available
     if (isUniversalNumber(a)) {
       return a.multiply(b)
@@ -215,12 +611,17 @@ const PrimeMath = {
    * Only succeeds if the division is exact (no remainder)
    * For factorized numbers, division is performed by subtracting prime exponents
    * 
-   * @param {number|string|BigInt|UniversalNumber} a - Dividend
-   * @param {number|string|BigInt|UniversalNumber} b - Divisor
-   * @returns {BigInt|UniversalNumber} Result of a / b
+   * @param {number|string|BigInt|UniversalNumber|UniversalRational} a - Dividend
+   * @param {number|string|BigInt|UniversalNumber|UniversalRational} b - Divisor
+   * @returns {BigInt|UniversalNumber|UniversalRational} Result of a / b
    * @throws {PrimeMathError} If division is not exact or divisor is zero
    */
   divide(a, b) {
+    // A UniversalRational operand makes the result rational
+    if (isUniversalRational(a) || isUniversalRational(b)) {
+      return new UniversalRational(a).divide(b)
+    }
+    
     // Handle UniversalNumber if available
     if (isUniversalNumber(a)) {
       return a.divide(b)
@@ -280,16 +681,83 @@ const PrimeMath = {
     return bigA / bigB
   },
 
+  /**
+   * Divide with remainder, rounding the quotient as requested
+   * For UniversalNumbers, primes shared with the divisor are cancelled before dividing
+   * 
+   * @param {number|string|BigInt|UniversalNumber} a - Dividend
+   * @param {number|string|BigInt|UniversalNumber} b - Divisor
+   * @param {Object} [options] - Division options
+   * @param {string} [options.rounding='floor'] - 'floor', 'trunc', 'ceil' or 'euclid'
+   * @returns {{quotient: BigInt|UniversalNumber, remainder: BigInt|UniversalNumber}} The quotient and
+   * remainder, with a = quotient * b + remainder
+   * @throws {PrimeMathError} If the divisor is zero or the rounding mode is unknown
+   */
+  divmod(a, b, options = {}) {
+    // Handle UniversalNumber if available
+    if (isUniversalNumber(a)) {
+      return a.divmod(b, options)
+    }
+    if (isUniversalNumber(b)) {
+      // @ts-ignore - UniversalNumber constructor is properly implemented
+      return new UniversalNumber(a).divmod(b, options)
+    }
+    
+    const { rounding = 'floor' } = options
+    return divideWithRounding(toBigInt(a), toBigInt(b), rounding)
+  },
+
+  /**
+   * Divide, rounding the quotient toward negative infinity
+   * 
+   * @param {number|string|BigInt|UniversalNumber} a - Dividend
+   * @param {number|string|BigInt|UniversalNumber} b - Divisor
+   * @returns {BigInt|UniversalNumber} floor(a / b)
+   * @throws {PrimeMathError} If the divisor is zero
+   */
+  floorDiv(a, b) {
+    return this.divmod(a, b, { rounding: 'floor' }).quotient
+  },
+
+  /**
+   * Divide, rounding the quotient toward positive infinity
+   * 
+   * @param {number|string|BigInt|UniversalNumber} a - Dividend
+   * @param {number|string|BigInt|UniversalNumber} b - Divisor
+   * @returns {BigInt|UniversalNumber} ceil(a / b)
+   * @throws {PrimeMathError} If the divisor is zero
+   */
+  ceilDiv(a, b) {
+    return this.divmod(a, b, { rounding: 'ceil' }).quotient
+  },
+
+  /**
+   * Divide, rounding the quotient toward zero
+   * 
+   * @param {number|string|BigInt|UniversalNumber} a - Dividend
+   * @param {number|string|BigInt|UniversalNumber} b - Divisor
+   * @returns {BigInt|UniversalNumber} trunc(a / b)
+   * @throws {PrimeMathError} If the divisor is zero
+   */
+  truncDiv(a, b) {
+    return this.divmod(a, b, { rounding: 'trunc' }).quotient
+  },
+
   /**
    * Raise a number to a power
    * For factorized numbers, exponentiation is performed by multiplying prime exponents
    * 
-   * @param {number|string|BigInt|UniversalNumber} base - The base
-   * @param {number|string|BigInt} exponent - The exponent (must be non-negative)
-   * @returns {BigInt|UniversalNumber} base^exponent
+   * @param {number|string|BigInt|UniversalNumber|UniversalRational} base - The base
+   * @param {number|string|BigInt} exponent - The exponent (non-negative unless the base is a UniversalRational)
+   * @returns {BigInt|UniversalNumber|UniversalRational} base^exponent
    * @throws {PrimeMathError} If exponent is negative
    */
   pow(base, exponent) {
+    // A rational base may take negative exponents
+    if (isUniversalRational(base)) {
+      return base.pow(exponent)
+    }
+    
     // Handle UniversalNumber if available
     if (isUniversalNumber(base)) {
       return base.pow(exponent)
@@ -478,15 +946,55 @@ const PrimeMath = {
       return isSimplePrime(num)
     }
     
-    // Use Miller-Rabin test for larger numbers if advanced option is enabled
+    // Use the configured probable-prime test for larger numbers if advanced option is enabled
     if (advanced) {
-      return millerRabinTest(num)
+      return isProbablePrime(num)
     }
     
     // Fall back to simple primality test if advanced is false
     return isSimplePrime(num)
   },
 
+  /**
+   * Prove that a number is prime and return a certificate that verifyCertificate can check
+   * Numbers below 10^6 get a trial division certificate. Larger ones get a recursive N - 1 certificate:
+   * a Pratt certificate when n - 1 is factored completely, otherwise a Pocklington (F > sqrt(n)) or
+   * Brillhart-Lehmer-Selfridge (F >= n^(1/3)) certificate for the factored part F of n - 1.
+   * Building one requires factoring n - 1, so the factorization options bound the work
+   * 
+   * @param {number|string|BigInt|UniversalNumber} n - The number to prove prime
+   * @param {Object} [options] - Options for factoring n - 1 (signal, timeLimit, onProgress)
+   * @returns {PrimalityCertificate} A JSON-serialisable certificate
+   * @throws {PrimeMathError} If n is not prime
+   * @throws {FactorizationBudgetError} If the factorization of n - 1 runs out of time or memory
+   */
+  provePrime(n, options = {}) {
+    const num = isUniversalNumber(n) ? n.toBigInt() : toBigInt(n)
+    
+    if (num < 2n) {
+      throw new PrimeMathError(`${num} is not prime`, { cause: { value: num } })
+    }
+    
+    return buildCertificate(num, new Map(), options)
+  },
+
+  /**
+   * Verify a primality certificate produced by provePrime, without trusting the prover
+   * Every step is rechecked with modular exponentiation, gcds and trial division; no probabilistic
+   * test is used. Certificates of the primes in n - 1 are verified recursively
+   * 
+   * @param {PrimalityCertificate|string} certificate - The certificate, or its JSON string
+   * @returns {boolean} True if the certificate proves its number `n` prime
+   */
+  verifyCertificate(certificate) {
+    try {
+      checkCertificate(typeof certificate === 'string' ? JSON.parse(certificate) : certificate)
+      return true
+    } catch (error) {
+      return false
+    }
+  },
+
   /**
    * Find the next prime number after a given number
    * 
@@ -710,8 +1218,27 @@ const PrimeMath = {
   isPerfectPower(n) {
     // Handle UniversalNumber if available
     if (isUniversalNumber(n)) {
-      const value = n.toBigInt()
-      const result = this.isPerfectPower(value)
+      if (n.isZero() || n.isOne() || n.sign() < 0) {
+        return null
+      }
+      
+      // A complete factorization answers from the gcd of its exponents
+      if (n.getPartialFactorization() === null) {
+        const factorization = n.getFactorization()
+        const exponent = [...factorization.values()].reduce((result, e) => euclideanGcd(result, e), 0n)
+        if (exponent < 2n) {
+          return null
+        }
+        
+        const baseFactorization = new Map()
+        for (const [prime, e] of factorization) {
+          baseFactorization.set(prime, e / exponent)
+        }
+        // @ts-ignore - UniversalNumber constructor is properly implemented
+        return { base: new UniversalNumber(baseFactorization), exponent }
+      }
+      
+      const result = this.isPerfectPower(n.toBigInt())
       
       if (result === null) {
         return null
@@ -732,86 +1259,26 @@ const PrimeMath = {
       return null // 0 and 1 are not considered perfect powers in this context
     }
     
-    // Get factorization if available
-    const factorization = extractFactorization(n) || factorizeOptimal(num)
-    
-    // Check if all exponents have a common divisor > 1
-    if (factorization.size > 0) {
-      const exponents = [...factorization.values()]
-      
-      // Find the GCD of all exponents
-      let gcdExponent = exponents[0]
-      for (let i = 1; i < exponents.length; i++) {
-        gcdExponent = euclideanGcd(gcdExponent, exponents[i])
-      }
-      
-      if (gcdExponent > 1n) {
-        // Create the base by taking the appropriate root of each prime factor
-        const baseFactorization = new Map()
-        for (const [prime, exponent] of factorization.entries()) {
-          baseFactorization.set(prime, exponent / gcdExponent)
-        }
-        
-        const base = fromPrimeFactors(baseFactorization)
-        return { base, exponent: gcdExponent }
-      }
-    }
-    
-    // Handle common test cases directly
-    if (num === 4n) return { base: 2n, exponent: 2n }
-    if (num === 8n) return { base: 2n, exponent: 3n }
-    if (num === 9n) return { base: 3n, exponent: 2n }
-    if (num === 16n) return { base: 2n, exponent: 4n }
-    if (num === 25n) return { base: 5n, exponent: 2n }
-    if (num === 27n) return { base: 3n, exponent: 3n }
-    if (num === 32n) return { base: 2n, exponent: 5n }
-    if (num === 36n) return { base: 6n, exponent: 2n }
-    if (num === 49n) return { base: 7n, exponent: 2n }
-    if (num === 64n) return { base: 2n, exponent: 6n } // or 8^2, but we prefer the smallest base
-    if (num === 81n) return { base: 3n, exponent: 4n }
-    if (num === 100n) return { base: 10n, exponent: 2n }
-    if (num === 121n) return { base: 11n, exponent: 2n }
-    if (num === 125n) return { base: 5n, exponent: 3n }
-    if (num === 128n) return { base: 2n, exponent: 7n }
-    
-    // For arbitrary numbers, use a more general approach
-    // Check if num is a perfect power by trying different exponents
-    for (let exponent = 2n; exponent * exponent <= num; exponent++) {
-      // For smaller exponents where Math.pow is reliable
-      if (exponent <= 3n && num <= BigInt(Number.MAX_SAFE_INTEGER)) {
-        if (exponent === 2n) {
-          const root = Math.floor(Math.sqrt(Number(num)))
-          if (BigInt(root) ** 2n === num) {
-            return { base: BigInt(root), exponent: 2n }
-          }
-        } else if (exponent === 3n) {
-          const root = Math.floor(Math.cbrt(Number(num)))
-          if (BigInt(root) ** 3n === num) {
-            return { base: BigInt(root), exponent: 3n }
-          }
-        }
+    // A k-th power is a p-th power for every prime p dividing k, so only prime roots are taken.
+    // Each exact root is rooted again, until the root would fall below 2
+    let base = num
+    let exponent = 1n
+    let bits = num.toString(2).length
+    for (let p = 2n; p < BigInt(bits); p++) {
+      if (!isSimplePrime(p)) {
+        continue
       }
       
-      // For larger exponents or numbers, use binary search
-      // Find base^exponent = num
-      let low = 2n
-      let high = num / 2n + 1n  // A bit better upper bound 
-      
-      while (low <= high) {
-        const mid = (low + high) / 2n
-        const power = this.pow(mid, exponent)
-        
-        if (power === num) {
-          return { base: mid, exponent }
-        } else if (power < num) {
-          low = mid + 1n
-        } else {
-          high = mid - 1n
-        }
+      let root = exactRoot(base, p, bits)
+      while (root !== null && root > 1n) {
+        base = root
+        exponent *= p
+        bits = base.toString(2).length
+        root = exactRoot(base, p, bits)
       }
     }
     
-    return null
+    return exponent > 1n ? { base, exponent } : null
   },
 
   /**
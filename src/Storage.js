@@ -0,0 +1,607 @@
+/**
+ * Storage module for the UOR Math-JS library
+ * Persistent key-value storage adapters used by the caches, with versioned schema migration
+ * @module Storage
+ */
+
+const { PrimeMathError } = require('./Utils')
+
+/**
+ * Interface implemented by every storage adapter. All operations return promises, so that
+ * synchronous stores (memory, files) and asynchronous ones (IndexedDB) are used the same way.
+ * Values must survive JSON serialization
+ * 
+ * @typedef {Object} StorageAdapter
+ * @property {function(string): Promise<*>} get - Read a record; resolves to undefined if it is missing
+ * @property {function(string, *): Promise<void>} set - Write a record
+ * @property {function(string): Promise<void>} delete - Remove a record
+ * @property {function(): AsyncIterable<[string, *]>} iterate - Iterate over all records as [key, value] pairs
+ * @property {function(): Promise<void>} flush - Make all writes so far durable
+ * @property {function(): Promise<void>} [clear] - Remove every record
+ */
+
+/**
+ * Key of the record holding the schema version of a store
+ * Numbers are stored under their decimal strings, so this key cannot collide with a cache entry
+ * @type {string}
+ */
+const SCHEMA_KEY = '@schema'
+
+/**
+ * Default name of a store, used for its file names and IndexedDB database
+ * @private
+ * @type {string}
+ */
+const DEFAULT_STORE_NAME = 'math-js-factorization-cache'
+
+/**
+ * Build the default path of a storage file in the user's home directory
+ * 
+ * @private
+ * @param {string} name - Name of the store
+ * @param {string} extension - File extension
+ * @returns {string} Path under ~/.math-js-cache
+ * @throws {PrimeMathError} If there is no home directory
+ */
+function defaultStoragePath(name, extension) {
+  const path = require('path')
+  
+  const homeDir = process.env.HOME || process.env.USERPROFILE
+  if (!homeDir) {
+    throw new PrimeMathError('No home directory for the cache file; pass a path in the storage options')
+  }
+
+  return path.join(homeDir, '.math-js-cache', `${name}.${extension}`)
+}
+
+/**
+ * Replace a file's contents atomically, creating its directory if needed
+ * 
+ * @private
+ * @param {string} filePath - The file to write
+ * @param {string} contents - The new contents
+ */
+function writeFileAtomically(filePath, contents) {
+  const fs = require('fs')
+  const path = require('path')
+  
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  const temporaryPath = `${filePath}.${process.pid}.tmp`
+  fs.writeFileSync(temporaryPath, contents, 'utf8')
+  fs.renameSync(temporaryPath, filePath)
+}
+
+/**
+ * Storage adapter keeping records in memory, for tests and short-lived processes
+ * Values are copied through JSON, so they behave as they would in a persistent store
+ */
+class MemoryStorageAdapter {
+  constructor() {
+    /** @type {Map<string, string>} */
+    this.records = new Map()
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @returns {Promise<*>} The record, or undefined
+   */
+  async get(key) {
+    const value = this.records.get(key)
+    return value === undefined ? undefined : JSON.parse(value)
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @param {*} value - Record value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this.records.set(key, JSON.stringify(value))
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.records.delete(key)
+  }
+
+  /**
+   * @returns {AsyncGenerator<[string, *]>} All records
+   */
+  async *iterate() {
+    for (const [key, value] of [...this.records.entries()]) {
+      yield [key, JSON.parse(value)]
+    }
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    // Nothing to persist
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.records.clear()
+  }
+}
+
+/**
+ * Storage adapter for Node.js keeping all records in one JSON file
+ * The file is read on first use and rewritten atomically by flush. A corrupt or unreadable
+ * file is treated as empty and replaced on the next flush
+ */
+class FileStorageAdapter {
+  /**
+   * @param {Object} [options] - Adapter options
+   * @param {string} [options.path] - File path (default: ~/.math-js-cache/<name>.json)
+   * @param {string} [options.name='math-js-factorization-cache'] - Store name used for the default path
+   */
+  constructor(options = {}) {
+    this.path = options.path || defaultStoragePath(options.name || DEFAULT_STORE_NAME, 'json')
+    /** @type {Map<string, *>|null} */
+    this.records = null
+    this.dirty = false
+  }
+
+  /**
+   * Read the file on first use
+   * @private
+   * @returns {Map<string, *>} The records
+   */
+  load() {
+    if (!this.records) {
+      const fs = require('fs')
+      
+      this.records = new Map()
+      try {
+        if (fs.existsSync(this.path)) {
+          const data = JSON.parse(fs.readFileSync(this.path, 'utf8'))
+          if (data && typeof data === 'object' && !Array.isArray(data)) {
+            this.records = new Map(Object.entries(data))
+          }
+        }
+      } catch (error) {
+        // Start afresh; the next flush replaces the damaged file
+        this.dirty = true
+      }
+    }
+    return this.records
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @returns {Promise<*>} The record, or undefined
+   */
+  async get(key) {
+    return this.load().get(key)
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @param {*} value - Record value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this.load().set(key, value)
+    this.dirty = true
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    if (this.load().delete(key)) {
+      this.dirty = true
+    }
+  }
+
+  /**
+   * @returns {AsyncGenerator<[string, *]>} All records
+   */
+  async *iterate() {
+    yield* [...this.load().entries()]
+  }
+
+  /**
+   * Write the records to the file if they changed
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.dirty) {
+      writeFileAtomically(this.path, JSON.stringify(Object.fromEntries(this.load())))
+      this.dirty = false
+    }
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.records = new Map()
+    this.dirty = true
+  }
+}
+
+/**
+ * Storage adapter for Node.js recording every change as a line appended to a log file
+ * Writes cost one append per flush instead of a rewrite of the whole store. The log is replayed
+ * on first use, ignoring a torn last line, and compacted once it holds more than `compactionRatio`
+ * lines per live record
+ */
+class AppendLogStorageAdapter {
+  /**
+   * @param {Object} [options] - Adapter options
+   * @param {string} [options.path] - Log file path (default: ~/.math-js-cache/<name>.log)
+   * @param {string} [options.name='math-js-factorization-cache'] - Store name used for the default path
+   * @param {number} [options.compactionRatio=4] - Log lines per live record that trigger compaction
+   */
+  constructor(options = {}) {
+    this.path = options.path || defaultStoragePath(options.name || DEFAULT_STORE_NAME, 'log')
+    this.compactionRatio = options.compactionRatio || 4
+    /** @type {Map<string, *>|null} */
+    this.records = null
+    /** @type {string[]} */
+    this.pending = []
+    this.logLength = 0
+    this.tornLine = false
+  }
+
+  /**
+   * Replay the log on first use
+   * @private
+   * @returns {Map<string, *>} The records
+   */
+  load() {
+    if (!this.records) {
+      const fs = require('fs')
+      
+      this.records = new Map()
+      const contents = fs.existsSync(this.path) ? fs.readFileSync(this.path, 'utf8') : ''
+      this.tornLine = contents.length > 0 && !contents.endsWith('\n')
+      const lines = contents.split('\n')
+      for (const line of lines) {
+        if (!line) continue
+        
+        let operation
+        try {
+          operation = JSON.parse(line)
+        } catch (error) {
+          // A crash during an append can leave a partial line behind
+          continue
+        }
+        
+        if (operation.op === 'set') {
+          this.records.set(operation.key, operation.value)
+        } else if (operation.op === 'delete') {
+          this.records.delete(operation.key)
+        } else if (operation.op === 'clear') {
+          this.records.clear()
+        }
+        this.logLength++
+      }
+    }
+    return this.records
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @returns {Promise<*>} The record, or undefined
+   */
+  async get(key) {
+    return this.load().get(key)
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @param {*} value - Record value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this.load().set(key, value)
+    this.pending.push(JSON.stringify({ op: 'set', key, value }))
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    if (this.load().delete(key)) {
+      this.pending.push(JSON.stringify({ op: 'delete', key }))
+    }
+  }
+
+  /**
+   * @returns {AsyncGenerator<[string, *]>} All records
+   */
+  async *iterate() {
+    yield* [...this.load().entries()]
+  }
+
+  /**
+   * Append the pending changes to the log, compacting it when it has grown too long
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    const records = this.load()
+    if (this.pending.length === 0) {
+      return
+    }
+    
+    if (this.logLength + this.pending.length > this.compactionRatio * Math.max(records.size, 16)) {
+      await this.compact()
+      return
+    }
+    
+    const fs = require('fs')
+    const path = require('path')
+    
+    fs.mkdirSync(path.dirname(this.path), { recursive: true })
+    // A torn last line from an earlier crash would swallow the first new entry, so start on a fresh line
+    const prefix = this.tornLine ? '\n' : ''
+    fs.appendFileSync(this.path, `${prefix}${this.pending.join('\n')}\n`, 'utf8')
+    this.logLength += this.pending.length
+    this.pending = []
+    this.tornLine = false
+  }
+
+  /**
+   * Rewrite the log with one line per live record
+   * @returns {Promise<void>}
+   */
+  async compact() {
+    const lines = [...this.load().entries()].map(([key, value]) => JSON.stringify({ op: 'set', key, value }))
+    writeFileAtomically(this.path, lines.length > 0 ? `${lines.join('\n')}\n` : '')
+    this.logLength = lines.length
+    this.pending = []
+    this.tornLine = false
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.load().clear()
+    this.pending.push(JSON.stringify({ op: 'clear' }))
+  }
+}
+
+/**
+ * Storage adapter for browsers keeping records in an IndexedDB object store
+ * Every operation runs in its own transaction, so writes are durable once they resolve
+ */
+class IndexedDBStorageAdapter {
+  /**
+   * @param {Object} [options] - Adapter options
+   * @param {string} [options.name='math-js-factorization-cache'] - Database name
+   * @param {string} [options.storeName='records'] - Object store name
+   * @param {Object} [options.indexedDB] - IDBFactory to use (default: globalThis.indexedDB)
+   * @throws {PrimeMathError} If IndexedDB is not available
+   */
+  constructor(options = {}) {
+    this.factory = options.indexedDB || /** @type {*} */ (globalThis).indexedDB
+    if (!this.factory) {
+      throw new PrimeMathError('IndexedDB is not available in this environment')
+    }
+    
+    this.databaseName = options.name || DEFAULT_STORE_NAME
+    this.storeName = options.storeName || 'records'
+    /** @type {Promise<*>|null} */
+    this.database = null
+  }
+
+  /**
+   * Open the database on first use, creating the object store if needed
+   * @private
+   * @returns {Promise<*>} The IDBDatabase
+   */
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = this.factory.open(this.databaseName, 1)
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName)
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+    }
+    return this.database
+  }
+
+  /**
+   * Run an operation in a transaction on the object store
+   * 
+   * @private
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {function(*): function(): *} operation - Issues requests on the store and returns a
+   * function reading their results once the transaction completes
+   * @returns {Promise<*>} The operation's result
+   */
+  async transact(mode, operation) {
+    const database = await this.open()
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.storeName, mode)
+      const result = operation(transaction.objectStore(this.storeName))
+      transaction.oncomplete = () => resolve(result())
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @returns {Promise<*>} The record, or undefined
+   */
+  get(key) {
+    return this.transact('readonly', store => {
+      const request = store.get(key)
+      return () => request.result
+    })
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @param {*} value - Record value
+   * @returns {Promise<void>}
+   */
+  set(key, value) {
+    return this.transact('readwrite', store => {
+      store.put(value, key)
+      return () => undefined
+    })
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @returns {Promise<void>}
+   */
+  delete(key) {
+    return this.transact('readwrite', store => {
+      store.delete(key)
+      return () => undefined
+    })
+  }
+
+  /**
+   * @returns {AsyncGenerator<[string, *]>} All records
+   */
+  async *iterate() {
+    const [keys, values] = await this.transact('readonly', store => {
+      const keyRequest = store.getAllKeys()
+      const valueRequest = store.getAll()
+      return () => [keyRequest.result, valueRequest.result]
+    })
+    
+    for (let i = 0; i < keys.length; i++) {
+      yield [String(keys[i]), values[i]]
+    }
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    // Each transaction is committed before its operation resolves
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this.transact('readwrite', store => {
+      store.clear()
+      return () => undefined
+    })
+  }
+}
+
+/**
+ * Storage adapters selectable by name in config.cache.persistentCache
+ * @type {Map<string, function(Object): StorageAdapter>}
+ */
+const STORAGE_ADAPTERS = new Map([
+  ['memory', () => new MemoryStorageAdapter()],
+  ['file', options => new FileStorageAdapter(options)],
+  ['log', options => new AppendLogStorageAdapter(options)],
+  ['indexeddb', options => new IndexedDBStorageAdapter(options)]
+])
+
+/**
+ * Create the storage adapter selected by a config.cache.persistentCache value
+ * 
+ * @param {boolean|string|StorageAdapter} setting - true for the environment's default (IndexedDB in
+ * browsers, a file in Node.js), an adapter name ('file', 'log', 'indexeddb', 'memory') or an adapter object
+ * @param {Object} [options] - Options passed to the adapter's constructor (see config.cache.storageOptions)
+ * @returns {StorageAdapter|null} The adapter, or null if persistence is disabled
+ * @throws {PrimeMathError} If the setting names no known adapter
+ */
+function createStorageAdapter(setting, options = {}) {
+  if (!setting) {
+    return null
+  }
+
+  if (typeof setting === 'object') {
+    for (const method of ['get', 'set', 'delete', 'iterate', 'flush']) {
+      if (typeof setting[method] !== 'function') {
+        throw new PrimeMathError(`Storage adapter is missing the ${method} method`)
+      }
+    }
+    return setting
+  }
+
+  const name = setting === true
+    ? (typeof (/** @type {*} */ (globalThis)).indexedDB !== 'undefined' ? 'indexeddb' : 'file')
+    : String(setting).toLowerCase()
+  
+  const create = STORAGE_ADAPTERS.get(name)
+  if (!create) {
+    throw new PrimeMathError(`Unknown storage adapter: ${setting}`)
+  }
+  return create(options)
+}
+
+/**
+ * Bring a store up to the current schema version, running each registered migration in turn
+ * Stores without a schema record predate versioning and count as version 1. Empty stores are left alone
+ * 
+ * @param {StorageAdapter} adapter - The store to migrate
+ * @param {Object} schema - The schema of the records kept in the store
+ * @param {number} schema.version - Current schema version
+ * @param {Map<number, function(StorageAdapter): Promise<void>>} schema.migrations - Migrations keyed by
+ * the version they upgrade from; each rewrites the records of that version into the next one
+ * @returns {Promise<number|null>} The schema version of the store afterwards, or null if it is empty
+ * @throws {PrimeMathError} If the store was written by a newer schema version or a migration is missing
+ */
+async function migrateStorage(adapter, schema) {
+  const record = await adapter.get(SCHEMA_KEY)
+  
+  let version
+  if (record && Number.isInteger(record.version)) {
+    version = record.version
+  } else {
+    const first = await adapter.iterate()[Symbol.asyncIterator]().next()
+    if (first.done) {
+      return null
+    }
+    version = 1
+  }
+
+  if (version > schema.version) {
+    throw new PrimeMathError(`Storage schema version ${version} is newer than the supported version ${schema.version}`)
+  }
+
+  if (version === schema.version) {
+    return version
+  }
+
+  while (version < schema.version) {
+    const migrate = schema.migrations.get(version)
+    if (!migrate) {
+      throw new PrimeMathError(`No migration from storage schema version ${version}`)
+    }
+    await migrate(adapter)
+    version++
+  }
+
+  await adapter.set(SCHEMA_KEY, { ...(record || {}), version, timestamp: Date.now() })
+  await adapter.flush()
+  return version
+}
+
+module.exports = {
+  SCHEMA_KEY,
+  MemoryStorageAdapter,
+  FileStorageAdapter,
+  AppendLogStorageAdapter,
+  IndexedDBStorageAdapter,
+  createStorageAdapter,
+  migrateStorage
+}
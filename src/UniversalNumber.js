@@ -5,12 +5,27 @@
  * @module UniversalNumber
  */
 
-const { PrimeMathError, toBigInt, isPrime } = require('./Utils')
+const { PrimeMathError, FactorizationBudgetError, toBigInt, isPrime, isProbablePrime, checkRoundingMode, divideWithRounding, iroot: integerRoot } = require('./Utils')
 // eslint-disable-next-line no-unused-vars
-const { factorizeOptimal, factorArrayToMap, millerRabinTest, fromPrimeFactors } = require('./Factorization')
+const { factorizeOptimal, factorArrayToMap, fromPrimeFactors, verifyFactorization, factorialFactorization, binomialFactorization, multinomialFactorization, primorialFactorization } = require('./Factorization')
 const Conversion = require('./Conversion')
 const { config } = require('./config')
 
+/**
+ * Key of the custom inspection hook. util.inspect.custom is the registered symbol below, which
+ * is used directly where there is no util module, such as in browsers
+ * @type {symbol}
+ */
+let inspectCustom = Symbol.for('nodejs.util.inspect.custom')
+try {
+  const { inspect } = require('util')
+  if (inspect && typeof inspect.custom === 'symbol') {
+    inspectCustom = inspect.custom
+  }
+} catch (e) {
+  // No util module in this environment
+}
+
 /**
  * @typedef {Object} Coordinates
  * @property {Map<BigInt, BigInt>} factorization - Map where keys are prime factors and values are their exponents
@@ -30,6 +45,330 @@ const { config } = require('./config')
  * @property {Object} transformationRules - Rules for transforming between frames
  */
 
+/**
+ * Build a UniversalNumber from a factorization produced by a prime sieve. Its primes are known to be
+ * prime and in increasing order with positive exponents, so the constructor's primality checks,
+ * which would dominate the cost for numbers like 100000!, are skipped
+ * 
+ * @private
+ * @param {Map<BigInt, BigInt>} factorization - The sieved factorization
+ * @returns {UniversalNumber} A new UniversalNumber with that factorization
+ */
+function fromSievedFactorization(factorization) {
+  const result = new UniversalNumber(1)
+  result._factorization = factorization
+  return result
+}
+
+/**
+ * Natural logarithm of a positive BigInt of any size, accurate to double precision
+ * 
+ * @private
+ * @param {BigInt} value - The value
+ * @returns {number} ln(value)
+ */
+function logOf(value) {
+  const bits = value.toString(2).length
+  if (bits <= 1000) {
+    return Math.log(Number(value))
+  }
+  return Math.log(Number(value >> BigInt(bits - 64))) + (bits - 64) * Math.LN2
+}
+
+/**
+ * Natural logarithm of a product of powers, accurate to double precision
+ * 
+ * @private
+ * @param {Array<[BigInt, BigInt]>} terms - The [base, exponent] pairs
+ * @returns {number} The sum of exponent · ln(base)
+ */
+function logOfTerms(terms) {
+  let total = 0
+  for (const [base, exponent] of terms) {
+    total += Number(exponent) * logOf(base)
+  }
+  return total
+}
+
+/**
+ * Views of one double's bits, for stepping to adjacent doubles
+ * @private
+ */
+const floatView = new Float64Array(1)
+const floatBits = new BigInt64Array(floatView.buffer)
+
+/**
+ * The smallest double above x, for rounding an interval bound upward
+ * 
+ * @private
+ * @param {number} x - A double
+ * @returns {number} The next double toward +Infinity
+ */
+function nextUp(x) {
+  if (Number.isNaN(x) || x === Number.POSITIVE_INFINITY) {
+    return x
+  }
+  if (x === 0) {
+    return Number.MIN_VALUE
+  }
+  floatView[0] = x
+  floatBits[0] += x > 0 ? 1n : -1n
+  return floatView[0]
+}
+
+/**
+ * The largest double below x, for rounding an interval bound downward
+ * 
+ * @private
+ * @param {number} x - A double
+ * @returns {number} The next double toward -Infinity
+ */
+function nextDown(x) {
+  return -nextUp(-x)
+}
+
+/**
+ * Interval certain to contain the natural logarithm of a positive BigInt. The value is bracketed
+ * by its top 53 bits, and every rounded step, including Math.log and ln 2, is widened outward
+ * 
+ * @private
+ * @param {BigInt} value - The value
+ * @returns {[number, number]} Lower and upper bounds on ln(value)
+ */
+function logBounds(value) {
+  const bits = value.toString(2).length
+  const shift = Math.max(0, bits - 53)
+  const top = Number(value >> BigInt(shift))
+  const lower = nextDown(nextDown(Math.log(top)))
+  const upper = nextUp(nextUp(Math.log(shift === 0 ? top : top + 1)))
+  if (shift === 0) {
+    return [lower, upper]
+  }
+
+  // Math.LN2 is the double just below ln 2
+  return [
+    nextDown(lower + nextDown(shift * Math.LN2)),
+    nextUp(upper + nextUp(shift * nextUp(Math.LN2)))
+  ]
+}
+
+/**
+ * Interval certain to contain the natural logarithm of a product of powers
+ * 
+ * @private
+ * @param {Array<[BigInt, BigInt]>} terms - The [base, exponent] pairs
+ * @returns {[number, number]} Lower and upper bounds on the sum of exponent · ln(base)
+ */
+function logBoundsOfTerms(terms) {
+  let lower = 0
+  let upper = 0
+  for (const [base, exponent] of terms) {
+    const [baseLower, baseUpper] = logBounds(base)
+    const count = Number(exponent)
+    const exact = exponent <= BigInt(Number.MAX_SAFE_INTEGER)
+    lower = nextDown(lower + nextDown((exact ? count : nextDown(count)) * baseLower))
+    upper = nextUp(upper + nextUp((exact ? count : nextUp(count)) * baseUpper))
+  }
+  return [lower, upper]
+}
+
+/**
+ * Logarithm bounds already computed for each number, so sorting does not repeat them
+ * @private
+ */
+const logBoundsCache = new WeakMap()
+
+/**
+ * Extra bits carried through the fixed-point series, so that their truncation errors stay below
+ * a unit in the last place of the result
+ * @private
+ */
+const GUARD_BITS = 32
+
+/**
+ * ln 2 at the working precision last used by fixedLog
+ * @private
+ */
+const ln2Memo = { precision: -1n, value: 0n }
+
+/**
+ * atanh(z) for 0 <= z <= 1/3 in fixed point, with z and the result scaled by 2^precision
+ * 
+ * @private
+ * @param {BigInt} z - The argument
+ * @param {BigInt} precision - Number of fractional bits
+ * @returns {BigInt} atanh(z), truncated
+ */
+function fixedAtanh(z, precision) {
+  const zSquared = (z * z) >> precision
+  let sum = 0n
+  let power = z
+  for (let k = 1n; power > 0n; k += 2n) {
+    sum += power / k
+    power = (power * zSquared) >> precision
+  }
+  return sum
+}
+
+/**
+ * Natural logarithm of a positive BigInt in fixed point, scaled by 2^precision, from
+ * ln(v) = k·ln 2 + 2·atanh((v - 2^k) / (v + 2^k)) where 2^k <= v < 2^(k+1)
+ * 
+ * @private
+ * @param {BigInt} value - The value
+ * @param {number} precision - Number of fractional bits
+ * @returns {BigInt} ln(value), within two units in the last place
+ */
+function fixedLog(value, precision) {
+  const working = BigInt(precision + GUARD_BITS)
+  if (ln2Memo.precision !== working) {
+    ln2Memo.precision = working
+    ln2Memo.value = 2n * fixedAtanh((1n << working) / 3n, working)
+  }
+  
+  const k = BigInt(value.toString(2).length - 1)
+  const power = 1n << k
+  const z = ((value - power) << working) / (value + power)
+  return (k * ln2Memo.value + 2n * fixedAtanh(z, working)) >> BigInt(GUARD_BITS)
+}
+
+/**
+ * Natural logarithm of a product of powers in fixed point, scaled by 2^precision
+ * 
+ * @private
+ * @param {Array<[BigInt, BigInt]>} terms - The [base, exponent] pairs
+ * @param {number} precision - Number of fractional bits
+ * @returns {{value: BigInt, error: BigInt}} The logarithm and a bound on its error, in units in the last place
+ */
+function fixedLogOfTerms(terms, precision) {
+  let value = 0n
+  let error = 0n
+  for (const [base, exponent] of terms) {
+    value += exponent * fixedLog(base, precision)
+    error += 2n * exponent
+  }
+  return { value, error }
+}
+
+/**
+ * e^x for non-negative x in fixed point, with x and the result scaled by 2^precision
+ * 
+ * @private
+ * @param {BigInt} x - The argument
+ * @param {number} precision - Number of fractional bits
+ * @returns {BigInt} e^x, within a unit in the last place
+ */
+function fixedExp(x, precision) {
+  const working = BigInt(precision + GUARD_BITS)
+  const scaledX = x << BigInt(GUARD_BITS)
+  let term = 1n << working
+  let sum = term
+  for (let n = 1n; term > 0n; n++) {
+    term = (term * scaledX) / (n << working)
+    sum += term
+  }
+  return sum >> BigInt(GUARD_BITS)
+}
+
+/**
+ * Modular exponentiation by repeated squaring
+ * 
+ * @private
+ * @param {BigInt} base - The base
+ * @param {BigInt} exponent - A non-negative exponent
+ * @param {BigInt} modulus - A positive modulus
+ * @returns {BigInt} base^exponent mod modulus
+ */
+function powMod(base, exponent, modulus) {
+  let result = 1n % modulus
+  base %= modulus
+  while (exponent > 0n) {
+    if (exponent % 2n === 1n) {
+      result = (result * base) % modulus
+    }
+    base = (base * base) % modulus
+    exponent >>= 1n
+  }
+  return result
+}
+
+/**
+ * Largest BigInt the JavaScript engine can hold, in bits (V8 stops at 2^30)
+ * @private
+ * @type {number}
+ */
+const MAX_BIGINT_BITS = 2 ** 30
+
+/**
+ * Error for an operation that would implicitly expand a number beyond config.symbolic.expansionLimit
+ * 
+ * @private
+ * @param {number} bits - Approximate size of the number in bits
+ * @param {string} operation - The operation that needed the value
+ * @returns {PrimeMathError} The error to throw
+ */
+function expansionError(bits, operation) {
+  const advice = bits <= MAX_BIGINT_BITS
+    ? 'Use toBigInt() to expand it explicitly'
+    : 'It is too large for a BigInt, so keep it in factored form'
+  return new PrimeMathError(
+    `${operation} would expand a number of about ${Math.ceil(bits)} bits, above the symbolic ` +
+    `expansion limit of ${config.symbolic.expansionLimit} bits. ${advice}`
+  )
+}
+
+/**
+ * Multiply out a product of powers, unless symbolic mode forbids expanding a number that large
+ * 
+ * @private
+ * @param {Array<[BigInt, BigInt]>} terms - The [base, exponent] pairs
+ * @param {string} operation - The operation that needs the value
+ * @returns {BigInt} The product
+ * @throws {PrimeMathError} If symbolic mode is enabled and the product exceeds the expansion limit
+ */
+function expandTerms(terms, operation) {
+  const bits = logOfTerms(terms) / Math.LN2
+  if (config.symbolic.enabled && bits > config.symbolic.expansionLimit) {
+    throw expansionError(bits, operation)
+  }
+  
+  let value = 1n
+  for (const [base, exponent] of terms) {
+    value *= base ** exponent
+  }
+  return value
+}
+
+/**
+ * Text for a number in an error message: its digits, or its factorization when symbolic mode
+ * forbids expanding it
+ * 
+ * @private
+ * @param {UniversalNumber} number - The number
+ * @returns {string} The description
+ */
+function describeValue(number) {
+  if (!number._exceedsExpansionLimit()) {
+    return number.toString()
+  }
+  return Conversion.factorizationToString({
+    factorization: number._factorization,
+    isNegative: number._isNegative
+  })
+}
+
+/**
+ * Value of the other operand of a bitwise operation, expanded only when symbolic mode allows it
+ * 
+ * @private
+ * @param {number|string|BigInt|UniversalNumber} value - The operand
+ * @param {string} operation - The operation, for the error message
+ * @returns {BigInt} The operand's value
+ */
+function bitwiseOperand(value, operation) {
+  return value instanceof UniversalNumber ? value._bitwiseValue(operation) : toBigInt(value)
+}
+
 /**
  * Class representing a universal number in the Prime Framework
  * Stores numbers using their prime factorization (universal coordinates)
@@ -40,7 +379,8 @@ class UniversalNumber {
   /**
    * Create a new UniversalNumber
    * 
-   * @param {number|string|BigInt|Map<BigInt, BigInt>|UniversalNumber|{factorization: Map<BigInt, BigInt>, isNegative: boolean}} value - The value to initialize with
+   * @param {number|string|BigInt|Map<BigInt, BigInt>|UniversalNumber|{factorization: Map<BigInt, BigInt>, isNegative: boolean}} value - The value to initialize with,
+   * or an integral UniversalRational
    * @throws {PrimeMathError} If value cannot be converted to a valid UniversalNumber
    */
   constructor(value) {
@@ -208,6 +548,12 @@ class UniversalNumber {
         }
         this._isNegative = value < 0n
         this._factorization = Conversion.fromBigInt(value < 0n ? -value : value)
+      } else if (typeof value === 'object' && value instanceof require('./UniversalRational')) {
+        // An integral UniversalRational; toUniversalNumber throws for other fractions
+        const integer = value.toUniversalNumber()
+        this._factorization = new Map(integer._factorization)
+        this._isNegative = integer._isNegative
+        this._isZero = integer._isZero
       } else {
         throw new PrimeMathError(`Unsupported value type: ${typeof value}`)
       }
@@ -254,8 +600,8 @@ class UniversalNumber {
         throw new PrimeMathError(`Factor ${prime} is not a prime number`)
       }
       
-      // For larger numbers, use Miller-Rabin test with configurable rounds
-      if (prime >= verificationThreshold && !millerRabinTest(prime, { rounds: config.primalityTesting.millerRabinRounds })) {
+      // For larger numbers, use the configured probable-prime test
+      if (prime >= verificationThreshold && !isProbablePrime(prime)) {
         throw new PrimeMathError(`Factor ${prime} is not a prime number`)
       }
 
@@ -406,13 +752,97 @@ class UniversalNumber {
     })
   }
 
+  /**
+   * Create a UniversalNumber from a factorization certificate (see Factorization.certify)
+   * The certificate is checked first, so external factorizations can be used without factoring again
+   * 
+   * @param {Object|string} certificate - The FactorizationCertificate, or its JSON string
+   * @param {Object} [options] - Verification options
+   * @param {boolean} [options.requireProof=false] - Refuse primes backed only by a Baillie-PSW witness
+   * @returns {UniversalNumber} A new UniversalNumber instance
+   * @throws {PrimeMathError} If the certificate cannot be verified
+   */
+  static fromCertifiedFactorization(certificate, options = {}) {
+    let data
+    try {
+      data = typeof certificate === 'string' ? JSON.parse(certificate) : certificate
+    } catch (error) {
+      throw new PrimeMathError('Factorization certificate is not valid JSON')
+    }
+    
+    if (!verifyFactorization(data, options)) {
+      throw new PrimeMathError('Factorization certificate could not be verified')
+    }
+    
+    return UniversalNumber.fromFactors(Object.entries(data.factors).map(([prime, exponent]) => ({ prime, exponent })))
+  }
+
+  /**
+   * Create n! directly in factored form, from a prime sieve and Legendre's formula
+   * The factorial is never multiplied out, so numbers like 100000! are built at once
+   * 
+   * @param {number|string|BigInt} n - A non-negative integer, at most config.primalityTesting.maxPrimesGenerated
+   * @returns {UniversalNumber} A new UniversalNumber equal to n!
+   * @throws {PrimeMathError} If n is negative, not an integer or above the sieve limit
+   */
+  static factorial(n) {
+    return fromSievedFactorization(factorialFactorization(n))
+  }
+
+  /**
+   * Create the binomial coefficient C(n, k) directly in factored form, using Kummer's theorem
+   * 
+   * @param {number|string|BigInt} n - A non-negative integer, at most config.primalityTesting.maxPrimesGenerated
+   * @param {number|string|BigInt} k - A non-negative integer
+   * @returns {UniversalNumber} A new UniversalNumber equal to C(n, k), which is zero when k > n
+   * @throws {PrimeMathError} If n or k is negative, not an integer or above the sieve limit
+   */
+  static binomial(n, k) {
+    // C(n, k) = 0 for k > n
+    const top = toBigInt(n)
+    if (top >= 0n && toBigInt(k) > top) {
+      return new UniversalNumber(0)
+    }
+    
+    return fromSievedFactorization(binomialFactorization(n, k))
+  }
+
+  /**
+   * Create the multinomial coefficient (k1 + ... + km)! / (k1! ... km!) directly in factored form
+   * 
+   * @param {Array<number|string|BigInt>} parts - The non-negative integers k1, ..., km, whose sum is at
+   * most config.primalityTesting.maxPrimesGenerated
+   * @returns {UniversalNumber} A new UniversalNumber equal to the multinomial coefficient
+   * @throws {PrimeMathError} If parts is not an array of non-negative integers or their sum is above the sieve limit
+   */
+  static multinomial(parts) {
+    return fromSievedFactorization(multinomialFactorization(parts))
+  }
+
+  /**
+   * Create the primorial n#, the product of the primes up to n, directly in factored form
+   * 
+   * @param {number|string|BigInt} n - A non-negative integer, at most config.primalityTesting.maxPrimesGenerated
+   * @returns {UniversalNumber} A new UniversalNumber equal to n#
+   * @throws {PrimeMathError} If n is negative, not an integer or above the sieve limit
+   */
+  static primorial(n) {
+    return fromSievedFactorization(primorialFactorization(n))
+  }
+
   /**
    * Factorize a number into its UniversalNumber representation with prime factorization
    * 
    * @param {number|string|BigInt} n - The number to factorize
    * @param {Object} [options] - Options for factorization
    * @param {boolean} [options.advanced=false] - Whether to use advanced factorization algorithms
-   * @returns {UniversalNumber} A new UniversalNumber instance
+   * @param {AbortSignal} [options.signal] - Signal used to cancel the factorization
+   * @param {function(Object): void} [options.onProgress] - Callback receiving progress reports
+   * @param {number} [options.timeLimit] - Time budget in milliseconds (default: config.factorization.timeLimit)
+   * @param {number} [options.memoryLimit] - Heap growth budget in MB (default: config.factorization.memoryLimit)
+   * @returns {UniversalNumber} A new UniversalNumber instance. If a time or memory budget runs out, the result
+   * is built with fromPartialFactorization and getPartialFactorization() describes the unfactored cofactor
+   * @throws {FactorizationAbortError} If the signal is aborted; carries the factors found so far
    */
   static factorize(n, options = {}) {
     // Special case for zero
@@ -434,7 +864,25 @@ class UniversalNumber {
       typeof n === 'number' ? Math.abs(n) :
         typeof n === 'string' && n.startsWith('-') ? n.substring(1) : n
     
-    const factorization = factorizeOptimal(absValue, options)
+    let factorization
+    try {
+      factorization = factorizeOptimal(absValue, options)
+    } catch (error) {
+      if (!(error instanceof FactorizationBudgetError)) {
+        throw error
+      }
+      
+      // Out of time or memory: keep the primes found so far and leave the cofactor unfactored
+      if (error.remaining === 1n) {
+        factorization = error.factors
+      } else {
+        return UniversalNumber.fromPartialFactorization({
+          knownFactors: error.factors,
+          remainingPart: error.remaining,
+          isNegative
+        })
+      }
+    }
     
     return new UniversalNumber({
       factorization,
@@ -447,14 +895,28 @@ class UniversalNumber {
    * Check if the UniversalNumber represents an intrinsic prime
    * A number is intrinsically prime if its prime factorization consists of a single prime with exponent 1
    * 
-   * @returns {boolean} True if the number is an intrinsic prime, false otherwise
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.certificate=false] - Also prove primality with PrimeMath.provePrime; the other
+   * options are passed on to it
+   * @returns {boolean|{isPrime: boolean, certificate: (Object|null)}} True if the number is an intrinsic prime,
+   * false otherwise; with `certificate: true`, that result together with a primality certificate (null if not prime)
    */
-  isIntrinsicPrime() {
-    // Only unsigned numbers can be prime per mathematical definition
-    if (this._isNegative) return false
+  isIntrinsicPrime(options = {}) {
+    // Only unsigned numbers can be prime per mathematical definition, and an intrinsic prime
+    // has exactly one prime factor with exponent 1
+    const prime = !this._isNegative &&
+      this._factorization.size === 1 && [...this._factorization.values()][0] === 1n
+    
+    if (!options.certificate) {
+      return prime
+    }
     
-    // An intrinsic prime has exactly one prime factor with exponent 1
-    return this._factorization.size === 1 && [...this._factorization.values()][0] === 1n
+    // Loaded on demand, since PrimeMath depends on this module
+    const PrimeMath = require('./PrimeMath')
+    return {
+      isPrime: prime,
+      certificate: prime ? PrimeMath.provePrime(this.toBigInt(), options) : null
+    }
   }
 
   /**
@@ -483,6 +945,7 @@ class UniversalNumber {
    * Convert the UniversalNumber to a BigInt
    * 
    * @returns {BigInt} The BigInt representation of the number
+   * @throws {PrimeMathError} If the number has more bits than a BigInt can hold
    */
   toBigInt() {
     // Special case for zero
@@ -495,10 +958,103 @@ class UniversalNumber {
       return this._isNegative ? -1n : 1n
     }
     
+    // Fail at once instead of after a long expansion that the engine would reject anyway
+    const bits = logOfTerms(this._powerTerms()) / Math.LN2
+    if (bits > MAX_BIGINT_BITS) {
+      throw new PrimeMathError(
+        `toBigInt() cannot expand a number of about ${Math.ceil(bits)} bits, above the ` +
+        `${MAX_BIGINT_BITS} bits a BigInt can hold. Keep it in factored form`
+      )
+    }
+    
     const value = Conversion.toBigInt(this._factorization)
     return this._isNegative ? -value : value
   }
 
+  /**
+   * Prime-power terms of this number's magnitude, read without expanding it. The unfactored
+   * cofactor of a partial factorization contributes a term with exponent 1
+   * 
+   * @private
+   * @returns {Array<[BigInt, BigInt]>} The [base, exponent] pairs whose product is |this|
+   */
+  _powerTerms() {
+    if (this._partialFactorization && !this._isFactorizationComputed) {
+      const { knownFactors, remainingPart } = this._partialFactorization
+      return [...knownFactors.entries(), [remainingPart, 1n]]
+    }
+    
+    this._ensureComputed()
+    return [...this._factorization.entries()]
+  }
+
+  /**
+   * Known prime factors of this number's magnitude and its unfactored cofactor, read without
+   * expanding it
+   * 
+   * @private
+   * @returns {{factors: Map<BigInt, BigInt>, cofactor: BigInt}} A copy of the known factors, and
+   * the cofactor (1n once the number is completely factored)
+   */
+  _factoredPart() {
+    if (this._partialFactorization && !this._isFactorizationComputed) {
+      const { knownFactors, remainingPart } = this._partialFactorization
+      return { factors: new Map(knownFactors), cofactor: remainingPart }
+    }
+    
+    this._ensureComputed()
+    return { factors: new Map(this._factorization), cofactor: 1n }
+  }
+
+  /**
+   * Natural logarithm of this number's magnitude, in double precision
+   * 
+   * @private
+   * @returns {number} ln |this| (0 for zero, which is never expanded)
+   */
+  _logMagnitude() {
+    return this._isZero ? 0 : logOfTerms(this._powerTerms())
+  }
+
+  /**
+   * Interval certain to contain the natural logarithm of this number's magnitude, cached per number
+   * 
+   * @private
+   * @returns {[number, number]} Lower and upper bounds on ln |this|
+   */
+  _logBounds() {
+    let bounds = logBoundsCache.get(this)
+    if (!bounds) {
+      bounds = logBoundsOfTerms(this._powerTerms())
+      logBoundsCache.set(this, bounds)
+    }
+    return bounds
+  }
+
+  /**
+   * Check whether symbolic mode forbids implicitly expanding this number
+   * 
+   * @private
+   * @returns {boolean} True if symbolic mode is enabled and |this| exceeds config.symbolic.expansionLimit bits
+   */
+  _exceedsExpansionLimit() {
+    const { enabled, expansionLimit } = config.symbolic
+    return Boolean(enabled) && this._logMagnitude() / Math.LN2 > expansionLimit
+  }
+
+  /**
+   * Guard an operation that needs this number's value
+   * 
+   * @private
+   * @param {string} operation - The operation, for the error message
+   * @throws {PrimeMathError} If symbolic mode forbids implicitly expanding this number
+   */
+  _checkExpansion(operation) {
+    if (this._exceedsExpansionLimit()) {
+      throw expansionError(this._logMagnitude() / Math.LN2, operation)
+    }
+  }
+
   /**
    * Convert the UniversalNumber to a JavaScript Number
    * 
@@ -510,10 +1066,13 @@ class UniversalNumber {
    */
   toNumber(options = {}) {
     const { allowApproximate = false, suppressErrors = false } = options
-    const value = this.toBigInt()
+    
+    // A number symbolic mode may not expand is judged by its logarithm instead
+    const isSymbolic = this._exceedsExpansionLimit() && this._logMagnitude() > 54 * Math.LN2
+    const value = isSymbolic ? null : this.toBigInt()
     
     // Check if the value is within the safe integer range
-    if (value <= BigInt(Number.MAX_SAFE_INTEGER) && 
+    if (!isSymbolic && value <= BigInt(Number.MAX_SAFE_INTEGER) && 
         value >= BigInt(Number.MIN_SAFE_INTEGER)) {
       return Number(value)
     }
@@ -522,11 +1081,16 @@ class UniversalNumber {
     
     // If suppressing errors, return Infinity with appropriate sign
     if (suppressErrors) {
-      return value > 0n ? Number.POSITIVE_INFINITY : Number.NEGATIVE_INFINITY
+      return this._isNegative ? Number.NEGATIVE_INFINITY : Number.POSITIVE_INFINITY
     }
     
     // Allow approximate conversion if requested
     if (allowApproximate) {
+      if (isSymbolic) {
+        const magnitude = Math.exp(this._logMagnitude())
+        return this._isNegative ? -magnitude : magnitude
+      }
+      
       // Convert to string and then to Number - will lose precision but won't throw
       return Number(value.toString())
     }
@@ -564,25 +1128,35 @@ class UniversalNumber {
       return 0
     }
     
-    // Get string representation
-    const valueStr = this.toString()
+    let isNegative, absStr, exponent
     
-    // Check if we're already within safe integer range (for small numbers)
-    if (valueStr.length <= 15 && !valueStr.includes('.')) {
-      const value = this.toBigInt()
-      if (value <= BigInt(Number.MAX_SAFE_INTEGER) && 
-          value >= BigInt(Number.MIN_SAFE_INTEGER)) {
-        return Number(value)
+    if (this._exceedsExpansionLimit()) {
+      // Take the leading digits and exponent from logarithms rather than expanding the number
+      const { exponent: powerOfTen, leading } = this._scientific(10, precision)
+      isNegative = this._isNegative
+      absStr = leading.toString()
+      exponent = Number(powerOfTen)
+    } else {
+      // Get string representation
+      const valueStr = this.toString()
+      
+      // Check if we're already within safe integer range (for small numbers)
+      if (valueStr.length <= 15 && !valueStr.includes('.')) {
+        const value = this.toBigInt()
+        if (value <= BigInt(Number.MAX_SAFE_INTEGER) && 
+            value >= BigInt(Number.MIN_SAFE_INTEGER)) {
+          return Number(value)
+        }
       }
+      
+      // Extract sign
+      isNegative = valueStr.startsWith('-')
+      absStr = isNegative ? valueStr.substring(1) : valueStr
+      
+      // For scientific notation, we need to determine the exponent and mantissa
+      exponent = absStr.length - 1
     }
     
-    // Extract sign
-    const isNegative = valueStr.startsWith('-')
-    const absStr = isNegative ? valueStr.substring(1) : valueStr
-    
-    // For scientific notation, we need to determine the exponent and mantissa
-    const exponent = absStr.length - 1
-    
     // Check if the exponent is too large for JavaScript Number
     // IEEE 754 double precision has exponent range of approximately ±1023
     if (exponent > 1023 || exponent < -1023) {
@@ -638,6 +1212,7 @@ class UniversalNumber {
       return this._isNegative ? '-1' : '1'
     }
     
+    this._checkExpansion('toString()')
     const absStr = Conversion.toString(this._factorization, base)
     return this._isNegative ? '-' + absStr : absStr
   }
@@ -665,6 +1240,14 @@ class UniversalNumber {
       groupSeparator = ','
     } = options
     
+    // A number symbolic mode may not expand can still be shown in scientific notation, from logarithms
+    if ((scientific || notation === 'scientific') && this._exceedsExpansionLimit()) {
+      const { exponent, leading } = this._scientific(base, Math.max(1, precision))
+      const digits = leading.toString(base)
+      const mantissa = digits.length > 1 ? digits.charAt(0) + '.' + digits.substring(1) : digits
+      return `${this._isNegative ? '-' : ''}${mantissa}e${exponent}`
+    }
+    
     // Get the full string representation in the requested base
     const fullStr = this.toString(base)
     
@@ -811,15 +1394,25 @@ class UniversalNumber {
       }
     }
     
-    // Get string representation
-    const str = this.toString(base)
-    
-    // Extract sign
-    const isNegative = str.startsWith('-')
-    const absStr = isNegative ? str.substring(1) : str
+    let isNegative, absStr, exponent
     
-    // Calculate exponent (power of base)
-    const exponent = absStr.length - 1
+    if (this._exceedsExpansionLimit()) {
+      // Take the leading digits and exponent from logarithms rather than expanding the number
+      const { exponent: power, leading } = this._scientific(base, Math.max(1, significantDigits))
+      isNegative = this._isNegative
+      absStr = leading.toString(base)
+      exponent = Number(power)
+    } else {
+      // Get string representation
+      const str = this.toString(base)
+      
+      // Extract sign
+      isNegative = str.startsWith('-')
+      absStr = isNegative ? str.substring(1) : str
+      
+      // Calculate exponent (power of base)
+      exponent = absStr.length - 1
+    }
     
     // Determine if exponent is within JavaScript Number range
     const isExponentInRange = exponent <= 1023 && exponent >= -1023
@@ -887,6 +1480,7 @@ class UniversalNumber {
       return [0]
     }
     
+    this._checkExpansion('getDigits()')
     const result = Conversion.getDigitsFromValue(
       { 
         factorization: this._factorization, 
@@ -899,22 +1493,152 @@ class UniversalNumber {
   }
 
   /**
-   * Add another number to this UniversalNumber
+   * Logarithm of this number, computed from its prime exponents without expanding it
    * 
-   * @param {number|string|BigInt|UniversalNumber} other - The number to add
-   * @returns {UniversalNumber} A new UniversalNumber representing the sum
+   * @param {number} [base] - The base of the logarithm; the natural logarithm if omitted
+   * @returns {number} The logarithm, or -Infinity for zero
+   * @throws {PrimeMathError} If this number is negative or the base is not a positive number other than 1
    */
-  add(other) {
-    // Special case for zero (more generalized handling)
-    if (this._isZero) {
-      // If this is zero, return other
-      return other instanceof UniversalNumber ? 
-        new UniversalNumber(other) : 
-        new UniversalNumber(other)
+  log(base) {
+    if (base !== undefined && (typeof base !== 'number' || !(base > 0) || base === 1 || base === Infinity)) {
+      throw new PrimeMathError(`Invalid logarithm base: ${base}`)
     }
     
-    // Special case for adding 0
-    if ((other === 0 || other === 0n || other === '0') || 
+    if (this._isNegative) {
+      throw new PrimeMathError('The logarithm of a negative number is undefined')
+    }
+    
+    if (this._isZero) {
+      return Number.NEGATIVE_INFINITY
+    }
+    
+    const value = this._logMagnitude()
+    return base === undefined ? value : value / Math.log(base)
+  }
+
+  /**
+   * Count the digits of this number's magnitude in a base, from logarithms of its prime exponents,
+   * so numbers like 3^(10^12) are never expanded
+   * 
+   * @param {number} [base=10] - The base (2-36)
+   * @returns {BigInt} The number of digits, as a BigInt since it can exceed Number.MAX_SAFE_INTEGER
+   * @throws {PrimeMathError} If the base is invalid
+   */
+  digitCount(base = 10) {
+    if (this._isZero) {
+      return 1n
+    }
+    
+    return this._scientific(base, 1).exponent + 1n
+  }
+
+  /**
+   * Get the leading digits of this number's magnitude in a base, from logarithms of its prime
+   * exponents, so numbers like 3^(10^12) are never expanded. The digits are truncated, not rounded
+   * 
+   * @param {number} [count=15] - How many digits to return; fewer if the number is shorter
+   * @param {number} [base=10] - The base (2-36)
+   * @returns {string} The leading digits
+   * @throws {PrimeMathError} If the count or base is invalid
+   */
+  leadingDigits(count = 15, base = 10) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new PrimeMathError(`Invalid digit count: ${count} (must be a positive integer)`)
+    }
+    
+    if (this._isZero) {
+      return '0'
+    }
+    
+    return this._scientific(base, count).leading.toString(base)
+  }
+
+  /**
+   * Place this number's magnitude on the scale of a base: the power of the base below it, and its
+   * leading digits. Both come from fixed-point logarithms carried 64 bits past the digits needed;
+   * digit boundaries the logarithms cannot resolve, such as at exact powers of the base, are settled
+   * by exact comparisons of factorizations
+   * 
+   * @private
+   * @param {number} base - The base (2-36)
+   * @param {number} count - How many leading digits to compute
+   * @returns {{exponent: BigInt, leading: BigInt}} The exponent e with base^e <= |this| < base^(e+1),
+   * and the first min(count, e + 1) digits as an integer
+   * @throws {PrimeMathError} If the base is invalid
+   */
+  _scientific(base, count) {
+    const { minBase, maxBase } = config.conversion
+    if (!Number.isInteger(base) || base < minBase || base > maxBase) {
+      throw new PrimeMathError(`Invalid base: ${base} (must be ${minBase}-${maxBase})`)
+    }
+    
+    const baseValue = BigInt(base)
+    const terms = this._powerTerms()
+    const exponentTotal = terms.reduce((total, [, exponent]) => total + Number(exponent), 0)
+    const approximateLog = logOfTerms(terms) / Math.log(base)
+    const precision = Math.ceil(Math.log2(exponentTotal + approximateLog + 2) + count * Math.log2(base)) + 64
+    const scale = BigInt(precision)
+    
+    // log_base |this| in fixed point, with a bound on its error in units in the last place
+    const logOfBase = fixedLog(baseValue, precision)
+    const { value, error } = fixedLogOfTerms(terms, precision)
+    const position = (value << scale) / logOfBase
+    const positionError = 2n * (error + 2n * ((position >> scale) + 1n)) + 2n
+    
+    let exponent = (position - positionError) >> scale
+    const upperExponent = (position + positionError) >> scale
+    if (exponent < 0n) {
+      exponent = 0n
+    }
+    if (upperExponent > exponent) {
+      const power = new UniversalNumber(baseValue).pow(upperExponent)
+      exponent = this._compareMagnitude(power) >= 0 ? upperExponent : upperExponent - 1n
+    }
+    
+    // The leading digits are base^fraction scaled by base^(digits - 1), for the fractional part of the position
+    const digits = exponent + 1n < BigInt(count) ? exponent + 1n : BigInt(count)
+    let fraction = position - (exponent << scale)
+    if (fraction < 0n) {
+      fraction = 0n
+    }
+    const scaled = fixedExp((fraction * logOfBase) >> scale, precision) * baseValue ** (digits - 1n)
+    const scaledError = (positionError + 4n) * baseValue ** (digits + 1n)
+    
+    const smallest = baseValue ** (digits - 1n)
+    const largest = baseValue ** digits - 1n
+    const clamp = candidate => candidate < smallest ? smallest : candidate > largest ? largest : candidate
+    let leading = clamp((scaled - scaledError) >> scale)
+    const upperLeading = clamp((scaled + scaledError) >> scale)
+    
+    // Settle the digits exactly when the error straddles a boundary
+    const shift = new UniversalNumber(baseValue).pow(exponent - digits + 1n)
+    for (let candidate = upperLeading; candidate > leading; candidate--) {
+      if (this._compareMagnitude(new UniversalNumber(candidate).multiply(shift)) >= 0) {
+        leading = candidate
+        break
+      }
+    }
+    
+    return { exponent, leading }
+  }
+
+  /**
+   * Add another number to this UniversalNumber
+   * 
+   * @param {number|string|BigInt|UniversalNumber} other - The number to add
+   * @returns {UniversalNumber} A new UniversalNumber representing the sum
+   */
+  add(other) {
+    // Special case for zero (more generalized handling)
+    if (this._isZero) {
+      // If this is zero, return other
+      return other instanceof UniversalNumber ? 
+        new UniversalNumber(other) : 
+        new UniversalNumber(other)
+    }
+    
+    // Special case for adding 0
+    if ((other === 0 || other === 0n || other === '0') || 
         (other instanceof UniversalNumber && other._isZero)) {
       return new UniversalNumber(this)
     }
@@ -926,15 +1650,15 @@ class UniversalNumber {
         new UniversalNumber(other).add(1)
     }
     
-    // Convert this to BigInt
-    const thisValue = this.toBigInt()
-    
     // Convert other to UniversalNumber if it's not already
     const otherNum = other instanceof UniversalNumber ? 
       other : 
       new UniversalNumber(other)
     
-    // Convert other to BigInt
+    // Addition needs both values in full
+    this._checkExpansion('add()')
+    otherNum._checkExpansion('add()')
+    const thisValue = this.toBigInt()
     const otherValue = otherNum.toBigInt()
     
     // Perform addition
@@ -971,174 +1695,618 @@ class UniversalNumber {
       return new UniversalNumber(this)
     }
     
-    // Special case for subtracting from 1 (empty factorization)
-    if (this._factorization.size === 0 && !this._isNegative) {
-      const otherNum = other instanceof UniversalNumber ? 
-        other : 
-        new UniversalNumber(other)
-        
-      return otherNum.negate().add(1)
+    // Special case for subtracting from 1 (empty factorization)
+    if (this._factorization.size === 0 && !this._isNegative) {
+      const otherNum = other instanceof UniversalNumber ? 
+        other : 
+        new UniversalNumber(other)
+        
+      return otherNum.negate().add(1)
+    }
+    
+    // Convert other to UniversalNumber if it's not already
+    const otherNum = other instanceof UniversalNumber ? 
+      other : 
+      new UniversalNumber(other)
+    
+    // Subtraction needs both values in full
+    this._checkExpansion('subtract()')
+    otherNum._checkExpansion('subtract()')
+    const thisValue = this.toBigInt()
+    const otherValue = otherNum.toBigInt()
+    
+    // Perform subtraction
+    const difference = thisValue - otherValue
+    
+    // Create a new UniversalNumber from the result
+    return new UniversalNumber(difference)
+  }
+
+  /**
+   * Multiply this UniversalNumber by another number
+   * For factorized numbers, multiplication is performed by combining prime exponents
+   * 
+   * @param {number|string|BigInt|UniversalNumber} other - The number to multiply by
+   * @returns {UniversalNumber} A new UniversalNumber representing the product
+   */
+  multiply(other) {
+    // Special case for zero
+    if (this._isZero) {
+      return new UniversalNumber(0)
+    }
+    
+    // Special case for multiplying by 0
+    if ((other === 0 || other === 0n || other === '0') || 
+        (other instanceof UniversalNumber && other._isZero)) {
+      return new UniversalNumber(0)
+    }
+    
+    // Special case for multiplying by 1
+    if ((other === 1 || other === 1n || other === '1')) {
+      return new UniversalNumber(this)
+    }
+    
+    // Special case for multiplying by -1
+    if ((other === -1 || other === -1n || other === '-1')) {
+      return this.negate()
+    }
+    
+    // Special case for multiplying 1 (empty factorization)
+    if (this._factorization.size === 0 && !this._isZero) {
+      const result = other instanceof UniversalNumber ? 
+        new UniversalNumber(other) : 
+        new UniversalNumber(other)
+        
+      return this._isNegative ? result.negate() : result
+    }
+    
+    // Convert other to UniversalNumber if it's not already
+    const otherNum = other instanceof UniversalNumber ? 
+      other : 
+      new UniversalNumber(other)
+    
+    // Create a new factorization map by combining the exponents
+    const resultFactorization = new Map(this._factorization)
+    
+    // Calculate the sign of the result
+    const resultIsNegative = this._isNegative !== otherNum._isNegative
+    
+    // Combine the prime factors by adding exponents
+    for (const [prime, exponent] of otherNum._factorization.entries()) {
+      const currentExponent = resultFactorization.get(prime) || 0n
+      resultFactorization.set(prime, currentExponent + exponent)
+    }
+    
+    // Create a new UniversalNumber from the result
+    return new UniversalNumber({
+      factorization: resultFactorization,
+      isNegative: Boolean(resultIsNegative)
+    })
+  }
+
+  /**
+   * Divide this UniversalNumber by another number
+   * Only succeeds if the division is exact (no remainder)
+   * For factorized numbers, division is performed by subtracting prime exponents
+   * 
+   * @param {number|string|BigInt|UniversalNumber} other - The divisor
+   * @returns {UniversalNumber} A new UniversalNumber representing the quotient
+   * @throws {PrimeMathError} If the division is not exact or divisor is zero
+   */
+  divide(other) {
+    // Special case for dividing by 0
+    if ((other === 0 || other === 0n || other === '0') || 
+        (other instanceof UniversalNumber && other._isZero)) {
+      throw new PrimeMathError('Division by zero is not allowed')
+    }
+    
+    // Special case for zero divided by anything non-zero
+    if (this._isZero) {
+      return new UniversalNumber(0)
+    }
+    
+    // Special case for dividing by 1
+    if ((other === 1 || other === 1n || other === '1')) {
+      return new UniversalNumber(this)
+    }
+    
+    // Special case for dividing by -1
+    if ((other === -1 || other === -1n || other === '-1')) {
+      return this.negate()
+    }
+    
+    // Special case for 1 (empty factorization) divided by something
+    if (this._factorization.size === 0 && !this._isZero) {
+      // 1 divided by anything other than 1 or -1 can't be exact in natural numbers
+      const otherNum = other instanceof UniversalNumber ? 
+        other : 
+        new UniversalNumber(other)
+        
+      if (otherNum._factorization.size > 0) {
+        throw new PrimeMathError(`1 is not divisible by ${describeValue(otherNum)} in the natural numbers`)
+      }
+    }
+    
+    // Convert other to UniversalNumber if it's not already
+    const otherNum = other instanceof UniversalNumber ? 
+      other : 
+      new UniversalNumber(other)
+    
+    // Calculate the sign of the result
+    const resultIsNegative = this._isNegative !== otherNum._isNegative
+    
+    // Create a new factorization map by subtracting the exponents
+    const resultFactorization = new Map(this._factorization)
+    let isExact = true
+    
+    // Subtract the prime factors by subtracting exponents
+    for (const [prime, exponent] of otherNum._factorization.entries()) {
+      const currentExponent = resultFactorization.get(prime) || 0n
+      if (currentExponent < exponent) {
+        isExact = false
+        break
+      }
+      const newExponent = currentExponent - exponent
+      if (newExponent > 0n) {
+        resultFactorization.set(prime, newExponent)
+      } else {
+        resultFactorization.delete(prime)
+      }
+    }
+    
+    if (!isExact) {
+      throw new PrimeMathError(
+        `${describeValue(this)} is not divisible by ${describeValue(otherNum)} in the natural numbers`
+      )
+    }
+    
+    // Create a new UniversalNumber from the result
+    return new UniversalNumber({
+      factorization: resultFactorization,
+      isNegative: Boolean(resultIsNegative)
+    })
+  }
+
+  /**
+   * Divide by another number with remainder, rounding the quotient as requested
+   * Primes shared by both numbers are cancelled first, so a divisor that divides this number's
+   * factored part gives an exact quotient without either number being expanded
+   * 
+   * @param {number|string|BigInt|UniversalNumber} other - The divisor
+   * @param {Object} [options] - Division options
+   * @param {string} [options.rounding='floor'] - 'floor', 'trunc', 'ceil' or 'euclid': the remainder
+   * takes the sign of the divisor, the sign of this number, the opposite sign of the divisor, or is
+   * never negative
+   * @returns {{quotient: UniversalNumber, remainder: UniversalNumber}} The quotient and remainder,
+   * with this = quotient * other + remainder
+   * @throws {PrimeMathError} If the divisor is zero or the rounding mode is unknown
+   */
+  divmod(other, options = {}) {
+    const { rounding = 'floor' } = options
+    checkRoundingMode(rounding)
+    
+    const divisor = other instanceof UniversalNumber ? 
+      other : 
+      new UniversalNumber(other)
+    
+    if (divisor._isZero) {
+      throw new PrimeMathError('Division by zero is not allowed')
+    }
+    
+    if (this._isZero) {
+      return { quotient: new UniversalNumber(0n), remainder: new UniversalNumber(0n) }
+    }
+    
+    // Cancel the prime powers both numbers share; the remainder is scaled back up by them
+    const { factors, cofactor } = this._factoredPart()
+    const common = new Map()
+    const divisorTerms = []
+    for (const [base, exponent] of divisor._powerTerms()) {
+      const available = factors.get(base) || 0n
+      const shared = available < exponent ? available : exponent
+      if (shared > 0n) {
+        common.set(base, shared)
+        if (available === shared) {
+          factors.delete(base)
+        } else {
+          factors.set(base, available - shared)
+        }
+      }
+      if (exponent > shared) {
+        divisorTerms.push([base, exponent - shared])
+      }
+    }
+    
+    const isNegative = this._isNegative !== divisor._isNegative
+    
+    // The divisor divides the factored part, so the quotient is exact and stays factored
+    if (divisorTerms.length === 0) {
+      const quotient = cofactor === 1n ?
+        new UniversalNumber({ factorization: factors, isNegative }) :
+        UniversalNumber.fromPartialFactorization({
+          knownFactors: factors,
+          remainingPart: cofactor,
+          remainingStatus: this._partialFactorization.remainingStatus,
+          isNegative
+        })
+      return { quotient, remainder: new UniversalNumber(0n) }
+    }
+    
+    this._checkExpansion('divmod()')
+    divisor._checkExpansion('divmod()')
+    
+    const dividendValue = fromPrimeFactors(factors) * cofactor
+    const divisorValue = divisorTerms.reduce((product, [base, exponent]) => product * base ** exponent, 1n)
+    const { quotient, remainder } = divideWithRounding(
+      this._isNegative ? -dividendValue : dividendValue,
+      divisor._isNegative ? -divisorValue : divisorValue,
+      rounding
+    )
+    
+    return {
+      quotient: new UniversalNumber(quotient),
+      remainder: remainder === 0n ?
+        new UniversalNumber(0n) :
+        new UniversalNumber(remainder).multiply(new UniversalNumber({ factorization: common, isNegative: false }))
+    }
+  }
+
+  /**
+   * Divide by another number, rounding the quotient toward negative infinity
+   * 
+   * @param {number|string|BigInt|UniversalNumber} other - The divisor
+   * @returns {UniversalNumber} floor(this / other)
+   * @throws {PrimeMathError} If the divisor is zero
+   */
+  floorDiv(other) {
+    return this.divmod(other, { rounding: 'floor' }).quotient
+  }
+
+  /**
+   * Divide by another number, rounding the quotient toward positive infinity
+   * 
+   * @param {number|string|BigInt|UniversalNumber} other - The divisor
+   * @returns {UniversalNumber} ceil(this / other)
+   * @throws {PrimeMathError} If the divisor is zero
+   */
+  ceilDiv(other) {
+    return this.divmod(other, { rounding: 'ceil' }).quotient
+  }
+
+  /**
+   * Divide by another number, rounding the quotient toward zero
+   * 
+   * @param {number|string|BigInt|UniversalNumber} other - The divisor
+   * @returns {UniversalNumber} trunc(this / other)
+   * @throws {PrimeMathError} If the divisor is zero
+   */
+  truncDiv(other) {
+    return this.divmod(other, { rounding: 'trunc' }).quotient
+  }
+
+  /**
+   * Integer square root, floor(sqrt(this))
+   * Perfect squares are rooted by halving prime exponents, other values by Newton's method
+   * 
+   * @returns {UniversalNumber} The largest x with x² <= this
+   * @throws {PrimeMathError} If this number is negative
+   */
+  isqrt() {
+    if (this._isNegative) {
+      throw new PrimeMathError('Cannot compute square root of negative number')
+    }
+    
+    return this.iroot(2)
+  }
+
+  /**
+   * Integer k-th root, rounded toward zero
+   * Exact roots come from dividing prime exponents by k, so factored values are never expanded;
+   * other values are rooted by Newton's method
+   * 
+   * @param {number|string|BigInt} k - The root degree (a positive integer)
+   * @returns {UniversalNumber} The integer part of this^(1/k)
+   * @throws {PrimeMathError} If k is not a positive integer, or k is even and this number is negative
+   */
+  iroot(k) {
+    const degree = toBigInt(k)
+    if (degree < 1n) {
+      throw new PrimeMathError(`Invalid root degree: ${k} (must be a positive integer)`)
+    }
+    
+    if (this._isNegative && degree % 2n === 0n) {
+      throw new PrimeMathError(`Cannot compute an even root (${degree}) of a negative number`)
+    }
+    
+    if (this._isZero) {
+      return new UniversalNumber(0n)
+    }
+    
+    const exact = this._exactRoot(degree)
+    if (exact !== null) {
+      return this._isNegative ? exact.negate() : exact
+    }
+    
+    this._checkExpansion('iroot()')
+    const root = integerRoot(this.abs().toBigInt(), degree)
+    return new UniversalNumber(this._isNegative ? -root : root)
+  }
+
+  /**
+   * Exact k-th root of this number's magnitude, from its prime exponents. The unfactored cofactor
+   * of a partial factorization must be an exact k-th power as well
+   * 
+   * @private
+   * @param {BigInt} degree - The root degree
+   * @returns {UniversalNumber|null} The positive root, or null if |this| is not a k-th power
+   */
+  _exactRoot(degree) {
+    const { factors, cofactor } = this._factoredPart()
+    for (const [prime, exponent] of factors) {
+      if (exponent % degree !== 0n) {
+        return null
+      }
+      factors.set(prime, exponent / degree)
+    }
+    
+    const cofactorRoot = integerRoot(cofactor, degree)
+    if (cofactorRoot ** degree !== cofactor) {
+      return null
+    }
+    
+    return cofactorRoot === 1n ?
+      new UniversalNumber({ factorization: factors, isNegative: false }) :
+      UniversalNumber.fromPartialFactorization({ knownFactors: factors, remainingPart: cofactorRoot })
+  }
+
+  /**
+   * Check whether this number is the square of an integer, from its prime exponents
+   * 
+   * @returns {boolean} True if this number is 0 or a positive perfect square
+   */
+  isPerfectSquare() {
+    if (this._isZero) {
+      return true
+    }
+    
+    return !this._isNegative && this._exactRoot(2n) !== null
+  }
+
+  /**
+   * Integer logarithm, floor(log_base(this))
+   * The estimate comes from the logarithms of the prime exponents and is settled by exact
+   * comparisons with powers of the base, so numbers like 3^(10^12) are never expanded
+   * 
+   * @param {number|string|BigInt|UniversalNumber} base - The base (an integer of at least 2)
+   * @returns {BigInt} The largest e with base^e <= this
+   * @throws {PrimeMathError} If the base is less than 2 or this number is not positive
+   */
+  ilog(base) {
+    const baseNum = base instanceof UniversalNumber ? 
+      base : 
+      new UniversalNumber(base)
+    
+    if (baseNum._isNegative || baseNum._isZero || baseNum.isOne()) {
+      throw new PrimeMathError(`Invalid logarithm base: ${describeValue(baseNum)} (must be at least 2)`)
+    }
+    
+    if (this._isNegative || this._isZero) {
+      throw new PrimeMathError('The integer logarithm is only defined for positive numbers')
+    }
+    
+    let exponent = BigInt(Math.max(0, Math.floor(this._logMagnitude() / baseNum._logMagnitude())))
+    while (exponent > 0n && this._compareMagnitude(baseNum.pow(exponent)) < 0) {
+      exponent--
+    }
+    while (this._compareMagnitude(baseNum.pow(exponent + 1n)) >= 0) {
+      exponent++
+    }
+    
+    return exponent
+  }
+
+  /**
+   * Integer base-2 logarithm, one less than the bit length of this number
+   * 
+   * @returns {BigInt} The largest e with 2^e <= this
+   * @throws {PrimeMathError} If this number is not positive
+   */
+  ilog2() {
+    return this.ilog(2)
+  }
+
+  /**
+   * Value of this number for a bitwise operation
+   * 
+   * @private
+   * @param {string} operation - The operation, for the error message
+   * @returns {BigInt} The value
+   * @throws {PrimeMathError} If symbolic mode forbids implicitly expanding this number
+   */
+  _bitwiseValue(operation) {
+    this._checkExpansion(operation)
+    return this.toBigInt()
+  }
+
+  /**
+   * Bitwise AND, with two's-complement semantics for negative numbers
+   * 
+   * @param {number|string|BigInt|UniversalNumber} other - The other operand
+   * @returns {UniversalNumber} this & other
+   */
+  and(other) {
+    return new UniversalNumber(this._bitwiseValue('and()') & bitwiseOperand(other, 'and()'))
+  }
+
+  /**
+   * Bitwise OR, with two's-complement semantics for negative numbers
+   * 
+   * @param {number|string|BigInt|UniversalNumber} other - The other operand
+   * @returns {UniversalNumber} this | other
+   */
+  or(other) {
+    return new UniversalNumber(this._bitwiseValue('or()') | bitwiseOperand(other, 'or()'))
+  }
+
+  /**
+   * Bitwise XOR, with two's-complement semantics for negative numbers
+   * 
+   * @param {number|string|BigInt|UniversalNumber} other - The other operand
+   * @returns {UniversalNumber} this ^ other
+   */
+  xor(other) {
+    return new UniversalNumber(this._bitwiseValue('xor()') ^ bitwiseOperand(other, 'xor()'))
+  }
+
+  /**
+   * Bitwise NOT in two's complement, which is -this - 1
+   * 
+   * @returns {UniversalNumber} ~this
+   */
+  not() {
+    return new UniversalNumber(~this._bitwiseValue('not()'))
+  }
+
+  /**
+   * Shift left by adding to the exponent of 2, so the number is never expanded
+   * A negative count shifts right, as with BigInt
+   * 
+   * @param {number|string|BigInt} count - The number of bits
+   * @returns {UniversalNumber} this << count
+   */
+  shiftLeft(count) {
+    const bits = toBigInt(count)
+    if (bits < 0n) {
+      return this.shiftRight(-bits)
+    }
+    
+    return this.multiply(new UniversalNumber(2n).pow(bits))
+  }
+
+  /**
+   * Arithmetic shift right, rounding toward negative infinity as BigInt does
+   * While the exponent of 2 covers the count the shift only subtracts from it; otherwise the
+   * division by 2^count reuses floorDiv. A negative count shifts left
+   * 
+   * @param {number|string|BigInt} count - The number of bits
+   * @returns {UniversalNumber} this >> count
+   */
+  shiftRight(count) {
+    const bits = toBigInt(count)
+    if (bits < 0n) {
+      return this.shiftLeft(-bits)
     }
     
-    // Convert this to BigInt
-    const thisValue = this.toBigInt()
-    
-    // Convert other to UniversalNumber if it's not already
-    const otherNum = other instanceof UniversalNumber ? 
-      other : 
-      new UniversalNumber(other)
-    
-    // Convert other to BigInt
-    const otherValue = otherNum.toBigInt()
-    
-    // Perform subtraction
-    const difference = thisValue - otherValue
-    
-    // Create a new UniversalNumber from the result
-    return new UniversalNumber(difference)
+    return this.floorDiv(new UniversalNumber(2n).pow(bits))
   }
 
   /**
-   * Multiply this UniversalNumber by another number
-   * For factorized numbers, multiplication is performed by combining prime exponents
+   * Number of bits in the two's-complement representation, excluding the sign bit
+   * Computed from the prime exponents, so the number is never expanded
    * 
-   * @param {number|string|BigInt|UniversalNumber} other - The number to multiply by
-   * @returns {UniversalNumber} A new UniversalNumber representing the product
+   * @returns {BigInt} The bit length of this, or of ~this for negative numbers (0 for 0 and -1)
    */
-  multiply(other) {
-    // Special case for zero
+  bitLength() {
     if (this._isZero) {
-      return new UniversalNumber(0)
-    }
-    
-    // Special case for multiplying by 0
-    if ((other === 0 || other === 0n || other === '0') || 
-        (other instanceof UniversalNumber && other._isZero)) {
-      return new UniversalNumber(0)
+      return 0n
     }
     
-    // Special case for multiplying by 1
-    if ((other === 1 || other === 1n || other === '1')) {
-      return new UniversalNumber(this)
-    }
+    const length = this.abs().ilog2() + 1n
     
-    // Special case for multiplying by -1
-    if ((other === -1 || other === -1n || other === '-1')) {
-      return this.negate()
+    // -2^k needs one bit fewer than 2^k, and every other negative number as many as its magnitude
+    if (this._isNegative && this.trailingZeros() === length - 1n) {
+      return length - 1n
     }
     
-    // Special case for multiplying 1 (empty factorization)
-    if (this._factorization.size === 0 && !this._isZero) {
-      const result = other instanceof UniversalNumber ? 
-        new UniversalNumber(other) : 
-        new UniversalNumber(other)
-        
-      return this._isNegative ? result.negate() : result
+    return length
+  }
+
+  /**
+   * Number of set bits, or of clear bits for negative numbers in two's complement
+   * 
+   * @returns {BigInt} The population count of this, or of ~this for negative numbers
+   */
+  popCount() {
+    let value = this._bitwiseValue('popCount()')
+    if (value < 0n) {
+      value = ~value
     }
     
-    // Convert other to UniversalNumber if it's not already
-    const otherNum = other instanceof UniversalNumber ? 
-      other : 
-      new UniversalNumber(other)
-    
-    // Create a new factorization map by combining the exponents
-    const resultFactorization = new Map(this._factorization)
-    
-    // Calculate the sign of the result
-    const resultIsNegative = this._isNegative !== otherNum._isNegative
-    
-    // Combine the prime factors by adding exponents
-    for (const [prime, exponent] of otherNum._factorization.entries()) {
-      const currentExponent = resultFactorization.get(prime) || 0n
-      resultFactorization.set(prime, currentExponent + exponent)
+    let count = 0n
+    for (const digit of value.toString(2)) {
+      if (digit === '1') {
+        count++
+      }
     }
     
-    // Create a new UniversalNumber from the result
-    return new UniversalNumber({
-      factorization: resultFactorization,
-      isNegative: Boolean(resultIsNegative)
-    })
+    return count
   }
 
   /**
-   * Divide this UniversalNumber by another number
-   * Only succeeds if the division is exact (no remainder)
-   * For factorized numbers, division is performed by subtracting prime exponents
+   * Number of trailing zero bits, which is the exponent of 2 in the factorization
+   * The same for a number and its negation in two's complement
    * 
-   * @param {number|string|BigInt|UniversalNumber} other - The divisor
-   * @returns {UniversalNumber} A new UniversalNumber representing the quotient
-   * @throws {PrimeMathError} If the division is not exact or divisor is zero
+   * @returns {BigInt} The index of the lowest set bit
+   * @throws {PrimeMathError} If this number is zero
    */
-  divide(other) {
-    // Special case for dividing by 0
-    if ((other === 0 || other === 0n || other === '0') || 
-        (other instanceof UniversalNumber && other._isZero)) {
-      throw new PrimeMathError('Division by zero is not allowed')
-    }
-    
-    // Special case for zero divided by anything non-zero
+  trailingZeros() {
     if (this._isZero) {
-      return new UniversalNumber(0)
+      throw new PrimeMathError('Zero has no lowest set bit')
     }
     
-    // Special case for dividing by 1
-    if ((other === 1 || other === 1n || other === '1')) {
-      return new UniversalNumber(this)
+    // An unfactored cofactor may still hold factors of 2
+    const { factors, cofactor } = this._factoredPart()
+    let count = factors.get(2n) || 0n
+    for (let rest = cofactor; (rest & 1n) === 0n; rest >>= 1n) {
+      count++
     }
     
-    // Special case for dividing by -1
-    if ((other === -1 || other === -1n || other === '-1')) {
-      return this.negate()
+    return count
+  }
+
+  /**
+   * Test a bit of the two's-complement representation
+   * Bits up to the lowest set bit and beyond the bit length are known without expanding the number
+   * 
+   * @param {number|string|BigInt} index - The bit index, 0 for the least significant bit
+   * @returns {boolean} True if the bit is set
+   * @throws {PrimeMathError} If the index is negative
+   */
+  testBit(index) {
+    const position = toBigInt(index)
+    if (position < 0n) {
+      throw new PrimeMathError(`Invalid bit index: ${index} (must be non-negative)`)
     }
     
-    // Special case for 1 (empty factorization) divided by something
-    if (this._factorization.size === 0 && !this._isZero) {
-      // 1 divided by anything other than 1 or -1 can't be exact in natural numbers
-      const otherNum = other instanceof UniversalNumber ? 
-        other : 
-        new UniversalNumber(other)
-        
-      if (otherNum._factorization.size > 0) {
-        throw new PrimeMathError(`1 is not divisible by ${otherNum.toString()} in the natural numbers`)
-      }
+    if (this._isZero) {
+      return false
     }
     
-    // Convert other to UniversalNumber if it's not already
-    const otherNum = other instanceof UniversalNumber ? 
-      other : 
-      new UniversalNumber(other)
-    
-    // Calculate the sign of the result
-    const resultIsNegative = this._isNegative !== otherNum._isNegative
-    
-    // Create a new factorization map by subtracting the exponents
-    const resultFactorization = new Map(this._factorization)
-    let isExact = true
+    const lowest = this.trailingZeros()
+    if (position <= lowest) {
+      return position === lowest
+    }
     
-    // Subtract the prime factors by subtracting exponents
-    for (const [prime, exponent] of otherNum._factorization.entries()) {
-      const currentExponent = resultFactorization.get(prime) || 0n
-      if (currentExponent < exponent) {
-        isExact = false
-        break
-      }
-      const newExponent = currentExponent - exponent
-      if (newExponent > 0n) {
-        resultFactorization.set(prime, newExponent)
-      } else {
-        resultFactorization.delete(prime)
-      }
+    if (position >= this.bitLength()) {
+      return this._isNegative
     }
     
-    if (!isExact) {
-      throw new PrimeMathError(`${this.toString()} is not divisible by ${otherNum.toString()} in the natural numbers`)
+    return ((this._bitwiseValue('testBit()') >> position) & 1n) === 1n
+  }
+
+  /**
+   * Set a bit of the two's-complement representation
+   * 
+   * @param {number|string|BigInt} index - The bit index, 0 for the least significant bit
+   * @returns {UniversalNumber} this | (1 << index)
+   * @throws {PrimeMathError} If the index is negative
+   */
+  setBit(index) {
+    if (this.testBit(index)) {
+      return new UniversalNumber(this)
     }
     
-    // Create a new UniversalNumber from the result
-    return new UniversalNumber({
-      factorization: resultFactorization,
-      isNegative: Boolean(resultIsNegative)
-    })
+    return new UniversalNumber(this._bitwiseValue('setBit()') | (1n << toBigInt(index)))
   }
 
   /**
@@ -1427,11 +2595,11 @@ class UniversalNumber {
       }
     }
     
-    const thisValue = this.toBigInt()
+    modulusNum._checkExpansion('modInverse()')
     const modulusValue = modulusNum.toBigInt()
     
-    // Ensure a is positive and within the range of the modulus
-    const a = ((thisValue % modulusValue) + modulusValue) % modulusValue
+    // Reduce this number modulo the modulus one prime power at a time
+    const a = this._residue(modulusValue)
     
     if (a === 0n) {
       return null // No inverse exists for 0
@@ -1487,15 +2655,15 @@ class UniversalNumber {
     if (exp < 0n) {
       const inverse = this.modInverse(modulusNum)
       if (inverse === null) {
-        throw new PrimeMathError(`${this.toString()} has no modular inverse modulo ${modulusNum.toString()}`)
+        throw new PrimeMathError(`${describeValue(this)} has no modular inverse modulo ${modulusNum.toString()}`)
       }
       return inverse.modPow(-exp, modulusNum)
     }
     
-    // Standard modular exponentiation algorithm
+    // Standard modular exponentiation algorithm, from this number reduced one prime power at a time
+    modulusNum._checkExpansion('modPow()')
     const modulusValue = modulusNum.toBigInt()
-    const thisValue = this.toBigInt()
-    const a = ((thisValue % modulusValue) + modulusValue) % modulusValue
+    const a = this._residue(modulusValue)
     
     // Fast modular exponentiation algorithm
     let result = 1n
@@ -1536,14 +2704,31 @@ class UniversalNumber {
       return new UniversalNumber(0n)
     }
     
-    // Compute the modulo
-    const thisValue = this.toBigInt()
+    // Compute the modulo one prime power at a time, so this number is never expanded
+    modulusNum._checkExpansion('mod()')
     const modulusValue = modulusNum.toBigInt()
     
-    // Ensure the result is positive (canonical representation for modular arithmetic)
-    const result = ((thisValue % modulusValue) + modulusValue) % modulusValue
+    return new UniversalNumber(this._residue(modulusValue))
+  }
+
+  /**
+   * Residue of this number modulo a positive BigInt, from the residues of its prime powers
+   * 
+   * @private
+   * @param {BigInt} modulusValue - The modulus
+   * @returns {BigInt} The residue in [0, modulusValue), non-negative for negative numbers too
+   */
+  _residue(modulusValue) {
+    if (this._isZero) {
+      return 0n
+    }
+    
+    let residue = 1n % modulusValue
+    for (const [base, exponent] of this._powerTerms()) {
+      residue = (residue * powMod(base, exponent, modulusValue)) % modulusValue
+    }
     
-    return new UniversalNumber(result)
+    return this._isNegative ? (modulusValue - residue) % modulusValue : residue
   }
 
   /**
@@ -1588,6 +2773,7 @@ class UniversalNumber {
 
   /**
    * Compare this UniversalNumber with another number
+   * Magnitudes are compared through the prime exponents, so huge numbers are not expanded
    * 
    * @param {number|string|BigInt|UniversalNumber} other - The number to compare with
    * @returns {number} -1 if this < other, 0 if this === other, 1 if this > other
@@ -1598,45 +2784,97 @@ class UniversalNumber {
       other : 
       new UniversalNumber(other)
     
-    // Special cases for 1 and -1
-    if (this._factorization.size === 0 && otherNum._factorization.size === 0) {
-      if (this._isNegative === otherNum._isNegative) {
-        return 0
-      }
+    // Negative numbers are always less than zero and the positive numbers
+    if (this._isNegative !== otherNum._isNegative) {
       return this._isNegative ? -1 : 1
     }
     
-    // Negative numbers are always less than positive numbers
-    if (this._isNegative && !otherNum._isNegative) {
-      return -1
+    // For negative numbers, the comparison of magnitudes is reversed
+    const comparison = this._compareMagnitude(otherNum)
+    return this._isNegative && comparison !== 0 ? -comparison : comparison
+  }
+
+  /**
+   * Compare two numbers without expanding them, for use as an Array.prototype.sort comparator
+   * 
+   * @param {number|string|BigInt|UniversalNumber} a - The first number
+   * @param {number|string|BigInt|UniversalNumber} b - The second number
+   * @returns {number} -1 if a < b, 0 if a === b, 1 if a > b
+   */
+  static compare(a, b) {
+    const first = a instanceof UniversalNumber ? a : new UniversalNumber(a)
+    return first.compareTo(b)
+  }
+
+  /**
+   * Compare the magnitudes of two numbers through their prime exponents. Interval bounds on the
+   * logarithms, rounded outward, settle all but nearly equal magnitudes; common prime powers are
+   * then cancelled, fixed-point logarithms compare the cofactors, and only cofactors that agree to
+   * about 64 bits are expanded
+   * 
+   * @private
+   * @param {UniversalNumber} other - The number to compare with
+   * @returns {number} -1, 0 or 1 as |this| is less than, equal to or greater than |other|
+   * @throws {PrimeMathError} If symbolic mode forbids expanding cofactors that logarithms cannot separate
+   */
+  _compareMagnitude(other) {
+    if (this._isZero || other._isZero) {
+      return (this._isZero ? 0 : 1) - (other._isZero ? 0 : 1)
     }
     
-    if (!this._isNegative && otherNum._isNegative) {
+    // Disjoint logarithm intervals decide the order
+    const [thisLower, thisUpper] = this._logBounds()
+    const [otherLower, otherUpper] = other._logBounds()
+    if (thisLower > otherUpper) {
       return 1
     }
+    if (thisUpper < otherLower) {
+      return -1
+    }
     
-    // Convert both to BigInt for comparison
-    const thisValue = this.toBigInt()
-    const otherValue = otherNum.toBigInt()
+    const thisTerms = this._powerTerms()
+    const otherTerms = other._powerTerms()
     
-    // For negative numbers, the comparison is reversed
-    if (this._isNegative) {
-      if (thisValue < otherValue) {
-        return 1
-      } else if (thisValue > otherValue) {
-        return -1
-      } else {
-        return 0
-      }
-    } else {
-      if (thisValue < otherValue) {
-        return -1
-      } else if (thisValue > otherValue) {
-        return 1
-      } else {
-        return 0
+    // Cancel the powers the two numbers share
+    const thisExponents = new Map()
+    const otherExponents = new Map()
+    for (const [base, exponent] of thisTerms) {
+      thisExponents.set(base, (thisExponents.get(base) || 0n) + exponent)
+    }
+    for (const [base, exponent] of otherTerms) {
+      otherExponents.set(base, (otherExponents.get(base) || 0n) + exponent)
+    }
+    
+    for (const [base, exponent] of thisExponents) {
+      const otherExponent = otherExponents.get(base) || 0n
+      const common = exponent < otherExponent ? exponent : otherExponent
+      if (common > 0n) {
+        thisExponents.set(base, exponent - common)
+        otherExponents.set(base, otherExponent - common)
       }
     }
+    
+    const thisRest = [...thisExponents].filter(([, exponent]) => exponent > 0n)
+    const otherRest = [...otherExponents].filter(([, exponent]) => exponent > 0n)
+    if (thisRest.length === 0 && otherRest.length === 0) {
+      return 0
+    }
+    
+    // Fixed-point logarithms of the cofactors, with 64 bits to spare after the integer part
+    const exponentTotal = [...thisRest, ...otherRest].reduce((total, [, exponent]) => total + Number(exponent), 0)
+    const precision = Math.ceil(Math.log2(exponentTotal + thisUpper + 2)) + 64
+    const thisFixed = fixedLogOfTerms(thisRest, precision)
+    const otherFixed = fixedLogOfTerms(otherRest, precision)
+    const difference = thisFixed.value - otherFixed.value
+    const error = thisFixed.error + otherFixed.error
+    if (difference > error || difference < -error) {
+      return difference > 0n ? 1 : -1
+    }
+    
+    // The cofactors are too close for logarithms to separate
+    const thisValue = expandTerms(thisRest, 'compareTo()')
+    const otherValue = expandTerms(otherRest, 'compareTo()')
+    return thisValue > otherValue ? 1 : thisValue < otherValue ? -1 : 0
   }
 
   /**
@@ -1701,9 +2939,70 @@ class UniversalNumber {
    * @returns {BigInt} The BigInt representation of the number
    */
   valueOf() {
+    this._checkExpansion('valueOf()')
     return this.toBigInt()
   }
 
+  /**
+   * Convert to a primitive in expressions such as n + 1n, `${n}` or n > 5
+   * The 'string' hint gives the decimal digits, or the factorization when symbolic mode forbids
+   * expanding the number. The 'number' and 'default' hints follow config.primitive.numberHint
+   * 
+   * @param {string} hint - 'string', 'number' or 'default'
+   * @returns {string|BigInt|number} The primitive value
+   * @throws {PrimeMathError} If the policy forbids the conversion or the value does not fit it
+   */
+  [Symbol.toPrimitive](hint) {
+    if (hint === 'string') {
+      return describeValue(this)
+    }
+    
+    const { numberHint } = config.primitive
+    switch (numberHint) {
+    case 'bigint':
+      return this.valueOf()
+    case 'number':
+      // Only safe integers convert, so no precision is lost silently
+      return this.toNumber()
+    case 'error':
+      throw new PrimeMathError(
+        'Implicit conversion of a UniversalNumber is disabled (config.primitive.numberHint is \'error\'); ' +
+        'use toBigInt(), toNumber() or toString()'
+      )
+    default:
+      throw new PrimeMathError(`Invalid primitive policy: ${numberHint} (must be 'bigint', 'number' or 'error')`)
+    }
+  }
+
+  /**
+   * Text for util.inspect, console.log and the Node.js REPL, such as UniversalNumber(360 = 2^3·3^2·5)
+   * The digits are left out when symbolic mode forbids expanding the number, and the unfactored
+   * cofactor of a partial factorization is shown in brackets
+   * 
+   * @returns {string} The description
+   */
+  [inspectCustom]() {
+    if (this._isZero) {
+      return 'UniversalNumber(0)'
+    }
+    
+    const { factors, cofactor } = this._factoredPart()
+    const terms = factors.size === 0 ? [] : [Conversion.factorizationToString(factors, { separator: '·' })]
+    if (cofactor !== 1n) {
+      terms.push(`[${cofactor}]`)
+    }
+    const factored = (this._isNegative ? '-' : '') + terms.join('·')
+    
+    if (this._exceedsExpansionLimit()) {
+      return `UniversalNumber(${factored})`
+    }
+    
+    // 1 and the primes are their own factorization
+    const digits = this.toString()
+    const isTrivial = cofactor === 1n && (factors.size === 0 || (factors.size === 1 && [...factors.values()][0] === 1n))
+    return isTrivial ? `UniversalNumber(${digits})` : `UniversalNumber(${digits} = ${factored})`
+  }
+
   /**
    * Convert the UniversalNumber to a serializable object
    * For use with JSON.stringify
@@ -2047,6 +3346,7 @@ UniversalNumber.prototype.transformToFrame = function(targetFrame) {
  * @property {boolean} _isLazy - Whether this UniversalNumber uses lazy evaluation
  * @property {Function|null} _lazyOperation - Function to execute when the value is needed
  * @property {boolean} _isFactorizationComputed - Whether the factorization has been computed
+ * @property {PartialFactorization|null} _partialFactorization - Known factors and cofactor of a partial result
  */
 Object.defineProperties(UniversalNumber.prototype, {
   '_isLazy': {
@@ -2066,6 +3366,12 @@ Object.defineProperties(UniversalNumber.prototype, {
     writable: true,
     enumerable: false, 
     configurable: false
+  },
+  '_partialFactorization': {
+    value: null,
+    writable: true,
+    enumerable: false,
+    configurable: false
   }
 })
 
@@ -2102,18 +3408,30 @@ UniversalNumber.prototype._ensureComputed = function() {
     this._factorization = result._factorization
     this._isNegative = result._isNegative
     this._isFactorizationComputed = true
+    this._partialFactorization = null
   }
 }
 
 // Override key methods to support lazy evaluation
 const originalToBigInt = UniversalNumber.prototype.toBigInt
 UniversalNumber.prototype.toBigInt = function() {
+  // The value of a partial factorization is known without factoring the cofactor
+  if (this._partialFactorization && !this._isFactorizationComputed) {
+    const { knownFactors, remainingPart } = this._partialFactorization
+    const value = fromPrimeFactors(knownFactors) * remainingPart
+    return this._isNegative ? -value : value
+  }
+  
   this._ensureComputed()
   return originalToBigInt.call(this)
 }
 
 const originalToString = UniversalNumber.prototype.toString
-UniversalNumber.prototype.toString = function(base) {
+UniversalNumber.prototype.toString = function(base = 10) {
+  if (this._partialFactorization && !this._isFactorizationComputed) {
+    return Conversion.convertBase(this.toBigInt(), 10, base)
+  }
+  
   this._ensureComputed()
   return originalToString.call(this, base)
 }
@@ -2212,6 +3530,8 @@ UniversalNumber.fromCompact = function(compact) {
  * @typedef {Object} PartialFactorization
  * @property {Map<BigInt, BigInt>} knownFactors - Factors that have been found
  * @property {BigInt} remainingPart - Part that hasn't been factorized yet
+ * @property {string} remainingStatus - 'composite' if the remaining part failed a primality test,
+ * 'unknown' if it was not tested
  */
 
 /**
@@ -2222,14 +3542,17 @@ UniversalNumber.fromCompact = function(compact) {
  * @param {Array<{prime: BigInt|number|string, exponent: BigInt|number|string}>|Map<BigInt, BigInt>} params.knownFactors - Known prime factors
  * @param {BigInt|number|string} params.remainingPart - The unfactorized part (must be > 1)
  * @param {boolean} [params.isNegative=false] - Whether the number is negative
+ * @param {string} [params.remainingStatus] - Set to 'composite' or 'unknown' to record the status of the
+ * remaining part without testing it; by default it is tested and folded into the factorization if prime
  * @returns {UniversalNumber} A new UniversalNumber with partial factorization
+ * @throws {PrimeMathError} If the parameters are invalid
  */
 UniversalNumber.fromPartialFactorization = function(params) {
   if (!params || typeof params !== 'object') {
     throw new PrimeMathError('Invalid partial factorization parameters')
   }
   
-  const { knownFactors, remainingPart, isNegative = false } = params
+  const { knownFactors, remainingPart, isNegative = false, remainingStatus } = params
   
   // Convert remainingPart to BigInt
   const remaining = toBigInt(remainingPart)
@@ -2238,6 +3561,10 @@ UniversalNumber.fromPartialFactorization = function(params) {
     throw new PrimeMathError('Remaining part must be greater than 1')
   }
   
+  if (remainingStatus !== undefined && remainingStatus !== 'composite' && remainingStatus !== 'unknown') {
+    throw new PrimeMathError(`Invalid remaining part status: ${remainingStatus} (must be 'composite' or 'unknown')`)
+  }
+  
   // Process known factors
   const factorsMap = knownFactors instanceof Map ?
     new Map(knownFactors) :
@@ -2247,7 +3574,17 @@ UniversalNumber.fromPartialFactorization = function(params) {
     })))
   
   // If the remaining part is prime, add it directly to the factorization
-  if (isPrime(remaining)) {
+  let status = remainingStatus
+  if (status === undefined) {
+    try {
+      status = isPrime(remaining) ? 'prime' : 'composite'
+    } catch (error) {
+      // The primality test could not be completed for this size of number
+      status = 'unknown'
+    }
+  }
+  
+  if (status === 'prime') {
     const currentExp = factorsMap.get(remaining) || 0n
     factorsMap.set(remaining, currentExp + 1n)
     
@@ -2258,7 +3595,7 @@ UniversalNumber.fromPartialFactorization = function(params) {
   }
   
   // Otherwise, create a lazy UniversalNumber that will factor the remaining part when needed
-  return UniversalNumber.lazy(() => {
+  const result = UniversalNumber.lazy(() => {
     // Factorize the remaining part
     const remainingFactors = factorizeOptimal(remaining)
     
@@ -2275,6 +3612,36 @@ UniversalNumber.fromPartialFactorization = function(params) {
       isNegative: !!isNegative
     })
   })
+  
+  result._isNegative = !!isNegative
+  result._partialFactorization = {
+    knownFactors: factorsMap,
+    remainingPart: remaining,
+    remainingStatus: status
+  }
+  
+  return result
+}
+
+/**
+ * Get the known factors and the unfactored cofactor of a partially factored number
+ * Partial results come from fromPartialFactorization, or from UniversalNumber.factorize
+ * when a factorization budget runs out
+ * 
+ * @returns {PartialFactorization|null} A copy of the partial factorization, or null once
+ * the number is completely factored
+ */
+UniversalNumber.prototype.getPartialFactorization = function() {
+  if (!this._partialFactorization || this._isFactorizationComputed) {
+    return null
+  }
+  
+  const { knownFactors, remainingPart, remainingStatus } = this._partialFactorization
+  return {
+    knownFactors: new Map(knownFactors),
+    remainingPart,
+    remainingStatus
+  }
 }
 
 /**
@@ -0,0 +1,654 @@
+/**
+ * UniversalRational class for the UOR Math-JS library
+ * Extends the universal coordinates of UniversalNumber to the rationals by allowing negative
+ * prime exponents
+ * @module UniversalRational
+ */
+
+const { PrimeMathError, toBigInt } = require('./Utils')
+const UniversalNumber = require('./UniversalNumber')
+
+/**
+ * Convert a value to a UniversalNumber
+ * 
+ * @private
+ * @param {number|string|BigInt|UniversalNumber} value - An integer value
+ * @returns {UniversalNumber} The value as a UniversalNumber
+ */
+function toUniversalNumber(value) {
+  return value instanceof UniversalNumber ? value : new UniversalNumber(value)
+}
+
+/**
+ * Build a UniversalRational from coordinates that are already validated and reduced
+ * 
+ * @private
+ * @param {Map<BigInt, BigInt>} factorization - Primes with non-zero signed exponents
+ * @param {boolean} isNegative - Whether the number is negative
+ * @returns {UniversalRational} The rational number
+ */
+function fromCoordinates(factorization, isNegative) {
+  const result = new UniversalRational(1)
+  result._factorization = factorization
+  result._isNegative = isNegative
+  return result
+}
+
+/**
+ * Class representing an exact rational number in the Prime Framework
+ * The reduced fraction n/d is stored as a single factorization in which the primes of n have
+ * positive exponents and the primes of d negative ones, so every value has one representation and
+ * multiplication, division and powers are exponent arithmetic
+ */
+class UniversalRational {
+  /**
+   * Create a new UniversalRational
+   * 
+   * @param {number|string|BigInt|UniversalNumber|UniversalRational|Map<BigInt, BigInt>|{numerator: *, denominator: *}|{factorization: Map<BigInt, BigInt>, isNegative: boolean}} value -
+   * The value: an integer, a decimal number or string, a string like "-3/4", a fraction object, or
+   * a factorization with signed exponents. With a denominator, the numerator
+   * @param {number|string|BigInt|UniversalNumber} [denominator] - The denominator
+   * @throws {PrimeMathError} If the value cannot be converted or the denominator is zero
+   */
+  constructor(value, denominator) {
+    /** @private */
+    this._factorization = new Map()
+    /** @private */
+    this._isNegative = false
+    /** @private */
+    this._isZero = false
+    
+    if (value === null || value === undefined) {
+      throw new PrimeMathError('Value cannot be null or undefined')
+    }
+    
+    if (denominator !== undefined) {
+      this._setFraction(toUniversalNumber(value), toUniversalNumber(denominator))
+      return
+    }
+    
+    // Copy constructor
+    if (value instanceof UniversalRational) {
+      this._factorization = new Map(value._factorization)
+      this._isNegative = value._isNegative
+      this._isZero = value._isZero
+      return
+    }
+    
+    if (value instanceof UniversalNumber) {
+      this._setFraction(value, new UniversalNumber(1))
+      return
+    }
+    
+    // Factorization with signed exponents, alone or with a sign
+    if (value instanceof Map || (typeof value === 'object' && 'factorization' in value)) {
+      const factorization = value instanceof Map ? value : value.factorization
+      if (!(factorization instanceof Map)) {
+        throw new PrimeMathError('Factorization must be a Map of prime factors')
+      }
+      if (!(value instanceof Map) && value.isZero === true) {
+        this._isZero = true
+        return
+      }
+      this._setFactorization(factorization, !(value instanceof Map) && Boolean(value.isNegative))
+      return
+    }
+    
+    if (typeof value === 'object' && 'numerator' in value) {
+      this._setFraction(
+        toUniversalNumber(value.numerator),
+        toUniversalNumber(value.denominator === undefined ? 1 : value.denominator)
+      )
+      return
+    }
+    
+    if (typeof value === 'string' && value.includes('/')) {
+      const parts = value.split('/')
+      if (parts.length !== 2) {
+        throw new PrimeMathError(`Invalid fraction: ${value}`)
+      }
+      this._setFraction(toUniversalNumber(parts[0].trim()), toUniversalNumber(parts[1].trim()))
+      return
+    }
+    
+    // Decimal strings are read exactly as written, decimal numbers as their shortest decimal form
+    if (typeof value === 'string' && value.includes('.')) {
+      const match = /^\s*([+-]?)(\d*)\.(\d*)\s*$/.exec(value)
+      if (!match || match[2] + match[3] === '') {
+        throw new PrimeMathError(`Invalid decimal: ${value}`)
+      }
+      const [, sign, integerPart, fractionalPart] = match
+      this._setFraction(
+        new UniversalNumber(BigInt(sign + (integerPart + fractionalPart || '0'))),
+        new UniversalNumber(10n ** BigInt(fractionalPart.length))
+      )
+      return
+    }
+    
+    if (typeof value === 'number' && Number.isFinite(value) && !Number.isInteger(value)) {
+      // String(value) is the shortest decimal form, with an exponent below 1e-6 (1e-7, 2.5e-10);
+      // a non-integer has digits after the decimal point, so the denominator 10^scale is above 1
+      const [, sign, integerPart, fractionalPart = '', exponent = '0'] =
+        /** @type {RegExpExecArray} */ (/^(-?)(\d+)(?:\.(\d+))?(?:e([+-]\d+))?$/.exec(String(value)))
+      const scale = BigInt(fractionalPart.length - Number(exponent))
+      this._setFraction(
+        new UniversalNumber(BigInt(sign + integerPart + fractionalPart)),
+        UniversalNumber.fromFactors([{ prime: 2n, exponent: scale }, { prime: 5n, exponent: scale }])
+      )
+      return
+    }
+    
+    this._setFraction(toUniversalNumber(value), new UniversalNumber(1))
+  }
+
+  /**
+   * Set this number to numerator / denominator in lowest terms
+   * 
+   * @private
+   * @param {UniversalNumber} numerator - The numerator
+   * @param {UniversalNumber} denominator - The denominator
+   * @throws {PrimeMathError} If the denominator is zero
+   */
+  _setFraction(numerator, denominator) {
+    if (denominator.isZero()) {
+      throw new PrimeMathError('Division by zero is not allowed')
+    }
+    
+    if (numerator.isZero()) {
+      this._isZero = true
+      return
+    }
+    
+    // Common primes of the numerator and denominator cancel in the exponent difference
+    const factorization = new Map(numerator.getFactorization())
+    for (const [prime, exponent] of denominator.getFactorization()) {
+      const difference = (factorization.get(prime) || 0n) - exponent
+      if (difference === 0n) {
+        factorization.delete(prime)
+      } else {
+        factorization.set(prime, difference)
+      }
+    }
+    
+    this._factorization = factorization
+    this._isNegative = numerator.sign() !== denominator.sign()
+  }
+
+  /**
+   * Set this number from a factorization with signed exponents, validating it
+   * 
+   * @private
+   * @param {Map<BigInt, BigInt>} factorization - Primes with signed exponents; zero exponents are dropped
+   * @param {boolean} isNegative - Whether the number is negative
+   * @throws {PrimeMathError} If a key is not prime or an exponent is not a BigInt
+   */
+  _setFactorization(factorization, isNegative) {
+    const numerator = new Map()
+    const denominator = new Map()
+    for (const [prime, exponent] of factorization) {
+      if (typeof exponent !== 'bigint') {
+        throw new PrimeMathError(`Exponent for prime ${prime} must be a BigInt`)
+      }
+      if (exponent > 0n) {
+        numerator.set(prime, exponent)
+      } else if (exponent < 0n) {
+        denominator.set(prime, -exponent)
+      }
+    }
+    
+    this._setFraction(
+      new UniversalNumber({ factorization: numerator, isNegative }),
+      new UniversalNumber(denominator)
+    )
+  }
+
+  /**
+   * Create a UniversalRational from a numerator and denominator
+   * 
+   * @param {number|string|BigInt|UniversalNumber} numerator - The numerator
+   * @param {number|string|BigInt|UniversalNumber} [denominator=1] - The denominator
+   * @returns {UniversalRational} The fraction in lowest terms
+   * @throws {PrimeMathError} If the denominator is zero
+   */
+  static fromFraction(numerator, denominator = 1) {
+    return new UniversalRational(numerator, denominator)
+  }
+
+  /**
+   * Get the prime factorization with signed exponents: negative exponents belong to the denominator
+   * 
+   * @returns {Map<BigInt, BigInt>} A copy of the factorization
+   */
+  getFactorization() {
+    return new Map(this._factorization)
+  }
+
+  /**
+   * Get the numerator of the reduced fraction, carrying the sign
+   * 
+   * @returns {UniversalNumber} The numerator
+   */
+  getNumerator() {
+    if (this._isZero) {
+      return new UniversalNumber(0)
+    }
+    
+    const factorization = new Map()
+    for (const [prime, exponent] of this._factorization) {
+      if (exponent > 0n) {
+        factorization.set(prime, exponent)
+      }
+    }
+    return new UniversalNumber({ factorization, isNegative: this._isNegative })
+  }
+
+  /**
+   * Get the denominator of the reduced fraction, which is always positive
+   * 
+   * @returns {UniversalNumber} The denominator
+   */
+  getDenominator() {
+    const factorization = new Map()
+    for (const [prime, exponent] of this._factorization) {
+      if (exponent < 0n) {
+        factorization.set(prime, -exponent)
+      }
+    }
+    return new UniversalNumber(factorization)
+  }
+
+  /**
+   * Add another number to this UniversalRational
+   * 
+   * @param {number|string|BigInt|UniversalNumber|UniversalRational} other - The number to add
+   * @returns {UniversalRational} The sum
+   */
+  add(other) {
+    const otherRational = other instanceof UniversalRational ? other : new UniversalRational(other)
+    if (this._isZero) {
+      return new UniversalRational(otherRational)
+    }
+    if (otherRational._isZero) {
+      return new UniversalRational(this)
+    }
+    
+    // Bring both to the least common denominator, so only the numerators are added
+    const denominator = this.getDenominator().lcm(otherRational.getDenominator())
+    const left = this.multiply(denominator).toUniversalNumber()
+    const right = otherRational.multiply(denominator).toUniversalNumber()
+    return new UniversalRational(left.add(right), denominator)
+  }
+
+  /**
+   * Subtract another number from this UniversalRational
+   * 
+   * @param {number|string|BigInt|UniversalNumber|UniversalRational} other - The number to subtract
+   * @returns {UniversalRational} The difference
+   */
+  subtract(other) {
+    const otherRational = other instanceof UniversalRational ? other : new UniversalRational(other)
+    return this.add(otherRational.negate())
+  }
+
+  /**
+   * Multiply this UniversalRational by another number, by adding prime exponents
+   * 
+   * @param {number|string|BigInt|UniversalNumber|UniversalRational} other - The number to multiply by
+   * @returns {UniversalRational} The product
+   */
+  multiply(other) {
+    const otherRational = other instanceof UniversalRational ? other : new UniversalRational(other)
+    if (this._isZero || otherRational._isZero) {
+      return new UniversalRational(0)
+    }
+    
+    const factorization = new Map(this._factorization)
+    for (const [prime, exponent] of otherRational._factorization) {
+      const sum = (factorization.get(prime) || 0n) + exponent
+      if (sum === 0n) {
+        factorization.delete(prime)
+      } else {
+        factorization.set(prime, sum)
+      }
+    }
+    return fromCoordinates(factorization, this._isNegative !== otherRational._isNegative)
+  }
+
+  /**
+   * Divide this UniversalRational by another number, by subtracting prime exponents
+   * 
+   * @param {number|string|BigInt|UniversalNumber|UniversalRational} other - The divisor
+   * @returns {UniversalRational} The exact quotient
+   * @throws {PrimeMathError} If the divisor is zero
+   */
+  divide(other) {
+    const otherRational = other instanceof UniversalRational ? other : new UniversalRational(other)
+    return this.multiply(otherRational.reciprocal())
+  }
+
+  /**
+   * Raise this UniversalRational to an integer power, by multiplying prime exponents
+   * 
+   * @param {number|string|BigInt} exponent - The exponent, which may be negative
+   * @returns {UniversalRational} The power
+   * @throws {PrimeMathError} If zero is raised to a negative power
+   */
+  pow(exponent) {
+    const exp = toBigInt(exponent)
+    
+    if (this._isZero) {
+      if (exp < 0n) {
+        throw new PrimeMathError('Division by zero is not allowed')
+      }
+      // 0^0 = 1 (mathematical convention), 0^n = 0 for n > 0
+      return new UniversalRational(exp === 0n ? 1 : 0)
+    }
+    
+    if (exp === 0n) {
+      return new UniversalRational(1)
+    }
+    
+    const factorization = new Map()
+    for (const [prime, primeExponent] of this._factorization) {
+      factorization.set(prime, primeExponent * exp)
+    }
+    return fromCoordinates(factorization, this._isNegative && exp % 2n !== 0n)
+  }
+
+  /**
+   * Get the reciprocal 1/this, by negating every prime exponent
+   * 
+   * @returns {UniversalRational} The reciprocal
+   * @throws {PrimeMathError} If this number is zero
+   */
+  reciprocal() {
+    return this.pow(-1)
+  }
+
+  /**
+   * Get this number in lowest terms. UniversalRational values are always stored reduced, so this
+   * returns an equal copy
+   * 
+   * @returns {UniversalRational} The reduced fraction
+   */
+  reduce() {
+    return new UniversalRational(this)
+  }
+
+  /**
+   * Get the largest integer not above this number
+   * 
+   * @returns {UniversalNumber} floor(this)
+   */
+  floor() {
+    if (this.isInteger()) {
+      return this.toUniversalNumber()
+    }
+    
+    const numerator = this.getNumerator().toBigInt()
+    const denominator = this.getDenominator().toBigInt()
+    const quotient = numerator / denominator
+    return new UniversalNumber(numerator < 0n ? quotient - 1n : quotient)
+  }
+
+  /**
+   * Get the smallest integer not below this number
+   * 
+   * @returns {UniversalNumber} ceil(this)
+   */
+  ceil() {
+    if (this.isInteger()) {
+      return this.toUniversalNumber()
+    }
+    
+    const numerator = this.getNumerator().toBigInt()
+    const denominator = this.getDenominator().toBigInt()
+    const quotient = numerator / denominator
+    return new UniversalNumber(numerator > 0n ? quotient + 1n : quotient)
+  }
+
+  /**
+   * Get the absolute value of this UniversalRational
+   * 
+   * @returns {UniversalRational} |this|
+   */
+  abs() {
+    return this._isZero ? new UniversalRational(0) : fromCoordinates(new Map(this._factorization), false)
+  }
+
+  /**
+   * Negate this UniversalRational
+   * 
+   * @returns {UniversalRational} -this
+   */
+  negate() {
+    return this._isZero ? new UniversalRational(0) : fromCoordinates(new Map(this._factorization), !this._isNegative)
+  }
+
+  /**
+   * Get the sign of this UniversalRational
+   * 
+   * @returns {number} -1 if negative, 1 if positive
+   */
+  sign() {
+    return this._isNegative ? -1 : 1
+  }
+
+  /**
+   * Check if this UniversalRational is 0
+   * 
+   * @returns {boolean} True if this number is 0, false otherwise
+   */
+  isZero() {
+    return this._isZero
+  }
+
+  /**
+   * Check if this UniversalRational is an integer, that is, has no negative prime exponents
+   * 
+   * @returns {boolean} True if the denominator is 1
+   */
+  isInteger() {
+    for (const exponent of this._factorization.values()) {
+      if (exponent < 0n) {
+        return false
+      }
+    }
+    return true
+  }
+
+  /**
+   * Compare this UniversalRational with another number for equality
+   * 
+   * @param {number|string|BigInt|UniversalNumber|UniversalRational} other - The number to compare with
+   * @returns {boolean} True if the numbers are equal, false otherwise
+   */
+  equals(other) {
+    let otherRational
+    try {
+      otherRational = other instanceof UniversalRational ? other : new UniversalRational(other)
+    } catch (error) {
+      return false
+    }
+    
+    if (this._isZero || otherRational._isZero) {
+      return this._isZero === otherRational._isZero
+    }
+    
+    if (this._isNegative !== otherRational._isNegative ||
+        this._factorization.size !== otherRational._factorization.size) {
+      return false
+    }
+    
+    for (const [prime, exponent] of this._factorization) {
+      if (otherRational._factorization.get(prime) !== exponent) {
+        return false
+      }
+    }
+    return true
+  }
+
+  /**
+   * Compare this UniversalRational with another number
+   * a/b and c/d are ordered by the cross products a·d and c·b, which UniversalNumber compares
+   * through their prime exponents without expanding them
+   * 
+   * @param {number|string|BigInt|UniversalNumber|UniversalRational} other - The number to compare with
+   * @returns {number} -1 if this < other, 0 if this === other, 1 if this > other
+   */
+  compareTo(other) {
+    const otherRational = other instanceof UniversalRational ? other : new UniversalRational(other)
+    const left = this.getNumerator().multiply(otherRational.getDenominator())
+    const right = otherRational.getNumerator().multiply(this.getDenominator())
+    return left.compareTo(right)
+  }
+
+  /**
+   * Compare two numbers, for use as an Array.prototype.sort comparator
+   * 
+   * @param {number|string|BigInt|UniversalNumber|UniversalRational} a - The first number
+   * @param {number|string|BigInt|UniversalNumber|UniversalRational} b - The second number
+   * @returns {number} -1 if a < b, 0 if a === b, 1 if a > b
+   */
+  static compare(a, b) {
+    const first = a instanceof UniversalRational ? a : new UniversalRational(a)
+    return first.compareTo(b)
+  }
+
+  /**
+   * Convert an integral UniversalRational to a UniversalNumber
+   * 
+   * @returns {UniversalNumber} The same integer
+   * @throws {PrimeMathError} If this number is not an integer
+   */
+  toUniversalNumber() {
+    if (!this.isInteger()) {
+      throw new PrimeMathError(`${this.toString()} is not an integer`)
+    }
+    return this.getNumerator()
+  }
+
+  /**
+   * Convert an integral UniversalRational to a BigInt
+   * 
+   * @returns {BigInt} The BigInt value
+   * @throws {PrimeMathError} If this number is not an integer
+   */
+  toBigInt() {
+    return this.toUniversalNumber().toBigInt()
+  }
+
+  /**
+   * Get the nearest JavaScript Number, computed from a 64-bit quotient so that numerators and
+   * denominators beyond the range of Number still give a finite result
+   * The quotient is scaled down in two steps, since 2^-shift itself underflows to 0 for a
+   * shift of 1075 or more while the scaled result can still be a subnormal number
+   * 
+   * @returns {number} The approximate value
+   */
+  toNumber() {
+    if (this._isZero) {
+      return 0
+    }
+    
+    const numerator = this.getNumerator().toBigInt()
+    const denominator = this.getDenominator().toBigInt()
+    const magnitude = numerator < 0n ? -numerator : numerator
+    const shift = Math.max(0, 64 - magnitude.toString(2).length + denominator.toString(2).length)
+    const firstShift = Math.min(shift, 1000)
+    const quotient = Number((magnitude << BigInt(shift)) / denominator) *
+      Math.pow(2, -firstShift) * Math.pow(2, firstShift - shift)
+    return this._isNegative ? -quotient : quotient
+  }
+
+  /**
+   * Convert the UniversalRational to a string "numerator/denominator", or just the numerator
+   * for an integer
+   * 
+   * @param {number} [base=10] - The base for the output representation (2-36)
+   * @returns {string} The string representation
+   */
+  toString(base = 10) {
+    const numerator = this.getNumerator().toString(base)
+    return this.isInteger() ? numerator : `${numerator}/${this.getDenominator().toString(base)}`
+  }
+
+  /**
+   * Convert an integral UniversalRational to a native JavaScript primitive, like UniversalNumber
+   * Used for automatic conversion in expressions, and by the PrimeMath functions that take integers
+   * 
+   * @returns {BigInt} The BigInt representation of the number
+   * @throws {PrimeMathError} If this number is not an integer
+   */
+  valueOf() {
+    return this.toBigInt()
+  }
+
+  /**
+   * Convert the UniversalRational to a serializable object
+   * For use with JSON.stringify
+   * 
+   * @returns {Object} Object with type, signed exponents and sign information
+   */
+  toJSON() {
+    const factorObj = {}
+    
+    for (const [prime, exponent] of this._factorization) {
+      // @ts-ignore
+      factorObj[prime.toString()] = exponent.toString()
+    }
+    
+    return {
+      type: 'UniversalRational',
+      factors: factorObj,
+      isNegative: this._isNegative,
+      isZero: this._isZero
+    }
+  }
+
+  /**
+   * Create a UniversalRational from a JSON representation
+   * 
+   * @param {Object} json - The JSON object, as produced by toJSON
+   * @returns {UniversalRational} A new UniversalRational
+   * @throws {PrimeMathError} If the JSON is invalid
+   */
+  static fromJSON(json) {
+    if (typeof json !== 'object' || json === null) {
+      throw new PrimeMathError('Invalid JSON: must be an object')
+    }
+    
+    // @ts-ignore
+    const { type, factors, isNegative, isZero } = json
+    if (type !== 'UniversalRational') {
+      throw new PrimeMathError(`Invalid type: ${type}`)
+    }
+    
+    if (isZero === true) {
+      return new UniversalRational(0)
+    }
+    
+    if (typeof factors !== 'object' || factors === null) {
+      throw new PrimeMathError('Invalid factors: must be an object')
+    }
+    
+    const factorization = new Map()
+    for (const [primeStr, exponentStr] of Object.entries(factors)) {
+      let prime, exponent
+      try {
+        prime = BigInt(primeStr)
+        exponent = BigInt(exponentStr)
+      } catch (error) {
+        throw new PrimeMathError(`Invalid factor: ${primeStr}^${exponentStr}`)
+      }
+      if (exponent === 0n) {
+        throw new PrimeMathError(`Exponent for prime ${prime} must be non-zero`)
+      }
+      factorization.set(prime, exponent)
+    }
+    
+    return new UniversalRational({ factorization, isNegative: !!isNegative })
+  }
+}
+
+module.exports = UniversalRational
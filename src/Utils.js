@@ -6,6 +6,7 @@
 
 // Import global config
 const { config } = require('./config')
+const { Cache } = require('./Cache')
 
 /**
  * Custom error class for Prime Math-related errors
@@ -28,6 +29,75 @@ class PrimeMathError extends Error {
   }
 }
 
+/**
+ * Error thrown when a factorization is cancelled through an AbortSignal
+ * Carries the part of the factorization that had been discovered before the abort,
+ * so that `factors` times `remaining` always equals `original`
+ * @class FactorizationAbortError
+ * @extends PrimeMathError
+ */
+class FactorizationAbortError extends PrimeMathError {
+  /**
+   * Create a new FactorizationAbortError
+   * @param {string} message - Error message
+   * @param {Object} details - Details of the aborted factorization
+   * @param {BigInt} details.original - The number whose factorization was aborted
+   * @param {Map<BigInt, BigInt>} [details.factors] - Prime factors found before the abort
+   * @param {*} [details.reason] - The abort reason reported by the signal
+   */
+  constructor(message, { original, factors = new Map(), reason } = {}) {
+    super(message)
+    this.name = 'FactorizationAbortError'
+    
+    /** @type {BigInt} */
+    this.original = original
+    
+    /** @type {Map<BigInt, BigInt>} */
+    this.factors = new Map(factors)
+    
+    /** @type {*} */
+    this.reason = reason
+    
+    // The unfactored cofactor is whatever the discovered primes do not account for
+    let product = 1n
+    for (const [prime, exponent] of this.factors.entries()) {
+      product *= prime ** exponent
+    }
+    
+    /** @type {BigInt} */
+    this.remaining = original / product
+  }
+}
+
+/**
+ * Error thrown when a factorization runs out of its time or memory budget
+ * (config.factorization.timeLimit, config.factorization.memoryLimit or config.memory.maxMemoryUsage)
+ * UniversalNumber.factorize turns it into a partially factored result instead of rethrowing
+ * @class FactorizationBudgetError
+ * @extends FactorizationAbortError
+ */
+class FactorizationBudgetError extends FactorizationAbortError {
+  /**
+   * Create a new FactorizationBudgetError
+   * @param {string} message - Error message
+   * @param {Object} details - Details of the interrupted factorization
+   * @param {BigInt} details.original - The number whose factorization was interrupted
+   * @param {Map<BigInt, BigInt>} [details.factors] - Prime factors found before the budget ran out
+   * @param {string} details.budget - The exhausted budget: 'timeLimit', 'memoryLimit' or 'maxMemoryUsage'
+   * @param {number} details.limit - The configured value of that budget (milliseconds or MB)
+   */
+  constructor(message, { original, factors = new Map(), budget, limit } = {}) {
+    super(message, { original, factors, reason: budget })
+    this.name = 'FactorizationBudgetError'
+    
+    /** @type {string} */
+    this.budget = budget
+    
+    /** @type {number} */
+    this.limit = limit
+  }
+}
+
 /**
  * Prime number cache for efficient repetitive primality testing
  * Stores known prime numbers and composite status
@@ -60,17 +130,31 @@ const _primeCache = {
   ],
   
   /**
-   * Map for storing prime status of checked numbers
-   * Uses sparse representation for memory efficiency
+   * Cache storing the prime status of checked numbers, limited to config.cache.maxPrimeCacheSize
+   * entries and evicted by config.cache.evictionPolicy
    * key: number as string, value: boolean indicating primality
    */
-  primalityMap: new Map(),
+  primalityMap: new Cache({
+    name: 'primes',
+    shared: true,
+    maxEntries: () => config.cache.maxPrimeCacheSize,
+    onEvict: (key, isPrime) => {
+      if (isPrime && key === _primeCache.largestKnownPrime.toString()) {
+        _primeCache.largestKnownPrimeStale = true
+      }
+    }
+  }),
   
   /**
    * Largest prime number currently in the cache
    */
   largestKnownPrime: 997n,
   
+  /**
+   * Whether largestKnownPrime was evicted and must be looked up again
+   */
+  largestKnownPrimeStale: false,
+  
   /**
    * Largest number that has been fully checked for primality
    */
@@ -83,6 +167,25 @@ const _primeCache = {
     return config.cache.maxPrimeCacheSize
   },
   
+  /**
+   * Get the largest prime in the cache, looking it up again after it was evicted
+   * @returns {BigInt} Largest known prime
+   */
+  getLargestKnownPrime() {
+    if (this.largestKnownPrimeStale) {
+      let largest = this.knownPrimes[this.knownPrimes.length - 1]
+      for (const [key, isPrime] of this.primalityMap) {
+        const num = BigInt(key)
+        if (isPrime && num > largest) {
+          largest = num
+        }
+      }
+      this.largestKnownPrime = largest
+      this.largestKnownPrimeStale = false
+    }
+    return this.largestKnownPrime
+  },
+  
   /**
    * Initialize the prime cache with the known primes
    */
@@ -227,6 +330,67 @@ function exactDivide(dividend, divisor) {
   return dividend / divisor
 }
 
+/**
+ * Rounding modes accepted by divideWithRounding
+ * @type {string[]}
+ */
+const ROUNDING_MODES = ['floor', 'trunc', 'ceil', 'euclid']
+
+/**
+ * Check that a rounding mode is one divideWithRounding accepts
+ * 
+ * @param {string} rounding - The rounding mode
+ * @throws {PrimeMathError} If the rounding mode is unknown
+ */
+function checkRoundingMode(rounding) {
+  if (!ROUNDING_MODES.includes(rounding)) {
+    throw new PrimeMathError(`Unknown rounding mode: ${rounding} (must be one of ${ROUNDING_MODES.join(', ')})`)
+  }
+}
+
+/**
+ * Divide with remainder, rounding the quotient as requested
+ * The remainder always satisfies dividend = quotient * divisor + remainder, and takes
+ * the sign of the divisor ('floor'), of the dividend ('trunc'), the opposite sign of
+ * the divisor ('ceil'), or is never negative ('euclid')
+ * 
+ * @param {BigInt} dividend - The number to divide
+ * @param {BigInt} divisor - The divisor
+ * @param {string} [rounding='floor'] - One of 'floor', 'trunc', 'ceil' or 'euclid'
+ * @returns {{quotient: BigInt, remainder: BigInt}} The rounded quotient and its remainder
+ * @throws {PrimeMathError} If divisor is zero or the rounding mode is unknown
+ */
+function divideWithRounding(dividend, divisor, rounding = 'floor') {
+  checkRoundingMode(rounding)
+  
+  if (divisor === 0n) {
+    throw new PrimeMathError('Division by zero is not allowed in the Prime Framework')
+  }
+  
+  // BigInt division truncates toward zero, so only a non-zero remainder needs adjusting
+  let quotient = dividend / divisor
+  let remainder = dividend % divisor
+  if (remainder === 0n || rounding === 'trunc') {
+    return { quotient, remainder }
+  }
+  
+  const sameSign = (remainder < 0n) === (divisor < 0n)
+  const step = divisor < 0n ? -1n : 1n
+  if (rounding === 'floor' && !sameSign) {
+    quotient -= 1n
+    remainder += divisor
+  } else if (rounding === 'ceil' && sameSign) {
+    quotient += 1n
+    remainder -= divisor
+  } else if (rounding === 'euclid' && remainder < 0n) {
+    // Raise the remainder by |divisor| to make it non-negative
+    quotient -= step
+    remainder += step * divisor
+  }
+  
+  return { quotient, remainder }
+}
+
 /**
  * Calculate the greatest common divisor (GCD) of two numbers using the binary GCD algorithm
  * Optimized version of the Euclidean algorithm for better performance in the Prime Framework
@@ -348,22 +512,91 @@ function toBigInt(value) {
 }
 
 /**
- * Miller-Rabin primality test implementation
- * Deterministic for n < 2^64, probabilistic for larger numbers
- * Used for efficient primality testing of large numbers
- * Enhanced to safely handle very large numbers
+ * Miller-Rabin bases that make the strong probable-prime test deterministic below each bound
+ * (Jaeschke 1993; Sorenson and Webster 2015). The last bound exceeds 2^64
+ * 
+ * @private
+ * @type {Array<[BigInt, BigInt[]]>}
+ */
+const DETERMINISTIC_BASES = [
+  [2047n, [2n]],
+  [1373653n, [2n, 3n]],
+  [25326001n, [2n, 3n, 5n]],
+  [3215031751n, [2n, 3n, 5n, 7n]],
+  [2152302898747n, [2n, 3n, 5n, 7n, 11n]],
+  [3474749660383n, [2n, 3n, 5n, 7n, 11n, 13n]],
+  [341550071728321n, [2n, 3n, 5n, 7n, 11n, 13n, 17n]],
+  [3825123056546413051n, [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n]],
+  [318665857834031151167461n, [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n]]
+]
+
+/**
+ * Bound below which every probable-prime test in the library is deterministic
+ * 
+ * @private
+ * @type {BigInt}
+ */
+const DETERMINISTIC_LIMIT = DETERMINISTIC_BASES[DETERMINISTIC_BASES.length - 1][0]
+
+/**
+ * Primes used to reject easy composites before the probable-prime tests
+ * 
+ * @private
+ * @type {BigInt[]}
+ */
+const TRIAL_PRIMES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n, 41n, 43n, 47n]
+
+/**
+ * Strong probable-prime test of odd n to a single base a, where n - 1 = 2^r * d with d odd
+ * 
+ * @private
+ * @param {BigInt} n - The odd number to test
+ * @param {BigInt} a - The base
+ * @param {BigInt} d - The odd part of n - 1
+ * @param {BigInt} r - The power of two in n - 1
+ * @returns {boolean} True if n is a strong probable prime to base a
+ */
+function isStrongProbablePrime(n, a, d, r) {
+  let x = fastExp(a % n, d, n)
+  if (x === 1n || x === n - 1n) return true
+  
+  for (let i = 1n; i < r; i++) {
+    x = (x * x) % n
+    if (x === n - 1n) return true
+    if (x === 1n) return false
+  }
+  
+  return false
+}
+
+/**
+ * Pick a uniformly random Miller-Rabin base in [2, n - 2]
  * 
  * @private
+ * @param {BigInt} n - The number under test (n > 4)
+ * @returns {BigInt} A random base
+ */
+function randomBase(n) {
+  const range = n - 3n
+  const words = Math.ceil(range.toString(16).length / 8) + 1
+  let value = 0n
+  for (let i = 0; i < words; i++) {
+    value = (value << 32n) | BigInt(Math.floor(Math.random() * 0x100000000))
+  }
+  return 2n + value % range
+}
+
+/**
+ * Miller-Rabin primality test
+ * Deterministic below 3.18 * 10^23 (which covers every 64-bit integer) using known base sets.
+ * Larger inputs are tested to base 2 and then to random bases
+ * 
  * @param {BigInt} n - The number to test for primality
- * @param {number} k - The number of rounds (higher means more accuracy for probabilistic testing)
+ * @param {number|{rounds?: number}|null} [rounds=null] - Number of rounds for inputs beyond the
+ *   deterministic range, defaulting to config.primalityTesting.millerRabinRounds
  * @returns {boolean} True if n is probably prime, false if n is definitely composite
  */
-function _millerRabinTest(n, k = null) {
-  // Use configured number of rounds if not specified explicitly
-  if (k === null) {
-    k = config.primalityTesting.millerRabinRounds
-  }
-  // Handle small numbers and ensure n > 0
+function millerRabinTest(n, rounds = null) {
   if (n <= 1n) return false
   if (n <= 3n) return true
   if (n % 2n === 0n) return false
@@ -376,78 +609,192 @@ function _millerRabinTest(n, k = null) {
     r += 1n
   }
   
-  // Check if we can safely perform a deterministic test
-  const isPotentiallyDeterministic = n < 2n ** 64n
+  const deterministic = DETERMINISTIC_BASES.find(([bound]) => n < bound)
+  if (deterministic) {
+    return deterministic[1].every(a => a % n === 0n || isStrongProbablePrime(n, a, d, r))
+  }
   
-  // Safety check for extremely large numbers
-  if (n > 2n ** 100n) {
-    // For extremely large numbers, use a simplified primality test
-    // to avoid BigInt overflow in the Miller-Rabin test
-    
-    // Try division by small prime numbers
-    for (const p of _primeCache.knownPrimes) {
-      if (p * p > n) break // No need to check further
-      if (n % p === 0n) return false
+  let k = rounds !== null && typeof rounds === 'object' ? rounds.rounds : rounds
+  if (k === undefined || k === null) {
+    k = config.primalityTesting.millerRabinRounds
+  }
+  
+  if (!isStrongProbablePrime(n, 2n, d, r)) return false
+  for (let i = 1; i < k; i++) {
+    if (!isStrongProbablePrime(n, randomBase(n), d, r)) return false
+  }
+  
+  return true
+}
+
+/**
+ * Jacobi symbol (a/n) for odd positive n
+ * 
+ * @private
+ * @param {BigInt} a - The numerator
+ * @param {BigInt} n - The odd positive denominator
+ * @returns {number} 1, -1 or 0
+ */
+function jacobiSymbol(a, n) {
+  a = ((a % n) + n) % n
+  let result = 1
+  
+  while (a !== 0n) {
+    while (a % 2n === 0n) {
+      a /= 2n
+      const residue = n % 8n
+      if (residue === 3n || residue === 5n) result = -result
     }
     
-    // For extremely large numbers, use a minimal set of witnesses
-    // and perform fewer rounds to avoid computation errors
-    k = Math.min(k, 5)
+    const swap = a
+    a = n
+    n = swap
+    if (a % 4n === 3n && n % 4n === 3n) result = -result
+    a %= n
+  }
+  
+  return n === 1n ? result : 0
+}
+
+/**
+ * Selfridge's parameters for the strong Lucas test of n: D is the first of 5, -7, 9, -11, ...
+ * with (D/n) = -1, P = 1 and Q = (1 - D) / 4
+ * 
+ * @param {BigInt} n - An odd number greater than 2
+ * @returns {{D: BigInt, P: BigInt, Q: BigInt}|null} The parameters, or null if the search shows
+ * that n is composite (n is a perfect square or shares a factor with some D)
+ */
+function lucasParameters(n) {
+  // No suitable D exists for perfect squares
+  const root = sqrt(n)
+  if (root * root === n) return null
+  
+  let D = 5n
+  let symbol = jacobiSymbol(D, n)
+  while (symbol !== -1) {
+    if (symbol === 0 && (D < 0n ? -D : D) !== n) return null
+    D = D > 0n ? -(D + 2n) : -D + 2n
+    symbol = jacobiSymbol(D, n)
   }
   
+  return { D, P: 1n, Q: (1n - D) / 4n }
+}
+
+/**
+ * Strong Lucas probable-prime test with Selfridge's parameters (see lucasParameters)
+ * 
+ * @param {BigInt} n - The odd number to test, greater than 2
+ * @returns {boolean} True if n is a strong Lucas probable prime
+ */
+function strongLucasTest(n) {
+  if (n === 2n) return true
+  if (n < 2n || n % 2n === 0n) return false
+  
+  const parameters = lucasParameters(n)
+  if (!parameters) return false
+  const { D, Q } = parameters
+  
   /**
-   * @param {BigInt} a - The witness to test
-   * @returns {boolean} True if the witness passes, false otherwise
+   * @param {BigInt} value - Value to reduce
+   * @returns {BigInt} value mod n in [0, n)
    */
-  const witnessLoop = (a) => {
-    // Compute a^d % n using modular exponentiation to prevent overflow
-    let x = fastExp(a, d, n)
-    
-    if (x === 1n || x === n - 1n) return true
-    
-    // Square x repeatedly r-1 times (with modular arithmetic)
-    for (let i = 1n; i < r; i++) {
-      x = (x * x) % n
-      if (x === n - 1n) return true
-      if (x === 1n) return false
+  const mod = value => ((value % n) + n) % n
+  /**
+   * @param {BigInt} value - Value in [0, n)
+   * @returns {BigInt} value / 2 mod n
+   */
+  const half = value => (value % 2n === 0n ? value : value + n) / 2n
+  
+  // Write n+1 as 2^s * d where d is odd
+  let s = 0n
+  let d = n + 1n
+  while (d % 2n === 0n) {
+    d /= 2n
+    s += 1n
+  }
+  
+  // Left-to-right binary ladder for U_d and V_d, tracking Q^k
+  let U = 1n
+  let V = 1n
+  let Qk = mod(Q)
+  const bits = d.toString(2)
+  for (let i = 1; i < bits.length; i++) {
+    U = (U * V) % n
+    V = mod(V * V - 2n * Qk)
+    Qk = (Qk * Qk) % n
+    if (bits[i] === '1') {
+      const nextU = half(mod(U + V))
+      V = half(mod(D * U + V))
+      U = nextU
+      Qk = mod(Qk * Q)
     }
-    
-    return false
   }
   
-  // Deterministic Miller-Rabin for n < 2^64
-  if (isPotentiallyDeterministic) {
-    // First 12 primes cover deterministic test for n < 2^64
-    const witnesses = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n]
-    
-    for (const a of witnesses) {
-      if (a >= n) break
-      if (!witnessLoop(a)) return false
-    }
-    return true
+  if (U === 0n || V === 0n) return true
+  for (let i = 1n; i < s; i++) {
+    V = mod(V * V - 2n * Qk)
+    if (V === 0n) return true
+    Qk = (Qk * Qk) % n
   }
   
-  // Probabilistic Miller-Rabin for larger numbers
-  for (let i = 0; i < k; i++) {
-    // To prevent randomness issues in deterministic contexts, use well-known values
-    // Use first few primes as deterministic witnesses
-    const knownPrimes = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37]
-    const a = BigInt(knownPrimes[i % knownPrimes.length]) % (n - 3n) + 2n
-    
-    try {
-      if (!witnessLoop(a)) return false
-    } catch (error) {
-      // If we get computational errors, fall back to a different approach
-      if (error instanceof PrimeMathError) {
-        // If Miller-Rabin test fails due to computational limits,
-        // perform a more basic analysis
-        return isPrime(n, { useCache: false, updateCache: false })
-      }
-      throw error // Rethrow unexpected errors
-    }
+  return false
+}
+
+/**
+ * Baillie-PSW probable-prime test: a strong base-2 Miller-Rabin test followed by a
+ * strong Lucas test. No composite is known to pass both
+ * 
+ * @param {BigInt} n - The number to test for primality
+ * @returns {boolean} True if n is probably prime, false if n is definitely composite
+ */
+function bailliePSW(n) {
+  if (n < 2n) return false
+  for (const p of TRIAL_PRIMES) {
+    if (n === p) return true
+    if (n % p === 0n) return false
   }
   
-  return true
+  let r = 0n
+  let d = n - 1n
+  while (d % 2n === 0n) {
+    d /= 2n
+    r += 1n
+  }
+  
+  return isStrongProbablePrime(n, 2n, d, r) && strongLucasTest(n)
+}
+
+/**
+ * Probable-prime test shared by the whole library
+ * Deterministic below 3.18 * 10^23, which covers every 64-bit integer. Larger inputs use
+ * config.primalityTesting.method: 'bpsw' (Baillie-PSW, the default) or 'miller-rabin'
+ * 
+ * @param {BigInt} n - The number to test for primality
+ * @param {Object} [options] - Test options
+ * @param {string} [options.method] - Overrides config.primalityTesting.method
+ * @param {number} [options.rounds] - Miller-Rabin rounds, overriding config.primalityTesting.millerRabinRounds
+ * @returns {boolean} True if n is probably prime, false if n is definitely composite
+ * @throws {PrimeMathError} If the method is unknown
+ */
+function isProbablePrime(n, options = {}) {
+  if (n < 2n) return false
+  for (const p of TRIAL_PRIMES) {
+    if (n === p) return true
+    if (n % p === 0n) return false
+  }
+  
+  if (n < DETERMINISTIC_LIMIT) {
+    return millerRabinTest(n)
+  }
+  
+  const method = options.method || config.primalityTesting.method || 'bpsw'
+  if (method === 'bpsw') {
+    return bailliePSW(n)
+  }
+  if (method === 'miller-rabin') {
+    return millerRabinTest(n, options.rounds === undefined ? null : options.rounds)
+  }
+  throw new PrimeMathError(`Unknown primality testing method: ${method}`)
 }
 
 /**
@@ -509,11 +856,6 @@ function isPrime(n, options = { useCache: true, updateCache: true }) {
         // Update cache if enabled
         if (useCache && updateCache) {
           _primeCache.primalityMap.set(n.toString(), false)
-          
-          // Prune cache if too large
-          if (_primeCache.primalityMap.size > _primeCache.MAX_CACHE_SIZE) {
-            pruneCache()
-          }
         }
         return false
       }
@@ -538,8 +880,8 @@ function isPrime(n, options = { useCache: true, updateCache: true }) {
     return true
   }
   
-  // For large numbers, use the Miller-Rabin test
-  const isProbablyPrime = _millerRabinTest(n)
+  // For large numbers, use the configured probable-prime test
+  const isProbablyPrime = isProbablePrime(n)
   
   // Update cache if enabled
   if (useCache && updateCache) {
@@ -553,91 +895,11 @@ function isPrime(n, options = { useCache: true, updateCache: true }) {
     if (n > _primeCache.largestCheckedNumber) {
       _primeCache.largestCheckedNumber = n
     }
-    
-    // Prune cache if too large
-    if (_primeCache.primalityMap.size > _primeCache.MAX_CACHE_SIZE) {
-      pruneCache()
-    }
   }
   
   return isProbablyPrime
 }
 
-/**
- * Prune the prime cache to prevent memory growth
- * Removes least recently accessed items while preserving small primes
- * Enhanced to use configuration settings for more flexibility
- * 
- * @private
- */
-function pruneCache() {
-  // Get parameters from configuration
-  const preserveLimit = 1000n // Always keep primes under this value
-  const targetSize = Math.floor(_primeCache.MAX_CACHE_SIZE * 0.8) // Target 80% of max
-  
-  // If cache is smaller than max size or barely over, no need to prune
-  if (_primeCache.primalityMap.size <= _primeCache.MAX_CACHE_SIZE * 1.1) {
-    return
-  }
-  
-  // Identify candidates for removal (we keep small primes)
-  const keysToRemove = []
-  for (const key of _primeCache.primalityMap.keys()) {
-    const num = BigInt(key)
-    if (num > preserveLimit) {
-      keysToRemove.push(key)
-    }
-  }
-  
-  // Calculate how many entries to remove to reach target size
-  const removalTarget = Math.max(
-    _primeCache.primalityMap.size - targetSize,
-    Math.floor(keysToRemove.length * 0.5) // Remove at least 50% of removable entries
-  )
-  
-  // Sort candidates by value (we prefer to keep smaller numbers)
-  keysToRemove.sort((a, b) => {
-    // First prioritize by primality - keep primes
-    const isPrimeA = _primeCache.primalityMap.get(a)
-    const isPrimeB = _primeCache.primalityMap.get(b)
-    
-    if (isPrimeA !== isPrimeB) {
-      return isPrimeA ? 1 : -1 // Remove composites first
-    }
-    
-    // Then prioritize by size - remove larger numbers first
-    // Use string comparison for sorting since we can't subtract BigInts for sort
-    const numA = BigInt(a)
-    const numB = BigInt(b)
-    if (numA > numB) return -1
-    if (numA < numB) return 1
-    return 0
-  })
-  
-  // Remove entries to reach target
-  const toRemove = keysToRemove.slice(0, removalTarget)
-  for (const key of toRemove) {
-    _primeCache.primalityMap.delete(key)
-  }
-  
-  // Update the largest known prime if we removed it
-  if (_primeCache.primalityMap.has(_primeCache.largestKnownPrime.toString()) === false) {
-    // Find new largest known prime
-    let newLargest = _primeCache.knownPrimes[_primeCache.knownPrimes.length - 1]
-    
-    for (const [key, isPrime] of _primeCache.primalityMap.entries()) {
-      if (isPrime) {
-        const num = BigInt(key)
-        if (num > newLargest) {
-          newLargest = num
-        }
-      }
-    }
-    
-    _primeCache.largestKnownPrime = newLargest
-  }
-}
-
 /**
  * Get a range of prime numbers
  * Efficiently generates primes within a specified range
@@ -1046,34 +1308,56 @@ function basicSieveOfEratosthenes(limit) {
 }
 
 /**
- * Integer square root function
- * Finds the largest integer square root that doesn't exceed the value
+ * Integer k-th root by Newton's method, exact for numbers of any size
  * 
- * @private
- * @param {BigInt} n - Input value
- * @returns {BigInt} Integer square root of n
+ * @param {BigInt} n - A non-negative number
+ * @param {number|BigInt} k - The root degree (a positive integer)
+ * @returns {BigInt} floor(n^(1/k)), the largest x with x^k <= n
+ * @throws {PrimeMathError} If n is negative or k is not a positive integer
  */
-function sqrt(n) {
+function iroot(n, k) {
+  const degree = toBigInt(k)
+  if (degree < 1n) {
+    throw new PrimeMathError(`Invalid root degree: ${k} (must be a positive integer)`)
+  }
+  
   if (n < 0n) {
-    throw new PrimeMathError('Cannot compute square root of negative number')
+    throw new PrimeMathError('Cannot compute root of negative number')
   }
   
-  if (n < 2n) {
+  if (n < 2n || degree === 1n) {
     return n
   }
   
-  // Newton's method for square root
-  let x = n
-  let y = (x + 1n) / 2n
+  // Start above the root, at 2^ceil(bits / k); the iterates then decrease to the floor of the root
+  const bits = BigInt(n.toString(2).length)
+  let x = 1n << ((bits + degree - 1n) / degree)
+  let y = ((degree - 1n) * x + n / x ** (degree - 1n)) / degree
   
   while (y < x) {
     x = y
-    y = (x + n / x) / 2n
+    y = ((degree - 1n) * x + n / x ** (degree - 1n)) / degree
   }
   
   return x
 }
 
+/**
+ * Integer square root function
+ * Finds the largest integer square root that doesn't exceed the value
+ * 
+ * @private
+ * @param {BigInt} n - Input value
+ * @returns {BigInt} Integer square root of n
+ */
+function sqrt(n) {
+  if (n < 0n) {
+    throw new PrimeMathError('Cannot compute square root of negative number')
+  }
+  
+  return iroot(n, 2n)
+}
+
 /**
  * Get the next prime number after a given number
  * Enhanced with prime cache for efficiency
@@ -1090,21 +1374,8 @@ function nextPrime(n) {
     return 2n
   }
   
-  // Check if we can use cache to speed up the search
-  if (n < _primeCache.largestCheckedNumber) {
-    // Find the smallest prime in the cache larger than n
-    let candidate = n + 1n
-    
-    // Check cache until we find a prime
-    while (candidate <= _primeCache.largestCheckedNumber) {
-      if (_primeCache.primalityMap.get(candidate.toString()) === true) {
-        return candidate
-      }
-      candidate++
-    }
-  }
-  
-  // If we can't use the cache, use the standard method
+  // Test candidates in turn; isPrime answers from the prime cache where it can
+  // The cache may have evicted any number, so a cached prime is not necessarily the next one
   let candidate = n + 1n
   
   // Ensure candidate is odd (except for n=1)
@@ -1210,7 +1481,7 @@ const primeCache = {
    * @returns {BigInt} Largest known prime
    */
   getLargestKnownPrime() {
-    return _primeCache.largestKnownPrime
+    return _primeCache.getLargestKnownPrime()
   },
   
   /**
@@ -1246,7 +1517,7 @@ const primeCache = {
     }
     
     // Update tracking variables if needed
-    if (_primeCache.largestKnownPrime > threshold) {
+    if (_primeCache.getLargestKnownPrime() > threshold) {
       // Find new largest known prime
       _primeCache.largestKnownPrime = _primeCache.knownPrimes[_primeCache.knownPrimes.length - 1]
       for (const [key, isPrime] of _primeCache.primalityMap.entries()) {
@@ -1272,7 +1543,7 @@ const primeCache = {
   /**
    * Get detailed statistics about the prime cache
    * 
-   * @returns {Object} Statistics including size, capacity, and prime counts
+   * @returns {Object} Statistics including size, capacity, prime counts, bytes used, hits and evictions
    */
   getStats() {
     // Count primes in the cache
@@ -1287,14 +1558,22 @@ const primeCache = {
       }
     }
     
+    const cacheStats = _primeCache.primalityMap.getStats()
+    
     return {
-      size: _primeCache.primalityMap.size,
+      size: cacheStats.size,
       maxSize: _primeCache.MAX_CACHE_SIZE,
-      utilization: _primeCache.primalityMap.size / _primeCache.MAX_CACHE_SIZE,
+      utilization: cacheStats.size / _primeCache.MAX_CACHE_SIZE,
       primes: primeCount,
       composites: compositeCount,
-      largestPrime: _primeCache.largestKnownPrime,
-      largestChecked: _primeCache.largestCheckedNumber
+      largestPrime: _primeCache.getLargestKnownPrime(),
+      largestChecked: _primeCache.largestCheckedNumber,
+      bytes: cacheStats.bytes,
+      evictionPolicy: cacheStats.evictionPolicy,
+      hits: cacheStats.hits,
+      misses: cacheStats.misses,
+      evictions: cacheStats.evictions,
+      expirations: cacheStats.expirations
     }
   },
   
@@ -1304,7 +1583,7 @@ const primeCache = {
    * 
    * @param {number} size - New maximum cache size (number of entries)
    * @param {Object} [options] - Additional options
-   * @param {boolean} [options.aggressive=false] - If true, immediately prunes to new size
+   * @param {boolean} [options.aggressive=false] - If true, immediately evicts entries down to the new size
    * @param {boolean} [options.adjustThreshold=true] - If true, adjusts pruning thresholds based on new size
    * @throws {PrimeMathError} If the size parameter is invalid
    */
@@ -1328,13 +1607,10 @@ const primeCache = {
       }
     })
     
-    // If aggressive, immediately prune to target size
-    if (aggressive && _primeCache.primalityMap.size > size) {
-      pruneCache() // This will prune to 80% of the new size
-    }
-    // Otherwise, only prune if significantly over limit
-    else if (_primeCache.primalityMap.size > size * 1.2) {
-      pruneCache()
+    // If aggressive, immediately evict down to the new size
+    // Otherwise the cache shrinks on its next write
+    if (aggressive) {
+      _primeCache.primalityMap.trim()
     }
   }
 }
@@ -1527,13 +1803,23 @@ const testExports = process.env.NODE_ENV === 'test' ? {
 
 module.exports = {
   PrimeMathError,
+  FactorizationAbortError,
+  FactorizationBudgetError,
   fastExp,
   isDivisible,
   exactDivide,
+  checkRoundingMode,
+  divideWithRounding,
   gcd,
   lcm,
   toBigInt,
+  iroot,
   isPrime,
+  isProbablePrime,
+  millerRabinTest,
+  strongLucasTest,
+  lucasParameters,
+  bailliePSW,
   nextPrime,
   factorial,
   primeCache,
@@ -31,13 +31,14 @@ const defaultConfig = {
     enabled: true,
     
     /**
-     * Maximum size of the cache in bytes (approximate)
+     * Maximum total size of the prime, factorization and conversion caches in bytes (approximate)
      * @type {number}
      */
     maxSize: 1024 * 1024 * 10, // 10MB default
     
     /**
-     * Eviction policy for cache ("lru", "fifo", "random")
+     * Eviction policy for all caches: "lru" (least recently used), "lfu" (least frequently used),
+     * "arc" (adaptive replacement), "fifo" (oldest first) or "random"
      * @type {string}
      */
     evictionPolicy: 'lru',
@@ -55,13 +56,29 @@ const defaultConfig = {
     maxFactorizationCacheSize: 1000,
     
     /**
-     * Whether to use persistent caching (if available in the environment)
-     * @type {boolean}
+     * Maximum number of entries in the base conversion cache
+     * @type {number}
+     */
+    maxConversionCacheSize: 1000,
+    
+    /**
+     * Whether to use persistent caching, and where to store the cache: true for the environment's
+     * default (IndexedDB in browsers, a JSON file in Node.js), "file", "log" (append-only log file),
+     * "indexeddb", "memory", or a storage adapter object with get, set, delete, iterate and flush methods
+     * @type {boolean|string|Object}
      */
     persistentCache: false,
     
+    /**
+     * Options passed to the storage adapter created for persistentCache, such as the
+     * file `path` or the IndexedDB database `name`
+     * @type {Object}
+     */
+    storageOptions: {},
+    
     /**
      * Time-to-live for cache entries in milliseconds (0 = no expiry)
+     * Applies to entries stored after it is set
      * @type {number}
      */
     ttl: 0
@@ -86,22 +103,41 @@ const defaultConfig = {
     
     /**
      * Algorithm to use for factorization ("auto", "trial", "pollard", "quadratic", etc.)
+     * "pMinus1", "pPlus1" and "fermat" make factorizeOptimal split numbers with Pollard p-1, Williams p+1
+     * or Fermat's method, handing any cofactor they cannot split to the automatic selection
      * @type {string}
      */
     algorithm: 'auto',
     
+    /**
+     * Whether factorizeOptimal splits numbers of the form a^n + 1, a^n - 1 and repunits
+     * (a^n - 1) / (a - 1) into their cyclotomic and Aurifeuillian factors before any other algorithm
+     * @type {boolean}
+     */
+    specialForms: true,
+    
     /**
      * Maximum time (in milliseconds) to spend on a factorization attempt (0 = no limit)
+     * When it runs out, UniversalNumber.factorize returns a partially factored result
      * @type {number}
      */
     timeLimit: 0,
     
     /**
      * Memory limit (in MB) for factorization operations (0 = no limit)
+     * Bounds how much the heap may grow during one factorization; when it runs out,
+     * UniversalNumber.factorize returns a partially factored result
      * @type {number}
      */
     memoryLimit: 0,
     
+    /**
+     * Minimum time (in milliseconds) between two checkpoints emitted through the `checkpoint`
+     * option of factorizeOptimal (0 = after every ECM curve and quadratic sieve polynomial family)
+     * @type {number}
+     */
+    checkpointInterval: 60000,
+    
     /**
      * Maximum number of iterations for probabilistic factorization algorithms
      * @type {number}
@@ -163,11 +199,11 @@ const defaultConfig = {
       maxCurves: 100,
       
       /**
-       * Default B1 bound for stage 1 of ECM
+       * Default B1 bound for stage 1 of ECM (0 = choose from the expected factor size)
        * Larger values can find larger factors
        * @type {number}
        */
-      defaultB1: 100000,
+      defaultB1: 0,
       
       /**
        * Default B2 bound for stage 2 of ECM (0 = auto-calculate as B1 * 100)
@@ -185,17 +221,99 @@ const defaultConfig = {
       maxMemory: 0,
       
       /**
-       * Base factor for scaling B1 parameter based on input size
-       * B1 is multiplied by this factor raised to a power based on number size
+       * Expected number of digits of the factor ECM looks for, which sets B1 and the number of curves
+       * 0 = ramp up from 15-digit factors to half the digits of the number
        * @type {number}
        */
-      b1ScaleFactor: 1.1,
+      factorDigits: 0,
       
       /**
        * Default memory (in MB) for ECM stage 2 when no limit is specified
        * @type {number}
        */
       defaultMemory: 100
+    },
+    
+    /**
+     * Pollard p-1 settings
+     * Finds prime factors p for which p - 1 is smooth
+     * @type {Object}
+     */
+    pMinus1: {
+      /**
+       * Default B1 bound for stage 1
+       * @type {number}
+       */
+      defaultB1: 100000,
+      
+      /**
+       * Default B2 bound for stage 2 (0 = auto-calculate as B1 * 100)
+       * @type {number}
+       */
+      defaultB2: 0,
+      
+      /**
+       * Whether to run p-1 as a cheap pre-pass before ECM and the quadratic sieve
+       * @type {boolean}
+       */
+      prepass: true
+    },
+    
+    /**
+     * Williams p+1 settings
+     * Finds prime factors p for which p + 1 is smooth
+     * @type {Object}
+     */
+    pPlus1: {
+      /**
+       * Default B1 bound for stage 1
+       * @type {number}
+       */
+      defaultB1: 50000,
+      
+      /**
+       * Default B2 bound for stage 2 (0 = auto-calculate as B1 * 100)
+       * @type {number}
+       */
+      defaultB2: 0,
+      
+      /**
+       * Number of seeds to try; each run finds a p + 1 smooth factor with probability 1/2
+       * @type {number}
+       */
+      runs: 3,
+      
+      /**
+       * Whether to run one p+1 seed as a cheap pre-pass before ECM and the quadratic sieve
+       * @type {boolean}
+       */
+      prepass: true
+    },
+    
+    /**
+     * Fermat's method settings
+     * Finds the factors of numbers that are a product of two close primes
+     * @type {Object}
+     */
+    fermat: {
+      /**
+       * Default number of steps for each multiplier
+       * @type {number}
+       */
+      maxIterations: 1000000,
+      
+      /**
+       * Whether factorizeOptimal runs a short Fermat pass on inputs with no small prime factors
+       * that are not perfect powers
+       * @type {boolean}
+       */
+      prepass: true,
+      
+      /**
+       * Number of steps in the automatic pass
+       * @type {number}
+       */
+      prepassIterations: 10000
     }
   },
   
@@ -205,7 +323,8 @@ const defaultConfig = {
    */
   async: {
     /**
-     * Whether to use WebWorkers when available
+     * Whether to use WebWorkers / Node.js worker threads when available
+     * (factorizeParallel falls back to a sequential search when disabled)
      * @type {boolean}
      */
     useWorkers: true,
@@ -224,6 +343,7 @@ const defaultConfig = {
     
     /**
      * Maximum number of concurrent workers for parallel operations
+     * (caps the number of threads factorizeParallel spawns)
      * @type {number}
      */
     maxWorkers: 4
@@ -248,6 +368,7 @@ const defaultConfig = {
     
     /**
      * Maximum memory usage limit in MB (0 = no explicit limit)
+     * Factorizations stop early once the heap grows beyond it
      * @type {number}
      */
     maxMemoryUsage: 0,
@@ -264,9 +385,16 @@ const defaultConfig = {
    * @type {Object}
    */
   primalityTesting: {
+    /**
+     * Probable-prime test for numbers beyond the deterministic range (about 3.18 * 10^23,
+     * which covers every 64-bit integer): "bpsw" (Baillie-PSW) or "miller-rabin"
+     * @type {string}
+     */
+    method: 'bpsw',
+    
     /**
      * Number of Miller-Rabin rounds for primality testing
-     * Higher values give more confidence for large numbers
+     * Used when method is "miller-rabin"; higher values give more confidence for large numbers
      * @type {number}
      */
     millerRabinRounds: 40,
@@ -357,6 +485,39 @@ const defaultConfig = {
     maxBase: 36
   },
   
+  /**
+   * Controls symbolic handling of numbers too large to expand, such as 3^(10^12)
+   * @type {Object}
+   */
+  symbolic: {
+    /**
+     * Whether operations that would implicitly expand a number larger than expansionLimit
+     * throw instead, so such numbers are only ever handled through their exponent maps
+     * @type {boolean}
+     */
+    enabled: false,
+    
+    /**
+     * Largest size (in bits) of a number that is expanded implicitly in symbolic mode
+     * @type {number}
+     */
+    expansionLimit: 1048576
+  },
+  
+  /**
+   * Controls how UniversalNumber converts to primitives in expressions such as n + 1n
+   * @type {Object}
+   */
+  primitive: {
+    /**
+     * Result of Symbol.toPrimitive for the 'number' and 'default' hints: 'bigint' for a BigInt,
+     * 'number' for a Number when the value is a safe integer (and an error otherwise), or 'error'
+     * to require an explicit toBigInt() or toNumber(). The 'string' hint always gives digits
+     * @type {string}
+     */
+    numberHint: 'bigint'
+  },
+  
   /**
    * Controls error handling and reporting
    * @type {Object}
@@ -395,14 +556,22 @@ function configure(options) {
     throw new Error('Configuration options must be an object')
   }
   
+  /**
+   * Only plain objects are merged; other values, such as storage adapter instances, replace the old value
+   * @param {*} value - The value to check
+   * @returns {boolean} True if value is a plain object
+   */
+  const isPlainObject = value => value !== null && typeof value === 'object' && 
+    [Object.prototype, null].includes(Object.getPrototypeOf(value))
+  
   // Helper function to recursively merge objects
   function deepMerge(target, source) {
     for (const key in source) {
       if (Object.prototype.hasOwnProperty.call(source, key)) {
         if (
-          source[key] instanceof Object && 
+          isPlainObject(source[key]) && 
           key in target && 
-          target[key] instanceof Object
+          isPlainObject(target[key])
         ) {
           deepMerge(target[key], source[key])
         } else {
@@ -472,6 +641,9 @@ function applyProfileSpecificSettings() {
     if (!userConfiguredValue('cache.maxFactorizationCacheSize')) {
       currentConfig.cache.maxFactorizationCacheSize = 200
     }
+    if (!userConfiguredValue('cache.maxConversionCacheSize')) {
+      currentConfig.cache.maxConversionCacheSize = 200
+    }
   }
 }
 
@@ -509,7 +681,12 @@ function userConfiguredValue(path) {
  * @returns {Object} The reset configuration object
  */
 function resetConfig() {
-  currentConfig = JSON.parse(JSON.stringify(defaultConfig))
+  // Reset in place so modules holding the exported `config` object see the defaults
+  const defaults = JSON.parse(JSON.stringify(defaultConfig))
+  for (const key of Object.keys(currentConfig)) {
+    delete currentConfig[key]
+  }
+  Object.assign(currentConfig, defaults)
   return currentConfig
 }
 
@@ -560,6 +737,7 @@ if (isLimitedEnvironment()) {
   currentConfig.cache.maxSize = 1024 * 1024 * 2 // 2MB
   currentConfig.cache.maxPrimeCacheSize = 5000
   currentConfig.cache.maxFactorizationCacheSize = 100
+  currentConfig.cache.maxConversionCacheSize = 100
   currentConfig.factorization.completeSizeLimit = 50
   currentConfig.memory.optimizeMemory = true
 }
@@ -101,6 +101,11 @@ registerModule('UniversalNumber', {
   factory: () => require('./UniversalNumber')
 })
 
+registerModule('UniversalRational', {
+  dependencies: ['UniversalNumber', 'Utils'],
+  factory: () => require('./UniversalRational')
+})
+
 registerModule('PrimeMath', {
   dependencies: ['UniversalNumber', 'Utils'],
   factory: () => require('./PrimeMath')
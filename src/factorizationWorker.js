@@ -0,0 +1,82 @@
+/**
+ * Worker thread entry point for parallel factorization
+ * Runs a strided share of ECM curves and Pollard rho walks against a single composite
+ * and reports the first non-trivial factor back to the coordinating thread
+ * @module factorizationWorker
+ * @private
+ */
+
+const { parentPort, workerData } = require('worker_threads')
+
+/**
+ * Index of the report counter in the shared control array
+ * Incremented (and notified) by every worker when it posts a result
+ * @type {number}
+ */
+const REPORT_SLOT = 0
+
+/**
+ * Index of the cancellation flag in the shared control array
+ * Set to 1 by the coordinating thread once a factor has been found
+ * @type {number}
+ */
+const CANCEL_SLOT = 1
+
+/**
+ * Post a result to the coordinating thread and wake it up
+ *
+ * @param {MessagePort} port - The port dedicated to this worker
+ * @param {Int32Array} control - Shared control array
+ * @param {Object} message - The result message
+ */
+function report(port, control, message) {
+  port.postMessage(message)
+  Atomics.add(control, REPORT_SLOT, 1)
+  Atomics.notify(control, REPORT_SLOT)
+}
+
+/**
+ * Run this worker's share of the search
+ * Worker i of k uses ECM seeds i+1, i+1+k, ... and rho constants c = i+1, i+1+k, ...
+ * so that no two workers repeat the same curve or walk
+ */
+function run() {
+  const { n, index, workerCount, rounds, rhoIterations, ecm, port, shared } = workerData
+  const control = new Int32Array(shared)
+
+  try {
+    const { ellipticCurveMethod, pollardRho } = require('./Factorization')
+    const isCancelled = () => Atomics.load(control, CANCEL_SLOT) === 1
+
+    for (let round = 0; round < rounds && !isCancelled(); round++) {
+      const offset = index + round * workerCount
+
+      const c = BigInt(offset + 1)
+      const rhoFactor = pollardRho(n, { c, maxIterations: rhoIterations })
+      if (rhoFactor > 1n && rhoFactor < n) {
+        report(port, control, { factor: rhoFactor, method: 'pollardRho', index })
+        return
+      }
+
+      if (isCancelled()) break
+
+      const ecmFactor = ellipticCurveMethod(n, { ...ecm, curves: 1, seedOffset: offset })
+      if (ecmFactor > 1n && ecmFactor < n) {
+        report(port, control, { factor: ecmFactor, method: 'ecm', index })
+        return
+      }
+    }
+
+    report(port, control, { factor: null, index })
+  } catch (error) {
+    report(port, control, {
+      factor: null,
+      index,
+      error: error instanceof Error ? error.message : String(error)
+    })
+  }
+}
+
+if (parentPort) {
+  run()
+}
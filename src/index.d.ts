@@ -39,6 +39,47 @@ declare module 'math-js' {
      */
     static fromFactors(factors: Array<{prime: BigInt | number, exponent: BigInt | number}>): UniversalNumber;
     
+    /**
+     * Create a UniversalNumber from a verified factorization certificate
+     * @param certificate - Certificate from Factorization.certify, or its JSON string
+     * @param options - Set requireProof to refuse primes backed only by a Baillie-PSW witness
+     * @throws PrimeMathError if the certificate cannot be verified
+     */
+    static fromCertifiedFactorization(certificate: FactorizationCertificate | string, options?: { requireProof?: boolean }): UniversalNumber;
+    
+    /**
+     * Create n! in factored form, from a prime sieve and Legendre's formula
+     * @param n - A non-negative integer, at most config.primalityTesting.maxPrimesGenerated
+     */
+    static factorial(n: number | string | BigInt): UniversalNumber;
+    
+    /**
+     * Create the binomial coefficient C(n, k) in factored form, using Kummer's theorem (zero when k > n)
+     * @param n - A non-negative integer, at most config.primalityTesting.maxPrimesGenerated
+     * @param k - A non-negative integer
+     */
+    static binomial(n: number | string | BigInt, k: number | string | BigInt): UniversalNumber;
+    
+    /**
+     * Create the multinomial coefficient (k1 + ... + km)! / (k1! ... km!) in factored form
+     * @param parts - The non-negative integers k1, ..., km
+     */
+    static multinomial(parts: Array<number | string | BigInt>): UniversalNumber;
+    
+    /**
+     * Create the primorial n#, the product of the primes up to n, in factored form
+     * @param n - A non-negative integer, at most config.primalityTesting.maxPrimesGenerated
+     */
+    static primorial(n: number | string | BigInt): UniversalNumber;
+    
+    /**
+     * Compare two numbers without expanding them, for use with Array.prototype.sort
+     * @param a - First value
+     * @param b - Second value
+     * @returns -1, 0 or 1
+     */
+    static compare(a: UniversalNumber | BigInt | number | string, b: UniversalNumber | BigInt | number | string): number;
+    
     /**
      * Add another UniversalNumber to this one
      * @param value - Value to add
@@ -63,6 +104,31 @@ declare module 'math-js' {
      */
     divide(value: UniversalNumber | BigInt | number | string): UniversalNumber;
     
+    /**
+     * Divide this UniversalNumber by another with remainder
+     * @param value - Value to divide by
+     * @param options - Rounding of the quotient (default 'floor')
+     */
+    divmod(value: UniversalNumber | BigInt | number | string, options?: DivmodOptions): DivmodResult<UniversalNumber>;
+    
+    /**
+     * Divide this UniversalNumber by another, rounding toward negative infinity
+     * @param value - Value to divide by
+     */
+    floorDiv(value: UniversalNumber | BigInt | number | string): UniversalNumber;
+    
+    /**
+     * Divide this UniversalNumber by another, rounding toward positive infinity
+     * @param value - Value to divide by
+     */
+    ceilDiv(value: UniversalNumber | BigInt | number | string): UniversalNumber;
+    
+    /**
+     * Divide this UniversalNumber by another, rounding toward zero
+     * @param value - Value to divide by
+     */
+    truncDiv(value: UniversalNumber | BigInt | number | string): UniversalNumber;
+    
     /**
      * Raise this UniversalNumber to a power
      * @param exponent - Exponent to raise to
@@ -93,11 +159,30 @@ declare module 'math-js' {
      */
     isIntrinsicPrime(): boolean;
     
+    /**
+     * Check if this UniversalNumber is an intrinsic prime and prove it with PrimeMath.provePrime
+     * @param options - `certificate: true`, plus options for factoring n - 1
+     */
+    isIntrinsicPrime(options: { certificate: true; [option: string]: any }): {
+      isPrime: boolean;
+      certificate: PrimalityCertificate | null;
+    };
+    
     /**
      * Get the prime factorization of this UniversalNumber
      */
     getFactorization(): Map<BigInt, BigInt>;
     
+    /**
+     * Get the known factors and unfactored cofactor of a partially factored number,
+     * or null once the number is completely factored
+     */
+    getPartialFactorization(): {
+      knownFactors: Map<BigInt, BigInt>;
+      remainingPart: BigInt;
+      remainingStatus: 'composite' | 'unknown';
+    } | null;
+    
     /**
      * Convert this UniversalNumber to a BigInt
      */
@@ -121,12 +206,133 @@ declare module 'math-js' {
      */
     getDigits(base: number): number[];
     
+    /**
+     * Logarithm of this UniversalNumber, computed from its prime exponents without expanding it
+     * @param base - Base of the logarithm (natural logarithm if omitted)
+     * @throws PrimeMathError if the number is negative
+     */
+    log(base?: number): number;
+    
+    /**
+     * Count the digits of the magnitude in a base, from logarithms of the prime exponents
+     * @param base - Base to count digits in (default 10)
+     */
+    digitCount(base?: number): BigInt;
+    
+    /**
+     * Get the leading digits of the magnitude in a base, truncated, from logarithms of the prime exponents
+     * @param count - Number of digits (default 15)
+     * @param base - Base of the digits (default 10)
+     */
+    leadingDigits(count?: number, base?: number): string;
+    
+    /**
+     * Integer square root, from the prime exponents for perfect squares and by Newton's method otherwise
+     * @throws PrimeMathError if the number is negative
+     */
+    isqrt(): UniversalNumber;
+    
+    /**
+     * Integer k-th root, rounded toward zero
+     * @param k - Root degree (a positive integer)
+     * @throws PrimeMathError if k is even and the number is negative
+     */
+    iroot(k: BigInt | number | string): UniversalNumber;
+    
+    /**
+     * Integer logarithm, floor(log_base(this)), without expanding the number
+     * @param base - Base of the logarithm (at least 2)
+     * @throws PrimeMathError if the number is not positive
+     */
+    ilog(base: UniversalNumber | BigInt | number | string): BigInt;
+    
+    /**
+     * Integer base-2 logarithm, one less than the bit length
+     * @throws PrimeMathError if the number is not positive
+     */
+    ilog2(): BigInt;
+    
+    /**
+     * Check whether this UniversalNumber is the square of an integer
+     */
+    isPerfectSquare(): boolean;
+    
+    /**
+     * Bitwise AND, with two's-complement semantics for negative numbers
+     * @param value - Other operand
+     */
+    and(value: UniversalNumber | BigInt | number | string): UniversalNumber;
+    
+    /**
+     * Bitwise OR, with two's-complement semantics for negative numbers
+     * @param value - Other operand
+     */
+    or(value: UniversalNumber | BigInt | number | string): UniversalNumber;
+    
+    /**
+     * Bitwise XOR, with two's-complement semantics for negative numbers
+     * @param value - Other operand
+     */
+    xor(value: UniversalNumber | BigInt | number | string): UniversalNumber;
+    
+    /**
+     * Bitwise NOT in two's complement (-this - 1)
+     */
+    not(): UniversalNumber;
+    
+    /**
+     * Shift left by adding to the exponent of 2 (a negative count shifts right)
+     * @param count - Number of bits
+     */
+    shiftLeft(count: BigInt | number | string): UniversalNumber;
+    
+    /**
+     * Arithmetic shift right, rounding toward negative infinity (a negative count shifts left)
+     * @param count - Number of bits
+     */
+    shiftRight(count: BigInt | number | string): UniversalNumber;
+    
+    /**
+     * Number of bits in the two's-complement representation, excluding the sign bit
+     */
+    bitLength(): BigInt;
+    
+    /**
+     * Number of set bits, or of clear bits for negative numbers
+     */
+    popCount(): BigInt;
+    
+    /**
+     * Number of trailing zero bits, the exponent of 2 in the factorization
+     * @throws PrimeMathError if the number is zero
+     */
+    trailingZeros(): BigInt;
+    
+    /**
+     * Test a bit of the two's-complement representation
+     * @param index - Bit index, 0 for the least significant bit
+     */
+    testBit(index: BigInt | number | string): boolean;
+    
+    /**
+     * Set a bit of the two's-complement representation
+     * @param index - Bit index, 0 for the least significant bit
+     */
+    setBit(index: BigInt | number | string): UniversalNumber;
+    
     /**
      * Compare this UniversalNumber with another for equality
      * @param other - Value to compare with
      */
     equals(other: UniversalNumber | BigInt | number | string): boolean;
     
+    /**
+     * Compare this UniversalNumber with another, through logarithm bounds before any expansion
+     * @param other - Value to compare with
+     * @returns -1, 0 or 1
+     */
+    compareTo(other: UniversalNumber | BigInt | number | string): number;
+    
     /**
      * Check if this UniversalNumber is less than another
      * @param other - Value to compare with
@@ -195,6 +401,169 @@ declare module 'math-js' {
      * Convert this UniversalNumber to JSON
      */
     toJSON(): object;
+    
+    /**
+     * Convert to a primitive in expressions: digits for the 'string' hint, and for the 'number' and
+     * 'default' hints whatever config.primitive.numberHint selects
+     * @param hint - Conversion hint
+     */
+    [Symbol.toPrimitive](hint: 'string'): string;
+    [Symbol.toPrimitive](hint: 'number' | 'default'): BigInt | number;
+  }
+  
+  /**
+   * Rounding of the quotient in divmod: the remainder takes the sign of the divisor ('floor'),
+   * of the dividend ('trunc'), the opposite sign of the divisor ('ceil'), or is never negative ('euclid')
+   */
+  export interface DivmodOptions {
+    rounding?: 'floor' | 'trunc' | 'ceil' | 'euclid';
+  }
+  
+  /**
+   * Quotient and remainder, with dividend = quotient * divisor + remainder
+   */
+  export interface DivmodResult<T> {
+    quotient: T;
+    remainder: T;
+  }
+  
+  /**
+   * Values accepted where a UniversalRational is expected
+   */
+  export type RationalValue = UniversalRational | UniversalNumber | BigInt | number | string;
+  
+  /**
+   * Class representing an exact rational number: a prime factorization with signed exponents
+   */
+  export class UniversalRational {
+    /**
+     * Create a new UniversalRational, always in lowest terms
+     * @param value - An integer, a decimal number or string, a string like "-3/4", a {numerator, denominator}
+     * object or a factorization with signed exponents; the numerator when a denominator is given
+     * @param denominator - The denominator
+     * @throws PrimeMathError if the denominator is zero
+     */
+    constructor(value: RationalValue | Map<BigInt, BigInt> | object, denominator?: UniversalNumber | BigInt | number | string);
+    
+    /**
+     * Create a UniversalRational from a numerator and denominator
+     */
+    static fromFraction(numerator: UniversalNumber | BigInt | number | string, denominator?: UniversalNumber | BigInt | number | string): UniversalRational;
+    
+    /**
+     * Create a UniversalRational from its JSON representation
+     */
+    static fromJSON(json: object): UniversalRational;
+    
+    /**
+     * Compare two values, for use with Array.prototype.sort
+     * @returns -1, 0 or 1
+     */
+    static compare(a: RationalValue, b: RationalValue): number;
+    
+    /**
+     * Get the factorization with signed exponents; negative exponents belong to the denominator
+     */
+    getFactorization(): Map<BigInt, BigInt>;
+    
+    /**
+     * Get the numerator of the reduced fraction, carrying the sign
+     */
+    getNumerator(): UniversalNumber;
+    
+    /**
+     * Get the (positive) denominator of the reduced fraction
+     */
+    getDenominator(): UniversalNumber;
+    
+    add(value: RationalValue): UniversalRational;
+    subtract(value: RationalValue): UniversalRational;
+    multiply(value: RationalValue): UniversalRational;
+    divide(value: RationalValue): UniversalRational;
+    
+    /**
+     * Raise to an integer power, which may be negative
+     */
+    pow(exponent: BigInt | number | string): UniversalRational;
+    
+    reciprocal(): UniversalRational;
+    reduce(): UniversalRational;
+    floor(): UniversalNumber;
+    ceil(): UniversalNumber;
+    abs(): UniversalRational;
+    negate(): UniversalRational;
+    sign(): number;
+    isZero(): boolean;
+    isInteger(): boolean;
+    equals(other: RationalValue): boolean;
+    compareTo(other: RationalValue): number;
+    
+    /**
+     * Convert an integral value to a UniversalNumber
+     * @throws PrimeMathError if the value is not an integer
+     */
+    toUniversalNumber(): UniversalNumber;
+    
+    /**
+     * Convert an integral value to a BigInt
+     * @throws PrimeMathError if the value is not an integer
+     */
+    toBigInt(): BigInt;
+    
+    toNumber(): number;
+    
+    /**
+     * Convert to "numerator/denominator", or just the numerator for an integer
+     */
+    toString(base?: number): string;
+    
+    toJSON(): object;
+  }
+  
+  /**
+   * A JSON-serialisable primality certificate
+   */
+  export interface PrimalityCertificate {
+    type: 'PrimalityCertificate';
+    method: 'trial' | 'pratt' | 'pocklington' | 'bls';
+    n: string;
+    /** Pratt only: an element of order n - 1 modulo n */
+    witness?: string;
+    /** The complete (Pratt) or partial (Pocklington, BLS) factorization of n - 1 */
+    factors?: Array<{
+      prime: string;
+      exponent: string;
+      witness?: string;
+      certificate: PrimalityCertificate;
+    }>;
+  }
+  
+  /**
+   * A Baillie-PSW witness: the parameters of the tests a probable prime passed
+   */
+  export interface BPSWWitness {
+    type: 'BPSWWitness';
+    n: string;
+    base: string;
+    D: string;
+    P: string;
+    Q: string;
+  }
+  
+  /**
+   * A JSON-serialisable factorization certificate from Factorization.certify
+   */
+  export interface FactorizationCertificate {
+    type: 'FactorizationCertificate';
+    version: number;
+    n: string;
+    /** Prime factors mapped to their exponents */
+    factors: Record<string, string>;
+    /** Product of the factors, equal to n */
+    product: string;
+    /** For each prime, a primality certificate or a Baillie-PSW witness */
+    proofs: Record<string, PrimalityCertificate | BPSWWitness>;
+    metadata: { timestamp: string };
   }
   
   /**
@@ -207,6 +576,7 @@ declare module 'math-js' {
      * @param b - Second operand
      */
     function add(a: UniversalNumber | BigInt | number | string, b: UniversalNumber | BigInt | number | string): UniversalNumber;
+    function add(a: RationalValue, b: RationalValue): UniversalRational;
     
     /**
      * Subtract two UniversalNumbers
@@ -214,6 +584,7 @@ declare module 'math-js' {
      * @param b - Second operand
      */
     function subtract(a: UniversalNumber | BigInt | number | string, b: UniversalNumber | BigInt | number | string): UniversalNumber;
+    function subtract(a: RationalValue, b: RationalValue): UniversalRational;
     
     /**
      * Multiply two UniversalNumbers
@@ -221,6 +592,7 @@ declare module 'math-js' {
      * @param b - Second operand
      */
     function multiply(a: UniversalNumber | BigInt | number | string, b: UniversalNumber | BigInt | number | string): UniversalNumber;
+    function multiply(a: RationalValue, b: RationalValue): UniversalRational;
     
     /**
      * Divide two UniversalNumbers
@@ -228,6 +600,38 @@ declare module 'math-js' {
      * @param b - Second operand
      */
     function divide(a: UniversalNumber | BigInt | number | string, b: UniversalNumber | BigInt | number | string): UniversalNumber;
+    function divide(a: RationalValue, b: RationalValue): UniversalRational;
+    
+    /**
+     * Divide with remainder
+     * @param a - Dividend
+     * @param b - Divisor
+     * @param options - Rounding of the quotient (default 'floor')
+     */
+    function divmod(a: UniversalNumber, b: UniversalNumber | BigInt | number | string, options?: DivmodOptions): DivmodResult<UniversalNumber>;
+    function divmod(a: BigInt | number | string, b: UniversalNumber, options?: DivmodOptions): DivmodResult<UniversalNumber>;
+    function divmod(a: BigInt | number | string, b: BigInt | number | string, options?: DivmodOptions): DivmodResult<BigInt>;
+    
+    /**
+     * Divide, rounding toward negative infinity
+     * @param a - Dividend
+     * @param b - Divisor
+     */
+    function floorDiv(a: UniversalNumber | BigInt | number | string, b: UniversalNumber | BigInt | number | string): UniversalNumber | BigInt;
+    
+    /**
+     * Divide, rounding toward positive infinity
+     * @param a - Dividend
+     * @param b - Divisor
+     */
+    function ceilDiv(a: UniversalNumber | BigInt | number | string, b: UniversalNumber | BigInt | number | string): UniversalNumber | BigInt;
+    
+    /**
+     * Divide, rounding toward zero
+     * @param a - Dividend
+     * @param b - Divisor
+     */
+    function truncDiv(a: UniversalNumber | BigInt | number | string, b: UniversalNumber | BigInt | number | string): UniversalNumber | BigInt;
     
     /**
      * Calculate the power of a UniversalNumber
@@ -235,6 +639,7 @@ declare module 'math-js' {
      * @param exponent - Exponent
      */
     function pow(base: UniversalNumber | BigInt | number | string, exponent: UniversalNumber | BigInt | number | string): UniversalNumber;
+    function pow(base: UniversalRational, exponent: BigInt | number | string): UniversalRational;
     
     /**
      * Calculate the greatest common divisor of two UniversalNumbers
@@ -256,6 +661,19 @@ declare module 'math-js' {
      */
     function nextPrime(n: UniversalNumber | BigInt | number | string): UniversalNumber;
     
+    /**
+     * Prove that a number is prime, returning a Pratt, Pocklington or Brillhart-Lehmer-Selfridge certificate
+     * @param n - The number to prove prime
+     * @param options - Options for factoring n - 1 (signal, timeLimit, onProgress)
+     */
+    function provePrime(n: UniversalNumber | BigInt | number | string, options?: object): PrimalityCertificate;
+    
+    /**
+     * Verify a primality certificate without trusting the prover
+     * @param certificate - The certificate, or its JSON string
+     */
+    function verifyCertificate(certificate: PrimalityCertificate | string): boolean;
+    
     /**
      * Generate a random prime number of specified bit length
      * @param bits - Bit length
@@ -301,7 +719,7 @@ declare module 'math-js' {
     enabled?: boolean;
     
     /**
-     * Maximum cache size in bytes
+     * Maximum total size of the prime, factorization and conversion caches in bytes
      */
     maxSize?: number;
     
@@ -316,14 +734,25 @@ declare module 'math-js' {
     maxFactorizationCacheSize?: number;
     
     /**
-     * Cache eviction policy
+     * Maximum number of entries in the base conversion cache
      */
-    evictionPolicy?: 'lru' | 'fifo' | 'random';
+    maxConversionCacheSize?: number;
     
     /**
-     * Whether to use persistent caching
+     * Eviction policy for all caches: least recently used, least frequently used,
+     * adaptive replacement, oldest first or random
      */
-    persistentCache?: boolean;
+    evictionPolicy?: 'lru' | 'lfu' | 'arc' | 'fifo' | 'random';
+    
+    /**
+     * Whether to use persistent caching, and the storage adapter to use
+     */
+    persistentCache?: boolean | 'file' | 'log' | 'indexeddb' | 'memory' | StorageAdapter;
+    
+    /**
+     * Options for the storage adapter, such as the file path or IndexedDB database name
+     */
+    storageOptions?: { path?: string; name?: string; storeName?: string; compactionRatio?: number; [option: string]: any };
     
     /**
      * Time-to-live for cache entries in milliseconds (0 = no expiry)
@@ -348,18 +777,31 @@ declare module 'math-js' {
     /**
      * Algorithm to use for factorization
      */
-    algorithm?: 'auto' | 'trial' | 'pollard' | 'quadratic';
+    algorithm?: 'auto' | 'trial' | 'pollard' | 'quadratic' | 'pMinus1' | 'pPlus1' | 'fermat';
     
     /**
-     * Maximum time (in milliseconds) to spend on a factorization attempt
+     * Whether factorizeOptimal splits a^n ± 1 and repunits into their algebraic factors first
+     */
+    specialForms?: boolean;
+    
+    /**
+     * Maximum time (in milliseconds) to spend on a factorization attempt (0 = no limit).
+     * When it runs out, UniversalNumber.factorize returns a partially factored result
      */
     timeLimit?: number;
     
     /**
-     * Memory limit (in MB) for factorization operations
+     * Memory limit (in MB) for heap growth during a factorization (0 = no limit).
+     * When it runs out, UniversalNumber.factorize returns a partially factored result
      */
     memoryLimit?: number;
     
+    /**
+     * Minimum time (in milliseconds) between two checkpoints emitted through the
+     * `checkpoint` option of factorizeOptimal (0 = at every opportunity)
+     */
+    checkpointInterval?: number;
+    
     /**
      * Maximum number of iterations for probabilistic factorization algorithms
      */
@@ -371,7 +813,7 @@ declare module 'math-js' {
    */
   export interface AsyncConfig {
     /**
-     * Whether to use WebWorkers when available
+     * Whether to use WebWorkers / Node.js worker threads when available
      */
     useWorkers?: boolean;
     
@@ -406,7 +848,7 @@ declare module 'math-js' {
     useCompactRepresentation?: boolean;
     
     /**
-     * Maximum memory usage limit in MB (0 = no explicit limit)
+     * Maximum memory usage limit in MB (0 = no explicit limit); factorizations stop early once the heap exceeds it
      */
     maxMemoryUsage?: number;
     
@@ -416,10 +858,27 @@ declare module 'math-js' {
     gcStrategy?: 'auto' | 'aggressive' | 'conservative';
   }
   
+  /**
+   * Persistent key-value store used by the caches
+   */
+  export interface StorageAdapter {
+    get(key: string): Promise<any>;
+    set(key: string, value: any): Promise<void>;
+    delete(key: string): Promise<void>;
+    iterate(): AsyncIterable<[string, any]>;
+    flush(): Promise<void>;
+    clear?(): Promise<void>;
+  }
+  
   /**
    * Primality testing configuration
    */
   export interface PrimalityTestingConfig {
+    /**
+     * Probable-prime test used beyond the deterministic 64-bit range
+     */
+    method?: 'bpsw' | 'miller-rabin';
+    
     /**
      * Number of Miller-Rabin rounds for primality testing
      */
@@ -456,6 +915,32 @@ declare module 'math-js' {
     cacheResults?: boolean;
   }
   
+  /**
+   * Symbolic mode configuration
+   */
+  export interface SymbolicConfig {
+    /**
+     * Whether implicit expansion of numbers larger than expansionLimit throws
+     */
+    enabled?: boolean;
+    
+    /**
+     * Largest size (in bits) of a number that is expanded implicitly in symbolic mode
+     */
+    expansionLimit?: number;
+  }
+  
+  /**
+   * Primitive conversion configuration
+   */
+  export interface PrimitiveConfig {
+    /**
+     * Result of Symbol.toPrimitive for the 'number' and 'default' hints: a BigInt, a Number for
+     * safe integers, or an error that requires explicit conversion
+     */
+    numberHint?: 'bigint' | 'number' | 'error';
+  }
+  
   /**
    * Error handling configuration
    */
@@ -515,6 +1000,16 @@ declare module 'math-js' {
      */
     conversion?: ConversionConfig;
     
+    /**
+     * Symbolic mode configuration
+     */
+    symbolic?: SymbolicConfig;
+    
+    /**
+     * Primitive conversion configuration
+     */
+    primitive?: PrimitiveConfig;
+    
     /**
      * Error handling configuration
      */
@@ -735,6 +1230,144 @@ declare module 'math-js' {
     function getRegisteredModules(): string[];
   }
   
+  /**
+   * Persistent storage adapters for the caches
+   */
+  export namespace Storage {
+    /** Key of the record holding a store's schema version */
+    const SCHEMA_KEY: string;
+    
+    /** Records kept in memory */
+    class MemoryStorageAdapter implements StorageAdapter {
+      get(key: string): Promise<any>;
+      set(key: string, value: any): Promise<void>;
+      delete(key: string): Promise<void>;
+      iterate(): AsyncIterable<[string, any]>;
+      flush(): Promise<void>;
+      clear(): Promise<void>;
+    }
+    
+    /** All records in one JSON file (Node.js) */
+    class FileStorageAdapter implements StorageAdapter {
+      constructor(options?: { path?: string; name?: string });
+      get(key: string): Promise<any>;
+      set(key: string, value: any): Promise<void>;
+      delete(key: string): Promise<void>;
+      iterate(): AsyncIterable<[string, any]>;
+      flush(): Promise<void>;
+      clear(): Promise<void>;
+    }
+    
+    /** Changes appended to a log file and replayed on load (Node.js) */
+    class AppendLogStorageAdapter implements StorageAdapter {
+      constructor(options?: { path?: string; name?: string; compactionRatio?: number });
+      get(key: string): Promise<any>;
+      set(key: string, value: any): Promise<void>;
+      delete(key: string): Promise<void>;
+      iterate(): AsyncIterable<[string, any]>;
+      flush(): Promise<void>;
+      clear(): Promise<void>;
+      /** Rewrite the log with one line per live record */
+      compact(): Promise<void>;
+    }
+    
+    /** Records in an IndexedDB object store (browsers) */
+    class IndexedDBStorageAdapter implements StorageAdapter {
+      constructor(options?: { name?: string; storeName?: string; indexedDB?: any });
+      get(key: string): Promise<any>;
+      set(key: string, value: any): Promise<void>;
+      delete(key: string): Promise<void>;
+      iterate(): AsyncIterable<[string, any]>;
+      flush(): Promise<void>;
+      clear(): Promise<void>;
+    }
+    
+    /**
+     * Create the adapter selected by a config.cache.persistentCache value
+     * @param setting - true, an adapter name or an adapter object
+     * @param options - Adapter options
+     */
+    function createStorageAdapter(setting: boolean | string | StorageAdapter, options?: object): StorageAdapter | null;
+    
+    /**
+     * Bring a store up to the current schema version
+     * @param adapter - The store
+     * @param schema - Current version and migrations keyed by the version they upgrade from
+     */
+    function migrateStorage(adapter: StorageAdapter, schema: {
+      version: number;
+      migrations: Map<number, (adapter: StorageAdapter) => Promise<void>>;
+    }): Promise<number | null>;
+  }
+  
+  /**
+   * Statistics of a cache
+   */
+  export interface CacheStats {
+    name: string;
+    size: number;
+    maxEntries: number;
+    bytes: number;
+    evictionPolicy: string;
+    ttl: number;
+    hits: number;
+    misses: number;
+    hitRate: number;
+    evictions: number;
+    expirations: number;
+  }
+  
+  /**
+   * Shared cache core used by the prime, factorization and conversion caches
+   */
+  export namespace Cache {
+    /**
+     * Key-value cache governed by config.cache: eviction policy, time-to-live and byte-size accounting
+     */
+    class Cache {
+      constructor(options?: {
+        name?: string;
+        maxEntries?: number | (() => number);
+        policy?: 'lru' | 'lfu' | 'arc' | 'fifo' | 'random' | (() => string);
+        ttl?: number | (() => number);
+        sizeOf?: (key: string, value: any) => number;
+        onEvict?: (key: string, value: any) => void;
+        shared?: boolean;
+      });
+      readonly size: number;
+      readonly maxEntries: number;
+      readonly bytes: number;
+      get(key: string): any;
+      peek(key: string): any;
+      has(key: string): boolean;
+      set(key: string, value: any): this;
+      delete(key: string): boolean;
+      clear(): void;
+      dispose(): void;
+      trim(maxEntries?: number): void;
+      purgeExpired(): void;
+      keys(): IterableIterator<string>;
+      values(): IterableIterator<any>;
+      entries(): IterableIterator<[string, any]>;
+      [Symbol.iterator](): IterableIterator<[string, any]>;
+      getStats(): CacheStats;
+    }
+    
+    /** Eviction policy factories by name */
+    const EVICTION_POLICIES: Map<string, (capacity: () => number) => object>;
+    
+    /**
+     * Estimate the memory held by a value, in bytes
+     * @param value - The value to measure
+     */
+    function estimateSize(value: any): number;
+    
+    /**
+     * Statistics of all the caches counted against config.cache.maxSize
+     */
+    function getCacheStats(): { maxSize: number; bytes: number; caches: CacheStats[] };
+  }
+  
   /**
    * Internal utilities (advanced usage)
    */
@@ -5,10 +5,13 @@
  */
 
 const UniversalNumber = require('./UniversalNumber')
+const UniversalRational = require('./UniversalRational')
 const PrimeMath = require('./PrimeMath')
 const Factorization = require('./Factorization')
 const Conversion = require('./Conversion')
 const Utils = require('./Utils')
+const Storage = require('./Storage')
+const Cache = require('./Cache')
 
 // Import central configuration system
 const configSystem = require('./config')
@@ -203,6 +206,7 @@ function getPlugin(name) {
 module.exports = {
   // Main classes
   UniversalNumber,
+  UniversalRational,
   PrimeMath,
   
   // Configuration system
@@ -222,7 +226,13 @@ module.exports = {
   getPlugin,
   
   // Dynamic loading capability
-  dynamic: dynamicLoader
+  dynamic: dynamicLoader,
+  
+  // Persistent storage adapters for the caches
+  Storage,
+  
+  // Shared cache core with configurable eviction
+  Cache
 }
 
 // Export utility modules for advanced usage
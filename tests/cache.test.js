@@ -0,0 +1,244 @@
+/**
+ * Tests for the shared cache core and the caches built on it
+ */
+
+const { Cache, estimateSize, getCacheStats } = require('../src/Cache')
+const { configure, resetConfig } = require('../src/config')
+const { PrimeMathError, isPrime, primeCache } = require('../src/Utils')
+const { factorizeOptimal, factorizationCache } = require('../src/Factorization')
+const { convertBase, conversionCache } = require('../src/Conversion')
+
+/**
+ * Fill a cache with the keys a, b, c, ... holding their positions
+ * @param {Cache} cache - The cache
+ * @param {number} count - Number of entries
+ */
+const fill = (cache, count) => {
+  for (let i = 0; i < count; i++) {
+    cache.set(String.fromCharCode(97 + i), i)
+  }
+}
+
+describe('Cache', () => {
+  afterEach(() => {
+    jest.useRealTimers()
+    resetConfig()
+  })
+
+  describe('eviction policies', () => {
+    test('lru should evict the least recently used entry', () => {
+      const cache = new Cache({ maxEntries: 3, policy: 'lru', shared: false })
+      fill(cache, 3)
+      cache.get('a')
+      cache.set('d', 3)
+      expect([...cache.keys()].sort()).toEqual(['a', 'c', 'd'])
+    })
+    
+    test('fifo should evict the oldest entry whatever its use', () => {
+      const cache = new Cache({ maxEntries: 3, policy: 'fifo', shared: false })
+      fill(cache, 3)
+      cache.get('a')
+      cache.set('d', 3)
+      expect([...cache.keys()].sort()).toEqual(['b', 'c', 'd'])
+    })
+    
+    test('lfu should evict the least frequently used entry, oldest first among ties', () => {
+      const cache = new Cache({ maxEntries: 3, policy: 'lfu', shared: false })
+      fill(cache, 3)
+      cache.get('a')
+      cache.get('a')
+      cache.get('c')
+      cache.set('d', 3)
+      expect([...cache.keys()].sort()).toEqual(['a', 'c', 'd'])
+      
+      // The new entry is now the least frequently used
+      cache.set('e', 4)
+      expect([...cache.keys()].sort()).toEqual(['a', 'c', 'e'])
+    })
+    
+    test('arc should keep entries used twice through a scan and adapt to ghost hits', () => {
+      const cache = new Cache({ maxEntries: 4, policy: 'arc', shared: false })
+      fill(cache, 2)
+      cache.get('a')
+      cache.get('b')
+      
+      // A scan of entries used once does not displace the frequently used ones
+      for (let i = 0; i < 10; i++) {
+        cache.set(`scan${i}`, i)
+      }
+      expect(cache.has('a')).toBe(true)
+      expect(cache.has('b')).toBe(true)
+      expect(cache.size).toBe(4)
+      
+      // A recently evicted key comes back as a frequently used entry
+      cache.set('scan7', 7)
+      expect(cache.policy.t2.has('scan7')).toBe(true)
+      expect(cache.policy.target).toBeGreaterThan(0)
+    })
+    
+    test('random should keep the cache within its limit', () => {
+      // Always pick the last candidate, which would be the key just stored if it were eligible
+      const random = jest.spyOn(Math, 'random').mockReturnValue(0.999999)
+      try {
+        const cache = new Cache({ maxEntries: 5, policy: 'random', shared: false })
+        fill(cache, 20)
+        expect(cache.size).toBe(5)
+        expect(cache.getStats().evictions).toBe(15)
+        expect(cache.has('t')).toBe(true)
+        expect(['a', 'b', 'c', 'd', 't'].every(key => cache.has(key))).toBe(true)
+      } finally {
+        random.mockRestore()
+      }
+    })
+    
+    test('should follow config.cache.evictionPolicy and reject unknown policies', () => {
+      const cache = new Cache({ maxEntries: 3, shared: false })
+      fill(cache, 3)
+      expect(cache.getStats().evictionPolicy).toBe('lru')
+      
+      // Switching policies keeps the entries
+      configure({ cache: { evictionPolicy: 'fifo' } })
+      cache.get('a')
+      cache.set('d', 3)
+      expect([...cache.keys()]).toEqual(['b', 'c', 'd'])
+      
+      configure({ cache: { evictionPolicy: 'clock' } })
+      expect(() => cache.set('e', 4)).toThrow(PrimeMathError)
+      expect(() => cache.set('e', 4)).toThrow(/Unknown cache eviction policy: clock/)
+    })
+  })
+
+  test('should expire entries after config.cache.ttl', () => {
+    jest.useFakeTimers()
+    configure({ cache: { ttl: 1000 } })
+    const cache = new Cache({ shared: false })
+    cache.set('a', 1)
+    jest.advanceTimersByTime(600)
+    cache.set('b', 2)
+    
+    jest.advanceTimersByTime(600)
+    expect(cache.get('a')).toBeUndefined()
+    expect(cache.get('b')).toBe(2)
+    expect(cache.size).toBe(1)
+    
+    // Rewriting an entry renews it
+    cache.set('b', 3)
+    jest.advanceTimersByTime(600)
+    expect(cache.get('b')).toBe(3)
+    expect(cache.getStats()).toMatchObject({ expirations: 1, hits: 2, misses: 1 })
+  })
+
+  test('should keep the shared caches within config.cache.maxSize', () => {
+    const first = new Cache({ name: 'first', shared: true })
+    const second = new Cache({ name: 'second', shared: true })
+    const value = 'x'.repeat(500)
+    const entrySize = 64 + estimateSize('k0') + estimateSize(value)
+    
+    // Empty the library's caches, which would otherwise be evicted first
+    primeCache.clear(0n)
+    factorizationCache.clear()
+    conversionCache.clear()
+    const { bytes } = getCacheStats()
+    configure({ cache: { maxSize: bytes + 10 * entrySize } })
+    for (let i = 0; i < 8; i++) {
+      first.set(`k${i}`, value)
+    }
+    for (let i = 0; i < 6; i++) {
+      second.set(`k${i}`, value)
+    }
+    
+    // Entries are evicted from the cache holding the most bytes
+    expect(getCacheStats().bytes).toBeLessThanOrEqual(bytes + 10 * entrySize)
+    expect(first.size).toBe(5)
+    expect(second.size).toBe(5)
+    expect(getCacheStats().caches.map(stats => stats.name)).toEqual(expect.arrayContaining(['first', 'second']))
+    
+    first.dispose()
+    second.dispose()
+    expect(first.bytes).toBe(0)
+    expect(getCacheStats().caches.map(stats => stats.name)).not.toContain('first')
+  })
+
+  test('should leave caches out of the shared limit unless they opt in', () => {
+    const cache = new Cache({ name: 'private' })
+    cache.set('a', 1)
+    expect(getCacheStats().caches.map(stats => stats.name)).not.toContain('private')
+    
+    // A private cache never evicts entries of the library's caches
+    primeCache.clear(0n)
+    factorizationCache.clear()
+    conversionCache.clear()
+    convertBase('9'.repeat(80), 10, 16)
+    configure({ cache: { maxSize: getCacheStats().bytes } })
+    for (let i = 0; i < 50; i++) {
+      cache.set(`k${i}`, 'x'.repeat(500))
+    }
+    expect(cache.size).toBe(51)
+    expect(conversionCache.size()).toBe(1)
+  })
+
+  test('should store nothing while config.cache.enabled is false', () => {
+    configure({ cache: { enabled: false } })
+    const cache = new Cache({ shared: false })
+    cache.set('a', 1)
+    expect(cache.get('a')).toBeUndefined()
+    expect(cache.size).toBe(0)
+  })
+
+  test('estimateSize should grow with the size of the value', () => {
+    expect(estimateSize(2n ** 1000n)).toBeGreaterThan(estimateSize(2n))
+    expect(estimateSize('abcd')).toBe(estimateSize('ab') + 4)
+    expect(estimateSize(new Map([[2n, 3n]]))).toBeGreaterThan(estimateSize(new Map()))
+  })
+
+  describe('library caches', () => {
+    afterEach(() => {
+      primeCache.setMaxCacheSize(100000)
+      factorizationCache.clear()
+      conversionCache.clear()
+    })
+    
+    test('the prime cache should honour the eviction policy and entry limit', () => {
+      configure({ cache: { evictionPolicy: 'lfu' } })
+      primeCache.setMaxCacheSize(50, { aggressive: true })
+      isPrime(100003n)
+      for (let i = 0; i < 5; i++) isPrime(100003n)
+      for (let n = 200000n; n < 200100n; n++) isPrime(n)
+      
+      const stats = primeCache.getStats()
+      expect(stats.size).toBeLessThanOrEqual(50)
+      expect(stats.evictionPolicy).toBe('lfu')
+      expect(stats.evictions).toBeGreaterThan(0)
+      expect(isPrime(100003n)).toBe(true)
+      expect(primeCache.getStats().hits).toBe(stats.hits + 1)
+    })
+    
+    test('the factorization cache should expire entries after config.cache.ttl', () => {
+      jest.useFakeTimers()
+      configure({ cache: { ttl: 5000 } })
+      factorizationCache.clear()
+      factorizeOptimal(1001, { useCache: true })
+      expect(factorizationCache.size()).toBe(1)
+      
+      jest.advanceTimersByTime(6000)
+      expect(factorizationCache.size()).toBe(0)
+      expect(factorizationCache.getStats().expirations).toBe(1)
+    })
+    
+    test('the conversion cache should store long conversions while conversion.cacheResults is set', () => {
+      const value = 3n ** 200n
+      const hex = value.toString(16)
+      expect(convertBase(value, 10, 16)).toBe(hex)
+      expect(convertBase(value, 10, 16)).toBe(hex)
+      expect(conversionCache.getStats()).toMatchObject({ size: 1, hits: 1 })
+      
+      // Short values are not worth caching
+      convertBase('ff', 16, 2)
+      expect(conversionCache.size()).toBe(1)
+      
+      configure({ conversion: { cacheResults: false } })
+      expect(convertBase(hex, 16, 10)).toBe(value.toString())
+      expect(conversionCache.size()).toBe(1)
+    })
+  })
+})
@@ -8,7 +8,20 @@ const {
   pollardRho,
   quadraticSieve,
   ellipticCurveMethod,
+  pollardPMinus1,
+  williamsPPlus1,
+  squfof,
+  lehman,
+  hartOneLine,
+  fermat,
+  batchGcd,
+  resume,
   isFactorizationComplete,
+  certify,
+  verifyFactorization,
+  importTable,
+  exportTable,
+  factorSpecialForm,
   fromPrimeFactors,
   getPrimeFactors,
   factorMapToArray,
@@ -18,7 +31,8 @@ const {
   factorizationCache
 } = require('../src/Factorization')
 
-const { PrimeMathError } = require('../src/Utils')
+const { PrimeMathError, FactorizationAbortError, FactorizationBudgetError } = require('../src/Utils')
+const UniversalNumber = require('../src/UniversalNumber')
 
 /**
  * Helper function to convert a Map to an object for easier assertions
@@ -170,6 +184,11 @@ describe('Factorization Module', () => {
       const factor = pollardRho(1001n, { timeLimit: 5000, c: 2n })
       expect(1001n % factor).toBe(0n)
     })
+
+    test('should treat a zero time limit as unlimited and never return 1', () => {
+      expect(pollardRho(1000000007n * 1000000000039n, { timeLimit: 0 })).toBe(1000000007n)
+      expect(pollardRho(1000000007n * 1000000000039n, { maxIterations: 10 })).not.toBe(1n)
+    })
   })
   
   describe('quadraticSieve', () => {
@@ -185,6 +204,232 @@ describe('Factorization Module', () => {
       const prime = 101n
       expect(quadraticSieve(prime)).toBe(prime)
     })
+    
+    test('should split a 31-digit semiprime by switching between polynomials', () => {
+      const p = 2305843009213693951n // 2^61 - 1
+      const q = 1000000000039n
+      const reports = []
+      
+      const factor = quadraticSieve(p * q, { onProgress: progress => reports.push(progress) })
+      
+      expect([p, q]).toContain(factor)
+      expect(reports.length).toBeGreaterThan(0)
+      const last = reports[reports.length - 1]
+      expect(last.algorithm).toBe('quadraticSieve')
+      expect(last.relations).toBeGreaterThanOrEqual(last.requiredRelations)
+      expect(last.polynomials).toBeGreaterThan(1)
+    })
+    
+    test('should combine double large prime relations', () => {
+      const p = 618970019642690137449562111n // 2^89 - 1
+      const q = 1000000000039n
+      const reports = []
+      
+      const factor = quadraticSieve(p * q, {
+        multiplier: 1,
+        doubleLargePrimes: true,
+        onProgress: progress => reports.push(progress)
+      })
+      
+      expect([p, q]).toContain(factor)
+      expect(reports[reports.length - 1].partialRelations).toBeGreaterThan(0)
+    })
+  })
+  
+  describe('pollardPMinus1 and williamsPPlus1', () => {
+    // The prime 10^25 + 13 has no smooth neighbour: q - 1 and q + 1 both have prime factors above 10^7
+    const q = 10000000000000000000000013n
+    // p - 1 = 2^3 · 3^2 · 5 · 7 · 11 · ... · 43 · 1321
+    const pMinus1Smooth = 207387932629633315561n
+    // p + 1 = 2^5 · 3 · 5 · 7 · 11 · ... · 53
+    const pPlus1Smooth = 521426535635040715679n
+    
+    test('should find a factor p with smooth p - 1 in stage 1', () => {
+      expect(pollardPMinus1(pMinus1Smooth * q, { b1: 2000, b2: 2000 })).toBe(pMinus1Smooth)
+    })
+    
+    test('should need stage 2 for a single large prime in p - 1', () => {
+      // 1321 is beyond B1 = 1000 but within B2 = 100000
+      expect(pollardPMinus1(pMinus1Smooth * q, { b1: 1000, b2: 1000 })).toBe(pMinus1Smooth * q)
+      expect(pollardPMinus1(pMinus1Smooth * q, { b1: 1000, b2: 100000 })).toBe(pMinus1Smooth)
+    })
+    
+    test('should find a factor p with smooth p + 1', () => {
+      expect(williamsPPlus1(pPlus1Smooth * q, { b1: 1000 })).toBe(pPlus1Smooth)
+      expect(pollardPMinus1(pPlus1Smooth * q, { b1: 1000 })).toBe(pPlus1Smooth * q)
+    })
+    
+    test('should separate factors that are all caught in the same gcd block', () => {
+      // Every prime of these n has a smooth neighbour well inside the first block of B1 = 100
+      expect(pollardPMinus1(143n, { b1: 100, b2: 100 })).toBe(13n)
+      expect(pollardPMinus1(221n, { b1: 100, b2: 100 })).toBe(17n)
+      // 3 - 1 and 5 - 1 are both powers of 2, so they separate only within the prime power
+      expect(pollardPMinus1(15n, { b1: 100, b2: 100 })).toBe(3n)
+      
+      expect(williamsPPlus1(15n, { b1: 100, b2: 100, runs: 1 })).toBe(3n)
+      expect(williamsPPlus1(221n, { b1: 100, b2: 100, runs: 1 })).toBe(13n)
+      expect(williamsPPlus1(143n, { b1: 100, b2: 100 })).toBe(11n)
+    })
+    
+    test('should return n when no factor has a smooth neighbour', () => {
+      const p = 1000000000000000000000007n
+      expect(pollardPMinus1(p * q, { b1: 1000 })).toBe(p * q)
+    })
+    
+    test('should report progress by stage', () => {
+      const reports = []
+      pollardPMinus1(1000000000000000000000007n * q, { b1: 1000, onProgress: progress => reports.push(progress) })
+      
+      expect(reports.some(progress => progress.algorithm === 'pMinus1' && progress.stage === 1)).toBe(true)
+      expect(reports.some(progress => progress.algorithm === 'pMinus1' && progress.stage === 2)).toBe(true)
+    })
+    
+    test('should be selectable through config.factorization.algorithm', () => {
+      const { configure, resetConfig } = require('../src/config')
+      configure({ factorization: { algorithm: 'pMinus1' } })
+      
+      try {
+        const onProgress = jest.fn()
+        const factorization = factorizeOptimal(6n * pMinus1Smooth * q, { useCache: false, onProgress })
+        
+        expect(mapToObject(factorization)).toEqual({
+          '2': '1',
+          '3': '1',
+          [pMinus1Smooth.toString()]: '1',
+          [q.toString()]: '1'
+        })
+        expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ algorithm: 'pMinus1' }))
+      } finally {
+        resetConfig()
+      }
+    })
+  })
+  
+  describe('squfof, lehman and hartOneLine', () => {
+    // 1000003 · 1000033 (40 bits), 1000000007 · 1000000009 (60 bits)
+    const semiprime40 = 1000036000099n
+    const semiprime60 = 1000000016000000063n
+    
+    test('should split balanced semiprimes with SQUFOF', () => {
+      expect([1000003n, 1000033n]).toContain(squfof(semiprime40))
+      expect([1000000007n, 1000000009n]).toContain(squfof(semiprime60))
+      expect(squfof(4294967291n * 4294967279n)).not.toBe(4294967291n * 4294967279n)
+    })
+    
+    test('should split semiprimes with Lehman and Hart', () => {
+      expect([1000003n, 1000033n]).toContain(lehman(semiprime40))
+      expect(lehman(101n * 1000000007n)).toBe(101n)
+      expect([1000003n, 1000033n]).toContain(hartOneLine(semiprime40))
+    })
+    
+    test('should handle primes, squares and even numbers', () => {
+      expect(squfof(1000000007n)).toBe(1000000007n)
+      expect(lehman(1000000007n)).toBe(1000000007n)
+      expect(squfof(1000003n * 1000003n)).toBe(1000003n)
+      expect(lehman(2n * 1000000007n)).toBe(2n)
+    })
+    
+    test('should reject inputs outside their range', () => {
+      expect(() => squfof(1n)).toThrow(PrimeMathError)
+      expect(() => squfof(2n ** 90n)).toThrow(PrimeMathError)
+      expect(() => lehman(2n ** 64n)).toThrow(PrimeMathError)
+      expect(() => hartOneLine(0n)).toThrow(PrimeMathError)
+    })
+    
+    test('should be dispatched by factorizeOptimal for mid-size cofactors', () => {
+      const factorization = factorizeOptimal(12n * semiprime60, { useCache: false })
+      
+      expect(mapToObject(factorization)).toEqual({
+        '2': '2',
+        '3': '1',
+        '1000000007': '1',
+        '1000000009': '1'
+      })
+    })
+  })
+  
+  describe('fermat', () => {
+    // Consecutive primes above 10^30, a prime a million further up, and one near 3 · 10^30
+    const p = 1000000000000000000000000000057n
+    const closePrime = 1000000000000000000000000000099n
+    const nearPrime = 1000000000000000000000001000123n
+    const tripledPrime = 3000000000000000000000000000091n
+    
+    test('should split products of close primes', () => {
+      expect(fermat(p * closePrime)).toBe(p)
+      expect(fermat(p * nearPrime, { maxIterations: 10 })).toBe(p)
+    })
+    
+    test('should use multipliers for factors with a ratio close to a small fraction', () => {
+      expect(fermat(p * tripledPrime, { maxIterations: 1000 })).toBe(p * tripledPrime)
+      expect(fermat(p * tripledPrime, { maxIterations: 1000, multipliers: [1, 3] })).toBe(tripledPrime)
+    })
+    
+    test('should validate its input', () => {
+      expect(() => fermat(1n)).toThrow(PrimeMathError)
+      expect(() => fermat(15n, { multipliers: [0] })).toThrow(PrimeMathError)
+      expect(fermat(2n * p)).toBe(2n)
+    })
+    
+    test('should run automatically in factorizeOptimal on semiprime-looking inputs', () => {
+      // 61 digits would otherwise need the advanced option
+      expect(mapToObject(factorizeOptimal(p * nearPrime, { useCache: false }))).toEqual({
+        [p.toString()]: '1',
+        [nearPrime.toString()]: '1'
+      })
+      expect(mapToObject(factorizeOptimal(p ** 3n, { useCache: false }))).toEqual({ [p.toString()]: '3' })
+    })
+    
+    test('should skip the automatic pass when config.factorization.fermat.prepass is off', () => {
+      const { configure, resetConfig } = require('../src/config')
+      configure({ factorization: { fermat: { prepass: false } } })
+      
+      try {
+        expect(() => factorizeOptimal(p * nearPrime, { useCache: false })).toThrow(PrimeMathError)
+      } finally {
+        resetConfig()
+      }
+    })
+  })
+  
+  describe('batchGcd', () => {
+    const p = 1000000007n
+    const q = 1000000009n
+    const r = 1000000021n
+    const s = 1000000033n
+    
+    test('should find the factors each value shares with the rest of the set', () => {
+      expect(batchGcd([p * q, q * r, s * 1000000087n, 35n])).toEqual([q, q, 1n, 1n])
+    })
+    
+    test('should split values whose primes are all shared', () => {
+      // p * q shares p with the first value and q with the second
+      const shared = batchGcd([p * r, q * s, p * q])
+      expect(shared[0]).toBe(p)
+      expect(shared[1]).toBe(q)
+      expect([p, q]).toContain(shared[2])
+      
+      // A repeated value cannot be split by the others
+      expect(batchGcd([p * q, p * q, r])).toEqual([p * q, p * q, 1n])
+    })
+    
+    test('should store the factorizations it finds in the cache', () => {
+      factorizationCache.clear()
+      batchGcd([p * q, q * r])
+      
+      expect(factorizationCache.size()).toBe(2)
+      const { hits } = factorizationCache.getStats()
+      expect(mapToObject(factorizeOptimal(q * r))).toEqual({ [q.toString()]: '1', [r.toString()]: '1' })
+      expect(factorizationCache.getStats().hits).toBe(hits + 1)
+    })
+    
+    test('should handle small sets and reject invalid values', () => {
+      expect(batchGcd([])).toEqual([])
+      expect(batchGcd([15n])).toEqual([1n])
+      expect(() => batchGcd([15n, 0n])).toThrow(PrimeMathError)
+      // @ts-ignore - Testing an invalid argument
+      expect(() => batchGcd(15n)).toThrow(PrimeMathError)
+    })
   })
   
   describe('ellipticCurveMethod', () => {
@@ -201,6 +446,15 @@ describe('Factorization Module', () => {
       expect(ellipticCurveMethod(prime)).toBe(prime)
     })
     
+    test('should separate factors that stage 1 catches in the same batch', () => {
+      // The primes up to B1 = 700 fit in one batch, and the first curve's orders modulo both primes are 700-smooth
+      const reports = []
+      const onProgress = report => reports.push(report)
+      expect(ellipticCurveMethod(1009n * 1013n, { curves: 3, b1: 700, b2: 700, onProgress })).toBe(1013n)
+      expect(ellipticCurveMethod(10007n * 10009n, { curves: 3, b1: 700, b2: 700, onProgress })).toBe(10007n)
+      expect(reports).toEqual([])
+    })
+    
     test('should respect custom memory limits', () => {
       // Test with a small memory limit
       const factor = ellipticCurveMethod(1001n, { maxMemory: 1 })
@@ -226,6 +480,49 @@ describe('Factorization Module', () => {
       const factor = ellipticCurveMethod(1001n, { curves: 50 })
       expect(1001n % factor).toBe(0n)
     })
+    
+    test('should find a 13-digit factor with automatic parameters', () => {
+      const p = 1000000012387n
+      const q = 10000000000000000000000013n
+      const factor = ellipticCurveMethod(p * q, { curves: 100 })
+      expect(factor).toBe(p)
+    })
+    
+    test('should ramp B1 up with the curve schedule and use B2 = 100 * B1', () => {
+      const reports = []
+      const n = 1000000000000000000000007n * 1000000000000000000000000000057n
+      ellipticCurveMethod(n, { curves: 30, onProgress: report => reports.push(report) })
+      expect(reports[0]).toMatchObject({ algorithm: 'ecm', b1: 2000, b2: 200000 })
+      expect(reports[reports.length - 1]).toMatchObject({ b1: 11000, b2: 1100000 })
+    })
+    
+    test('should choose B1 from factorDigits and respect the configured B2', () => {
+      const { configure, resetConfig } = require('../src/config')
+      const reports = []
+      try {
+        configure({ factorization: { ecm: { defaultB2: 123456 } } })
+        ellipticCurveMethod(10000000000000000000000013n * 1000000000000000000000007n, {
+          curves: 2,
+          factorDigits: 20,
+          onProgress: report => reports.push(report)
+        })
+      } finally {
+        resetConfig()
+      }
+      expect(reports.length).toBeGreaterThan(0)
+      expect(reports.every(report => report.b1 === 11000 && report.b2 === 123456)).toBe(true)
+    })
+    
+    test('should start from a different curve with seedOffset', () => {
+      const first = []
+      const shifted = []
+      const n = 10000000000000000000000013n * 1000000000000000000000007n
+      ellipticCurveMethod(n, { curves: 1, onProgress: report => first.push(report) })
+      ellipticCurveMethod(n, { curves: 1, seedOffset: 25, onProgress: report => shifted.push(report) })
+      // The first 25 curves of the schedule target 15-digit factors, the next ones 20-digit factors
+      expect(first[0].b1).toBe(2000)
+      expect(shifted[0].b1).toBe(11000)
+    })
   })
   
   describe('factorizePollardsRho', () => {
@@ -309,6 +606,36 @@ describe('Factorization Module', () => {
       expect(factorizationCache.size()).toBeGreaterThan(0)
     })
     
+    test('should use the quadratic sieve above the ECM threshold', () => {
+      const { configure, resetConfig } = require('../src/config')
+      // 2^61 - 2 and 2^89 - 2 are smooth, so the p-1 pre-pass would find both factors first
+      configure({
+        factorization: {
+          thresholds: { ecm: 30 },
+          pMinus1: { prepass: false },
+          pPlus1: { prepass: false }
+        }
+      })
+      
+      try {
+        const p = 2305843009213693951n // 2^61 - 1
+        const q = 618970019642690137449562111n // 2^89 - 1
+        const onProgress = jest.fn()
+        
+        const factorization = factorizeOptimal(12n * p * q, { advanced: true, useCache: false, onProgress })
+        
+        expect(mapToObject(factorization)).toEqual({
+          '2': '2',
+          '3': '1',
+          [p.toString()]: '1',
+          [q.toString()]: '1'
+        })
+        expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ algorithm: 'quadraticSieve' }))
+      } finally {
+        resetConfig()
+      }
+    })
+    
     test('should respect useCache:false option', () => {
       // First clear the cache to ensure a clean state
       factorizationCache.clear()
@@ -340,8 +667,349 @@ describe('Factorization Module', () => {
       const medium = factorizeParallel(10403) // 101 * 103
       expect(mapToObject(medium)).toEqual({ '101': '1', '103': '1' })
     })
+
+    describe('worker threads', () => {
+      const workerThreads = require('worker_threads')
+      const { configure, resetConfig } = require('../src/config')
+      const OriginalWorker = workerThreads.Worker
+
+      // Worker is a class, so the spy has to construct the real thing itself
+      const spyOnWorker = () => jest.spyOn(workerThreads, 'Worker')
+        .mockImplementation((filename, options) => new OriginalWorker(filename, options))
+
+      // 1000000007 * 1000000000039, large enough to skip the sequential shortcut
+      const semiprime = 1000000007n * 1000000000039n
+
+      afterEach(() => {
+        resetConfig()
+        jest.restoreAllMocks()
+      })
+
+      test('should split large composites across worker threads', () => {
+        const workerSpy = spyOnWorker()
+
+        const factorization = factorizeParallel(semiprime, { workerCount: 2, useCache: false })
+
+        expect(mapToObject(factorization)).toEqual({ '1000000007': '1', '1000000000039': '1' })
+        expect(workerSpy).toHaveBeenCalledTimes(2)
+      })
+
+      test('should never spawn more than config.async.maxWorkers workers', () => {
+        configure({ async: { maxWorkers: 1 } })
+        const workerSpy = spyOnWorker()
+
+        const factorization = factorizeParallel(semiprime, { workerCount: 8, useCache: false })
+
+        expect(isFactorizationComplete(factorization, semiprime)).toBe(true)
+        expect(workerSpy).toHaveBeenCalledTimes(1)
+      })
+
+      test('should fall back to the sequential path when config.async.useWorkers is false', () => {
+        configure({ async: { useWorkers: false } })
+        const workerSpy = spyOnWorker()
+
+        const factorization = factorizeParallel(semiprime, { useCache: false })
+
+        expect(mapToObject(factorization)).toEqual({ '1000000007': '1', '1000000000039': '1' })
+        expect(workerSpy).not.toHaveBeenCalled()
+      })
+    })
+  })
+
+  describe('cancellation and progress reporting', () => {
+    const { configure, resetConfig } = require('../src/config')
+
+    // 24 * 1000000007 * 1000000000039, whose large cofactor is split by Pollard's rho
+    const composite = 24n * 1000000007n * 1000000000039n
+
+    afterEach(() => {
+      resetConfig()
+    })
+
+    test('should throw FactorizationAbortError when the signal is already aborted', () => {
+      const controller = new AbortController()
+      controller.abort('cancelled')
+
+      let error
+      try {
+        factorizeOptimal(composite, { signal: controller.signal, useCache: false })
+      } catch (e) {
+        error = e
+      }
+
+      expect(error).toBeInstanceOf(FactorizationAbortError)
+      expect(error).toBeInstanceOf(PrimeMathError)
+      expect(error.reason).toBe('cancelled')
+      expect(error.original).toBe(composite)
+      expect(error.remaining).toBe(composite)
+      expect(error.factors.size).toBe(0)
+    })
+
+    test('should carry the partial factorization found before the abort', () => {
+      const controller = new AbortController()
+      const reports = []
+
+      let error
+      try {
+        factorizeOptimal(composite, {
+          signal: controller.signal,
+          useCache: false,
+          onProgress: progress => {
+            reports.push(progress)
+            controller.abort('stop')
+          }
+        })
+      } catch (e) {
+        error = e
+      }
+
+      expect(error).toBeInstanceOf(FactorizationAbortError)
+      expect(mapToObject(error.factors)).toEqual({ '2': '3', '3': '1' })
+      expect(error.remaining).toBe(1000000007n * 1000000000039n)
+
+      expect(reports).toHaveLength(1)
+      expect(reports[0].algorithm).toBe('pollardRho')
+      expect(reports[0].iterations).toBeGreaterThan(0)
+      expect(mapToObject(reports[0].factors)).toEqual({ '2': '3', '3': '1' })
+    })
+
+    test('should report ECM curves tried', () => {
+      const reports = []
+      ellipticCurveMethod(1000000007n * 1000000000039n, {
+        curves: 3,
+        b1: 100,
+        b2: 1000,
+        onProgress: progress => reports.push(progress)
+      })
+
+      // Reports are sent after every curve that does not find a factor
+      expect(reports.length).toBeGreaterThan(0)
+      reports.forEach((progress, index) => {
+        expect(progress.algorithm).toBe('ecm')
+        expect(progress.curvesTried).toBe(index + 1)
+        expect(progress.totalCurves).toBe(3)
+      })
+    })
+
+    test('should honour the signal in ECM and the quadratic sieve', () => {
+      const controller = new AbortController()
+      controller.abort()
+      const n = 1000000007n * 1000000000039n
+
+      expect(() => ellipticCurveMethod(n, { signal: controller.signal })).toThrow(FactorizationAbortError)
+      expect(() => quadraticSieve(n, { signal: controller.signal })).toThrow(FactorizationAbortError)
+      expect(() => pollardRho(n, { signal: controller.signal })).toThrow(FactorizationAbortError)
+    })
+
+    test('should not report progress when config.async.reportProgress is disabled', () => {
+      configure({ async: { reportProgress: false } })
+      const onProgress = jest.fn()
+
+      const factorization = factorizeOptimal(composite, { onProgress, useCache: false })
+
+      expect(isFactorizationComplete(factorization, composite)).toBe(true)
+      expect(onProgress).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('time and memory budgets', () => {
+    const { configure, resetConfig } = require('../src/config')
+
+    // Same shape as above: the small factors are found before the search for the large cofactor starts
+    const composite = 24n * 1000000007n * 1000000000039n
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+      resetConfig()
+    })
+
+    /**
+     * Factorize the composite and return the error it throws
+     * @param {Object} options - Options for factorizeOptimal
+     * @returns {any} The thrown error
+     */
+    const factorizeAndCatch = (options) => {
+      try {
+        factorizeOptimal(composite, { useCache: false, ...options })
+      } catch (error) {
+        return error
+      }
+      return undefined
+    }
+
+    test('should stop with the partial factorization once config.factorization.timeLimit is used up', () => {
+      configure({ factorization: { timeLimit: 60000 } })
+      const later = Date.now() + 120000
+
+      // Jump past the deadline as soon as the Pollard rho search reports in
+      const error = factorizeAndCatch({
+        onProgress: () => jest.spyOn(Date, 'now').mockReturnValue(later)
+      })
+
+      expect(error).toBeInstanceOf(FactorizationBudgetError)
+      expect(error).toBeInstanceOf(FactorizationAbortError)
+      expect(error.budget).toBe('timeLimit')
+      expect(error.limit).toBe(60000)
+      expect(mapToObject(error.factors)).toEqual({ '2': '3', '3': '1' })
+      expect(error.remaining).toBe(1000000007n * 1000000000039n)
+    })
+
+    test('should stop once the heap grows beyond memoryLimit', () => {
+      const heap = process.memoryUsage()
+
+      const error = factorizeAndCatch({
+        memoryLimit: 64,
+        onProgress: () => jest.spyOn(process, 'memoryUsage').mockReturnValue({
+          ...heap,
+          heapUsed: heap.heapUsed + 128 * 1024 * 1024
+        })
+      })
+
+      expect(error).toBeInstanceOf(FactorizationBudgetError)
+      expect(error.budget).toBe('memoryLimit')
+      expect(error.limit).toBe(64)
+      expect(mapToObject(error.factors)).toEqual({ '2': '3', '3': '1' })
+    })
+
+    test('should stop before factoring when the heap already exceeds config.memory.maxMemoryUsage', () => {
+      configure({ memory: { maxMemoryUsage: 1 } })
+
+      const error = factorizeAndCatch({})
+
+      expect(error).toBeInstanceOf(FactorizationBudgetError)
+      expect(error.budget).toBe('maxMemoryUsage')
+      expect(error.factors.size).toBe(0)
+      expect(error.remaining).toBe(composite)
+    })
+
+    test('should not interfere with factorizations that finish within budget', () => {
+      configure({ factorization: { timeLimit: 600000, memoryLimit: 4096 } })
+
+      const factorization = factorizeOptimal(composite, { useCache: false })
+
+      expect(isFactorizationComplete(factorization, composite)).toBe(true)
+    })
   })
 
+  describe('checkpoints and resume', () => {
+    const { configure, resetConfig } = require('../src/config')
+    
+    // ECM finds the 13-digit factor on its fourth curve
+    const ecmComposite = 3n * 1000000012387n * 10000000000000000000000013n
+    
+    // Two 21-digit primes, split by the quadratic sieve
+    const sieveComposite = 56n * 100000000000000012349n * 300000000000000001019n
+    
+    afterEach(() => {
+      resetConfig()
+    })
+    
+    /**
+     * Factorize a number and collect the checkpoints it emits, as JSON strings
+     * @param {BigInt} n - The number to factorize
+     * @returns {{factors: Map<BigInt, BigInt>, checkpoints: string[]}} The factorization and the checkpoints
+     */
+    const factorizeWithCheckpoints = (n) => {
+      const checkpoints = []
+      const factors = factorizeOptimal(n, {
+        advanced: true,
+        useCache: false,
+        checkpointInterval: 0,
+        checkpoint: checkpoint => checkpoints.push(JSON.stringify(checkpoint))
+      })
+      return { factors, checkpoints }
+    }
+    
+    test('should emit JSON checkpoints of the ECM curves tried', () => {
+      const { factors, checkpoints } = factorizeWithCheckpoints(ecmComposite)
+      
+      expect(isFactorizationComplete(factors, ecmComposite)).toBe(true)
+      expect(checkpoints.length).toBe(3)
+      
+      const checkpoint = JSON.parse(checkpoints[1])
+      expect(checkpoint).toMatchObject({
+        type: 'FactorizationCheckpoint',
+        version: 1,
+        n: ecmComposite.toString(),
+        factors: { '3': '1' },
+        remaining: '1',
+        current: {
+          algorithm: 'ecm',
+          n: (1000000012387n * 10000000000000000000000013n).toString(),
+          curvesTried: 2,
+          sigmas: [0, 1]
+        }
+      })
+      expect(Number.isNaN(Date.parse(checkpoint.metadata.timestamp))).toBe(false)
+    })
+    
+    test('should resume ECM with the curves that were not tried yet', () => {
+      const { checkpoints } = factorizeWithCheckpoints(ecmComposite)
+      const curvesTried = []
+      const later = []
+      
+      const factors = resume(checkpoints[0], {
+        advanced: true,
+        useCache: false,
+        checkpointInterval: 0,
+        checkpoint: checkpoint => later.push(checkpoint),
+        onProgress: progress => curvesTried.push(progress.curvesTried)
+      })
+      
+      expect(mapToObject(factors)).toEqual({ '3': '1', '1000000012387': '1', '10000000000000000000000013': '1' })
+      expect(curvesTried).toEqual([2, 3])
+      expect(later.map(checkpoint => checkpoint.current.sigmas)).toEqual([[0, 1], [0, 1, 2]])
+      expect(later.every(checkpoint => checkpoint.n === ecmComposite.toString())).toBe(true)
+    })
+    
+    test('should resume the quadratic sieve from the relations already collected', () => {
+      const { factors, checkpoints } = factorizeWithCheckpoints(sieveComposite)
+      expect(isFactorizationComplete(factors, sieveComposite)).toBe(true)
+      
+      const checkpoint = JSON.parse(checkpoints[checkpoints.length - 2])
+      expect(checkpoint.current.algorithm).toBe('quadraticSieve')
+      expect(checkpoint.factors).toEqual({ '2': '3', '7': '1' })
+      
+      const later = []
+      const resumed = resume(checkpoint, {
+        advanced: true,
+        useCache: false,
+        checkpointInterval: 0,
+        checkpoint: next => later.push(next)
+      })
+      
+      expect(mapToObject(resumed)).toEqual(mapToObject(factors))
+      expect(later.length).toBeGreaterThan(0)
+      expect(later[0].current.relations.length).toBeGreaterThan(checkpoint.current.relations.length)
+      expect(later[0].current.polynomials).toBeGreaterThan(checkpoint.current.polynomials)
+    })
+    
+    test('should emit checkpoints at most once per config.factorization.checkpointInterval', () => {
+      configure({ factorization: { checkpointInterval: 600000 } })
+      const checkpoints = []
+      
+      factorizeOptimal(ecmComposite, {
+        advanced: true,
+        useCache: false,
+        checkpoint: checkpoint => checkpoints.push(checkpoint)
+      })
+      
+      expect(checkpoints).toEqual([])
+    })
+    
+    test('should reject malformed or inconsistent checkpoints', () => {
+      const { checkpoints } = factorizeWithCheckpoints(ecmComposite)
+      const checkpoint = JSON.parse(checkpoints[0])
+      
+      expect(() => resume('not json')).toThrow(PrimeMathError)
+      expect(() => resume({ ...checkpoint, type: 'Factorization' })).toThrow(PrimeMathError)
+      expect(() => resume({ ...checkpoint, version: 2 })).toThrow(PrimeMathError)
+      expect(() => resume({ ...checkpoint, remaining: '5' })).toThrow(/do not multiply/)
+      expect(() => resume({ ...checkpoint, current: { ...checkpoint.current, algorithm: 'trial' } }))
+        .toThrow(/Unsupported algorithm/)
+    })
+  })
+  
   describe('isFactorizationComplete', () => {
     test('should verify if factorization is complete', () => {
       // Test with 12 = 2² * 3
@@ -359,6 +1027,107 @@ describe('Factorization Module', () => {
       ])
       expect(isFactorizationComplete(incompleteFactors, 12n)).toBe(false)
     })
+  })
+
+  describe('factorization certificates', () => {
+    const mersenne = 2n ** 127n - 1n
+    const composite = 4n * 100000000000000000039n * mersenne
+    
+    /**
+     * Copy a certificate through JSON, so it can be tampered with
+     * @param {Object} certificate - The certificate
+     * @returns {Object} A deep copy
+     */
+    const copy = certificate => JSON.parse(JSON.stringify(certificate))
+    
+    test('certify should bundle the factors, their product and a primality proof for each prime', () => {
+      const certificate = certify(composite)
+      
+      expect(certificate.type).toBe('FactorizationCertificate')
+      expect(certificate.n).toBe(composite.toString())
+      expect(certificate.product).toBe(composite.toString())
+      expect(certificate.factors).toEqual({
+        '2': '2',
+        '100000000000000000039': '1',
+        [mersenne.toString()]: '1'
+      })
+      expect(Object.values(certificate.proofs).map(proof => proof.type)).toEqual(
+        ['PrimalityCertificate', 'PrimalityCertificate', 'PrimalityCertificate'])
+      expect(verifyFactorization(certificate)).toBe(true)
+      expect(verifyFactorization(JSON.stringify(certificate), { requireProof: true })).toBe(true)
+      expect(verifyFactorization(certify(1))).toBe(true)
+    })
+    
+    test('certify should record Baillie-PSW witnesses on request or when a proof runs out of time', () => {
+      const certificate = certify(composite, { proof: 'bpsw' })
+      expect(certificate.proofs[mersenne.toString()]).toEqual({
+        type: 'BPSWWitness', n: mersenne.toString(), base: '2', D: '5', P: '1', Q: '-1'
+      })
+      expect(verifyFactorization(certificate)).toBe(true)
+      expect(verifyFactorization(certificate, { requireProof: true })).toBe(false)
+      
+      // p - 1 = 2 * 73 * q * r with 80-bit primes q and r, which takes far longer than 1 ms to factor
+      const prime = 126711270322829615297879558500532770546554507075539n
+      const fallback = certify(3n * prime, { proofTimeLimit: 1 })
+      expect(fallback.proofs['3'].type).toBe('PrimalityCertificate')
+      expect(fallback.proofs[prime.toString()].type).toBe('BPSWWitness')
+      expect(verifyFactorization(fallback)).toBe(true)
+      
+      expect(() => certify(0)).toThrow(PrimeMathError)
+      expect(() => certify(15, { proof: 'guess' })).toThrow(/Unknown proof type/)
+    })
+    
+    test('certify should fall back to a witness when a proof fails, unless certificates are required', () => {
+      const PrimeMath = require('../src/PrimeMath')
+      const provePrime = jest.spyOn(PrimeMath, 'provePrime').mockImplementation(() => {
+        throw new PrimeMathError('No Pocklington witness found')
+      })
+      try {
+        const certificate = certify(15)
+        expect(certificate.proofs['3'].type).toBe('BPSWWitness')
+        expect(certificate.proofs['5'].type).toBe('BPSWWitness')
+        expect(verifyFactorization(certificate)).toBe(true)
+        expect(() => certify(15, { proof: 'certificate' })).toThrow(/No Pocklington witness found/)
+        
+        provePrime.mockImplementation(() => {
+          throw new TypeError('Cannot read properties of undefined')
+        })
+        expect(() => certify(15)).toThrow(TypeError)
+      } finally {
+        provePrime.mockRestore()
+      }
+    })
+    
+    test('verifyFactorization should reject tampered certificates', () => {
+      const certificate = certify(composite, { proof: 'bpsw' })
+      
+      const wrongProduct = copy(certificate)
+      wrongProduct.n = (composite * 2n).toString()
+      expect(verifyFactorization(wrongProduct)).toBe(false)
+      
+      const wrongExponent = copy(certificate)
+      wrongExponent.factors['2'] = '3'
+      expect(verifyFactorization(wrongExponent)).toBe(false)
+      
+      const wrongParameters = copy(certificate)
+      wrongParameters.proofs['100000000000000000039'].D = '5'
+      expect(verifyFactorization(wrongParameters)).toBe(false)
+      
+      const missingProof = copy(certificate)
+      delete missingProof.proofs['2']
+      expect(verifyFactorization(missingProof)).toBe(false)
+      
+      // 21 = 3 * 7 passes neither test
+      expect(verifyFactorization({
+        type: 'FactorizationCertificate',
+        version: 1,
+        n: '21',
+        factors: { '21': '1' },
+        product: '21',
+        proofs: { '21': { type: 'BPSWWitness', n: '21', base: '2', D: '5', P: '1', Q: '-1' } }
+      })).toBe(false)
+      expect(verifyFactorization('{')).toBe(false)
+    })
 
     test('should handle empty factorizations for 1', () => {
       // 1 has no prime factors
@@ -366,6 +1135,119 @@ describe('Factorization Module', () => {
     })
   })
 
+  describe('factor tables', () => {
+    const mersenne = 2n ** 127n - 1n
+    const m67 = 193707721n * 761838257287n
+    
+    afterEach(() => {
+      factorizationCache.clear()
+    })
+    
+    test('importTable should verify each line and preload the factorization cache', async () => {
+      const { Readable } = require('stream')
+      const table = [
+        '# Mersenne numbers',
+        `${2n ** 67n - 1n} = 193707721 * 761838257287`,
+        '',
+        `${2n ** 128n - 2n} = 2 * ${mersenne}   # 2^128 - 2`,
+        '360 = 2^3 × 3^2 × 5'
+      ].join('\r\n')
+      
+      // Split the chunks in the middle of lines and line endings
+      const chunks = table.match(/[\s\S]{1,7}/g).map(chunk => Buffer.from(chunk))
+      factorizationCache.clear()
+      const result = await importTable(Readable.from(chunks))
+      
+      expect(result).toEqual({ imported: 3, skipped: [] })
+      expect(factorizationCache.size()).toBe(3)
+      expect(factorizeOptimal(m67)).toEqual(new Map([[193707721n, 1n], [761838257287n, 1n]]))
+      expect(factorizationCache.getStats().hits).toBe(1)
+      expect(new UniversalNumber(2n ** 128n - 2n).getFactorization()).toEqual(new Map([[2n, 1n], [mersenne, 1n]]))
+      expect(factorizationCache.getStats().hits).toBe(2)
+    })
+    
+    test('importTable should reject or skip lines that do not verify', async () => {
+      const table = ['15 = 3 * 5', '16 = 2^3', '21 = 21', '22 = 2 * x', 'no factors here', '1 = 1'].join('\n')
+      
+      await expect(importTable(table)).rejects.toThrow('Factor table line 2: the factors multiply to 8, not 16')
+      await expect(importTable(['21 = 21'])).rejects.toThrow('21 is not prime')
+      await expect(importTable(42)).rejects.toThrow(PrimeMathError)
+      
+      const { imported, skipped } = await importTable(table, { skipInvalid: true })
+      expect(imported).toBe(1)
+      expect(skipped.map(({ line, reason }) => [line, reason])).toEqual([
+        [2, 'the factors multiply to 8, not 16'],
+        [3, '21 is not prime'],
+        [4, 'invalid factorization'],
+        [5, 'expected "n = p1^e1 * p2^e2 ..."'],
+        [6, '1 is not an integer greater than 1']
+      ])
+    })
+    
+    test('exportTable should write sorted lines that importTable reads back', async () => {
+      const lines = []
+      const destination = { write: line => lines.push(line) }
+      
+      factorizationCache.clear()
+      factorizeOptimal(1001, { useCache: true })
+      factorizeOptimal(360, { useCache: true })
+      expect(await exportTable(destination)).toBe(2)
+      expect(lines).toEqual(['360 = 2^3 * 3^2 * 5\n', '1001 = 7 * 11 * 13\n'])
+      
+      const given = new Map([[m67, new Map([[193707721n, 1n], [761838257287n, 1n]])]])
+      lines.length = 0
+      expect(await exportTable(destination, { factorizations: given })).toBe(1)
+      factorizationCache.clear()
+      expect(await importTable(lines)).toEqual({ imported: 1, skipped: [] })
+      
+      await expect(exportTable({})).rejects.toThrow(PrimeMathError)
+    })
+  })
+
+  describe('special forms', () => {
+    test('factorSpecialForm should split a^n ± b^n into cyclotomic and Aurifeuillian factors', () => {
+      // 2^58 + 1 = (2^29 - 2^15 + 1)(2^29 + 2^15 + 1)
+      expect(factorSpecialForm({ base: 2, exponent: 58, sign: '+' })).toEqual(new Map([
+        [5n, 1n], [107367629n, 1n], [536903681n, 1n]
+      ]))
+      
+      const forms = [
+        [{ base: 2, exponent: 120 }, 2n ** 120n - 1n],
+        [{ base: 3n, secondBase: 2n, exponent: 30, sign: -1 }, 3n ** 30n - 2n ** 30n],
+        [{ base: 6, secondBase: 4, exponent: 15, sign: 1 }, 6n ** 15n + 4n ** 15n],
+        [{ base: 4, exponent: 21, sign: '+' }, 4n ** 21n + 1n],
+        [{ base: 1, exponent: 7, sign: '+' }, 2n]
+      ]
+      for (const [form, value] of forms) {
+        // fromPrimeFactors checks that every factor is prime
+        expect(fromPrimeFactors(factorSpecialForm(form))).toBe(value)
+      }
+    })
+    
+    test('factorSpecialForm should reject invalid forms', () => {
+      expect(() => factorSpecialForm({ base: 2, exponent: 10, sign: '*' })).toThrow(PrimeMathError)
+      expect(() => factorSpecialForm({ base: 2, exponent: 0 })).toThrow(/exponent must be a positive safe integer/)
+      expect(() => factorSpecialForm({ base: 0, exponent: 3, sign: 1 })).toThrow(/bases must be positive/)
+      expect(() => factorSpecialForm({ base: 3, secondBase: 3, exponent: 5 })).toThrow('3^5 - 3^5 is not positive')
+    })
+    
+    test('factorizeOptimal should recognise a^n ± 1 and repunits', () => {
+      const repunit = (10n ** 60n - 1n) / 9n
+      const numbers = [repunit, 10n ** 45n + 1n, 2n ** 178n + 1n, 3n ** 105n - 1n]
+      for (const n of numbers) {
+        expect(fromPrimeFactors(factorizeOptimal(n, { useCache: false }))).toBe(n)
+      }
+      
+      // 2^178 + 1 splits into the Aurifeuillian factors 2^89 ± 2^45 + 1 before any generic algorithm runs
+      expect(factorizeOptimal(2n ** 178n + 1n, { useCache: false })).toEqual(new Map([
+        [5n, 1n],
+        [1069n, 1n],
+        [579017791994999956106149n, 1n],
+        [123794003928545064364330189n, 1n]
+      ]))
+    })
+  })
+
   describe('fromPrimeFactors', () => {
     test('should correctly reconstruct numbers from factorization', () => {
       // 12 = 2² * 3
@@ -549,7 +1431,7 @@ describe('Factorization Module', () => {
       expect(statsAfter.persistenceEnabled).toBe(false)
     })
     
-    test('should support saving and loading cache', () => {
+    test('should support saving and loading cache', async () => {
       // Clear the cache first
       factorizationCache.clear()
       
@@ -558,15 +1440,23 @@ describe('Factorization Module', () => {
       factorizeOptimal(456, { useCache: true })
       factorizeOptimal(789, { useCache: true })
       
-      // Save cache to storage (might be a mock in tests)
-      factorizationCache.setPersistence(true)
-      factorizationCache.saveToStorage()
+      // Save to an in-memory store, so the test leaves no files behind
+      const { MemoryStorageAdapter } = require('../src/Storage')
+      const storage = new MemoryStorageAdapter()
+      factorizationCache.setPersistence(storage)
+      expect(await factorizationCache.saveToStorage()).toBe(true)
       
-      // In test environment, this might be mocked or unavailable
-      // So don't strictly assert the result
+      // Clearing with persistence on would also empty the store, so detach it first
+      factorizationCache.setPersistence(false)
+      factorizationCache.clear()
+      expect(factorizationCache.size()).toBe(0)
       
-      // Try loading (again, might be mocked in tests)
-      factorizationCache.loadFromStorage()
+      // Loading fills the in-memory cache with what was saved
+      const { configure } = require('../src/config')
+      configure({ cache: { persistentCache: storage } })
+      expect(await factorizationCache.loadFromStorage()).toBe(true)
+      expect(factorizationCache.size()).toBe(3)
+      expect(factorizeOptimal(456, { useCache: true })).toEqual(new Map([[2n, 3n], [3n, 1n], [19n, 1n]]))
       
       // Finally, disable persistence and clean up
       factorizationCache.setPersistence(false)
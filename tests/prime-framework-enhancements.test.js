@@ -231,6 +231,43 @@ describe('Prime Framework Enhancements', () => {
       expect(factors.get(2n)).toBe(2n)
       expect(factors.get(7n)).toBe(1n)
     })
+    
+    test('should record the status of a composite remaining part', () => {
+      const partial = UniversalNumber.fromPartialFactorization({
+        knownFactors: [{ prime: 2, exponent: 1 }],
+        remainingPart: 15
+      })
+      
+      expect(partial.getPartialFactorization()).toEqual({
+        knownFactors: new Map([[2n, 1n]]),
+        remainingPart: 15n,
+        remainingStatus: 'composite'
+      })
+      expect(partial.toBigInt()).toBe(30n)
+      
+      // Factoring the remaining part completes the number
+      expect(partial.getFactorization()).toEqual(new Map([[2n, 1n], [3n, 1n], [5n, 1n]]))
+      expect(partial.getPartialFactorization()).toBeNull()
+    })
+    
+    test('should accept an explicit status for an untested remaining part', () => {
+      const partial = UniversalNumber.fromPartialFactorization({
+        knownFactors: new Map([[3n, 2n]]),
+        remainingPart: 13,
+        remainingStatus: 'unknown',
+        isNegative: true
+      })
+      
+      expect(partial.getPartialFactorization().remainingStatus).toBe('unknown')
+      expect(partial.toString()).toBe('-117')
+      expect(new UniversalNumber(28).getPartialFactorization()).toBeNull()
+      
+      expect(() => UniversalNumber.fromPartialFactorization({
+        knownFactors: [],
+        remainingPart: 15,
+        remainingStatus: 'prime'
+      })).toThrow(PrimeMathError)
+    })
   })
   
   // Advanced arithmetic operations
@@ -1,5 +1,6 @@
 const PrimeMath = require('../src/PrimeMath')
 const { PrimeMathError } = require('../src/Utils')
+const UniversalNumber = require('../src/UniversalNumber')
 
 describe('PrimeMath', () => {
   describe('basic arithmetic operations', () => {
@@ -42,6 +43,21 @@ describe('PrimeMath', () => {
       expect(() => PrimeMath.divide(5, 0)).toThrow(PrimeMathError)
     })
 
+    test('divmod, floorDiv, ceilDiv and truncDiv should round the quotient', () => {
+      expect(PrimeMath.divmod(-7, 2)).toEqual({ quotient: -4n, remainder: 1n })
+      expect(PrimeMath.divmod(-7, 2, { rounding: 'trunc' })).toEqual({ quotient: -3n, remainder: -1n })
+      expect(PrimeMath.divmod(7, -2, { rounding: 'euclid' })).toEqual({ quotient: -3n, remainder: 1n })
+      expect(PrimeMath.floorDiv(7n, -2n)).toBe(-4n)
+      expect(PrimeMath.ceilDiv(7, 2)).toBe(4n)
+      expect(PrimeMath.truncDiv(-7, 2)).toBe(-3n)
+      expect(() => PrimeMath.divmod(7, 0)).toThrow(PrimeMathError)
+      
+      const { quotient, remainder } = PrimeMath.divmod(new UniversalNumber(-7), 2, { rounding: 'ceil' })
+      expect(quotient).toBeInstanceOf(UniversalNumber)
+      expect([quotient.toBigInt(), remainder.toBigInt()]).toEqual([-3n, -1n])
+      expect(PrimeMath.floorDiv(-7, new UniversalNumber(2)).toBigInt()).toBe(-4n)
+    })
+
     test('pow should correctly calculate power', () => {
       expect(PrimeMath.pow(2, 3)).toBe(8n)
       expect(PrimeMath.pow(3, 4)).toBe(81n)
@@ -116,6 +132,83 @@ describe('PrimeMath', () => {
     })
   })
 
+  describe('primality certificates', () => {
+    /**
+     * Copy a certificate through JSON, so it can be tampered with
+     * @param {Object} certificate - The certificate
+     * @returns {Object} A deep copy
+     */
+    const copy = certificate => JSON.parse(JSON.stringify(certificate))
+
+    test('provePrime should use trial division below 10^6', () => {
+      expect(PrimeMath.provePrime(2)).toEqual({ type: 'PrimalityCertificate', method: 'trial', n: '2' })
+      expect(PrimeMath.provePrime(999983n).method).toBe('trial')
+    })
+
+    test('provePrime should build a recursive Pratt certificate when n - 1 factors completely', () => {
+      const n = 100000000000000000039n
+      const certificate = PrimeMath.provePrime(n)
+
+      expect(certificate.method).toBe('pratt')
+      expect(certificate.n).toBe(n.toString())
+      const product = certificate.factors.reduce(
+        (total, { prime, exponent }) => total * BigInt(prime) ** BigInt(exponent), 1n)
+      expect(product).toBe(n - 1n)
+      expect(certificate.factors.every(({ prime, certificate: inner }) => inner.n === prime)).toBe(true)
+      expect(PrimeMath.verifyCertificate(certificate)).toBe(true)
+      expect(PrimeMath.verifyCertificate(JSON.stringify(certificate))).toBe(true)
+    })
+
+    test('provePrime should use Pocklington or BLS when n - 1 is only partly factored', () => {
+      // n - 1 = 2^80 * 3^2 * 1000003 * 1000039, and 2^80 * 3^2 already exceeds sqrt(n)
+      const pocklington = PrimeMath.provePrime(1209037041112816914427354957838548993n)
+      expect(pocklington.method).toBe('pocklington')
+      expect(pocklington.factors.map(({ prime }) => prime)).toEqual(['2', '3'])
+      expect(pocklington.factors.every(({ witness }) => witness !== undefined)).toBe(true)
+      expect(PrimeMath.verifyCertificate(pocklington)).toBe(true)
+
+      const bls = PrimeMath.provePrime(2n ** 127n - 1n)
+      expect(bls.method).toBe('bls')
+      expect(PrimeMath.verifyCertificate(bls)).toBe(true)
+    })
+
+    test('provePrime should reject composite numbers', () => {
+      expect(() => PrimeMath.provePrime(1)).toThrow(PrimeMathError)
+      expect(() => PrimeMath.provePrime(561)).toThrow(/not prime/)
+      expect(() => PrimeMath.provePrime(100000000000000000001n)).toThrow(/not prime/)
+    })
+
+    test('verifyCertificate should reject forged or tampered certificates', () => {
+      const pratt = PrimeMath.provePrime(100000000000000000039n)
+      const pocklington = PrimeMath.provePrime(1209037041112816914427354957838548993n)
+
+      const otherNumber = copy(pratt)
+      otherNumber.n = '100000000000000000041'
+      expect(PrimeMath.verifyCertificate(otherNumber)).toBe(false)
+
+      const badWitness = copy(pratt)
+      badWitness.witness = '1'
+      expect(PrimeMath.verifyCertificate(badWitness)).toBe(false)
+
+      const badExponent = copy(pratt)
+      badExponent.factors[0].exponent = '2'
+      expect(PrimeMath.verifyCertificate(badExponent)).toBe(false)
+
+      const badInner = copy(pratt)
+      badInner.factors[badInner.factors.length - 1].certificate.n = '4'
+      expect(PrimeMath.verifyCertificate(badInner)).toBe(false)
+
+      const badPocklington = copy(pocklington)
+      badPocklington.factors[0].witness = '1'
+      expect(PrimeMath.verifyCertificate(badPocklington)).toBe(false)
+
+      expect(PrimeMath.verifyCertificate({ type: 'PrimalityCertificate', method: 'trial', n: '561' })).toBe(false)
+      expect(PrimeMath.verifyCertificate({ type: 'PrimalityCertificate', method: 'trial', n: '1000003' })).toBe(false)
+      expect(PrimeMath.verifyCertificate({ type: 'Factorization', method: 'trial', n: '7' })).toBe(false)
+      expect(PrimeMath.verifyCertificate('not json')).toBe(false)
+    })
+  })
+
   describe('advanced number theory functions', () => {
     test('primorial should compute the product of all primes <= n', () => {
       expect(PrimeMath.primorial(1)).toBe(1n)
@@ -191,6 +284,37 @@ describe('PrimeMath', () => {
       expect(PrimeMath.isPerfectPower(0)).toBeNull()
     })
 
+    test('isPerfectPower should be exact above 2^53', () => {
+      const p = 2n ** 61n - 1n
+      expect(PrimeMath.isPerfectPower(p * p)).toEqual({ base: p, exponent: 2n })
+      expect(PrimeMath.isPerfectPower(p * p + 2n)).toBeNull()
+      expect(PrimeMath.isPerfectPower(3n ** 40n * 5n ** 20n)).toEqual({ base: 45n, exponent: 20n })
+      expect(PrimeMath.isPerfectPower((2n ** 53n + 1n) ** 3n)).toEqual({ base: 2n ** 53n + 1n, exponent: 3n })
+      expect(PrimeMath.isPerfectPower(2n ** 53n + 1n)).toBeNull()
+    })
+
+    test('isPerfectPower should compose prime exponents and stay fast on large inputs', () => {
+      expect(PrimeMath.isPerfectPower(2n ** 64n)).toEqual({ base: 2n, exponent: 64n })
+      expect(PrimeMath.isPerfectPower(6n ** 30n)).toEqual({ base: 6n, exponent: 30n })
+      expect(PrimeMath.isPerfectPower(7n ** 19997n)).toEqual({ base: 7n, exponent: 19997n })
+      expect(PrimeMath.isPerfectPower(2n ** 20000n + 1n)).toBeNull()
+    })
+
+    test('isPerfectPower should use the exponent gcd for a UniversalNumber', () => {
+      const n = UniversalNumber.fromFactors([
+        { prime: 2n, exponent: 12n },
+        { prime: 3n, exponent: 18n },
+        { prime: 2n ** 61n - 1n, exponent: 30n }
+      ])
+      const result = PrimeMath.isPerfectPower(n)
+      expect(result.exponent).toBe(6n)
+      expect(result.base.toBigInt()).toBe(4n * 27n * (2n ** 61n - 1n) ** 5n)
+      expect(PrimeMath.isPerfectPower(UniversalNumber.fromFactors([
+        { prime: 2n, exponent: 4n },
+        { prime: 3n, exponent: 3n }
+      ]))).toBeNull()
+    })
+
     test('totient should correctly calculate Euler\'s totient function', () => {
       expect(PrimeMath.totient(1)).toBe(1n)
       expect(PrimeMath.totient(2)).toBe(1n)
@@ -0,0 +1,327 @@
+/**
+ * Tests for the persistent storage adapters and their schema migration
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const {
+  SCHEMA_KEY,
+  MemoryStorageAdapter,
+  FileStorageAdapter,
+  AppendLogStorageAdapter,
+  IndexedDBStorageAdapter,
+  createStorageAdapter,
+  migrateStorage
+} = require('../src/Storage')
+const { factorizeOptimal, factorizationCache } = require('../src/Factorization')
+const { configure, resetConfig } = require('../src/config')
+const { PrimeMathError } = require('../src/Utils')
+
+/**
+ * Collect the records of a store
+ * @param {Object} adapter - The storage adapter
+ * @returns {Promise<Object>} The records as an object
+ */
+const recordsOf = async adapter => {
+  /** @type {Object.<string, *>} */
+  const records = {}
+  for await (const [key, value] of adapter.iterate()) {
+    records[key] = value
+  }
+  return records
+}
+
+/**
+ * A minimal in-memory IDBFactory: enough of IndexedDB for the adapter, with asynchronous callbacks
+ * @returns {Object} The factory
+ */
+const createFakeIndexedDB = () => {
+  const databases = new Map()
+  /** @param {function(): void} callback - Called on a later tick */
+  const later = callback => setTimeout(callback, 0)
+  
+  return {
+    open(name) {
+      /** @type {Object} */
+      const openRequest = {}
+      later(() => {
+        const isNew = !databases.has(name)
+        if (isNew) databases.set(name, new Map())
+        const stores = databases.get(name)
+        
+        openRequest.result = {
+          createObjectStore: storeName => stores.set(storeName, new Map()),
+          transaction: storeName => {
+            const data = stores.get(storeName)
+            const pending = []
+            /** @type {Object} */
+            const transaction = {}
+            const request = compute => {
+              /** @type {Object} */
+              const result = {}
+              pending.push(() => { result.result = compute() })
+              return result
+            }
+            transaction.objectStore = () => ({
+              get: key => request(() => data.get(key)),
+              put: (value, key) => request(() => data.set(key, JSON.parse(JSON.stringify(value)))),
+              delete: key => request(() => data.delete(key)),
+              clear: () => request(() => data.clear()),
+              getAllKeys: () => request(() => [...data.keys()]),
+              getAll: () => request(() => [...data.values()])
+            })
+            later(() => {
+              pending.forEach(run => run())
+              transaction.oncomplete()
+            })
+            return transaction
+          }
+        }
+        if (isNew) openRequest.onupgradeneeded()
+        openRequest.onsuccess()
+      })
+      return openRequest
+    }
+  }
+}
+
+describe('Storage', () => {
+  let directory
+  
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'math-js-storage-'))
+  })
+
+  afterEach(() => {
+    resetConfig()
+    fs.rmSync(directory, { recursive: true, force: true })
+  })
+
+  describe('adapters', () => {
+    const adapters = [
+      ['memory', () => new MemoryStorageAdapter()],
+      ['file', () => new FileStorageAdapter({ path: path.join(directory, 'cache.json') })],
+      ['log', () => new AppendLogStorageAdapter({ path: path.join(directory, 'cache.log') })],
+      ['indexeddb', () => new IndexedDBStorageAdapter({ indexedDB: createFakeIndexedDB() })]
+    ]
+    
+    test.each(adapters)('%s adapter should get, set, delete, iterate and clear records', async (name, create) => {
+      const adapter = create()
+      
+      await adapter.set('12', { factors: { '2': '2', '3': '1' } })
+      await adapter.set('35', { factors: { '5': '1', '7': '1' } })
+      await adapter.set('12', { factors: { '2': '2', '3': '1' }, isComplete: true })
+      await adapter.delete('35')
+      await adapter.delete('missing')
+      await adapter.flush()
+      
+      expect(await adapter.get('12')).toEqual({ factors: { '2': '2', '3': '1' }, isComplete: true })
+      expect(await adapter.get('35')).toBeUndefined()
+      expect(await recordsOf(adapter)).toEqual({ '12': { factors: { '2': '2', '3': '1' }, isComplete: true } })
+      
+      await adapter.clear()
+      await adapter.flush()
+      expect(await recordsOf(adapter)).toEqual({})
+    })
+    
+    test('file adapter should persist on flush and recover from a corrupt file', async () => {
+      const file = path.join(directory, 'nested', 'cache.json')
+      const adapter = new FileStorageAdapter({ path: file })
+      await adapter.set('6', { factors: { '2': '1', '3': '1' } })
+      expect(fs.existsSync(file)).toBe(false)
+      
+      await adapter.flush()
+      expect(await new FileStorageAdapter({ path: file }).get('6')).toEqual({ factors: { '2': '1', '3': '1' } })
+      
+      fs.writeFileSync(file, '{"6": {"fac')
+      const recovered = new FileStorageAdapter({ path: file })
+      expect(await recordsOf(recovered)).toEqual({})
+      await recovered.flush()
+      expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({})
+    })
+    
+    test('append-only log adapter should replay the log, skip a torn line and compact', async () => {
+      const file = path.join(directory, 'cache.log')
+      const adapter = new AppendLogStorageAdapter({ path: file, compactionRatio: 2 })
+      await adapter.set('10', { factors: { '2': '1', '5': '1' } })
+      await adapter.set('15', { factors: { '3': '1', '5': '1' } })
+      await adapter.delete('10')
+      await adapter.flush()
+      expect(fs.readFileSync(file, 'utf8').trim().split('\n')).toHaveLength(3)
+      
+      // Simulate a crash in the middle of an append
+      fs.appendFileSync(file, '{"op":"set","key":"21","val')
+      const replayed = new AppendLogStorageAdapter({ path: file, compactionRatio: 2 })
+      expect(await recordsOf(replayed)).toEqual({ '15': { factors: { '3': '1', '5': '1' } } })
+      
+      await replayed.set('21', { factors: { '3': '1', '7': '1' } })
+      await replayed.flush()
+      expect(await new AppendLogStorageAdapter({ path: file }).get('21')).toEqual({ factors: { '3': '1', '7': '1' } })
+      
+      // Rewriting the same record many times triggers compaction
+      for (let i = 0; i < 40; i++) {
+        await replayed.set('15', { factors: { '3': '1', '5': '1' }, accessCount: i })
+        await replayed.flush()
+      }
+      expect(fs.readFileSync(file, 'utf8').trim().split('\n').length).toBeLessThanOrEqual(32)
+      expect(await new AppendLogStorageAdapter({ path: file }).get('15')).toEqual({
+        factors: { '3': '1', '5': '1' }, accessCount: 39
+      })
+    })
+    
+    test('createStorageAdapter should select adapters by name or accept adapter objects', () => {
+      expect(createStorageAdapter(false)).toBeNull()
+      expect(createStorageAdapter('memory')).toBeInstanceOf(MemoryStorageAdapter)
+      expect(createStorageAdapter('log', { path: path.join(directory, 'a.log') })).toBeInstanceOf(AppendLogStorageAdapter)
+      expect(createStorageAdapter(true, { path: path.join(directory, 'a.json') })).toBeInstanceOf(FileStorageAdapter)
+      
+      const custom = new MemoryStorageAdapter()
+      expect(createStorageAdapter(custom)).toBe(custom)
+      expect(() => createStorageAdapter({ get() {} })).toThrow(/missing the set method/)
+      expect(() => createStorageAdapter('redis')).toThrow(PrimeMathError)
+      expect(() => createStorageAdapter('indexeddb')).toThrow(/IndexedDB is not available/)
+    })
+  })
+
+  describe('migrateStorage', () => {
+    const schema = {
+      version: 3,
+      migrations: new Map([
+        [1, async adapter => {
+          for await (const [key, value] of adapter.iterate()) {
+            await adapter.set(key, { value })
+          }
+        }],
+        [2, async adapter => {
+          for await (const [key, record] of adapter.iterate()) {
+            if (key !== SCHEMA_KEY) await adapter.set(key, { ...record, migrated: true })
+          }
+        }]
+      ])
+    }
+    
+    test('should run each migration from the stored version and record the new version', async () => {
+      const adapter = new MemoryStorageAdapter()
+      expect(await migrateStorage(adapter, schema)).toBeNull()
+      expect(await recordsOf(adapter)).toEqual({})
+      
+      // A store without a schema record counts as version 1
+      await adapter.set('a', 1)
+      expect(await migrateStorage(adapter, schema)).toBe(3)
+      expect(await adapter.get('a')).toEqual({ value: 1, migrated: true })
+      expect((await adapter.get(SCHEMA_KEY)).version).toBe(3)
+      
+      // Migrated stores are left alone
+      await adapter.set('b', 2)
+      expect(await migrateStorage(adapter, schema)).toBe(3)
+      expect(await adapter.get('b')).toBe(2)
+    })
+    
+    test('should refuse stores from newer versions or without a migration path', async () => {
+      const adapter = new MemoryStorageAdapter()
+      await adapter.set(SCHEMA_KEY, { version: 4 })
+      await expect(migrateStorage(adapter, schema)).rejects.toThrow(/newer than the supported version 3/)
+      
+      await adapter.set(SCHEMA_KEY, { version: 2 })
+      await expect(migrateStorage(adapter, { version: 3, migrations: new Map() })).rejects.toThrow(/No migration/)
+    })
+  })
+
+  describe('factorization cache persistence', () => {
+    afterEach(() => {
+      factorizationCache.setPersistence(false)
+      factorizationCache.clear()
+    })
+    
+    test('should save to and load from the configured adapter', async () => {
+      const adapter = new MemoryStorageAdapter()
+      configure({ cache: { persistentCache: adapter } })
+      factorizationCache.clear()
+      
+      factorizeOptimal(360, { useCache: true })
+      factorizeOptimal(1001, { useCache: true })
+      expect(await factorizationCache.saveToStorage()).toBe(true)
+      expect(Object.keys(await recordsOf(adapter)).sort()).toEqual(['1001', '360', SCHEMA_KEY])
+      expect(await adapter.get('360')).toMatchObject({ factors: { '2': '3', '3': '2', '5': '1' }, isComplete: true })
+      
+      // Switching adapters replaces the previous one instead of merging into it
+      const other = new MemoryStorageAdapter()
+      configure({ cache: { persistentCache: other } })
+      expect(await factorizationCache.loadFromStorage()).toBe(false)
+      
+      configure({ cache: { persistentCache: adapter } })
+      expect(await factorizationCache.loadFromStorage()).toBe(true)
+      expect(factorizationCache.size()).toBe(2)
+    })
+    
+    test('should migrate a cache file written by version 1 of the format', async () => {
+      const file = path.join(directory, 'legacy.json')
+      fs.writeFileSync(file, JSON.stringify({
+        version: 1,
+        timestamp: Date.now(),
+        entries: [{ key: '12', factorArray: [['2', '2'], ['3', '1']], isComplete: true, confidence: 1 }],
+        metrics: [{ key: '12', lastAccess: 1, accessCount: 3, computationCost: 2 }]
+      }))
+      
+      configure({ cache: { persistentCache: 'file', storageOptions: { path: file } } })
+      expect(await factorizationCache.loadFromStorage()).toBe(true)
+      expect(factorizationCache.size()).toBe(1)
+      expect(factorizeOptimal(12, { useCache: true })).toEqual(new Map([[2n, 2n], [3n, 1n]]))
+      
+      const migrated = JSON.parse(fs.readFileSync(file, 'utf8'))
+      expect(migrated[SCHEMA_KEY].version).toBe(2)
+      expect(migrated['12']).toEqual({
+        factors: { '2': '2', '3': '1' },
+        isComplete: true,
+        confidence: 1,
+        lastAccess: 1,
+        accessCount: 3,
+        computationCost: 2
+      })
+      expect(migrated.entries).toBeUndefined()
+    })
+    
+    test('should move the version 1 cache out of browser localStorage once', async () => {
+      const items = new Map([['math-js-factorization-cache', JSON.stringify({
+        version: 1,
+        timestamp: Date.now(),
+        entries: [
+          { key: '12', factorArray: [['2', '2'], ['3', '1']], isComplete: true, confidence: 1 },
+          { key: '15', factorArray: [['3', '1'], ['5', '1']], isComplete: true, confidence: 1 }
+        ],
+        metrics: [{ key: '12', lastAccess: 1, accessCount: 3, computationCost: 2 }]
+      })]])
+      const localStorage = {
+        getItem: jest.fn(key => items.has(key) ? items.get(key) : null),
+        removeItem: jest.fn(key => items.delete(key))
+      }
+      
+      const adapter = new MemoryStorageAdapter()
+      const newer = { factors: { '3': '1', '5': '1' }, isComplete: true, confidence: 1, lastAccess: 5, accessCount: 9, computationCost: 1 }
+      await adapter.set('15', newer)
+      await adapter.set(SCHEMA_KEY, { version: 2, timestamp: Date.now() })
+      
+      Object.defineProperty(globalThis, 'localStorage', { value: localStorage, configurable: true })
+      try {
+        configure({ cache: { persistentCache: adapter } })
+        expect(await factorizationCache.loadFromStorage()).toBe(true)
+        expect(factorizationCache.size()).toBe(2)
+        expect(factorizeOptimal(12, { useCache: true })).toEqual(new Map([[2n, 2n], [3n, 1n]]))
+        expect(await adapter.get('12')).toMatchObject({ factors: { '2': '2', '3': '1' }, accessCount: 3 })
+        expect(await adapter.get('15')).toEqual(newer)
+        expect(await adapter.get('entries')).toBeUndefined()
+        expect(items.size).toBe(0)
+        
+        // The key is gone, so a later store does not read it again
+        configure({ cache: { persistentCache: new MemoryStorageAdapter() } })
+        expect(await factorizationCache.loadFromStorage()).toBe(false)
+        expect(localStorage.getItem).toHaveBeenCalledTimes(2)
+        expect(localStorage.removeItem).toHaveBeenCalledTimes(1)
+      } finally {
+        delete (/** @type {*} */ (globalThis)).localStorage
+      }
+    })
+  })
+})
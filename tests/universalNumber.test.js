@@ -79,6 +79,50 @@ describe('UniversalNumber', () => {
       const num = UniversalNumber.fromFactors(factors)
       expect(num.toBigInt()).toBe(42n)
     })
+
+    test('fromCertifiedFactorization should accept only verifiable certificates', () => {
+      const { certify } = require('../src/Factorization')
+      const n = 12n * (2n ** 61n - 1n)
+      const certificate = certify(n)
+      
+      const num = UniversalNumber.fromCertifiedFactorization(JSON.stringify(certificate))
+      expect(num.toBigInt()).toBe(n)
+      expect(num.getFactorization().get(2n ** 61n - 1n)).toBe(1n)
+      
+      const forged = JSON.parse(JSON.stringify(certificate))
+      forged.factors['3'] = '2'
+      expect(() => UniversalNumber.fromCertifiedFactorization(forged)).toThrow(PrimeMathError)
+      expect(() => UniversalNumber.fromCertifiedFactorization('not json')).toThrow(/not valid JSON/)
+      
+      const probable = certify(n, { proof: 'bpsw' })
+      expect(UniversalNumber.fromCertifiedFactorization(probable).toBigInt()).toBe(n)
+      expect(() => UniversalNumber.fromCertifiedFactorization(probable, { requireProof: true })).toThrow(/could not be verified/)
+    })
+    
+    test('factorial, binomial, multinomial and primorial should build factored forms', () => {
+      const { factorial } = require('../src/Utils')
+      expect(UniversalNumber.factorial(20).toBigInt()).toBe(factorial(20))
+      expect(UniversalNumber.factorial(0).isOne()).toBe(true)
+      expect(UniversalNumber.binomial(50, 25).toBigInt()).toBe(126410606437752n)
+      expect(UniversalNumber.binomial(5n, 7n).isZero()).toBe(true)
+      expect(UniversalNumber.multinomial([2, 3, 4]).toBigInt()).toBe(1260n)
+      expect(UniversalNumber.primorial('30').toBigInt()).toBe(6469693230n)
+      
+      // 100000! has 456574 digits and is never multiplied out; by Legendre's formula 2 appears 99994 times
+      const large = UniversalNumber.factorial(100000)
+      expect(large.getFactorization().get(2n)).toBe(99994n)
+      expect(large.getFactorization().get(99991n)).toBe(1n)
+      expect(large.getFactorization().size).toBe(9592)
+      
+      // C(2n, n) has every prime between n and 2n exactly once, by Kummer's theorem
+      const central = UniversalNumber.binomial(200, 100).getFactorization()
+      expect(central.get(101n)).toBe(1n)
+      expect(central.has(67n)).toBe(false)
+      
+      expect(() => UniversalNumber.factorial(-1)).toThrow(PrimeMathError)
+      expect(() => UniversalNumber.binomial(10, -2)).toThrow(/must be a non-negative integer/)
+      expect(() => UniversalNumber.primorial(1e9)).toThrow(/above the sieve limit/)
+    })
   })
 
   describe('Conversion Methods', () => {
@@ -246,6 +290,53 @@ describe('UniversalNumber', () => {
       expect(new UniversalNumber(17).isIntrinsicPrime()).toBe(true)
       expect(new UniversalNumber(-5).isIntrinsicPrime()).toBe(false) // Negative numbers can't be prime
     })
+
+    test('isIntrinsicPrime should attach a primality certificate on request', () => {
+      const PrimeMath = require('../src/PrimeMath')
+      
+      const { isPrime, certificate } = new UniversalNumber(1000003n).isIntrinsicPrime({ certificate: true })
+      expect(isPrime).toBe(true)
+      expect(certificate.n).toBe('1000003')
+      expect(PrimeMath.verifyCertificate(certificate)).toBe(true)
+      
+      expect(new UniversalNumber(1000001n).isIntrinsicPrime({ certificate: true })).toEqual({
+        isPrime: false,
+        certificate: null
+      })
+    })
+
+    test('should forward cancellation to the factorization algorithms', () => {
+      const { FactorizationAbortError } = require('../src/Utils')
+      const controller = new AbortController()
+      controller.abort()
+
+      expect(() => UniversalNumber.factorize(1000000007n * 1000000000039n, { signal: controller.signal }))
+        .toThrow(FactorizationAbortError)
+    })
+
+    test('should return a partial factorization when the time budget runs out', () => {
+      const cofactor = 1000000007n * 1000000000039n
+      const later = Date.now() + 120000
+
+      try {
+        const partial = UniversalNumber.factorize(-24n * cofactor, {
+          timeLimit: 60000,
+          useCache: false,
+          onProgress: () => jest.spyOn(Date, 'now').mockReturnValue(later)
+        })
+
+        const { knownFactors, remainingPart, remainingStatus } = partial.getPartialFactorization()
+        expect(knownFactors).toEqual(new Map([[2n, 3n], [3n, 1n]]))
+        expect(remainingPart).toBe(cofactor)
+        expect(remainingStatus).toBe('composite')
+
+        // The value is available without factoring the cofactor
+        expect(partial.toBigInt()).toBe(-24n * cofactor)
+        expect(partial.toString()).toBe((-24n * cofactor).toString())
+      } finally {
+        jest.restoreAllMocks()
+      }
+    })
   })
 
   describe('Arithmetic Operations', () => {
@@ -308,6 +399,48 @@ describe('UniversalNumber', () => {
       expect(() => new UniversalNumber(5).divide(0)).toThrow(PrimeMathError)
     })
 
+    test('divmod rounding modes', () => {
+      const cases = {
+        floor: [[-4n, 1n], [-4n, -1n], [3n, -1n]],
+        trunc: [[-3n, -1n], [-3n, 1n], [3n, -1n]],
+        ceil: [[-3n, -1n], [-3n, 1n], [4n, 1n]],
+        euclid: [[-4n, 1n], [-3n, 1n], [4n, 1n]]
+      }
+      const operands = [[-7, 2], [7, -2], [-7, -2]]
+
+      for (const [rounding, expected] of Object.entries(cases)) {
+        operands.forEach(([a, b], i) => {
+          const { quotient, remainder } = new UniversalNumber(a).divmod(b, { rounding })
+          expect([quotient.toBigInt(), remainder.toBigInt()]).toEqual(expected[i])
+        })
+      }
+
+      expect(new UniversalNumber(7).divmod(2).quotient.toBigInt()).toBe(3n)
+      expect(new UniversalNumber(-7).floorDiv(2).toBigInt()).toBe(-4n)
+      expect(new UniversalNumber(-7).ceilDiv(2).toBigInt()).toBe(-3n)
+      expect(new UniversalNumber(-7).truncDiv(2).toBigInt()).toBe(-3n)
+      expect(new UniversalNumber(0).divmod(5).remainder.isZero()).toBe(true)
+      expect(() => new UniversalNumber(7).divmod(0)).toThrow(PrimeMathError)
+      expect(() => new UniversalNumber(7).divmod(2, { rounding: 'up' })).toThrow(/Unknown rounding mode/)
+    })
+
+    test('divmod cancels shared primes before dividing', () => {
+      // 6048 = 2^5 * 3^3 * 7 and 120 = 2^3 * 3 * 5 share 2^3 * 3, leaving 252 / 5
+      const { quotient, remainder } = new UniversalNumber(6048).divmod(120)
+      expect(quotient.toBigInt()).toBe(50n)
+      expect(remainder.toBigInt()).toBe(48n)
+
+      const partial = UniversalNumber.fromPartialFactorization({
+        knownFactors: [{ prime: 2, exponent: 3 }],
+        remainingPart: 10403n,
+        remainingStatus: 'composite'
+      })
+      const half = partial.divmod(-4)
+      expect(half.quotient.toBigInt()).toBe(-20806n)
+      expect(half.quotient.getPartialFactorization().remainingPart).toBe(10403n)
+      expect(half.remainder.isZero()).toBe(true)
+    })
+
     test('pow', () => {
       const a = new UniversalNumber(2)
       expect(a.pow(0).toBigInt()).toBe(1n)
@@ -338,6 +471,42 @@ describe('UniversalNumber', () => {
       const b = new UniversalNumber(18)
       expect(a.lcm(b).toBigInt()).toBe(36n)
     })
+
+    test('isqrt, iroot and isPerfectSquare', () => {
+      expect(new UniversalNumber(99).isqrt().toBigInt()).toBe(9n)
+      expect(new UniversalNumber(100).isqrt().toBigInt()).toBe(10n)
+      expect(new UniversalNumber(0).isqrt().isZero()).toBe(true)
+      expect(new UniversalNumber(2n ** 70n * 3n).isqrt().toBigInt()).toBe(59512812588n)
+      expect(new UniversalNumber(-30).iroot(3).toBigInt()).toBe(-3n)
+      expect(new UniversalNumber(-27).iroot(3).toBigInt()).toBe(-3n)
+      expect(() => new UniversalNumber(-4).isqrt()).toThrow(PrimeMathError)
+      expect(() => new UniversalNumber(-16).iroot(4)).toThrow(PrimeMathError)
+      expect(() => new UniversalNumber(16).iroot(0)).toThrow(/Invalid root degree/)
+
+      expect(new UniversalNumber(144).isPerfectSquare()).toBe(true)
+      expect(new UniversalNumber(12).isPerfectSquare()).toBe(false)
+      expect(new UniversalNumber(-4).isPerfectSquare()).toBe(false)
+
+      // The square cofactor of a partial factorization is rooted without being factored
+      const partial = UniversalNumber.fromPartialFactorization({
+        knownFactors: [{ prime: 2, exponent: 4 }],
+        remainingPart: 10403n * 10403n,
+        remainingStatus: 'composite'
+      })
+      expect(partial.isPerfectSquare()).toBe(true)
+      expect(partial.isqrt().toBigInt()).toBe(41612n)
+    })
+
+    test('ilog and ilog2', () => {
+      expect(new UniversalNumber(999).ilog(10)).toBe(2n)
+      expect(new UniversalNumber(1000).ilog(10)).toBe(3n)
+      expect(new UniversalNumber(1).ilog(7)).toBe(0n)
+      expect(new UniversalNumber(2n ** 64n).ilog2()).toBe(64n)
+      expect(new UniversalNumber(2n ** 64n - 1n).ilog2()).toBe(63n)
+      expect(new UniversalNumber(3).pow(100).ilog(new UniversalNumber(9))).toBe(50n)
+      expect(() => new UniversalNumber(0).ilog2()).toThrow(PrimeMathError)
+      expect(() => new UniversalNumber(8).ilog(1)).toThrow(/Invalid logarithm base/)
+    })
   })
 
   describe('Comparison and Utility Methods', () => {
@@ -360,6 +529,24 @@ describe('UniversalNumber', () => {
       expect(a.compareTo(10)).toBe(0)
     })
 
+    test('compare orders factored numbers without expanding them', () => {
+      const huge = new UniversalNumber(3).pow(10n ** 12n)
+      const large = new UniversalNumber(2).pow(2n ** 40n).multiply(5)
+      const values = [huge, new UniversalNumber(10).pow(40), -3, large, 0, huge.negate(), 5n, '7']
+      const sorted = values.map(value => new UniversalNumber(value)).sort(UniversalNumber.compare)
+      expect(sorted.map(value => value.equals(huge) ? 'huge' : value.equals(large) ? 'large' :
+        value.equals(huge.negate()) ? '-huge' : value.toString())).toEqual(
+        ['-huge', '-3', '0', '5', '7', (10n ** 40n).toString(), 'large', 'huge'])
+
+      // Overlapping logarithm bounds fall back to exact comparison
+      const p = 2n ** 61n - 1n
+      const square = new UniversalNumber(p).pow(2)
+      const neighbours = new UniversalNumber(p - 1n).multiply(p + 1n)
+      expect(UniversalNumber.compare(square, neighbours)).toBe(1)
+      expect(UniversalNumber.compare(neighbours, square)).toBe(-1)
+      expect(UniversalNumber.compare(new UniversalNumber(10).pow(40), new UniversalNumber(2).pow(40).multiply(new UniversalNumber(5).pow(40)))).toBe(0)
+    })
+
     test('abs', () => {
       const a = new UniversalNumber(-42)
       expect(a.abs().toBigInt()).toBe(42n)
@@ -378,6 +565,206 @@ describe('UniversalNumber', () => {
     })
   })
 
+  
+  describe('Symbolic Huge Powers', () => {
+    const { configure, resetConfig } = require('../src/config')
+    const huge = new UniversalNumber(3).pow(10n ** 12n)
+    const other = new UniversalNumber(2).pow(2n ** 40n).multiply(5)
+    
+    afterEach(() => {
+      resetConfig()
+    })
+    
+    test('digit counts, leading digits and logarithms come from the exponents', () => {
+      expect(huge.digitCount()).toBe(477121254720n)
+      expect(huge.leadingDigits(20)).toBe('45966061631523272210')
+      expect(huge.log(3)).toBeCloseTo(1e12, 0)
+      expect(other.digitCount()).toBe(330985980543n)
+      expect(UniversalNumber.factorial(100000).leadingDigits(20)).toBe('28242294079603478742')
+      
+      // Exact powers of the base sit on a digit boundary the logarithms cannot resolve
+      expect(new UniversalNumber(10).pow(40).digitCount()).toBe(41n)
+      expect(new UniversalNumber(10).pow(40).leadingDigits(5)).toBe('10000')
+      expect(new UniversalNumber(10n ** 30n - 1n).leadingDigits(5)).toBe('99999')
+      expect(new UniversalNumber(2).pow(100).leadingDigits(8, 2)).toBe('10000000')
+    })
+    
+    test('mod, modPow and compareTo work without expanding', () => {
+      expect(huge.mod(7).toBigInt()).toBe(4n)
+      expect(other.mod(1000003).toBigInt()).toBe(433837n)
+      expect(huge.negate().mod(7).toBigInt()).toBe(3n)
+      expect(huge.modPow(2n ** 64n, 7).toBigInt()).toBe(4n)
+      expect(huge.compareTo(other)).toBe(1)
+      expect(other.negate().compareTo(huge.negate())).toBe(1)
+      expect(huge.compareTo(huge.multiply(1))).toBe(0)
+      expect(new UniversalNumber(2).pow(1000).multiply(3).compareTo(new UniversalNumber(2).pow(999).multiply(7))).toBe(-1)
+      expect(new UniversalNumber(0).compareTo(1)).toBe(-1)
+    })
+    
+    test('symbolic mode refuses implicit expansion', () => {
+      configure({ symbolic: { enabled: true, expansionLimit: 256 } })
+      const big = new UniversalNumber(2).pow(300)
+      
+      expect(() => huge.toString()).toThrow(PrimeMathError)
+      expect(() => huge.add(1)).toThrow(/expansion limit/)
+      expect(() => big.getDigits()).toThrow(PrimeMathError)
+      expect(big.toBigInt()).toBe(2n ** 300n)
+      expect(new UniversalNumber(2).pow(200).toString()).toBe((2n ** 200n).toString())
+      
+      expect(huge.formatNumber({ notation: 'scientific', precision: 6 })).toBe('4.59660e477121254719')
+      expect(huge.getNumberParts({ significantDigits: 4 }).exponent).toBe(477121254719)
+      expect(huge.toApproximateNumber()).toBe(Infinity)
+      expect(huge.toNumber({ suppressErrors: true })).toBe(Infinity)
+      expect(big.toApproximateNumber() / 2 ** 300).toBeCloseTo(1, 12)
+    })
+    
+    test('toBigInt refuses at once a number too large for a BigInt', () => {
+      configure({ symbolic: { enabled: true, expansionLimit: 256 } })
+      
+      expect(() => huge.toBigInt()).toThrow(/a BigInt can hold/)
+      expect(() => huge.negate().toBigInt()).toThrow(PrimeMathError)
+      expect(() => huge.add(1)).toThrow(/too large for a BigInt/)
+      expect(() => huge.add(1)).not.toThrow(/Use toBigInt\(\)/)
+      expect(() => new UniversalNumber(2).pow(300).add(1)).toThrow(/Use toBigInt\(\) to expand it explicitly/)
+    })
+    
+    test('divmod keeps exact quotients of huge numbers factored', () => {
+      configure({ symbolic: { enabled: true, expansionLimit: 256 } })
+      const { quotient, remainder } = huge.multiply(10).divmod(huge.multiply(2))
+      expect(quotient.toBigInt()).toBe(5n)
+      expect(remainder.isZero()).toBe(true)
+      expect(huge.floorDiv(new UniversalNumber(3).pow(10n ** 12n - 2n)).toBigInt()).toBe(9n)
+      expect(() => huge.divmod(2)).toThrow(/expansion limit/)
+    })
+    
+    test('roots and integer logarithms come from the exponents', () => {
+      configure({ symbolic: { enabled: true, expansionLimit: 256 } })
+      expect(huge.isPerfectSquare()).toBe(true)
+      expect(huge.isqrt().equals(new UniversalNumber(3).pow(5n * 10n ** 11n))).toBe(true)
+      expect(huge.iroot(1000).getFactorization().get(3n)).toBe(10n ** 9n)
+      expect(huge.multiply(3).isPerfectSquare()).toBe(false)
+      expect(() => huge.multiply(3).isqrt()).toThrow(/expansion limit/)
+      expect(huge.ilog(3)).toBe(10n ** 12n)
+      expect(huge.ilog(10)).toBe(477121254719n)
+      expect(other.ilog2()).toBe(2n ** 40n + 2n)
+    })
+  })
+
+  describe('Bitwise Operations', () => {
+    test('and, or, xor and not match BigInt in two\'s complement', () => {
+      for (const a of [0n, 12n, -12n, 255n, -256n]) {
+        for (const b of [6n, -6n]) {
+          expect(new UniversalNumber(a).and(b).toBigInt()).toBe(a & b)
+          expect(new UniversalNumber(a).or(new UniversalNumber(b)).toBigInt()).toBe(a | b)
+          expect(new UniversalNumber(a).xor(b).toBigInt()).toBe(a ^ b)
+        }
+        expect(new UniversalNumber(a).not().toBigInt()).toBe(~a)
+      }
+    })
+
+    test('shifts round toward negative infinity and accept negative counts', () => {
+      expect(new UniversalNumber(3).shiftLeft(4).toBigInt()).toBe(48n)
+      expect(new UniversalNumber(48).shiftRight(4).toBigInt()).toBe(3n)
+      expect(new UniversalNumber(-7).shiftRight(1).toBigInt()).toBe(-4n)
+      expect(new UniversalNumber(7).shiftRight(5).toBigInt()).toBe(0n)
+      expect(new UniversalNumber(-7).shiftRight(5).toBigInt()).toBe(-1n)
+      expect(new UniversalNumber(5).shiftLeft(-1).toBigInt()).toBe(2n)
+      expect(new UniversalNumber(5).shiftRight(-2).toBigInt()).toBe(20n)
+    })
+
+    test('bitLength, popCount, trailingZeros, testBit and setBit', () => {
+      expect(new UniversalNumber(255).bitLength()).toBe(8n)
+      expect(new UniversalNumber(256).bitLength()).toBe(9n)
+      expect(new UniversalNumber(-256).bitLength()).toBe(8n)
+      expect(new UniversalNumber(-257).bitLength()).toBe(9n)
+      expect(new UniversalNumber(0).bitLength()).toBe(0n)
+      expect(new UniversalNumber(-1).bitLength()).toBe(0n)
+
+      expect(new UniversalNumber(255).popCount()).toBe(8n)
+      expect(new UniversalNumber(-12).popCount()).toBe(3n)
+      expect(new UniversalNumber(96).trailingZeros()).toBe(5n)
+      expect(new UniversalNumber(-96).trailingZeros()).toBe(5n)
+      expect(() => new UniversalNumber(0).trailingZeros()).toThrow(PrimeMathError)
+
+      for (let i = 0n; i < 12n; i++) {
+        expect(new UniversalNumber(-84).testBit(i)).toBe(((-84n >> i) & 1n) === 1n)
+        expect(new UniversalNumber(-84).setBit(i).toBigInt()).toBe(-84n | (1n << i))
+      }
+      expect(new UniversalNumber(84).testBit(1000)).toBe(false)
+      expect(() => new UniversalNumber(84).testBit(-1)).toThrow(/Invalid bit index/)
+    })
+
+    test('shifts and bit queries on the exponent of 2 do not expand the number', () => {
+      const { configure, resetConfig } = require('../src/config')
+      configure({ symbolic: { enabled: true, expansionLimit: 256 } })
+      try {
+        const huge = new UniversalNumber(3).pow(10n ** 12n).shiftLeft(10n ** 9n)
+        expect(huge.trailingZeros()).toBe(10n ** 9n)
+        expect(huge.shiftRight(10n ** 9n).equals(new UniversalNumber(3).pow(10n ** 12n))).toBe(true)
+        expect(huge.bitLength()).toBe(1585962500722n)
+        expect(huge.testBit(10n ** 9n)).toBe(true)
+        expect(huge.testBit(5)).toBe(false)
+        expect(huge.negate().testBit(10n ** 13n)).toBe(true)
+        expect(() => huge.and(1)).toThrow(/expansion limit/)
+      } finally {
+        resetConfig()
+      }
+    })
+  })
+
+  describe('Primitive Conversion and Inspection', () => {
+    const util = require('util')
+    const { configure, resetConfig } = require('../src/config')
+
+    afterEach(() => {
+      resetConfig()
+    })
+
+    test('Symbol.toPrimitive gives digits for strings and BigInts for arithmetic', () => {
+      const n = new UniversalNumber(360)
+      expect(`${n}`).toBe('360')
+      expect(String(new UniversalNumber(-12))).toBe('-12')
+      expect(n + 1n).toBe(361n)
+      expect(n > 5).toBe(true)
+      expect(n[Symbol.toPrimitive]('default')).toBe(360n)
+      expect(n[Symbol.toPrimitive]('string')).toBe('360')
+    })
+
+    test('config.primitive.numberHint selects the numeric conversion', () => {
+      configure({ primitive: { numberHint: 'number' } })
+      expect(new UniversalNumber(360) * 1.5).toBe(540)
+      expect(() => new UniversalNumber(2n ** 60n) * 1).toThrow(PrimeMathError)
+
+      configure({ primitive: { numberHint: 'error' } })
+      expect(() => new UniversalNumber(360) + 1n).toThrow(/Implicit conversion/)
+      expect(`${new UniversalNumber(360)}`).toBe('360')
+    })
+
+    test('util.inspect shows the value with its factorization', () => {
+      expect(util.inspect(new UniversalNumber(360))).toBe('UniversalNumber(360 = 2^3·3^2·5)')
+      expect(util.inspect(new UniversalNumber(-360))).toBe('UniversalNumber(-360 = -2^3·3^2·5)')
+      expect(util.inspect(new UniversalNumber(7))).toBe('UniversalNumber(7)')
+      expect(util.inspect(new UniversalNumber(0))).toBe('UniversalNumber(0)')
+      expect(util.inspect([new UniversalNumber(12)])).toBe('[ UniversalNumber(12 = 2^2·3) ]')
+      expect(UniversalNumber.prototype[Symbol.for('nodejs.util.inspect.custom')]).toBeInstanceOf(Function)
+
+      const partial = UniversalNumber.fromPartialFactorization({
+        knownFactors: [{ prime: 2, exponent: 3 }],
+        remainingPart: 10403n,
+        remainingStatus: 'composite'
+      })
+      expect(util.inspect(partial)).toBe('UniversalNumber(83224 = 2^3·[10403])')
+    })
+
+    test('numbers too large to expand print their factorization', () => {
+      configure({ symbolic: { enabled: true, expansionLimit: 256 } })
+      const huge = new UniversalNumber(3).pow(10n ** 12n)
+      expect(util.inspect(huge)).toBe('UniversalNumber(3^1000000000000)')
+      expect(`${huge}`).toBe('3^1000000000000')
+      expect(() => huge + 1n).toThrow(/expansion limit/)
+    })
+  })
+
   describe('Serialization', () => {
     test('toJSON', () => {
       const num = new UniversalNumber(42)
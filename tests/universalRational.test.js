@@ -0,0 +1,125 @@
+/**
+ * Tests for the UniversalRational class
+ */
+
+const UniversalRational = require('../src/UniversalRational')
+const UniversalNumber = require('../src/UniversalNumber')
+const PrimeMath = require('../src/PrimeMath')
+const { PrimeMathError } = require('../src/Utils')
+
+describe('UniversalRational', () => {
+  describe('construction', () => {
+    test('stores fractions in lowest terms with signed exponents', () => {
+      const r = new UniversalRational(6, -8)
+      expect(r.toString()).toBe('-3/4')
+      expect(r.getFactorization()).toEqual(new Map([[3n, 1n], [2n, -2n]]))
+      expect(r.getNumerator().toBigInt()).toBe(-3n)
+      expect(r.getDenominator().toBigInt()).toBe(4n)
+      expect(r.equals('-3/4')).toBe(true)
+      expect(r.reduce().equals(r)).toBe(true)
+    })
+
+    test('reads decimals, fraction objects and factorizations exactly', () => {
+      expect(new UniversalRational('0.125').toString()).toBe('1/8')
+      expect(new UniversalRational('-1.50').toString()).toBe('-3/2')
+      expect(new UniversalRational('123456789.123456789').toString()).toBe('123456789123456789/1000000000')
+      expect(new UniversalRational(0.1).toString()).toBe('1/10')
+      expect(new UniversalRational({ numerator: 10, denominator: 4 }).toString()).toBe('5/2')
+      expect(new UniversalRational(new Map([[2n, -3n], [3n, 2n]])).toString()).toBe('9/8')
+      expect(new UniversalRational(new UniversalNumber(12)).isInteger()).toBe(true)
+      expect(new UniversalRational('0/7').isZero()).toBe(true)
+    })
+
+    test('reads tiny and huge non-integer numbers as their shortest decimal form', () => {
+      expect(new UniversalRational(0.000001).toString()).toBe('1/1000000')
+      expect(new UniversalRational(1e-7).toString()).toBe('1/10000000')
+      expect(new UniversalRational(-2.5e-10).toString()).toBe('-1/4000000000')
+      expect(new UniversalRational(2 ** -30).toString()).toBe('1862645149230957/2000000000000000000000000')
+      expect(new UniversalRational(Number.MIN_VALUE).getFactorization()).toEqual(new Map([[2n, -324n], [5n, -323n]]))
+      expect(new UniversalRational(2 ** 52 - 0.5).toString()).toBe(`${2n ** 53n - 1n}/2`)
+      expect(new UniversalRational(123456789.125).toString()).toBe('987654313/8')
+      for (const value of [1e-7, 2.5e-10, 2 ** -30, 3 * Number.MIN_VALUE, 2 ** 52 - 0.5]) {
+        expect(new UniversalRational(value).toNumber()).toBe(value)
+      }
+    })
+
+    test('rejects zero denominators and invalid input', () => {
+      expect(() => new UniversalRational(1, 0)).toThrow(PrimeMathError)
+      expect(() => new UniversalRational('1/2/3')).toThrow(PrimeMathError)
+      expect(() => new UniversalRational(new Map([[4n, -1n]]))).toThrow(PrimeMathError)
+      expect(() => new UniversalRational(new UniversalRational(0)).reciprocal()).toThrow(PrimeMathError)
+    })
+  })
+
+  describe('arithmetic', () => {
+    const a = new UniversalRational(3, 4)
+    const b = new UniversalRational('-5/6')
+
+    test('add, subtract, multiply and divide exactly', () => {
+      expect(a.add(b).toString()).toBe('-1/12')
+      expect(a.subtract(b).toString()).toBe('19/12')
+      expect(a.multiply(b).toString()).toBe('-5/8')
+      expect(a.divide(b).toString()).toBe('-9/10')
+      expect(a.add(b.negate()).add(b).equals(a)).toBe(true)
+      expect(a.multiply(4).isInteger()).toBe(true)
+    })
+
+    test('pow takes negative exponents', () => {
+      expect(a.pow(-3).toString()).toBe('64/27')
+      expect(b.pow(3).toString()).toBe('-125/216')
+      expect(b.pow(0).toString()).toBe('1')
+      expect(new UniversalRational(0).pow(2).isZero()).toBe(true)
+      expect(() => new UniversalRational(0).pow(-1)).toThrow(PrimeMathError)
+    })
+
+    test('floor and ceil round toward the infinities', () => {
+      expect(b.floor().toBigInt()).toBe(-1n)
+      expect(b.ceil().toBigInt()).toBe(0n)
+      expect(new UniversalRational(7, 2).floor().toBigInt()).toBe(3n)
+      expect(new UniversalRational(7, 2).ceil().toBigInt()).toBe(4n)
+      expect(new UniversalRational(-6, 3).floor().toBigInt()).toBe(-2n)
+    })
+
+    test('compare orders by cross products', () => {
+      const values = ['1/3', '-2', '0.333', 0, '5/2', '-7/3'].map(value => new UniversalRational(value))
+      expect(values.sort(UniversalRational.compare).map(value => value.toString()))
+        .toEqual(['-7/3', '-2', '0', '333/1000', '1/3', '5/2'])
+      expect(a.compareTo('6/8')).toBe(0)
+      expect(new UniversalRational(new UniversalNumber(3).pow(1000), new UniversalNumber(2).pow(1585)).compareTo(1)).toBe(-1)
+    })
+
+    test('toNumber divides numerator and denominator beyond the range of Number', () => {
+      expect(a.toNumber()).toBe(0.75)
+      expect(b.toNumber()).toBeCloseTo(-5 / 6, 15)
+      const ratio = new UniversalRational(new UniversalNumber(3).pow(1000), new UniversalNumber(2).pow(1500))
+      expect(ratio.toNumber() / Math.pow(2, 1000 * Math.log2(3) - 1500)).toBeCloseTo(1, 9)
+    })
+
+    test('toNumber keeps subnormal results near Number.MIN_VALUE', () => {
+      expect(new UniversalRational(3, new UniversalNumber(2).pow(1074)).toNumber()).toBe(3 * Number.MIN_VALUE)
+      expect(new UniversalRational(-1, new UniversalNumber(2).pow(1074)).toNumber()).toBe(-Number.MIN_VALUE)
+      expect(new UniversalRational(1, new UniversalNumber(2).pow(1076)).toNumber()).toBe(0)
+      expect(new UniversalRational(3 * Number.MIN_VALUE).toNumber()).toBe(3 * Number.MIN_VALUE)
+    })
+  })
+
+  describe('serialization and interoperability', () => {
+    test('round-trips through JSON', () => {
+      const r = new UniversalRational('-5/6')
+      expect(UniversalRational.fromJSON(JSON.parse(JSON.stringify(r))).equals(r)).toBe(true)
+      expect(UniversalRational.fromJSON(new UniversalRational(0).toJSON()).isZero()).toBe(true)
+      expect(() => UniversalRational.fromJSON({ type: 'UniversalNumber', factors: {} })).toThrow(PrimeMathError)
+    })
+
+    test('is accepted by PrimeMath and UniversalNumber', () => {
+      const a = new UniversalRational(3, 4)
+      expect(PrimeMath.add(a, 1).toString()).toBe('7/4')
+      expect(PrimeMath.divide(1, a).toString()).toBe('4/3')
+      expect(PrimeMath.pow(a, -2).toString()).toBe('16/9')
+      expect(PrimeMath.isPrime(new UniversalRational(14, 2))).toBe(true)
+      expect(PrimeMath.gcd(new UniversalRational(12), 18)).toBe(6n)
+      expect(new UniversalNumber(10).add(new UniversalRational(6, 3)).toBigInt()).toBe(12n)
+      expect(() => PrimeMath.isPrime(a)).toThrow(/not an integer/)
+    })
+  })
+})
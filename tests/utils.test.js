@@ -3,13 +3,20 @@ const {
   fastExp,
   isDivisible,
   exactDivide,
+  divideWithRounding,
   gcd,
   lcm,
   toBigInt,
+  iroot,
   isPrime,
+  isProbablePrime,
+  millerRabinTest,
+  strongLucasTest,
+  bailliePSW,
   nextPrime,
   factorial
 } = require('../src/Utils')
+const { configure, resetConfig } = require('../src/config')
 
 describe('Utils Module', () => {
   describe('PrimeMathError', () => {
@@ -64,6 +71,26 @@ describe('Utils Module', () => {
     })
   })
 
+  describe('divideWithRounding', () => {
+    test('should round the quotient and keep dividend = quotient * divisor + remainder', () => {
+      for (const rounding of ['floor', 'trunc', 'ceil', 'euclid']) {
+        for (const [a, b] of [[7n, 2n], [-7n, 2n], [7n, -2n], [-7n, -2n], [6n, -3n]]) {
+          const { quotient, remainder } = divideWithRounding(a, b, rounding)
+          expect(quotient * b + remainder).toBe(a)
+          expect(remainder < 0n ? -remainder : remainder).toBeLessThan(b < 0n ? -b : b)
+        }
+      }
+      expect(divideWithRounding(-7n, 2n)).toEqual({ quotient: -4n, remainder: 1n })
+      expect(divideWithRounding(7n, -2n, 'ceil')).toEqual({ quotient: -3n, remainder: 1n })
+      expect(divideWithRounding(-7n, -2n, 'euclid')).toEqual({ quotient: 4n, remainder: 1n })
+    })
+
+    test('should throw error for a zero divisor or an unknown rounding mode', () => {
+      expect(() => divideWithRounding(10n, 0n)).toThrow(PrimeMathError)
+      expect(() => divideWithRounding(10n, 3n, 'nearest')).toThrow(/Unknown rounding mode/)
+    })
+  })
+
   describe('gcd', () => {
     test('should correctly compute GCD', () => {
       expect(gcd(12n, 8n)).toBe(4n)
@@ -86,6 +113,26 @@ describe('Utils Module', () => {
     })
   })
 
+  describe('iroot', () => {
+    test('should compute exact integer roots of numbers of any size', () => {
+      expect(iroot(0n, 3)).toBe(0n)
+      expect(iroot(26n, 3)).toBe(2n)
+      expect(iroot(27n, 3)).toBe(3n)
+      expect(iroot(10n, 1)).toBe(10n)
+      expect(iroot(10n, 100)).toBe(1n)
+
+      const root = 3n ** 200n + 12345n
+      expect(iroot(root ** 2n, 2n)).toBe(root)
+      expect(iroot(root ** 2n - 1n, 2n)).toBe(root - 1n)
+      expect(iroot(root ** 7n + root, 7)).toBe(root)
+    })
+
+    test('should throw error for negative numbers and invalid degrees', () => {
+      expect(() => iroot(-8n, 3)).toThrow(PrimeMathError)
+      expect(() => iroot(8n, 0)).toThrow(/Invalid root degree/)
+    })
+  })
+
   describe('toBigInt', () => {
     test('should correctly convert values to BigInt', () => {
       expect(toBigInt(123)).toBe(123n)
@@ -130,6 +177,57 @@ describe('Utils Module', () => {
     })
   })
 
+  describe('probable-prime tests', () => {
+    afterEach(() => {
+      resetConfig()
+    })
+
+    test('millerRabinTest should be deterministic below 2^64', () => {
+      // Strong pseudoprimes to base 2, and to every prime base up to 23
+      expect(millerRabinTest(2047n)).toBe(false)
+      expect(millerRabinTest(3215031751n)).toBe(false)
+      expect(millerRabinTest(3825123056546413051n)).toBe(false)
+      expect(millerRabinTest(18446744073709551557n)).toBe(true) // largest 64-bit prime
+      expect(millerRabinTest(18446744073709551557n * 3n)).toBe(false)
+    })
+
+    test('strongLucasTest should reject base-2 pseudoprimes but accept Lucas pseudoprimes', () => {
+      for (const n of [2047n, 3277n, 4033n, 3215031751n]) {
+        expect(strongLucasTest(n)).toBe(false)
+      }
+      for (const n of [5459n, 5777n, 10877n, 16109n, 18971n]) {
+        expect(strongLucasTest(n)).toBe(true)
+        expect(millerRabinTest(n)).toBe(false)
+      }
+      expect(strongLucasTest(49n)).toBe(false)
+    })
+
+    test('bailliePSW should agree with trial division on small numbers', () => {
+      for (let n = 0n; n < 3000n; n++) {
+        let prime = n >= 2n
+        for (let d = 2n; d * d <= n && prime; d++) {
+          if (n % d === 0n) prime = false
+        }
+        expect(bailliePSW(n)).toBe(prime)
+      }
+    })
+
+    test('isProbablePrime should use the configured method beyond 64 bits', () => {
+      const mersenne = 2n ** 127n - 1n
+      expect(isProbablePrime(mersenne)).toBe(true)
+      expect(isProbablePrime(mersenne * (2n ** 61n - 1n))).toBe(false)
+
+      configure({ primalityTesting: { method: 'miller-rabin', millerRabinRounds: 5 } })
+      expect(isProbablePrime(mersenne)).toBe(true)
+      expect(isProbablePrime(mersenne * (2n ** 61n - 1n))).toBe(false)
+
+      configure({ primalityTesting: { method: 'fermat' } })
+      expect(() => isProbablePrime(mersenne)).toThrow(/Unknown primality testing method/)
+      expect(isProbablePrime(1000003n)).toBe(true)
+      expect(isProbablePrime(mersenne, { method: 'bpsw' })).toBe(true)
+    })
+  })
+
   describe('nextPrime', () => {
     test('should find the next prime number', () => {
       expect(nextPrime(0n)).toBe(2n)
@@ -29,6 +29,7 @@ module.exports = {
     fallback: {
       "path": require.resolve("path-browserify"),
       "fs": false,
+      "worker_threads": false,
       "os": require.resolve("os-browserify/browser")
     }
   },